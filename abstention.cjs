@@ -0,0 +1,177 @@
+// abstention.cjs
+// Confidence gate for selective prediction: make a pick only when the forecast is confident enough.
+// - A gate is { minProb, minMargin }: pick only if the top probability is >= minProb and it leads the
+//   runner-up by >= minMargin. { 0, 0 } always picks; with minMargin > 0 an exact tie always abstains
+//   instead of being broken at random.
+// - Backtests keep their argmax picks; selectiveSummary() applies a gate to the scored records
+//   ({ dist, actual }, scoring.cjs) afterwards, so accuracy on picked rounds is reported next to coverage.
+// - riskCoverage() sorts records by confidence (top probability or margin) and gives accuracy at every
+//   coverage; suggestThreshold() picks the cut with the best Wilson lower bound on that accuracy.
+// - createSelectiveTracker() keeps the same counts in the live loops.
+
+const { wilsonInterval } = require('./stats-math.cjs');
+
+const ABSTAIN = 'ABSTAIN';           // written to prediction logs in place of a pick
+const DEFAULT_GATE = { minProb: 0, minMargin: 0 };
+const DEFAULT_MIN_PICKS = 30;        // suggestThreshold ignores cuts keeping fewer rounds than this
+
+// dist -> { label, prob, margin } (margin = top minus runner-up)
+function confidenceOf(dist) {
+  const sorted = Object.entries(dist).sort((a, b) => b[1] - a[1]);
+  if (!sorted.length) return { label: null, prob: 0, margin: 0 };
+  return { label: sorted[0][0], prob: sorted[0][1], margin: sorted[0][1] - (sorted.length > 1 ? sorted[1][1] : 0) };
+}
+
+function gateIsOn(gate) {
+  return !!gate && ((gate.minProb || 0) > 0 || (gate.minMargin || 0) > 0);
+}
+
+function passesGate(dist, gate) {
+  if (!gateIsOn(gate)) return true;
+  const c = confidenceOf(dist);
+  return c.prob >= (gate.minProb || 0) && c.margin >= (gate.minMargin || 0);
+}
+
+function formatGate(gate) {
+  if (!gateIsOn(gate)) return 'off (always pick)';
+  const parts = [];
+  if (gate.minProb > 0) parts.push(`top probability ≥ ${(gate.minProb * 100).toFixed(1)}%`);
+  if (gate.minMargin > 0) parts.push(`margin ≥ ${(gate.minMargin * 100).toFixed(1)} pts`);
+  return parts.join(' and ');
+}
+
+// parsed CLI flags { 'min-prob', 'min-margin' } (probabilities, 0..1) -> gate
+function gateFromArgs(args, base = DEFAULT_GATE) {
+  const read = (key, fallback) => {
+    if (args[key] === undefined) return fallback;
+    const v = Number(args[key]);
+    if (!(v >= 0 && v < 1)) throw new Error(`--${key} must be a probability in [0, 1).`);
+    return v;
+  };
+  return { minProb: read('min-prob', base.minProb || 0), minMargin: read('min-margin', base.minMargin || 0) };
+}
+
+// ---------- Offline analysis ----------
+// records: [{ dist, actual }] -> { rounds, picked, abstained, coverage, correct, accuracy, ci, allAccuracy }
+function selectiveSummary(records, gate) {
+  let picked = 0, correct = 0, allCorrect = 0;
+  for (const r of records) {
+    const c = confidenceOf(r.dist);
+    if (c.label === r.actual) allCorrect++;
+    if (!passesGate(r.dist, gate)) continue;
+    picked++;
+    if (c.label === r.actual) correct++;
+  }
+  const n = records.length;
+  return {
+    rounds: n,
+    picked,
+    abstained: n - picked,
+    coverage: n ? picked / n : 0,
+    correct,
+    accuracy: picked ? correct / picked : null,
+    ci: wilsonInterval(correct, picked),
+    allAccuracy: n ? allCorrect / n : null
+  };
+}
+
+// records -> [{ threshold, picked, coverage, accuracy, lower }] from the most to the least confident cut
+// (by: 'prob' | 'margin'); rounds with equal confidence enter together
+function riskCoverage(records, by = 'prob') {
+  const scored = records
+    .map(r => { const c = confidenceOf(r.dist); return { score: by === 'margin' ? c.margin : c.prob, hit: c.label === r.actual }; })
+    .sort((a, b) => b.score - a.score);
+  const curve = [];
+  let hits = 0;
+  scored.forEach((s, k) => {
+    if (s.hit) hits++;
+    if (k + 1 < scored.length && scored[k + 1].score === s.score) return;
+    const picked = k + 1;
+    curve.push({
+      threshold: s.score,
+      picked,
+      coverage: picked / scored.length,
+      accuracy: hits / picked,
+      lower: wilsonInterval(hits, picked)[0]
+    });
+  });
+  return curve;
+}
+
+// cut with the best 95% lower bound on accuracy among those keeping >= minPicks rounds (null if none)
+function suggestThreshold(curve, opts = {}) {
+  const minPicks = opts.minPicks || DEFAULT_MIN_PICKS;
+  let best = null;
+  for (const p of curve) if (p.picked >= minPicks && (!best || p.lower > best.lower)) best = p;
+  return best;
+}
+
+function printRiskCoverage(curve, opts = {}) {
+  const by = opts.by || 'prob';
+  const pct = (v) => (v === null || v === undefined ? 'n/a' : `${(v * 100).toFixed(1)}%`);
+  const n = curve.length ? curve[curve.length - 1].picked : 0;
+  console.log(`\n🎚️ Risk–coverage by ${by === 'margin' ? 'margin (top − runner-up)' : 'top probability'} — ${n} forecasts`);
+  console.log(`  coverage   ${by === 'margin' ? 'min margin' : '  min prob'}   picks   accuracy   95% lower`);
+  // one row per 10% of coverage (the most confident cut reaching it)
+  let shown = null;
+  for (let step = 10; step >= 1; step--) {
+    const p = curve.find(c => c.coverage >= step / 10 - 1e-9);
+    if (!p || p === shown) continue;
+    shown = p;
+    console.log(`  ${pct(p.coverage).padStart(7)}   ${p.threshold.toFixed(4).padStart(10)}   ${String(p.picked).padStart(5)}   ${pct(p.accuracy).padStart(8)}   ${pct(p.lower).padStart(9)}`);
+  }
+  const s = suggestThreshold(curve, opts);
+  if (!s) {
+    console.log(`  ➜ Fewer than ${opts.minPicks || DEFAULT_MIN_PICKS} forecasts — no threshold suggested.`);
+    return null;
+  }
+  const all = curve[curve.length - 1];
+  console.log(`  ➜ Suggested: ${by === 'margin' ? 'min margin' : 'min prob'} ${s.threshold.toFixed(3)} — coverage ${pct(s.coverage)}, accuracy ${pct(s.accuracy)} ` +
+    `(lower bound ${pct(s.lower)}) vs ${pct(all.accuracy)} when always picking. Chosen in-sample: confirm on new rounds.`);
+  return s;
+}
+
+function printSelectiveSummary(summary, gate, title = 'Selective accuracy') {
+  const pct = (v) => (v === null || v === undefined ? 'n/a' : `${(v * 100).toFixed(1)}%`);
+  const ci = summary.ci ? ` (95% CI ${pct(summary.ci[0])}–${pct(summary.ci[1])})` : '';
+  console.log(`🤐 ${title} — gate ${formatGate(gate)}: picked ${summary.picked}/${summary.rounds} (coverage ${pct(summary.coverage)}), ` +
+    `accuracy on picks ${pct(summary.accuracy)}${ci} vs ${pct(summary.allAccuracy)} on all rounds`);
+}
+
+// ---------- Live tracking ----------
+function createSelectiveTracker() {
+  let rounds = 0, picked = 0, correct = 0;
+  return {
+    // pick: the label picked for the round (null = abstained)
+    record(pick, actual) {
+      rounds++;
+      if (pick === null || pick === undefined || pick === ABSTAIN) return;
+      picked++;
+      if (pick === actual) correct++;
+    },
+    summary() {
+      return { rounds, picked, abstained: rounds - picked, coverage: rounds ? picked / rounds : 0, correct, accuracy: picked ? correct / picked : null };
+    },
+    line() {
+      const pct = (v) => (v === null ? '—' : `${(v * 100).toFixed(1)}%`);
+      return `picked ${picked}/${rounds} (coverage ${pct(rounds ? picked / rounds : null)}), accuracy on picks ${pct(picked ? correct / picked : null)}`;
+    }
+  };
+}
+
+module.exports = {
+  ABSTAIN,
+  DEFAULT_GATE,
+  DEFAULT_MIN_PICKS,
+  confidenceOf,
+  gateIsOn,
+  passesGate,
+  formatGate,
+  gateFromArgs,
+  selectiveSummary,
+  riskCoverage,
+  suggestThreshold,
+  printRiskCoverage,
+  printSelectiveSummary,
+  createSelectiveTracker
+};
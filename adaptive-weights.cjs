@@ -0,0 +1,110 @@
+// adaptive-weights.cjs
+// Online re-weighting of ensemble members from their recent log-loss (Hedge with forgetting).
+// - Each member k keeps a discounted cumulative loss L_k <- forget * L_k + (-ln p_k(actual)).
+// - Weight w_k ∝ prior_k * exp(-eta * L_k); eta = 1 is Bayesian model averaging with a forgetting
+//   factor (exp(-L_k) is the member's discounted likelihood), smaller eta reacts more slowly.
+// - A floor mixes in a little of the prior so a member that lost influence can earn it back.
+// - Members missing from a round (e.g. the HMM before it is trained) keep their loss untouched and are
+//   left out of that round's weights; a member seen for the first time starts at the mean loss of the
+//   others, so joining late neither favours nor punishes it.
+// - Rounds with several games (sportypredictor's slots) pass an array of actuals and, per member, an
+//   array of slot distributions; the member's loss for the round is the sum over the slots.
+// - State is plain JSON so it can be saved and restored across restarts. The prior always comes from the
+//   caller (a restored state only brings back the losses), so changing the MIX_* weights takes effect
+//   even with a saved weights file.
+
+const fs = require('fs');
+
+const DEFAULT_ETA = 1;
+const DEFAULT_FORGET = 0.98;  // effective memory ≈ 1 / (1 - forget) = 50 rounds
+const DEFAULT_FLOOR = 0.02;   // share of the prior always kept in the weights
+const MIN_PROB = 1e-6;        // clamps -ln p so one impossible outcome cannot wipe out a member
+
+// prior: { name: weight } (fixed weights the ensemble starts from). opts: { eta, forget, floor, state }
+function createHedge(prior, opts = {}) {
+  const saved = opts.state || {};
+  const state = { prior: Object.assign({}, prior), losses: {}, rounds: saved.rounds || 0 };
+  // saved losses of members still in the ensemble; members added since start at the mean loss
+  for (const [k, loss] of Object.entries(saved.losses || {})) if (prior[k] !== undefined && Number.isFinite(loss)) state.losses[k] = loss;
+  const eta = opts.eta !== undefined ? opts.eta : (saved.eta !== undefined ? saved.eta : DEFAULT_ETA);
+  const forget = opts.forget !== undefined ? opts.forget : (saved.forget !== undefined ? saved.forget : DEFAULT_FORGET);
+  const floor = opts.floor !== undefined ? opts.floor : (saved.floor !== undefined ? saved.floor : DEFAULT_FLOOR);
+
+  function meanLoss() {
+    const known = Object.values(state.losses);
+    return known.length ? known.reduce((a, b) => a + b, 0) / known.length : 0;
+  }
+
+  // names: members present this round -> { name: weight } summing to 1
+  function weights(names = Object.keys(state.prior)) {
+    const present = names.filter(k => state.prior[k] !== undefined);
+    if (!present.length) return {};
+    const fresh = meanLoss();
+    const loss = (k) => (state.losses[k] !== undefined ? state.losses[k] : fresh);
+    const minL = Math.min(...present.map(loss));
+    const priorSum = present.reduce((s, k) => s + state.prior[k], 0) || 1;
+    const raw = {};
+    for (const k of present) raw[k] = state.prior[k] * Math.exp(-eta * (loss(k) - minL));
+    const rawSum = Object.values(raw).reduce((a, b) => a + b, 0) || 1;
+    const out = {};
+    for (const k of present) out[k] = (1 - floor) * raw[k] / rawSum + floor * state.prior[k] / priorSum;
+    return out;
+  }
+
+  // dists: { name: { outcome: p } } — what each member forecast for the round that produced `actual`
+  // (or { name: [slot dists] } with an array of actuals)
+  function roundLoss(dist, actual) {
+    if (Array.isArray(actual)) return actual.reduce((s, a, slot) => s + roundLoss(dist[slot], a), 0);
+    return -Math.log(Math.max(MIN_PROB, (dist && dist[actual]) || 0));
+  }
+
+  function update(dists, actual) {
+    for (const k of Object.keys(state.losses)) state.losses[k] *= forget;
+    const fresh = meanLoss();
+    for (const [k, dist] of Object.entries(dists)) {
+      if (!dist || state.prior[k] === undefined) continue;
+      const prev = state.losses[k] !== undefined ? state.losses[k] : fresh;
+      state.losses[k] = prev + roundLoss(dist, actual);
+    }
+    state.rounds++;
+    return weights(Object.keys(dists));
+  }
+
+  return {
+    weights,
+    update,
+    rounds() { return state.rounds; },
+    toJSON() { return Object.assign({}, state, { eta, forget, floor, updatedAt: new Date().toISOString() }); }
+  };
+}
+
+// ---------- Persistence / display ----------
+function saveHedge(file, hedge) {
+  fs.writeFileSync(file, JSON.stringify(hedge.toJSON(), null, 2));
+}
+
+// -> hedge restored from `file` (or a fresh one when the file is missing/unreadable)
+function loadHedge(file, prior, opts = {}) {
+  if (fs.existsSync(file)) {
+    try {
+      return createHedge(prior, Object.assign({}, opts, { state: JSON.parse(fs.readFileSync(file, 'utf8')) }));
+    } catch (e) {
+      console.warn(`⚠️ Ignoring unreadable weights file ${file}:`, e.message || e);
+    }
+  }
+  return createHedge(prior, opts);
+}
+
+function formatWeights(weights) {
+  return Object.entries(weights).map(([k, w]) => `${k} ${(w * 100).toFixed(0)}%`).join(' | ');
+}
+
+module.exports = {
+  DEFAULT_ETA,
+  DEFAULT_FORGET,
+  DEFAULT_FLOOR,
+  createHedge,
+  saveHedge,
+  loadHedge,
+  formatWeights
+};
@@ -0,0 +1,142 @@
+// api-commands.cjs
+// The `api` command of iv-redblack-advanced.cjs: its JSON routes and the server that runs them.
+// - Routes call the same functions as the CLI commands; api-server.cjs validates the input and serves OpenAPI.
+// - Required by the REPL command map (and rb.cjs api) on first use, so the predictor loads without the server
+//   or sportypredictor.cjs.
+
+const { parseArgs } = require('./cli-args.cjs');
+const { pageRows } = require('./dashboard-server.cjs');
+const { apiError, startApiServer } = require('./api-server.cjs');
+const sporty = require('./sportypredictor.cjs');
+const {
+  OUTCOMES, loadHistory, appendOutcomes, activeRegisteredModel, forecastNext, computeSummaryStats,
+  backtestSummary, backtestResult
+} = require('./iv-redblack-advanced.cjs');
+
+// ---------- Routes ----------
+const API_MAX_SEQUENCE = 5000; // outcomes accepted by POST /predict (the forecast runs inside the request)
+
+function apiRoutes() {
+  const label = { type: 'string', enum: OUTCOMES };
+  const sportyRound = { type: 'array', items: { type: 'string', enum: sporty.OUTCOMES }, minItems: sporty.GAMES_PER_ROUND, maxItems: sporty.GAMES_PER_ROUND };
+  const time = { type: 'string', description: 'ISO date or epoch ms' };
+  return [
+    {
+      method: 'POST',
+      path: '/predict',
+      summary: 'Forecast for the next round',
+      description: 'Runs the ensemble on the stored history, or on `sequence` (oldest first) when given, with the members, ' +
+        'weights, calibration and abstention gate of `predict`. pick is null when the gate abstains. Nothing is fitted ' +
+        'here: it needs the registered model (`train`) and uses the saved HMM (`hmm`) when there is one; 503 without a model.',
+      body: { type: 'object', additionalProperties: false, properties: { sequence: { type: 'array', items: label, minItems: 1, maxItems: API_MAX_SEQUENCE } } },
+      handler: ({ body }) => {
+        if (!activeRegisteredModel()) throw apiError(503, 'No registered model: run `train` (or `models promote <id>`) first.');
+        // a supplied sequence is taken as just played: the hour feature sees the current time
+        const now = Date.now();
+        return forecastNext(body.sequence ? body.sequence.map(outcome => ({ ts: now, outcome })) : loadHistory(), { fit: false });
+      }
+    },
+    {
+      method: 'GET',
+      path: '/stats',
+      summary: 'Randomness tests on the stored history',
+      description: 'The `stats` output as JSON: counts and chi-square, runs test, lag-1 autocorrelation, randomness audit and the ' +
+        'regimes of the saved HMM (`hmm`; null without one).',
+      handler: () => computeSummaryStats(loadHistory(), { fit: false })
+    },
+    {
+      method: 'GET',
+      path: '/history',
+      summary: 'Stored rounds, newest first',
+      query: {
+        type: 'object',
+        properties: { from: time, to: time, offset: { type: 'integer', minimum: 0 }, limit: { type: 'integer', minimum: 1, maximum: 1000 } }
+      },
+      handler: ({ query }) => pageRows(loadHistory(), query)
+    },
+    {
+      method: 'POST',
+      path: '/rounds',
+      summary: 'Append observed outcomes',
+      description: '`outcomes` (oldest first) are appended to the stored history; `rounds` (5-slot R/B/G rounds) to the ' +
+        'sportypredictor.cjs history, updating its adaptive weights as `add` does.',
+      body: {
+        type: 'object',
+        additionalProperties: false,
+        properties: { outcomes: { type: 'array', items: label, minItems: 1, maxItems: 10000 }, rounds: { type: 'array', items: sportyRound, minItems: 1, maxItems: 1000 } }
+      },
+      bodyRequired: true,
+      writes: true,
+      handler: ({ body }) => apiAppendRounds(body)
+    },
+    {
+      method: 'GET',
+      path: '/backtest',
+      summary: 'Walk-forward backtest of the stored history',
+      description: 'Same options as the `backtest` command; the summary comes with the naive-baseline comparison ' +
+        '(and the selective accuracy when the abstention gate is on). One backtest at a time.',
+      query: {
+        type: 'object',
+        properties: {
+          online: { type: 'boolean' },
+          adaptive: { type: 'boolean' },
+          refit: { type: 'integer', minimum: 1 },
+          window: { type: 'string', enum: ['expanding', 'sliding'] },
+          size: { type: 'integer', minimum: 20 },
+          workers: { type: 'integer', minimum: 1, maximum: 64 }
+        }
+      },
+      exclusive: true,
+      handler: ({ query }) => apiBacktest(query)
+    }
+  ];
+}
+
+// ---------- Handlers ----------
+function apiAppendRounds(body) {
+  if (!body.outcomes && !body.rounds) throw apiError(400, 'Send `outcomes` (RED/BLACK/GREEN) and/or `rounds` (5-slot R/B/G rounds).');
+  const out = {};
+  if (body.outcomes) {
+    out.appended = body.outcomes.length;
+    out.stored = appendOutcomes(body.outcomes, 'api');
+  }
+  if (body.rounds) {
+    const history = sporty.loadHistory();
+    const hedge = sporty.loadMemberHedge();
+    for (const games of body.rounds) sporty.addRound(history, hedge, games);
+    out.sporty = { appended: body.rounds.length, stored: history.length };
+  }
+  return out;
+}
+
+async function apiBacktest(query) {
+  return backtestResult(await backtestSummary(query));
+}
+
+// ---------- Server ----------
+let apiServer = null; // started by the `api` command, stopped with the CLI
+
+// api [--port N] [--host H] [--token T] — serve the local JSON API (token also from RB_API_TOKEN)
+// opts.keepAlive: the server alone keeps the process running (rb.cjs api)
+async function cmdApi(tokens, opts = {}) {
+  const args = parseArgs(tokens);
+  if (apiServer) { console.log(`🔌 API already running on ${apiServer.url}`); return apiServer; }
+  const token = args.token || process.env.RB_API_TOKEN || null;
+  apiServer = await startApiServer({
+    port: args.port !== undefined ? Number(args.port) : undefined,
+    host: args.host,
+    token,
+    keepAlive: opts.keepAlive,
+    title: 'iv-redblack-advanced API',
+    routes: apiRoutes()
+  });
+  console.log(`🔌 API on ${apiServer.url} — OpenAPI description at ${apiServer.url}openapi.json` +
+    (token ? ' (token required)' : ' (no token, localhost only)'));
+  return apiServer;
+}
+
+module.exports = {
+  API_MAX_SEQUENCE,
+  apiRoutes,
+  cmdApi
+};
@@ -0,0 +1,233 @@
+// api-server.cjs
+// Local HTTP/JSON API so other tools can get predictions without reading the console or the CSV log.
+// - The caller declares the routes: { method, path, summary, query?, body?, exclusive?, handler(input) }.
+//   query/body are small JSON schemas; the same schemas validate requests and fill the OpenAPI 3
+//   document served at GET /openapi.json.
+// - Validation covers type (string|number|integer|boolean|array|object), enum, minimum/maximum,
+//   minItems/maxItems, items, properties, required and additionalProperties: false. Query values arrive
+//   as strings and are coerced to the declared type first. Invalid input -> 400 with every problem listed.
+// - Token option: with a token, every route except / and /openapi.json needs `Authorization: Bearer <token>`
+//   (or an `X-API-Token` header). Binding to anything but loopback requires a token, and so do routes marked
+//   writes (they change stored data): without a token they answer 403.
+// - Request bodies must be sent as application/json (415 otherwise), so a plain HTML form cannot post one.
+//   On a loopback bind the Host header and any Origin header must name a loopback host too (403 otherwise):
+//   other web pages open in the browser, or names rebound to 127.0.0.1, cannot reach the API.
+// - Handlers may be async and may throw apiError(status, message); other errors become 500. Routes marked
+//   exclusive (slow backtests) answer 409 while a previous call is still running.
+
+const http = require('http');
+const crypto = require('crypto');
+const { sendJson } = require('./dashboard-server.cjs');
+
+const DEFAULT_PORT = 8788;
+const DEFAULT_HOST = '127.0.0.1';
+const MAX_BODY = 1024 * 1024;   // bytes; a sequence of ~100k outcomes fits
+const LOOPBACK = ['127.0.0.1', '::1', 'localhost'];
+const JSON_TYPE = 'application/json';
+
+function apiError(status, message) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+// ---------- Validation ----------
+function typeOf(v) {
+  if (Array.isArray(v)) return 'array';
+  if (v === null) return 'null';
+  if (typeof v === 'number' && Number.isInteger(v)) return 'integer';
+  return typeof v;
+}
+
+// -> list of problems ('body.sequence[3]: must be one of RED, BLACK, GREEN'); empty when valid
+function validate(schema, value, at = 'body') {
+  const errors = [];
+  const t = typeOf(value);
+  if (schema.type && !(t === schema.type || (schema.type === 'number' && t === 'integer'))) {
+    errors.push(`${at}: expected ${schema.type}, got ${t}`);
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${at}: must be one of ${schema.enum.join(', ')}`);
+  if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be >= ${schema.minimum}`);
+  if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: must be <= ${schema.maximum}`);
+  if (t === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at}: needs at least ${schema.minItems} item(s)`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at}: at most ${schema.maxItems} item(s)`);
+    if (schema.items) value.forEach((v, k) => errors.push(...validate(schema.items, v, `${at}[${k}]`)));
+  }
+  if (t === 'object') {
+    const props = schema.properties || {};
+    for (const k of schema.required || []) if (value[k] === undefined) errors.push(`${at}.${k}: required`);
+    for (const [k, v] of Object.entries(value)) {
+      if (props[k]) errors.push(...validate(props[k], v, `${at}.${k}`));
+      else if (schema.additionalProperties === false) errors.push(`${at}.${k}: unknown field`);
+    }
+  }
+  return errors;
+}
+
+// URLSearchParams -> object typed after schema.properties (unknown keys are kept as strings)
+function coerceQuery(schema, params) {
+  const props = (schema && schema.properties) || {};
+  const out = {};
+  for (const [k, raw] of params) {
+    const type = props[k] && props[k].type;
+    if ((type === 'integer' || type === 'number') && raw !== '' && Number.isFinite(Number(raw))) out[k] = Number(raw);
+    else if (type === 'boolean') out[k] = raw === '' || raw === 'true' || raw === '1' ? true : raw === 'false' || raw === '0' ? false : raw;
+    else out[k] = raw;
+  }
+  return out;
+}
+
+// ---------- OpenAPI ----------
+function openApiDocument(routes, info = {}) {
+  const paths = {};
+  for (const r of routes) {
+    const op = { summary: r.summary, responses: { 200: { description: 'OK', content: { 'application/json': {} } }, 400: { description: 'Invalid input' } } };
+    if (r.description) op.description = r.description;
+    if (r.query) {
+      op.parameters = Object.entries(r.query.properties || {}).map(([name, schema]) => ({
+        name, in: 'query', required: (r.query.required || []).includes(name), schema
+      }));
+    }
+    if (r.body) op.requestBody = { required: !!r.bodyRequired, content: { 'application/json': { schema: r.body } } };
+    if (r.body) op.responses[415] = { description: `Body not sent as ${JSON_TYPE}` };
+    if (r.exclusive) op.responses[409] = { description: 'A previous call is still running' };
+    if (info.token) {
+      op.security = [{ bearer: [] }];
+      op.responses[401] = { description: 'Missing or wrong token' };
+    } else if (r.writes) {
+      op.responses[403] = { description: 'Changes stored data: only served when the API runs with a token' };
+    }
+    paths[r.path] = Object.assign(paths[r.path] || {}, { [r.method.toLowerCase()]: op });
+  }
+  const doc = {
+    openapi: '3.0.3',
+    info: { title: info.title || 'Red/Black predictor API', version: info.version || '1.0.0' },
+    servers: info.url ? [{ url: info.url }] : [],
+    paths
+  };
+  if (info.token) doc.components = { securitySchemes: { bearer: { type: 'http', scheme: 'bearer' } } };
+  return doc;
+}
+
+// ---------- Server ----------
+// body parsed as JSON; undefined when empty. Non-empty bodies of another Content-Type -> 415
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (c) => {
+      size += c.length;
+      if (size > MAX_BODY) { reject(apiError(413, `Body larger than ${MAX_BODY} bytes.`)); req.destroy(); return; }
+      chunks.push(c);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8').trim();
+      if (!text) return resolve(undefined);
+      const type = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+      if (type !== JSON_TYPE) return reject(apiError(415, `Send the body as ${JSON_TYPE} (got ${type || 'no Content-Type'}).`));
+      try { resolve(JSON.parse(text)); } catch (e) { reject(apiError(400, `Body is not valid JSON: ${e.message}`)); }
+    });
+    req.on('error', reject);
+  });
+}
+
+// hostname of a Host header ('localhost:8788', '[::1]:8788') or an Origin ('http://127.0.0.1:8788'); null when unparsable
+function headerHost(value, isOrigin) {
+  try {
+    return new URL(isOrigin ? value : `http://${value}`).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  } catch (e) {
+    return null;
+  }
+}
+
+// loopback binds only: a foreign Host (DNS rebinding) or Origin (cross-site page) -> 403
+function checkLoopbackRequest(req) {
+  if (!LOOPBACK.includes(headerHost(req.headers.host || ''))) throw apiError(403, 'Host header must name a loopback address.');
+  const origin = req.headers.origin;
+  if (origin !== undefined && !LOOPBACK.includes(headerHost(origin, true))) throw apiError(403, `Requests from ${origin} are not allowed.`);
+}
+
+function tokenMatches(given, token) {
+  const a = Buffer.from(String(given || '')), b = Buffer.from(token);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function requestToken(req) {
+  const auth = req.headers.authorization || '';
+  if (auth.startsWith('Bearer ')) return auth.slice(7).trim();
+  return req.headers['x-api-token'] || null;
+}
+
+// opts: { port, host, token, title, version, routes, keepAlive } -> Promise<{ url, close() }>
+function startApiServer(opts = {}) {
+  const host = opts.host || DEFAULT_HOST;
+  const token = opts.token || null;
+  if (!token && !LOOPBACK.includes(host)) {
+    return Promise.reject(new Error(`Refusing to serve on ${host} without a token (use --token or RB_API_TOKEN).`));
+  }
+  const loopbackOnly = LOOPBACK.includes(host);
+  const routes = opts.routes || [];
+  const running = new Set();   // exclusive routes with a call in flight
+  let doc = null;
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      if (loopbackOnly) checkLoopbackRequest(req);
+      if (req.method === 'GET' && url.pathname === '/openapi.json') return sendJson(res, 200, doc);
+      if (req.method === 'GET' && url.pathname === '/') {
+        return sendJson(res, 200, { title: doc.info.title, docs: '/openapi.json', routes: routes.map(r => `${r.method} ${r.path} — ${r.summary}`) });
+      }
+      const matching = routes.filter(r => r.path === url.pathname);
+      if (!matching.length) throw apiError(404, `No route ${url.pathname} (see /openapi.json).`);
+      const route = matching.find(r => r.method === req.method);
+      if (!route) throw apiError(405, `${url.pathname} accepts ${matching.map(r => r.method).join(', ')}.`);
+      if (token && !tokenMatches(requestToken(req), token)) throw apiError(401, 'Missing or wrong token.');
+      if (!token && route.writes) throw apiError(403, `${route.method} ${route.path} changes stored data: start the API with --token (or RB_API_TOKEN) to use it.`);
+
+      const query = coerceQuery(route.query, url.searchParams);
+      const body = req.method === 'GET' ? undefined : await readBody(req);
+      const problems = [];
+      if (route.query) problems.push(...validate(route.query, query, 'query'));
+      if (route.body && body !== undefined) problems.push(...validate(route.body, body, 'body'));
+      if (route.bodyRequired && body === undefined) problems.push('body: required');
+      if (problems.length) return sendJson(res, 400, { error: 'invalid input', problems });
+
+      if (route.exclusive && running.has(route)) throw apiError(409, `${route.method} ${route.path} is still running.`);
+      running.add(route);
+      try {
+        const result = await route.handler({ query, body: body === undefined ? {} : body });
+        sendJson(res, 200, result);
+      } finally {
+        running.delete(route);
+      }
+    } catch (e) {
+      const status = e.status || 500;
+      if (status === 500) console.warn('⚠️ API error:', e.message || e);
+      if (!res.headersSent) sendJson(res, status, { error: e.message || String(e) });
+    }
+  });
+
+  const port = opts.port !== undefined ? opts.port : DEFAULT_PORT;
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.removeListener('error', reject);
+      if (!opts.keepAlive) server.unref();
+      const address = `http://${host.includes(':') ? `[${host}]` : host}:${server.address().port}`;
+      doc = openApiDocument(routes, { title: opts.title, version: opts.version, url: address, token: !!token });
+      resolve({ url: `${address}/`, close: () => new Promise(r => server.close(() => r())) });
+    });
+  });
+}
+
+module.exports = {
+  DEFAULT_PORT,
+  DEFAULT_HOST,
+  apiError,
+  validate,
+  openApiDocument,
+  startApiServer
+};
@@ -0,0 +1,174 @@
+// backtest-engine.cjs
+// Walk-forward backtest engine shared by the predictors.
+// A predictor module exposes createBacktestAdapter(data, params) returning:
+//   { length, minTrain,
+//     fit(from, to, prevModel) -> model trained on samples [from, to)
+//     predict(model, i, from)  -> [{ dist, actual, pick?, members? }, ...] for sample i (one record per slot;
+//                                 members = { name: dist } of ensemble members, kept in the predictions)
+//     update(model, i)         -> model after an online step on sample i (optional) }
+// and optionally backtestShape(data, params) -> { length, minTrain } of that adapter without building it, so a
+// parallel run splits its folds without building an adapter in the main thread as well as in every worker.
+// The adapter caches whatever it can (feature matrices) once per data set; the engine decides when to
+// refit (every opts.refitEvery samples), which window to train on (expanding, or sliding of
+// opts.windowSize samples) and splits the test range into folds run on worker_threads.
+// Folds start on refit boundaries, so fold splitting does not change where models are refit; a fold's first
+// refit has no previous model to warm-start from, though. With refitEvery = Infinity (fit once) the whole
+// range is one block, hence one fold. Online runs (opts.online) are always serial: each step updates the
+// model the next step uses, and a fold starting from scratch would lose those updates.
+
+const os = require('os');
+const path = require('path');
+
+const OUTCOMES = ['RED', 'BLACK', 'GREEN'];
+
+function defaultWorkers() {
+  return Math.max(1, os.cpus().length - 1);
+}
+
+function argmax(dist) {
+  let best = null, bestP = -Infinity;
+  for (const k of Object.keys(dist)) if (dist[k] > bestP) { best = k; bestP = dist[k]; }
+  return best;
+}
+
+// ---------- Serial core ----------
+// Runs test samples [start, end) -> [{ i, from, records: [{ dist, actual, pick }] }] (from: first training sample)
+function runRange(adapter, start, end, opts = {}) {
+  const refitEvery = Math.max(1, opts.refitEvery || 1);
+  const minTrain = opts.minTrain || adapter.minTrain || 1;
+  const sliding = opts.window === 'sliding';
+  const windowSize = opts.windowSize || 200;
+  const steps = [];
+  let model = null;
+  let fitted = false;
+  for (let i = start; i < end; i++) {
+    const from = sliding ? Math.max(0, i - windowSize) : 0;
+    if (!fitted || (i - minTrain) % refitEvery === 0) {
+      model = adapter.fit(from, i, fitted ? model : null);
+      fitted = true;
+    }
+    const records = adapter.predict(model, i, from)
+      .map(r => Object.assign({}, r, { pick: r.pick !== undefined ? r.pick : argmax(r.dist) }));
+    steps.push({ i, from, records });
+    if (opts.online && adapter.update) model = adapter.update(model, i);
+  }
+  return steps;
+}
+
+// Per-outcome breakdown (same shape as walkForwardEvaluate) plus step-level and flattened predictions
+function summarize(steps, outcomes = OUTCOMES) {
+  const perOutcome = Object.fromEntries(outcomes.map(o => [o, { total: 0, correct: 0 }]));
+  let tested = 0, correct = 0, stepsCorrect = 0;
+  const predictions = [];
+  for (const s of steps) {
+    let allOk = true;
+    s.records.forEach((r, slot) => {
+      const ok = r.pick === r.actual;
+      if (!perOutcome[r.actual]) perOutcome[r.actual] = { total: 0, correct: 0 };
+      perOutcome[r.actual].total++;
+      if (ok) { perOutcome[r.actual].correct++; correct++; }
+      else allOk = false;
+      tested++;
+      const p = { i: s.i, from: s.from, slot, dist: r.dist, pick: r.pick, actual: r.actual };
+      if (r.members) p.members = r.members;
+      predictions.push(p);
+    });
+    if (allOk) stepsCorrect++;
+  }
+  return {
+    tested,
+    accuracy: tested ? correct / tested : 0,
+    perOutcome,
+    steps: steps.length,
+    stepsCorrect,
+    stepAccuracy: steps.length ? stepsCorrect / steps.length : 0,
+    predictions
+  };
+}
+
+// Contiguous folds over [minTrain, length), each starting on a refit boundary
+// (a non-finite refitEvery -> the whole range as a single fold)
+function makeFolds(minTrain, length, parts, refitEvery) {
+  const n = length - minTrain;
+  if (n <= 0) return [];
+  if (!Number.isFinite(refitEvery)) return [[minTrain, length]];
+  const blocks = Math.ceil(n / refitEvery);
+  const perFold = Math.ceil(blocks / Math.max(1, parts));
+  const folds = [];
+  for (let b = 0; b < blocks; b += perFold) {
+    folds.push([minTrain + b * refitEvery, Math.min(length, minTrain + (b + perFold) * refitEvery)]);
+  }
+  return folds;
+}
+
+// In-process backtest with an adapter object (synchronous)
+function runBacktestSync(adapter, opts = {}) {
+  const minTrain = opts.minTrain || adapter.minTrain || 1;
+  const steps = runRange(adapter, minTrain, adapter.length, Object.assign({}, opts, { minTrain }));
+  return Object.assign(summarize(steps, opts.outcomes), { options: describe(opts, minTrain) });
+}
+
+function describe(opts, minTrain) {
+  return {
+    minTrain,
+    refitEvery: Math.max(1, opts.refitEvery || 1),
+    window: opts.window === 'sliding' ? `sliding(${opts.windowSize || 200})` : 'expanding',
+    online: !!opts.online
+  };
+}
+
+// ---------- Parallel ----------
+function runWorker(job) {
+  const { Worker } = require('worker_threads');
+  return new Promise((resolve, reject) => {
+    const w = new Worker(path.join(__dirname, 'backtest-worker.cjs'), { workerData: job });
+    w.once('message', resolve);
+    w.once('error', reject);
+    w.once('exit', code => { if (code !== 0) reject(new Error(`backtest worker exited with code ${code}`)); });
+  });
+}
+
+// adapterPath: module exporting createBacktestAdapter (and backtestShape); data/params are passed to it in
+// every worker.
+// opts: { refitEvery, window, windowSize, online, minTrain, workers, outcomes }
+async function runBacktest(adapterPath, data, params, opts = {}) {
+  const workers = opts.online ? 1 : (opts.workers || defaultWorkers());
+  const mod = require(adapterPath);
+  if (workers <= 1) return runBacktestSync(mod.createBacktestAdapter(data, params), opts);
+  const shape = mod.backtestShape ? mod.backtestShape(data, params) : mod.createBacktestAdapter(data, params);
+  const minTrain = opts.minTrain || shape.minTrain || 1;
+  const folds = makeFolds(minTrain, shape.length, workers, Math.max(1, opts.refitEvery || 1));
+  const parts = await Promise.all(folds.map(range => runWorker({
+    kind: 'range', adapterPath, data, params, opts: Object.assign({}, opts, { minTrain }), range
+  })));
+  const steps = [].concat(...parts);
+  return Object.assign(summarize(steps, opts.outcomes), { options: describe(opts, minTrain), folds: folds.length });
+}
+
+// Same backtest for several parameter sets (e.g. a tuning grid), parameter sets spread over workers.
+// -> results in the order of paramSets
+async function runBacktestGrid(adapterPath, data, paramSets, opts = {}) {
+  const workers = Math.min(opts.workers || defaultWorkers(), paramSets.length);
+  if (workers <= 1) {
+    const mod = require(adapterPath);
+    return paramSets.map(p => runBacktestSync(mod.createBacktestAdapter(data, p), opts));
+  }
+  const chunks = Array.from({ length: workers }, () => []);
+  paramSets.forEach((p, idx) => chunks[idx % workers].push(idx));
+  const results = new Array(paramSets.length);
+  await Promise.all(chunks.map(async idxs => {
+    const out = await runWorker({ kind: 'grid', adapterPath, data, paramSets: idxs.map(i => paramSets[i]), opts });
+    idxs.forEach((i, k) => { results[i] = out[k]; });
+  }));
+  return results;
+}
+
+module.exports = {
+  defaultWorkers,
+  runRange,
+  summarize,
+  makeFolds,
+  runBacktestSync,
+  runBacktest,
+  runBacktestGrid
+};
@@ -0,0 +1,19 @@
+// backtest-worker.cjs
+// worker_threads entry for backtest-engine.cjs: runs one fold (kind 'range') or a list of
+// parameter sets (kind 'grid') and posts the result back to the parent.
+
+const { parentPort, workerData } = require('worker_threads');
+const { runRange, runBacktestSync } = require('./backtest-engine.cjs');
+
+const { kind, adapterPath, data, opts } = workerData;
+const { createBacktestAdapter } = require(adapterPath);
+
+if (kind === 'range') {
+  const adapter = createBacktestAdapter(data, workerData.params);
+  const [start, end] = workerData.range;
+  parentPort.postMessage(runRange(adapter, start, end, opts));
+} else if (kind === 'grid') {
+  parentPort.postMessage(workerData.paramSets.map(p => runBacktestSync(createBacktestAdapter(data, p), opts)));
+} else {
+  throw new Error(`Unknown backtest job kind: ${kind}`);
+}
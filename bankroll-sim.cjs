@@ -0,0 +1,237 @@
+// bankroll-sim.cjs
+// Replays scored forecasts ({ dist, actual, pick? } — scoring.cjs records from a backtest or the live
+// rb_predictions_log.csv) as bets, to see whether a hit rate turns into money.
+// - Odds are decimal (stake included): RED/BLACK at 2 means a NGN 20 stake returns NGN 40 (the
+//   "You Won NGN 20.00" lines in predictions.txt); GREEN pays much more. Configurable per outcome.
+// - Staking plans: flat (one unit on the top pick every round), kelly (fraction of the Kelly stake on the
+//   outcome with the best edge p * odds - 1, nothing when no edge), martingale (double after each loss,
+//   back to one unit after a win) and threshold (one unit only when the top probability clears a bar).
+// - simulateBankroll() walks the records in order -> P&L curve, max drawdown, ruin.
+// - monteCarloBankroll() resamples the records (moving blocks, so streaks survive) into many paths and
+//   reports risk of ruin and the spread of final bankrolls. Ruin = bankroll below the minimum stake.
+
+const fs = require('fs');
+const { quantileSorted, mulberry32 } = require('./stats-math.cjs');
+
+const DEFAULT_ODDS = { RED: 2, BLACK: 2, GREEN: 14 };
+const DEFAULT_BANKROLL = 1000;
+const DEFAULT_UNIT = 20;               // NGN 20, the stake seen in predictions.txt
+const DEFAULT_KELLY_FRACTION = 0.25;   // quarter Kelly; full Kelly on noisy probabilities overbets
+const DEFAULT_THRESHOLD = 0.5;         // threshold plan: minimum top probability to bet
+const DEFAULT_PATHS = 1000;
+const DEFAULT_BLOCK = 10;              // Monte Carlo block length (rounds)
+const PLANS = ['flat', 'kelly', 'martingale', 'threshold'];
+
+// "RED=2,BLACK=2,GREEN=14" -> { RED: 2, BLACK: 2, GREEN: 14 } (merged over the defaults)
+function parseOdds(spec, base = DEFAULT_ODDS) {
+  const odds = Object.assign({}, base);
+  if (!spec) return odds;
+  for (const part of String(spec).split(',')) {
+    const [k, v] = part.split('=');
+    const label = (k || '').trim().toUpperCase();
+    const value = Number(v);
+    if (!label || !Number.isFinite(value) || value <= 1) throw new Error(`Bad odds "${part}" — use OUTCOME=decimal, e.g. GREEN=14.`);
+    odds[label] = value;
+  }
+  return odds;
+}
+
+function topPick(rec) {
+  if (rec.pick) return { label: rec.pick, p: rec.dist[rec.pick] || 0 };
+  let label = null, p = -Infinity;
+  for (const k of Object.keys(rec.dist)) if (rec.dist[k] > p) { label = k; p = rec.dist[k]; }
+  return { label, p };
+}
+
+// ---------- Staking plans ----------
+// -> { on, amount } or null (no bet this round). st carries the plan's running state.
+function planStake(plan, rec, st, o) {
+  if (plan === 'flat') return { on: topPick(rec).label, amount: o.unit };
+  if (plan === 'threshold') {
+    const t = topPick(rec);
+    return t.p >= o.threshold ? { on: t.label, amount: o.unit } : null;
+  }
+  if (plan === 'martingale') return { on: topPick(rec).label, amount: o.unit * Math.pow(2, st.lossRun) };
+  if (plan === 'kelly') {
+    // f* = (p * odds - 1) / (odds - 1) for the outcome with the largest positive f*
+    let best = null;
+    for (const k of Object.keys(rec.dist)) {
+      const d = o.odds[k];
+      if (!d) continue;
+      const f = (rec.dist[k] * d - 1) / (d - 1);
+      if (f > 0 && (!best || f > best.f)) best = { on: k, f };
+    }
+    if (!best) return null;
+    const amount = o.kellyFraction * best.f * st.bankroll;
+    return amount >= o.minStake ? { on: best.on, amount } : null;
+  }
+  throw new Error(`Unknown staking plan "${plan}" (known: ${PLANS.join(', ')}).`);
+}
+
+function resolveOptions(opts = {}) {
+  const unit = opts.unit || DEFAULT_UNIT;
+  return {
+    odds: opts.odds || DEFAULT_ODDS,
+    bankroll: opts.bankroll || DEFAULT_BANKROLL,
+    unit,
+    minStake: opts.minStake || unit,
+    kellyFraction: opts.kellyFraction || DEFAULT_KELLY_FRACTION,
+    threshold: opts.threshold !== undefined ? opts.threshold : DEFAULT_THRESHOLD
+  };
+}
+
+// records in order -> { plan, rounds, bets, wins, staked, pnl, final, roi, maxDrawdown, maxDrawdownPct,
+//                        ruined, ruinedAt, curve (bankroll after each round, starting value first) }
+function simulateBankroll(records, plan, opts = {}) {
+  const o = resolveOptions(opts);
+  const st = { bankroll: o.bankroll, lossRun: 0 };
+  const curve = [o.bankroll];
+  let bets = 0, wins = 0, staked = 0, peak = o.bankroll, maxDrawdown = 0, maxDrawdownPct = 0, ruinedAt = null;
+  records.forEach((rec, k) => {
+    if (ruinedAt === null) {
+      const bet = planStake(plan, rec, st, o);
+      if (bet) {
+        const amount = Math.min(bet.amount, st.bankroll);
+        bets++;
+        staked += amount;
+        if (rec.actual === bet.on) {
+          wins++;
+          st.bankroll += amount * ((o.odds[bet.on] || 1) - 1);
+          st.lossRun = 0;
+        } else {
+          st.bankroll -= amount;
+          st.lossRun++;
+        }
+      }
+      if (st.bankroll < o.minStake) ruinedAt = k;
+    }
+    peak = Math.max(peak, st.bankroll);
+    maxDrawdown = Math.max(maxDrawdown, peak - st.bankroll);
+    maxDrawdownPct = Math.max(maxDrawdownPct, peak > 0 ? (peak - st.bankroll) / peak : 0);
+    curve.push(st.bankroll);
+  });
+  const pnl = st.bankroll - o.bankroll;
+  return {
+    plan,
+    rounds: records.length,
+    bets,
+    wins,
+    staked,
+    pnl,
+    final: st.bankroll,
+    roi: staked ? pnl / staked : null,
+    maxDrawdown,
+    maxDrawdownPct,
+    ruined: ruinedAt !== null,
+    ruinedAt,
+    curve
+  };
+}
+
+// ---------- Monte Carlo ----------
+// moving-block bootstrap: consecutive runs of `block` records from random starts, `length` in total
+function resamplePath(records, length, block, rng) {
+  const out = [];
+  const b = Math.max(1, Math.min(block, records.length));
+  while (out.length < length) {
+    const s = Math.floor(rng() * (records.length - b + 1));
+    for (let j = s; j < s + b && out.length < length; j++) out.push(records[j]);
+  }
+  return out;
+}
+
+// opts: simulateBankroll options plus { paths, rounds, block, seed }
+// -> { plan, paths, rounds, ruin, ruinCount, profitable, final: { p5, p50, p95 }, drawdownPct: { p50, p95 } }
+function monteCarloBankroll(records, plan, opts = {}) {
+  const paths = opts.paths || DEFAULT_PATHS;
+  const rounds = opts.rounds || records.length;
+  const block = opts.block || DEFAULT_BLOCK;
+  const rng = mulberry32(opts.seed !== undefined ? opts.seed : 7);
+  const finals = [], drawdowns = [];
+  let ruinCount = 0, profitable = 0;
+  for (let p = 0; p < paths; p++) {
+    const r = simulateBankroll(resamplePath(records, rounds, block, rng), plan, opts);
+    finals.push(r.final);
+    drawdowns.push(r.maxDrawdownPct);
+    if (r.ruined) ruinCount++;
+    if (r.pnl > 0) profitable++;
+  }
+  finals.sort((a, b) => a - b);
+  drawdowns.sort((a, b) => a - b);
+  return {
+    plan,
+    paths,
+    rounds,
+    ruin: ruinCount / paths,
+    ruinCount,
+    profitable: profitable / paths,
+    final: { p5: quantileSorted(finals, 0.05), p50: quantileSorted(finals, 0.5), p95: quantileSorted(finals, 0.95) },
+    drawdownPct: { p50: quantileSorted(drawdowns, 0.5), p95: quantileSorted(drawdowns, 0.95) }
+  };
+}
+
+// ---------- Reporting ----------
+const SPARKS = '▁▂▃▄▅▆▇█';
+
+// bankroll curve -> one-line sparkline of `width` characters (min..max of the curve)
+function sparkline(curve, width = 40) {
+  if (!curve.length) return '';
+  const step = Math.max(1, curve.length / width);
+  const pts = [];
+  for (let x = 0; x < curve.length && pts.length < width; x += step) pts.push(curve[Math.floor(x)]);
+  const lo = Math.min(...pts), hi = Math.max(...pts);
+  return pts.map(v => SPARKS[hi > lo ? Math.round(((v - lo) / (hi - lo)) * (SPARKS.length - 1)) : 0]).join('');
+}
+
+// one row per round, one column per plan
+function writeCurvesCsv(file, results) {
+  const len = Math.max(...results.map(r => r.curve.length));
+  const lines = [['round', ...results.map(r => r.plan)].join(',')];
+  for (let k = 0; k < len; k++) {
+    lines.push([k, ...results.map(r => (r.curve[k] !== undefined ? r.curve[k].toFixed(2) : ''))].join(','));
+  }
+  fs.writeFileSync(file, lines.join('\n') + '\n');
+}
+
+function printBankrollReport(title, results, monteCarlo, opts = {}) {
+  const o = resolveOptions(opts);
+  const money = (v) => (v === null || v === undefined ? 'n/a' : v.toFixed(2));
+  const pct = (v) => (v === null || v === undefined ? 'n/a' : `${(v * 100).toFixed(1)}%`);
+  console.log(`\n💰 ${title}`);
+  console.log(`  odds ${Object.entries(o.odds).map(([k, v]) => `${k} ${v}`).join(' | ')} · bankroll ${money(o.bankroll)} · unit ${money(o.unit)} · Kelly ×${o.kellyFraction} · threshold ${o.threshold}`);
+  console.log('  plan          bets   hit%     staked        P&L     ROI   max DD            curve');
+  for (const r of results) {
+    console.log(
+      `  ${r.plan.padEnd(11)} ${String(r.bets).padStart(6)} ${pct(r.bets ? r.wins / r.bets : null).padStart(6)} ${money(r.staked).padStart(10)} ` +
+      `${money(r.pnl).padStart(10)} ${pct(r.roi).padStart(7)} ${money(r.maxDrawdown).padStart(8)} (${pct(r.maxDrawdownPct).padStart(6)})  ${sparkline(r.curve)}` +
+      (r.ruined ? `  💀 ruined at round ${r.ruinedAt + 1}` : '')
+    );
+  }
+  if (!monteCarlo || !monteCarlo.length) return;
+  const m0 = monteCarlo[0];
+  console.log(`\n🎲 Monte Carlo — ${m0.paths} resampled paths of ${m0.rounds} rounds (blocks of ${opts.block || DEFAULT_BLOCK})`);
+  console.log('  plan        risk of ruin  in profit   final p5 / p50 / p95          max DD p50 / p95');
+  for (const m of monteCarlo) {
+    console.log(
+      `  ${m.plan.padEnd(11)} ${pct(m.ruin).padStart(12)} ${pct(m.profitable).padStart(10)}   ` +
+      `${money(m.final.p5).padStart(8)} / ${money(m.final.p50).padStart(8)} / ${money(m.final.p95).padStart(8)}   ${pct(m.drawdownPct.p50).padStart(6)} / ${pct(m.drawdownPct.p95)}`
+    );
+  }
+}
+
+module.exports = {
+  DEFAULT_ODDS,
+  DEFAULT_BANKROLL,
+  DEFAULT_UNIT,
+  DEFAULT_KELLY_FRACTION,
+  DEFAULT_THRESHOLD,
+  DEFAULT_PATHS,
+  DEFAULT_BLOCK,
+  PLANS,
+  parseOdds,
+  simulateBankroll,
+  monteCarloBankroll,
+  sparkline,
+  writeCurvesCsv,
+  printBankrollReport
+};
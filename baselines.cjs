@@ -0,0 +1,219 @@
+// baselines.cjs
+// Naive baselines scored on the same rounds as a model, and the significance report that goes with them.
+// - Baselines (each sees only the outcomes before the round it predicts, within the model's training window):
+//     majority    always the most frequent outcome so far
+//     repeat-last the previous outcome
+//     uniform     a uniformly random outcome (seeded)
+//     marginal    a random outcome drawn with the observed frequencies (seeded)
+// - compareWithBaselines(): exact McNemar tests against each baseline (paired, same rounds) at the
+//   Bonferroni-adjusted α (α / number of baselines), bootstrap confidence intervals for the accuracy and,
+//   at the same adjusted level, for the differences, and a plain-language verdict built from those rows
+//   only. The binomial test against uniform guessing is reported for reference but decides nothing: with
+//   an uneven marginal (rare GREEN) the majority pick alone beats 1/3.
+
+const { binomialUpperTail, binomialLowerTail, quantileSorted, mulberry32 } = require('./stats-math.cjs');
+
+const BASELINES = ['majority', 'repeat-last', 'uniform', 'marginal'];
+const DEFAULT_SEED = 12345;
+const BOOTSTRAP_SAMPLES = 2000;
+const MIN_ROUNDS = 30; // below this the report only says there is too little data
+
+// ---------- Baseline predictors ----------
+// Sequential tracker: picks() for the next round, then observe(outcome) once it is known; forget(outcome)
+// drops the oldest outcome still counted when the window slides.
+function createBaselineTracker(labels, opts = {}) {
+  const rng = mulberry32(opts.seed !== undefined ? opts.seed : DEFAULT_SEED);
+  const counts = Object.fromEntries(labels.map(l => [l, 0]));
+  let last = null;
+  let seen = 0;
+
+  function majority() {
+    let best = labels[0];
+    for (const l of labels) if (counts[l] > counts[best]) best = l;
+    return best;
+  }
+  function sampleMarginal() {
+    // Laplace-smoothed frequencies so every outcome stays possible
+    let r = rng() * (seen + labels.length);
+    for (const l of labels) {
+      r -= counts[l] + 1;
+      if (r < 0) return l;
+    }
+    return labels[labels.length - 1];
+  }
+
+  return {
+    picks() {
+      return {
+        majority: majority(),
+        'repeat-last': last !== null ? last : majority(),
+        uniform: labels[Math.floor(rng() * labels.length)],
+        marginal: sampleMarginal()
+      };
+    },
+    observe(outcome) {
+      if (counts[outcome] === undefined) return;
+      counts[outcome]++;
+      seen++;
+      last = outcome;
+    },
+    forget(outcome) {
+      if (!counts[outcome]) return;
+      counts[outcome]--;
+      seen--;
+    }
+  };
+}
+
+// Baseline hits on the rounds a backtest scored.
+// predictions: [{ i, from?, slot, actual }] in step order; sequenceForSlot(slot) -> outcome labels by step index.
+// A baseline sees the rounds [from, i) the model was trained on (from defaults to 0, the expanding window).
+// -> { majority: [bool], 'repeat-last': [bool], ... } aligned with predictions
+function baselineHitsFor(predictions, sequenceForSlot, labels, opts = {}) {
+  const hits = Object.fromEntries(BASELINES.map(b => [b, new Array(predictions.length)]));
+  const bySlot = new Map();
+  predictions.forEach((p, k) => {
+    const slot = p.slot || 0;
+    if (!bySlot.has(slot)) bySlot.set(slot, []);
+    bySlot.get(slot).push(k);
+  });
+  for (const [slot, ks] of bySlot) {
+    const seq = sequenceForSlot(slot);
+    const tracker = createBaselineTracker(labels, { seed: (opts.seed !== undefined ? opts.seed : DEFAULT_SEED) + slot });
+    let pos = 0; // sequence index already fed to the tracker
+    let start = 0; // first sequence index still counted
+    for (const k of ks) {
+      const p = predictions[k];
+      while (pos < p.i) tracker.observe(seq[pos++]);
+      while (start < (p.from || 0)) tracker.forget(seq[start++]);
+      const picks = tracker.picks();
+      for (const b of BASELINES) hits[b][k] = picks[b] === p.actual;
+    }
+  }
+  return hits;
+}
+
+// ---------- Significance ----------
+// exact two-sided McNemar on the discordant pairs (b: model right & baseline wrong, c: the reverse)
+function mcnemarExact(b, c) {
+  const n = b + c;
+  if (!n) return 1;
+  return Math.min(1, 2 * binomialLowerTail(Math.min(b, c), n, 0.5));
+}
+
+function mean(bools, idx) {
+  let s = 0;
+  for (const i of idx) if (bools[i]) s++;
+  return idx.length ? s / idx.length : 0;
+}
+
+// modelHits: [bool]; baselineHits: { name: [bool] } on the same rounds
+// opts: { labels (chance = 1/labels.length), alpha, bootstrap, seed }
+function compareWithBaselines(modelHits, baselineHits, opts = {}) {
+  const n = modelHits.length;
+  const alpha = opts.alpha || 0.05;
+  const names = Object.keys(baselineHits);
+  const adjAlpha = alpha / Math.max(1, names.length);
+  const chance = 1 / ((opts.labels && opts.labels.length) || 3);
+  const hits = modelHits.filter(Boolean).length;
+  const report = {
+    n,
+    alpha,
+    adjAlpha,
+    chance,
+    model: { hits, accuracy: n ? hits / n : 0, ci: null, pChance: n ? binomialUpperTail(hits, n, chance) : 1 },
+    baselines: []
+  };
+
+  // paired bootstrap over rounds: accuracy CI and CI of (model - baseline)
+  const B = opts.bootstrap || BOOTSTRAP_SAMPLES;
+  const rng = mulberry32(opts.seed !== undefined ? opts.seed : DEFAULT_SEED);
+  const accs = [];
+  const diffs = Object.fromEntries(names.map(nm => [nm, []]));
+  if (n) {
+    const idx = new Array(n);
+    for (let r = 0; r < B; r++) {
+      for (let j = 0; j < n; j++) idx[j] = Math.floor(rng() * n);
+      const m = mean(modelHits, idx);
+      accs.push(m);
+      for (const nm of names) diffs[nm].push(m - mean(baselineHits[nm], idx));
+    }
+  }
+  const ci = (arr, level) => {
+    if (!arr.length) return null;
+    const s = arr.slice().sort((a, b) => a - b);
+    return [quantileSorted(s, level / 2), quantileSorted(s, 1 - level / 2)];
+  };
+  report.model.ci = ci(accs, alpha);
+
+  for (const nm of names) {
+    const bh = baselineHits[nm];
+    let b = 0, c = 0, bhits = 0;
+    for (let j = 0; j < n; j++) {
+      if (bh[j]) bhits++;
+      if (modelHits[j] && !bh[j]) b++;
+      else if (!modelHits[j] && bh[j]) c++;
+    }
+    report.baselines.push({
+      name: nm,
+      hits: bhits,
+      accuracy: n ? bhits / n : 0,
+      diff: n ? (hits - bhits) / n : 0,
+      diffCi: ci(diffs[nm], adjAlpha),
+      modelOnly: b,
+      baselineOnly: c,
+      pMcNemar: mcnemarExact(b, c)
+    });
+    const row = report.baselines[report.baselines.length - 1];
+    row.significant = row.pMcNemar < adjAlpha;
+  }
+  Object.assign(report, verdict(report));
+  return report;
+}
+
+// from the baseline rows only (their `significant` flags, Bonferroni-adjusted): the model has an edge only
+// if it is significantly better than every baseline, the majority and marginal pickers included
+function verdict(report) {
+  const { n, alpha, adjAlpha, model, baselines } = report;
+  const pct = (v) => (v * 100).toFixed(1) + '%';
+  if (n < MIN_ROUNDS) return { edge: false, verdict: `Only ${n} scored picks — too few to tell an edge from luck.` };
+  const beaten = baselines.filter(b => b.diff > 0 && b.significant);
+  const worse = baselines.filter(b => b.diff < 0 && b.significant);
+  const notBeaten = baselines.filter(b => !beaten.includes(b)).map(b => b.name);
+  const level = `α=${alpha} Bonferroni, p < ${+adjAlpha.toPrecision(3)}`;
+  if (baselines.length && !notBeaten.length) {
+    return { edge: true, verdict: `Edge: ${pct(model.accuracy)} is significantly better than every baseline (${level}).` };
+  }
+  if (worse.length) {
+    return { edge: false, verdict: `No edge: significantly worse than ${worse.map(b => b.name).join(', ')} (${level}).` };
+  }
+  if (beaten.length) {
+    return { edge: false, verdict: `No usable edge: beats ${beaten.map(b => b.name).join(', ')} but is not distinguishable from ${notBeaten.join(', ')} (${level}).` };
+  }
+  return { edge: false, verdict: `No edge: ${pct(model.accuracy)} over ${n} picks is not statistically distinguishable from the baselines (${level}).` };
+}
+
+function printBaselineReport(report, title = 'Model vs baselines') {
+  const pct = (v) => (v * 100).toFixed(1).padStart(5) + '%';
+  const ciStr = (c) => (c ? `[${(c[0] * 100).toFixed(1)}, ${(c[1] * 100).toFixed(1)}]` : 'n/a');
+  const level = (a) => +((1 - a) * 100).toPrecision(4);
+  console.log(`${title} — ${report.n} scored picks, ${level(report.alpha)}% bootstrap CI for the accuracy, ` +
+    `${level(report.adjAlpha)}% for the differences (Bonferroni over ${report.baselines.length} baselines)`);
+  console.log(`  model        ${pct(report.model.accuracy)}  CI ${ciStr(report.model.ci)}  (binomial p vs ${(report.chance * 100).toFixed(1)}% uniform guessing = ${report.model.pChance.toPrecision(3)}, reference only)`);
+  for (const b of report.baselines) {
+    const sign = b.diff >= 0 ? '+' : '';
+    const mark = b.significant ? (b.diff > 0 ? ' ✓ better' : ' ✗ worse') : '';
+    console.log(`  ${b.name.padEnd(12)} ${pct(b.accuracy)}  diff ${sign}${(b.diff * 100).toFixed(1)} pts CI ${ciStr(b.diffCi)}  McNemar p = ${b.pMcNemar.toPrecision(3)} (${b.modelOnly}/${b.baselineOnly})${mark}`);
+  }
+  console.log(`  significant: McNemar p < ${+report.adjAlpha.toPrecision(3)} (α=${report.alpha} / ${report.baselines.length})`);
+  console.log(`  ➜ ${report.verdict}`);
+}
+
+module.exports = {
+  BASELINES,
+  createBaselineTracker,
+  baselineHitsFor,
+  mcnemarExact,
+  compareWithBaselines,
+  printBaselineReport
+};
@@ -0,0 +1,264 @@
+// browser-session.cjs
+// Login step shared by the scrapers, so unattended runs neither prompt nor log in on every start.
+// - Sessions persist two ways: the browser keeps a profile directory (Puppeteer userDataDir, .rb-browser/<site
+//   profile>; RB_USER_DATA_DIR moves it, "off" disables it) and the cookies are saved to a cookie jar
+//   (rb_cookies.json) after each login and restored before the first page load.
+// - ensure() checks the saved session on the login page: the profile's session.loggedIn chain (default: the
+//   balance) means it is still valid and the login is skipped; the login form (session.loggedOut, default
+//   login.phone) means it has expired.
+// - Credentials are only read when a login is needed: RB_PHONE / RB_PASSWORD, else the encrypted credentials
+//   file (rb_credentials.enc, RB_CREDENTIALS_FILE; passphrase from RB_CREDENTIALS_PASSPHRASE or a prompt),
+//   else the usual prompts. Without a terminal there is no prompt: a missing source is an error.
+// - The file is AES-256-GCM with a key derived by scrypt from the passphrase; `credentials save` writes it.
+// - login() logs in again with the same credentials; scrape-supervisor.cjs calls it when a loop error turns
+//   out to be an expired session (loginFormShown()).
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readlineSync = require('readline-sync');
+const { browserLaunchOptions, selectorChain, profileUrl, loginWithProfile, waitForAnySelector } = require('./site-profile.cjs');
+
+const CREDENTIALS_FILE = process.env.RB_CREDENTIALS_FILE || path.join(__dirname, 'rb_credentials.enc');
+const COOKIE_FILE = path.join(__dirname, 'rb_cookies.json');     // { [site profile]: { savedAt, cookies } }
+const USER_DATA_ROOT = path.join(__dirname, '.rb-browser');      // one browser profile directory per site profile
+const SCRYPT = { N: 16384, r: 8, p: 1 };                         // key derivation cost (~16 MB, well under a second)
+const CHECK_TIMEOUT = 20000;                                     // ms to wait for the logged-in / login-form markers
+
+// ---------- Encrypted credentials file ----------
+function deriveKey(passphrase, salt, params = SCRYPT) {
+  return crypto.scryptSync(String(passphrase), salt, 32, { N: params.N, r: params.r, p: params.p, maxmem: 64 * 1024 * 1024 });
+}
+
+// { phone, pass } -> JSON-ready { version, cipher, kdf, salt, iv, tag, data } (binary fields base64)
+function encryptCredentials(creds, passphrase) {
+  const salt = crypto.randomBytes(16), iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify({ phone: creds.phone, pass: creds.pass }), 'utf8'), cipher.final()]);
+  return {
+    version: 1,
+    cipher: 'aes-256-gcm',
+    kdf: Object.assign({ name: 'scrypt' }, SCRYPT),
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+function decryptCredentials(doc, passphrase) {
+  if (!doc || doc.version !== 1 || doc.cipher !== 'aes-256-gcm') throw new Error('Unsupported credentials file format.');
+  const key = deriveKey(passphrase, Buffer.from(doc.salt, 'base64'), doc.kdf);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(doc.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(doc.tag, 'base64'));
+  try {
+    const text = Buffer.concat([decipher.update(Buffer.from(doc.data, 'base64')), decipher.final()]).toString('utf8');
+    return JSON.parse(text);
+  } catch (e) {
+    throw new Error('Wrong passphrase or damaged credentials file.');
+  }
+}
+
+function saveCredentialsFile(creds, passphrase, file = CREDENTIALS_FILE) {
+  fs.writeFileSync(file, JSON.stringify(encryptCredentials(creds, passphrase), null, 2), { mode: 0o600 });
+}
+
+function readCredentialsFile(passphrase, file = CREDENTIALS_FILE) {
+  return decryptCredentials(JSON.parse(fs.readFileSync(file, 'utf8')), passphrase);
+}
+
+// missing or unusable credentials: retrying cannot help (the supervisor stops on these)
+function credentialError(message) {
+  const e = new Error(message);
+  e.code = 'CREDENTIALS';
+  return e;
+}
+
+function canPrompt() {
+  return !!(process.stdin.isTTY && process.stdout.isTTY);
+}
+
+function promptPassphrase() {
+  if (process.env.RB_CREDENTIALS_PASSPHRASE) return process.env.RB_CREDENTIALS_PASSPHRASE;
+  if (!canPrompt()) throw credentialError(`${path.basename(CREDENTIALS_FILE)} needs a passphrase: set RB_CREDENTIALS_PASSPHRASE.`);
+  return readlineSync.question('🔑 Credentials passphrase: ', { hideEchoBack: true });
+}
+
+// where the next login's credentials would come from: 'env' | 'file' | 'prompt' | null (none available)
+function credentialSource() {
+  if (process.env.RB_PHONE && process.env.RB_PASSWORD) return 'env';
+  if (fs.existsSync(CREDENTIALS_FILE)) return 'file';
+  return canPrompt() ? 'prompt' : null;
+}
+
+// -> { phone, pass, source }
+function resolveCredentials() {
+  const source = credentialSource();
+  if (source === 'env') return { phone: process.env.RB_PHONE, pass: process.env.RB_PASSWORD, source };
+  if (source === 'file') {
+    try {
+      return Object.assign(readCredentialsFile(promptPassphrase()), { source });
+    } catch (e) {
+      throw e.code === 'CREDENTIALS' ? e : credentialError(`${path.basename(CREDENTIALS_FILE)}: ${e.message}`);
+    }
+  }
+  if (source === 'prompt') {
+    const phone = readlineSync.question('📱 Enter your SportyBet phone number: ');
+    const pass = readlineSync.question('🔐 Enter your password: ', { hideEchoBack: true });
+    return { phone, pass, source };
+  }
+  throw credentialError(`No credentials for an unattended login: set RB_PHONE and RB_PASSWORD, or save ${path.basename(CREDENTIALS_FILE)} with \`credentials save\`.`);
+}
+
+// ---------- Browser profile and cookie jar ----------
+// null when disabled (RB_USER_DATA_DIR=off)
+function userDataDirFor(profile) {
+  const env = process.env.RB_USER_DATA_DIR;
+  if (env === 'off' || env === '0') return null;
+  return env ? path.resolve(env) : path.join(USER_DATA_ROOT, profile.name);
+}
+
+// browserLaunchOptions plus the persistent browser profile directory
+function sessionLaunchOptions(profile, opts = {}) {
+  const dir = userDataDirFor(profile);
+  return browserLaunchOptions(Object.assign({}, opts, dir ? { userDataDir: dir } : {}));
+}
+
+function readCookieJar() {
+  if (!fs.existsSync(COOKIE_FILE)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(COOKIE_FILE, 'utf8'));
+  } catch (e) {
+    console.warn(`⚠️ Ignoring unreadable ${path.basename(COOKIE_FILE)}:`, e.message || e);
+    return {};
+  }
+}
+
+async function saveCookies(page, profile) {
+  const jar = readCookieJar();
+  jar[profile.name] = { savedAt: new Date().toISOString(), cookies: await page.browser().cookies() };
+  fs.writeFileSync(COOKIE_FILE, JSON.stringify(jar, null, 2), { mode: 0o600 });
+}
+
+// -> number of cookies restored (expired ones are dropped)
+async function restoreCookies(page, profile) {
+  const saved = readCookieJar()[profile.name];
+  const now = Date.now() / 1000;
+  const cookies = saved ? saved.cookies.filter(c => !(c.expires > 0 && c.expires < now)) : [];
+  if (cookies.length) await page.browser().setCookie(...cookies);
+  return cookies.length;
+}
+
+// what is saved for a site profile -> { cookies, savedAt, userDataDir (null when absent or disabled) }
+function savedSession(profile) {
+  const saved = readCookieJar()[profile.name];
+  const dir = userDataDirFor(profile);
+  return {
+    cookies: saved ? saved.cookies.length : 0,
+    savedAt: saved ? saved.savedAt : null,
+    userDataDir: dir && fs.existsSync(dir) ? dir : null
+  };
+}
+
+// remove the cookie jar entry and the browser profile directory of a site profile
+function forgetSession(profile) {
+  const jar = readCookieJar();
+  const hadCookies = !!jar[profile.name];
+  if (hadCookies) {
+    delete jar[profile.name];
+    fs.writeFileSync(COOKIE_FILE, JSON.stringify(jar, null, 2), { mode: 0o600 });
+  }
+  const dir = userDataDirFor(profile);
+  const hadDir = !!dir && fs.existsSync(dir);
+  if (hadDir) fs.rmSync(dir, { recursive: true, force: true });
+  return { cookies: hadCookies, userDataDir: hadDir ? dir : null };
+}
+
+// ---------- Session checks ----------
+function sessionChains(profile) {
+  const loggedIn = selectorChain(profile, 'session.loggedIn', { optional: true });
+  const loggedOut = selectorChain(profile, 'session.loggedOut', { optional: true });
+  return {
+    loggedIn: loggedIn.length ? loggedIn : selectorChain(profile, 'balance', { optional: true }),
+    loggedOut: loggedOut.length ? loggedOut : selectorChain(profile, 'login.phone')
+  };
+}
+
+// loads the login page -> 'valid' | 'expired' | 'unknown' (neither marker showed up in time)
+async function checkSession(page, profile, opts = {}) {
+  const { loggedIn, loggedOut } = sessionChains(profile);
+  if (!loggedIn.length) return 'unknown';
+  await page.goto(profileUrl(profile, 'login'), { waitUntil: 'domcontentloaded', timeout: opts.timeout || 60000 });
+  try {
+    const sel = await waitForAnySelector(page, [...loggedIn, ...loggedOut], { timeout: opts.checkTimeout || CHECK_TIMEOUT });
+    return loggedIn.includes(sel) ? 'valid' : 'expired';
+  } catch (e) {
+    return 'unknown';
+  }
+}
+
+// is the page currently showing the login form? (no navigation)
+async function loginFormShown(page, profile) {
+  const { loggedOut } = sessionChains(profile);
+  try {
+    return await page.evaluate((sels) => sels.some(s => document.querySelector(s)), loggedOut);
+  } catch (e) {
+    return false;
+  }
+}
+
+// ---------- Login session ----------
+// opts: { timeout (ms, login steps), waitUntil (after submitting the form) }
+function createLoginSession(page, profile, opts = {}) {
+  let creds = null; // resolved on the first login, kept in memory for re-logins
+
+  async function login() {
+    if (!creds) {
+      creds = resolveCredentials();
+      if (creds.source !== 'prompt') console.log(`🔑 Using credentials from ${creds.source === 'env' ? 'RB_PHONE / RB_PASSWORD' : path.basename(CREDENTIALS_FILE)}.`);
+    }
+    await loginWithProfile(page, profile, creds.phone, creds.pass, { timeout: opts.timeout, waitUntil: opts.waitUntil });
+    await saveCookies(page, profile);
+    console.log('✅ Login successful!');
+  }
+
+  return {
+    // -> 'reused' (saved session still valid) | 'login'; throws when the login fails
+    async ensure() {
+      const restored = await restoreCookies(page, profile);
+      const dir = userDataDirFor(profile);
+      const saved = restored > 0 || (!!dir && fs.existsSync(path.join(dir, 'Default')));
+      if (saved) {
+        const state = await checkSession(page, profile, opts);
+        if (state === 'valid') {
+          console.log('✅ Saved browser session is still valid — login skipped.');
+          return 'reused';
+        }
+        console.log(state === 'expired'
+          ? '⌛ Saved browser session has expired (the site shows its login form) — logging in again.'
+          : '❔ Could not tell whether the saved session is valid — logging in.');
+      }
+      await login();
+      return 'login';
+    },
+    login
+  };
+}
+
+module.exports = {
+  CREDENTIALS_FILE,
+  COOKIE_FILE,
+  encryptCredentials,
+  decryptCredentials,
+  saveCredentialsFile,
+  readCredentialsFile,
+  credentialSource,
+  resolveCredentials,
+  userDataDirFor,
+  sessionLaunchOptions,
+  savedSession,
+  forgetSession,
+  checkSession,
+  loginFormShown,
+  createLoginSession
+};
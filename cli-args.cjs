@@ -0,0 +1,21 @@
+// cli-args.cjs
+// Tiny argv parser shared by the CLI commands: positionals plus --key value / --key=value / --flag.
+// Flags listed in opts.boolean never consume the following token.
+
+function parseArgs(tokens, opts = {}) {
+  const booleans = new Set(opts.boolean || []);
+  const out = { _: [] };
+  for (let i = 0; i < tokens.length; i++) {
+    const t = tokens[i];
+    if (!t.startsWith('--') || t === '--') { out._.push(t); continue; }
+    const eq = t.indexOf('=');
+    if (eq > 0) { out[t.slice(2, eq)] = t.slice(eq + 1); continue; }
+    const key = t.slice(2);
+    const next = tokens[i + 1];
+    if (booleans.has(key) || next === undefined || next.startsWith('--')) out[key] = true;
+    else { out[key] = next; i++; }
+  }
+  return out;
+}
+
+module.exports = { parseArgs };
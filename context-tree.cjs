@@ -0,0 +1,111 @@
+// context-tree.cjs
+// Variable-order context model (PPM-style blending) for outcome streams.
+// - Keeps recency-decayed counts of the next outcome after every context of length 0..depth
+//   (context = the last d outcomes, e.g. "RED,RED,BLACK" for d = 3).
+// - Prediction blends the depths bottom-up: each depth interpolates its own counts with the blend of
+//   the shorter depths, weighted by how much evidence it has (Witten–Bell escape: n / (n + distinct)).
+// - Every prediction reports the per-depth contributions and the context length that drove it
+//   (the depth with the largest share of the final distribution).
+// - Decay is applied lazily: a node remembers the step it was last touched and catches up on access.
+
+const DEFAULT_DEPTH = 4;
+const DEFAULT_DECAY = 0.985;
+const PRIOR = 0.5; // symmetric pseudo-count for the depth-0 (marginal) distribution
+
+// opts: { labels, depth, decay }
+function createContextTree(opts = {}) {
+  const labels = opts.labels || ['RED', 'BLACK', 'GREEN'];
+  const depth = opts.depth !== undefined ? opts.depth : DEFAULT_DEPTH;
+  const decay = opts.decay !== undefined ? opts.decay : DEFAULT_DECAY;
+  const nodes = new Map(); // context key -> { counts: { label: w }, t }
+  const recent = [];       // last `depth` symbols
+  let t = 0;               // symbols seen
+
+  function contextKey(d) {
+    return d === 0 ? '' : recent.slice(-d).join(',');
+  }
+
+  function node(key, create) {
+    let n = nodes.get(key);
+    if (!n) {
+      if (!create) return null;
+      n = { counts: Object.fromEntries(labels.map(l => [l, 0])), t };
+      nodes.set(key, n);
+    }
+    if (n.t !== t) {
+      const f = Math.pow(decay, t - n.t);
+      for (const l of labels) n.counts[l] *= f;
+      n.t = t;
+    }
+    return n;
+  }
+
+  function update(symbol) {
+    if (!labels.includes(symbol)) return;
+    const maxD = Math.min(depth, recent.length);
+    for (let d = 0; d <= maxD; d++) node(contextKey(d), true).counts[symbol] += 1;
+    recent.push(symbol);
+    if (recent.length > depth) recent.shift();
+    t++;
+  }
+
+  // -> { dist, drivingDepth, drivingContext, contributions: [{ depth, context, n, lambda, share, dist }] }
+  function predict() {
+    const maxD = Math.min(depth, recent.length);
+    const levels = [];
+    let blend = null;
+    for (let d = 0; d <= maxD; d++) {
+      const key = contextKey(d);
+      const nd = node(key, false);
+      const counts = nd ? nd.counts : Object.fromEntries(labels.map(l => [l, 0]));
+      const n = labels.reduce((s, l) => s + counts[l], 0);
+      let own, lambda;
+      if (d === 0) {
+        own = Object.fromEntries(labels.map(l => [l, (counts[l] + PRIOR) / (n + PRIOR * labels.length)]));
+        lambda = 1;
+      } else {
+        const distinct = labels.filter(l => counts[l] > 1e-9).length;
+        lambda = n > 0 ? n / (n + Math.max(1, distinct)) : 0;
+        own = n > 0 ? Object.fromEntries(labels.map(l => [l, counts[l] / n])) : blend;
+      }
+      blend = d === 0 ? own : Object.fromEntries(labels.map(l => [l, lambda * own[l] + (1 - lambda) * blend[l]]));
+      levels.push({ depth: d, context: key, n, lambda, dist: own });
+    }
+    // share of depth d in the final mix: its lambda times what the deeper levels left over
+    let remaining = 1;
+    for (let k = levels.length - 1; k >= 0; k--) {
+      levels[k].share = remaining * levels[k].lambda;
+      remaining *= 1 - levels[k].lambda;
+    }
+    const driving = levels.reduce((a, b) => (b.share > a.share ? b : a), levels[0]);
+    return { dist: blend, drivingDepth: driving.depth, drivingContext: driving.context, contributions: levels };
+  }
+
+  return {
+    labels,
+    depth,
+    update,
+    predict,
+    size() { return nodes.size; },
+    seen() { return t; }
+  };
+}
+
+function contextTreeFromSequence(seq, opts = {}) {
+  const tree = createContextTree(opts);
+  for (const s of seq) tree.update(s);
+  return tree;
+}
+
+function describeContext(pred) {
+  if (!pred.drivingDepth) return 'depth 0 (marginal)';
+  const c = pred.contributions[pred.drivingDepth];
+  return `depth ${pred.drivingDepth} (${pred.drivingContext.split(',').join(' ')}, n=${c.n.toFixed(1)}, share ${(c.share * 100).toFixed(0)}%)`;
+}
+
+module.exports = {
+  DEFAULT_DEPTH,
+  createContextTree,
+  contextTreeFromSequence,
+  describeContext
+};
@@ -0,0 +1,322 @@
+// dashboard-server.cjs
+// Local web dashboard for the live loops (Node's http module only — no CDN, works offline).
+// - GET /            single page: live probabilities, rolling accuracy / log-loss charts (canvas), outcome
+//                    strip with streaks highlighted, and a history browser
+// - GET /events      Server-Sent Events: `prediction` ({ ts, dist, pick, weights?, regime?, context? }) and
+//                    `round` ({ ts, outcome, prevDist?, prevPick?, abstained? }); the last events are
+//                    replayed to a new client so a reload does not start blank
+// - GET /api/state        { startedAt, now, clients, last } (last prediction event)
+// - GET /api/history      stored rounds, newest first: ?from=&to= (ISO or ms), ?offset=&limit=
+// - GET /api/predictions  prediction-log rows, newest first, same query
+// - GET /api/scored       forecasts paired with the observed round (?limit=), oldest first — seeds the charts
+// Data comes from callbacks ({ history(), predictionRows(), scoredRecords() }), so each predictor plugs in
+// its own files. The server binds to 127.0.0.1 unless told otherwise.
+
+const http = require('http');
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_HOST = '127.0.0.1';
+const REPLAY_EVENTS = 200;      // events kept for clients that connect later
+const KEEPALIVE_MS = 15000;     // SSE comment line so proxies/browsers keep the stream open
+const MAX_LIMIT = 1000;
+
+// ---------- Query helpers ----------
+function parseTime(v) {
+  if (v === undefined || v === null || v === '') return null;
+  const n = Number(v);
+  const t = Number.isFinite(n) ? n : Date.parse(v);
+  return Number.isFinite(t) ? t : null;
+}
+
+// rows with .ts (ms or ISO) -> { total, offset, limit, rows } newest first within [from, to)
+// query: URLSearchParams or a plain { from, to, offset, limit } object
+function pageRows(rows, query) {
+  const get = (k) => (typeof query.get === 'function' ? query.get(k) : query[k]);
+  const from = parseTime(get('from')), to = parseTime(get('to'));
+  const offset = Math.max(0, Number(get('offset')) || 0);
+  const limit = Math.min(MAX_LIMIT, Math.max(1, Number(get('limit')) || 50));
+  const ts = (r) => (typeof r.ts === 'number' ? r.ts : Date.parse(r.ts));
+  const selected = rows.filter(r => (from === null || ts(r) >= from) && (to === null || ts(r) < to)).reverse();
+  return { total: selected.length, offset, limit, rows: selected.slice(offset, offset + limit) };
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+// ---------- Server ----------
+// opts: { port, host, title, labels, sources: { history, predictionRows, scoredRecords }, keepAlive }
+// -> Promise<{ url, publish(type, data), close() }>
+function startDashboard(opts = {}) {
+  const sources = opts.sources || {};
+  const labels = opts.labels || ['RED', 'BLACK', 'GREEN'];
+  const title = opts.title || 'Red/Black predictor';
+  const clients = new Set();
+  const recent = [];
+  let lastPrediction = null;
+  const startedAt = new Date().toISOString();
+
+  const read = (name) => {
+    try { return sources[name] ? sources[name]() || [] : []; } catch (e) {
+      console.warn(`⚠️ Dashboard could not read ${name}:`, e.message || e);
+      return [];
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (req.method !== 'GET') return sendJson(res, 405, { error: 'GET only' });
+    if (url.pathname === '/') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+      return res.end(pageHtml(title, labels));
+    }
+    if (url.pathname === '/events') {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store', Connection: 'keep-alive' });
+      res.write('retry: 3000\n\n');
+      for (const e of recent) res.write(e);
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+      return;
+    }
+    if (url.pathname === '/api/state') return sendJson(res, 200, { startedAt, now: Date.now(), clients: clients.size, last: lastPrediction });
+    if (url.pathname === '/api/history') return sendJson(res, 200, pageRows(read('history'), url.searchParams));
+    if (url.pathname === '/api/predictions') return sendJson(res, 200, pageRows(read('predictionRows'), url.searchParams));
+    if (url.pathname === '/api/scored') {
+      const limit = Math.min(MAX_LIMIT * 5, Math.max(1, Number(url.searchParams.get('limit')) || 500));
+      return sendJson(res, 200, read('scoredRecords').slice(-limit));
+    }
+    sendJson(res, 404, { error: 'not found' });
+  });
+
+  const keepalive = setInterval(() => { for (const c of clients) c.write(': ping\n\n'); }, KEEPALIVE_MS);
+  keepalive.unref();
+
+  function publish(type, data) {
+    const msg = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+    if (type === 'prediction') lastPrediction = data;
+    recent.push(msg);
+    if (recent.length > REPLAY_EVENTS) recent.shift();
+    for (const c of clients) c.write(msg);
+  }
+
+  function close() {
+    clearInterval(keepalive);
+    for (const c of clients) c.end();
+    clients.clear();
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+
+  const port = opts.port !== undefined ? opts.port : DEFAULT_PORT;
+  const host = opts.host || DEFAULT_HOST;
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.removeListener('error', reject);
+      // the live loops run forever; the dashboard must not be what keeps a finished CLI alive
+      if (!opts.keepAlive) server.unref();
+      resolve({ url: `http://${host}:${server.address().port}/`, publish, close });
+    });
+  });
+}
+
+// ---------- Page ----------
+function pageHtml(title, labels) {
+  const esc = (s) => String(s).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+  return `<!doctype html>
+<html lang="en"><head><meta charset="utf-8"><title>${esc(title)} — dashboard</title>
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<style>
+  body { font: 14px system-ui, sans-serif; margin: 0; background: #14161a; color: #e6e6e6; }
+  header { padding: 10px 16px; background: #1d2026; display: flex; gap: 16px; align-items: baseline; }
+  header h1 { font-size: 18px; margin: 0; }
+  #status { color: #9aa0a6; }
+  main { display: grid; grid-template-columns: 1fr 1fr; gap: 12px; padding: 12px; }
+  section { background: #1d2026; border-radius: 6px; padding: 10px 12px; }
+  section.wide { grid-column: 1 / -1; }
+  h2 { font-size: 14px; margin: 0 0 8px; color: #9aa0a6; font-weight: 600; }
+  .bar { display: flex; align-items: center; gap: 8px; margin: 4px 0; }
+  .bar span.l { width: 60px; }
+  .bar div.track { flex: 1; background: #2a2e36; height: 18px; border-radius: 3px; }
+  .bar div.fill { height: 18px; border-radius: 3px; }
+  .RED, .R { background: #d64545; } .BLACK, .B { background: #555; border: 1px solid #888; box-sizing: border-box; }
+  .GREEN, .G { background: #2e9d52; }
+  #pick { font-size: 20px; font-weight: 600; margin-top: 8px; }
+  #meta { color: #9aa0a6; margin-top: 6px; white-space: pre-line; }
+  #strip { display: flex; flex-wrap: wrap; gap: 2px; }
+  #strip i { width: 12px; height: 18px; display: inline-block; border-radius: 2px; }
+  #strip i.streak { outline: 2px solid #f0c040; outline-offset: -1px; }
+  canvas { width: 100%; height: 160px; background: #15171b; border-radius: 4px; }
+  table { width: 100%; border-collapse: collapse; font-variant-numeric: tabular-nums; }
+  td, th { padding: 3px 6px; border-bottom: 1px solid #2a2e36; text-align: left; }
+  form { display: flex; gap: 8px; flex-wrap: wrap; align-items: center; margin-bottom: 8px; }
+  input, select, button { background: #2a2e36; color: #e6e6e6; border: 1px solid #3a3f48; border-radius: 4px; padding: 3px 6px; }
+</style></head>
+<body>
+<header><h1>${esc(title)}</h1><span id="status">connecting…</span></header>
+<main>
+  <section><h2>Next round</h2><div id="bars"></div><div id="pick">—</div><div id="meta"></div></section>
+  <section><h2>Outcomes (streaks of <input id="streakLen" type="number" value="4" min="2" style="width:3em"> or more outlined)</h2><div id="strip"></div></section>
+  <section><h2>Rolling accuracy (window <input id="win" type="number" value="20" min="5" style="width:3.5em">)</h2><canvas id="acc" width="600" height="160"></canvas></section>
+  <section><h2>Rolling log-loss</h2><canvas id="ll" width="600" height="160"></canvas></section>
+  <section class="wide"><h2>History</h2>
+    <form id="hf"><select id="src"><option value="history">stored rounds</option><option value="predictions">prediction log</option></select>
+      from <input id="from" type="datetime-local"> to <input id="to" type="datetime-local">
+      <button type="submit">Show</button><button type="button" id="prev">◀</button><button type="button" id="next">▶</button><span id="range"></span></form>
+    <table><thead id="th"></thead><tbody id="tb"></tbody></table>
+  </section>
+</main>
+<script>
+const LABELS = ${JSON.stringify(labels)};
+const scored = [];   // { ts, dist, actual, pick }
+const outcomes = []; // labels, oldest first
+let offset = 0;
+const $ = (id) => document.getElementById(id);
+
+function argmax(d) { let b = null; for (const k of Object.keys(d)) if (b === null || d[k] > d[b]) b = k; return b; }
+
+function showPrediction(p) {
+  $('bars').innerHTML = '';
+  for (const l of LABELS) {
+    const v = (p.dist && p.dist[l]) || 0;
+    const row = document.createElement('div'); row.className = 'bar';
+    row.innerHTML = '<span class="l"></span><div class="track"><div class="fill ' + l + '"></div></div><span class="v"></span>';
+    row.querySelector('.l').textContent = l;
+    row.querySelector('.fill').style.width = (v * 100).toFixed(1) + '%';
+    row.querySelector('.v').textContent = (v * 100).toFixed(1) + '%';
+    $('bars').appendChild(row);
+  }
+  $('pick').textContent = 'Pick: ' + (p.pick || 'ABSTAIN');
+  const meta = [];
+  if (p.weights) meta.push('weights: ' + Object.entries(p.weights).map(([k, w]) => k + ' ' + (w * 100).toFixed(0) + '%').join(' | '));
+  if (p.regime) meta.push('regime: ' + p.regime);
+  if (p.context) meta.push('context: ' + p.context);
+  meta.push('at ' + new Date(p.ts).toLocaleTimeString());
+  $('meta').textContent = meta.join('\\n');
+}
+
+function drawStrip() {
+  const minRun = Math.max(2, Number($('streakLen').value) || 4);
+  const last = outcomes.slice(-160);
+  const runLen = new Array(last.length).fill(1);
+  for (let i = 1; i < last.length; i++) if (last[i] === last[i - 1]) runLen[i] = runLen[i - 1] + 1;
+  const inStreak = new Array(last.length).fill(false);
+  for (let i = last.length - 1; i >= 0; i--) {
+    if (runLen[i] >= minRun && (i === last.length - 1 || last[i + 1] !== last[i])) for (let j = i - runLen[i] + 1; j <= i; j++) inStreak[j] = true;
+  }
+  $('strip').innerHTML = '';
+  last.forEach((o, i) => {
+    const el = document.createElement('i');
+    el.className = o + (inStreak[i] ? ' streak' : '');
+    el.title = o;
+    $('strip').appendChild(el);
+  });
+}
+
+function rolling(values, w) {
+  const out = []; let s = 0;
+  values.forEach((v, i) => { s += v; if (i >= w) s -= values[i - w]; if (i >= w - 1) out.push(s / w); });
+  return out;
+}
+
+function drawLine(canvas, series, refs, fmt) {
+  const ctx = canvas.getContext('2d');
+  const W = canvas.width, H = canvas.height, pad = 28;
+  ctx.clearRect(0, 0, W, H);
+  ctx.font = '11px system-ui'; ctx.fillStyle = '#9aa0a6';
+  if (series.length < 2) { ctx.fillText('not enough scored rounds yet', pad, H / 2); return; }
+  let lo = Math.min(...series, ...refs.map(r => r.v)), hi = Math.max(...series, ...refs.map(r => r.v));
+  if (hi - lo < 1e-6) { hi += 0.05; lo -= 0.05; }
+  const x = (i) => pad + (i / (series.length - 1)) * (W - pad - 6);
+  const y = (v) => H - 14 - ((v - lo) / (hi - lo)) * (H - 24);
+  for (const r of refs) {
+    ctx.strokeStyle = '#555'; ctx.setLineDash([4, 4]); ctx.beginPath(); ctx.moveTo(pad, y(r.v)); ctx.lineTo(W - 6, y(r.v)); ctx.stroke();
+    ctx.setLineDash([]); ctx.fillText(r.label, W - 90, y(r.v) - 3);
+  }
+  ctx.fillText(fmt(hi), 2, 12); ctx.fillText(fmt(lo), 2, H - 14);
+  ctx.strokeStyle = '#6ab0f3'; ctx.lineWidth = 1.5; ctx.beginPath();
+  series.forEach((v, i) => (i ? ctx.lineTo(x(i), y(v)) : ctx.moveTo(x(i), y(v))));
+  ctx.stroke(); ctx.lineWidth = 1;
+  ctx.fillStyle = '#e6e6e6'; ctx.fillText('last ' + fmt(series[series.length - 1]), pad + 4, 12);
+}
+
+function drawCharts() {
+  const w = Math.max(5, Number($('win').value) || 20);
+  const hits = scored.map(r => ((r.pick || argmax(r.dist)) === r.actual ? 1 : 0));
+  const losses = scored.map(r => -Math.log(Math.max(1e-12, r.dist[r.actual] || 0)));
+  const pct = (v) => (v * 100).toFixed(1) + '%';
+  drawLine($('acc'), rolling(hits, w), [{ v: 1 / LABELS.length, label: 'chance' }], pct);
+  drawLine($('ll'), rolling(losses, w), [{ v: Math.log(LABELS.length), label: 'uniform' }], v => v.toFixed(3));
+}
+
+async function loadHistory(move) {
+  const limit = 50;
+  offset = Math.max(0, offset + (move || 0) * limit);
+  if (!move) offset = 0;
+  const q = new URLSearchParams({ offset, limit });
+  if ($('from').value) q.set('from', new Date($('from').value).getTime());
+  if ($('to').value) q.set('to', new Date($('to').value).getTime());
+  const src = $('src').value;
+  const page = await (await fetch('/api/' + src + '?' + q)).json();
+  $('range').textContent = page.total ? (page.offset + 1) + '–' + Math.min(page.total, page.offset + page.rows.length) + ' of ' + page.total : 'no rows';
+  const cols = src === 'history' ? ['time', 'outcome', 'round', 'source'] : ['time', 'observed', 'pick', ...LABELS.map(l => 'p(' + l + ')'), 'correct'];
+  $('th').innerHTML = ''; const hr = document.createElement('tr');
+  for (const c of cols) { const th = document.createElement('th'); th.textContent = c; hr.appendChild(th); }
+  $('th').appendChild(hr);
+  $('tb').innerHTML = '';
+  for (const r of page.rows) {
+    const cells = src === 'history'
+      ? [new Date(r.ts).toLocaleString(), r.outcome, r.roundId || r.roundKey || '', r.source || '']
+      : [new Date(r.ts).toLocaleString(), r.observed, r.pred || '', ...LABELS.map(l => (r.probs ? (r.probs[l] * 100).toFixed(1) + '%' : '')), r.correct === null ? '' : (r.correct ? '✔' : '✘')];
+    const tr = document.createElement('tr');
+    for (const c of cells) { const td = document.createElement('td'); td.textContent = c; tr.appendChild(td); }
+    $('tb').appendChild(tr);
+  }
+}
+
+async function init() {
+  const [recs, hist, state] = await Promise.all([
+    fetch('/api/scored?limit=1000').then(r => r.json()),
+    fetch('/api/history?limit=160').then(r => r.json()),
+    fetch('/api/state').then(r => r.json())
+  ]);
+  scored.push(...recs);
+  outcomes.push(...hist.rows.reverse().map(r => r.outcome));
+  if (state.last) showPrediction(state.last);
+  drawStrip(); drawCharts(); loadHistory();
+
+  const es = new EventSource('/events');
+  const seen = new Set();
+  es.onopen = () => { $('status').textContent = 'live'; };
+  es.onerror = () => { $('status').textContent = 'disconnected — retrying…'; };
+  es.addEventListener('prediction', (e) => showPrediction(JSON.parse(e.data)));
+  es.addEventListener('round', (e) => {
+    const r = JSON.parse(e.data);
+    // rounds stored before the page loaded are already in the fetched history; replays after a
+    // reconnect are already in the page
+    const key = r.ts + '|' + r.outcome;
+    if (seen.has(key) || r.ts <= state.now) return;
+    seen.add(key);
+    outcomes.push(r.outcome);
+    if (r.prevDist) scored.push({ ts: r.ts, dist: r.prevDist, actual: r.outcome, pick: r.prevPick || null });
+    drawStrip(); drawCharts();
+  });
+}
+
+$('win').addEventListener('change', drawCharts);
+$('streakLen').addEventListener('change', drawStrip);
+$('hf').addEventListener('submit', (e) => { e.preventDefault(); loadHistory(0); });
+$('prev').addEventListener('click', () => loadHistory(-1));
+$('next').addEventListener('click', () => loadHistory(1));
+init();
+</script>
+</body></html>`;
+}
+
+module.exports = {
+  DEFAULT_PORT,
+  DEFAULT_HOST,
+  pageRows,
+  sendJson,
+  startDashboard
+};
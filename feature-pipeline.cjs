@@ -0,0 +1,285 @@
+// feature-pipeline.cjs
+// Declarative feature pipeline for outcome histories ([{ ts, outcome }]).
+// - FEATURES is the registry: each feature has a name, a one-line doc, default parameters, an
+//   enabled-by-default flag, column names and a compute(history, i, params, labels) that only looks at
+//   history[0..i) — rows never change once computed, so walk-forward runs can build the matrix once.
+// - createFeaturePipeline(overrides, labels) picks the enabled features; overrides are
+//   { name: { enabled?, ...params } } (e.g. from a config file).
+// - featureImportance() scores feature groups walk-forward: permutation importance (shuffle a group's
+//   columns on the test rows of each refit block, same model) and ablation (refit without the group).
+//   Deltas are in log-loss; positive = the feature helps.
+
+const { mulberry32 } = require('./stats-math.cjs');
+
+function countFractions(slice, labels) {
+  const counts = Object.fromEntries(labels.map(l => [l, 0]));
+  for (const h of slice) if (counts[h.outcome] !== undefined) counts[h.outcome]++;
+  const n = Math.max(1, slice.length);
+  return labels.map(l => counts[l] / n);
+}
+
+// ---------- Registry ----------
+const FEATURES = [
+  {
+    name: 'window_counts',
+    doc: 'share of each outcome over the last `window` rounds',
+    defaults: { window: 10 },
+    enabled: true,
+    columns: (p, labels) => labels.map(l => `win_${l.toLowerCase()}`),
+    compute: (history, i, p, labels) => countFractions(history.slice(Math.max(0, i - p.window), i), labels)
+  },
+  {
+    name: 'last_outcome',
+    doc: 'one-hot of the previous outcome',
+    defaults: {},
+    enabled: true,
+    columns: (p, labels) => labels.map(l => `last_${l.toLowerCase()}`),
+    compute: (history, i, p, labels) => {
+      const last = i > 0 ? history[i - 1].outcome : null;
+      return labels.map(l => (last === l ? 1 : 0));
+    }
+  },
+  {
+    name: 'streak',
+    doc: 'length of the current run (looking back at most `window` rounds), capped at `cap`, scaled to [0, 1]',
+    defaults: { cap: 9, window: 10 },
+    enabled: true,
+    columns: () => ['streak'],
+    compute: (history, i, p) => {
+      const start = Math.max(0, i - p.window);
+      let streak = 0;
+      for (let j = i - 1; j >= start && history[j].outcome === history[i - 1].outcome; j--) streak++;
+      return [Math.min(streak, p.cap) / p.cap];
+    }
+  },
+  {
+    name: 'position',
+    doc: 'one-hot of the round index modulo `period` (the slot in a 5-round cycle)',
+    defaults: { period: 5 },
+    enabled: true,
+    columns: (p) => Array.from({ length: p.period }, (_, k) => `pos${k}`),
+    compute: (history, i, p) => Array.from({ length: p.period }, (_, k) => (i % p.period === k ? 1 : 0))
+  },
+  {
+    name: 'hour',
+    doc: 'hour of day of the previous round as sin/cos (local time)',
+    defaults: {},
+    enabled: true,
+    columns: () => ['hour_sin', 'hour_cos'],
+    compute: (history, i) => {
+      const dt = new Date(i > 0 ? history[i - 1].ts : Date.now());
+      const hour = dt.getHours() + dt.getMinutes() / 60;
+      return [Math.sin((2 * Math.PI * hour) / 24), Math.cos((2 * Math.PI * hour) / 24)];
+    }
+  },
+  {
+    name: 'long_counts',
+    doc: 'share of each outcome over the last `window` rounds (long horizon)',
+    defaults: { window: 200 },
+    enabled: true,
+    columns: (p, labels) => labels.map(l => `long_${l.toLowerCase()}`),
+    compute: (history, i, p, labels) => countFractions(history.slice(Math.max(0, i - p.window), i), labels)
+  },
+  {
+    name: 'since_green',
+    doc: 'rounds since the last GREEN (or last label), capped at `cap`, scaled to [0, 1]',
+    defaults: { cap: 50 },
+    enabled: false,
+    columns: () => ['since_green'],
+    compute: (history, i, p, labels) => {
+      const target = labels[labels.length - 1];
+      let k = 0;
+      while (k < p.cap && i - 1 - k >= 0 && history[i - 1 - k].outcome !== target) k++;
+      return [k / p.cap];
+    }
+  },
+  {
+    name: 'bigrams',
+    doc: 'share of each outcome pair (previous -> next) among the transitions in the last `window` rounds',
+    defaults: { window: 30 },
+    enabled: false,
+    columns: (p, labels) => labels.flatMap(a => labels.map(b => `bi_${a[0].toLowerCase()}${b[0].toLowerCase()}`)),
+    compute: (history, i, p, labels) => {
+      const K = labels.length;
+      const out = new Array(K * K).fill(0);
+      const start = Math.max(1, i - p.window + 1);
+      let n = 0;
+      for (let j = start; j < i; j++) {
+        const a = labels.indexOf(history[j - 1].outcome), b = labels.indexOf(history[j].outcome);
+        if (a >= 0 && b >= 0) { out[a * K + b]++; n++; }
+      }
+      return out.map(v => v / Math.max(1, n));
+    }
+  },
+  {
+    name: 'interval',
+    doc: 'seconds between the two previous rounds, capped at `cap`, scaled to [0, 1]',
+    defaults: { cap: 300 },
+    enabled: false,
+    columns: () => ['interval'],
+    compute: (history, i, p) => {
+      if (i < 2) return [0];
+      const dt = (new Date(history[i - 1].ts) - new Date(history[i - 2].ts)) / 1000;
+      return [Number.isFinite(dt) ? Math.min(Math.max(dt, 0), p.cap) / p.cap : 0];
+    }
+  },
+  {
+    name: 'run_lengths',
+    doc: 'histogram of completed run lengths (1, 2, ..., `buckets`+) over the last `window` rounds',
+    defaults: { window: 30, buckets: 4 },
+    enabled: false,
+    columns: (p) => Array.from({ length: p.buckets }, (_, k) => `runs_${k + 1}${k === p.buckets - 1 ? 'plus' : ''}`),
+    compute: (history, i, p) => {
+      const hist = new Array(p.buckets).fill(0);
+      const start = Math.max(0, i - p.window);
+      let runs = 0, len = 0;
+      // the run still open at i - 1 is not complete yet and is left out
+      for (let j = start; j < i; j++) {
+        len++;
+        const ends = j + 1 < i && history[j + 1].outcome !== history[j].outcome;
+        if (ends) { hist[Math.min(len, p.buckets) - 1]++; runs++; len = 0; }
+      }
+      return hist.map(v => v / Math.max(1, runs));
+    }
+  }
+];
+
+function findFeature(name) {
+  return FEATURES.find(f => f.name === name) || null;
+}
+
+// ---------- Pipeline ----------
+// overrides: { name: { enabled?, ...params } } -> { features, columns, groups, dims, build(history, i), describe() }
+function createFeaturePipeline(overrides = {}, labels = ['RED', 'BLACK', 'GREEN']) {
+  for (const name of Object.keys(overrides)) {
+    if (!findFeature(name)) throw new Error(`Unknown feature "${name}" (known: ${FEATURES.map(f => f.name).join(', ')}).`);
+  }
+  const active = FEATURES
+    .map(f => {
+      const o = overrides[f.name] || {};
+      const params = Object.assign({}, f.defaults);
+      for (const k of Object.keys(f.defaults)) if (o[k] !== undefined) params[k] = o[k];
+      return { feature: f, params, enabled: o.enabled !== undefined ? !!o.enabled : f.enabled };
+    })
+    .filter(a => a.enabled);
+  const columns = [];
+  const groups = [];
+  for (const a of active) {
+    const cols = a.feature.columns(a.params, labels);
+    groups.push({ name: a.feature.name, cols: cols.map((c, k) => columns.length + k) });
+    columns.push(...cols);
+  }
+  return {
+    labels,
+    features: active.map(a => ({ name: a.feature.name, params: a.params })),
+    columns,
+    groups,
+    dims: columns.length,
+    build(history, i) {
+      const row = [];
+      for (const a of active) row.push(...a.feature.compute(history, i, a.params, labels));
+      return row;
+    },
+    // stable description for model schemas
+    describe() {
+      return active.map(a => ({ name: a.feature.name, params: a.params }));
+    }
+  };
+}
+
+// every registered feature with its default and effective state -> [{ name, doc, enabled, params }]
+function listFeatures(overrides = {}) {
+  return FEATURES.map(f => {
+    const o = overrides[f.name] || {};
+    const params = Object.assign({}, f.defaults);
+    for (const k of Object.keys(f.defaults)) if (o[k] !== undefined) params[k] = o[k];
+    return { name: f.name, doc: f.doc, enabled: o.enabled !== undefined ? !!o.enabled : f.enabled, defaultEnabled: f.enabled, params };
+  });
+}
+
+// ---------- Importance ----------
+function rowLogLoss(probs, y) {
+  return -Math.log(Math.max(1e-12, probs[y]));
+}
+
+function argmaxIndex(arr) {
+  let best = 0;
+  for (let k = 1; k < arr.length; k++) if (arr[k] > arr[best]) best = k;
+  return best;
+}
+
+// opts: { X (rows for every i), Y (label index, -1 = skip), groups, fit(X, Y, seed) -> model,
+//         predict(model, x) -> probs[], start (first usable row), minTrain, refitEvery, repeats, seed, ablation }
+// fit gets a seed per walk-forward block, the same for the baseline and every ablation refit, so an
+// ablation delta measures the dropped columns and not a different random init or minibatch order
+// -> { tested, base: { logLoss, accuracy }, groups: [{ name, permutation, permutationSd, ablation }] }
+function featureImportance(opts) {
+  const { X, Y, groups, fit, predict } = opts;
+  const start = opts.start || 0;
+  const refitEvery = Math.max(1, opts.refitEvery || 10);
+  const repeats = opts.repeats || 5;
+  const seed = opts.seed !== undefined ? opts.seed : 17;
+  const rng = mulberry32(seed);
+  const usable = (j) => Y[j] >= 0;
+
+  // walk-forward blocks: model fitted on [start, b), tested on [b, b + refitEvery)
+  function blocks(dropCols) {
+    const keep = dropCols ? X[0].map((_, c) => c).filter(c => !dropCols.includes(c)) : null;
+    const view = (x) => (keep ? keep.map(c => x[c]) : x);
+    const out = [];
+    for (let b = Math.max(start, opts.minTrain); b < X.length; b += refitEvery) {
+      const trainIdx = [];
+      for (let j = start; j < b; j++) if (usable(j)) trainIdx.push(j);
+      const testIdx = [];
+      for (let j = b; j < Math.min(X.length, b + refitEvery); j++) if (usable(j)) testIdx.push(j);
+      if (trainIdx.length < 10 || !testIdx.length) continue;
+      out.push({ model: fit(trainIdx.map(j => view(X[j])), trainIdx.map(j => Y[j]), seed * 7919 + b), testIdx, view });
+    }
+    return out;
+  }
+
+  function score(bl, permuteCols) {
+    let loss = 0, correct = 0, n = 0;
+    for (const { model, testIdx, view } of bl) {
+      let rows = testIdx.map(j => X[j].slice());
+      if (permuteCols) {
+        // shuffle the group's columns together across the block's test rows
+        const order = testIdx.map((_, k) => k);
+        for (let k = order.length - 1; k > 0; k--) { const r = Math.floor(rng() * (k + 1)); [order[k], order[r]] = [order[r], order[k]]; }
+        rows = rows.map((row, k) => {
+          const src = X[testIdx[order[k]]];
+          for (const c of permuteCols) row[c] = src[c];
+          return row;
+        });
+      }
+      rows.forEach((row, k) => {
+        const probs = predict(model, view(row));
+        const y = Y[testIdx[k]];
+        loss += rowLogLoss(probs, y);
+        if (argmaxIndex(probs) === y) correct++;
+        n++;
+      });
+    }
+    return { logLoss: n ? loss / n : null, accuracy: n ? correct / n : null, n };
+  }
+
+  const baseBlocks = blocks(null);
+  const base = score(baseBlocks, null);
+  const results = groups.map(g => {
+    const deltas = [];
+    for (let r = 0; r < repeats; r++) deltas.push(score(baseBlocks, g.cols).logLoss - base.logLoss);
+    const mean = deltas.reduce((a, b) => a + b, 0) / deltas.length;
+    const sd = Math.sqrt(deltas.reduce((a, d) => a + (d - mean) ** 2, 0) / Math.max(1, deltas.length - 1));
+    const ablation = opts.ablation === false || g.cols.length === X[0].length ? null : score(blocks(g.cols), null).logLoss - base.logLoss;
+    return { name: g.name, cols: g.cols.length, permutation: mean, permutationSd: sd, ablation };
+  });
+  return { tested: base.n, base, groups: results };
+}
+
+module.exports = {
+  FEATURES,
+  findFeature,
+  createFeaturePipeline,
+  listFeatures,
+  featureImportance
+};
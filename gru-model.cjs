@@ -0,0 +1,251 @@
+// gru-model.cjs
+// Small GRU sequence model in plain JS (CPU only, no extra dependencies).
+// - Input: one-hot outcome per round; output: softmax over the next outcome.
+// - Training: truncated backprop through time on windows of `window` rounds (hidden state starts at
+//   zero in every window), Adam updates, gradient clipping, L2; seeded init so fits are reproducible.
+// - Prediction runs the last `window` rounds through the cell from a zero state — the same view of the
+//   past the model was trained on.
+// - Models are plain JSON ({ type: 'gru', labels, hidden, window, params, ... }) saved next to rb_model.json.
+
+const fs = require('fs');
+const { mulberry32 } = require('./stats-math.cjs');
+
+const DEFAULTS = {
+  hidden: 8,
+  window: 16,
+  epochs: 40,
+  lr: 0.01,
+  l2: 1e-4,
+  clip: 5,
+  seed: 11
+};
+
+// ---------- Small vector helpers ----------
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+
+function matrix(rows, cols, fill) {
+  return Array.from({ length: rows }, () => Array.from({ length: cols }, fill));
+}
+
+function softmaxVec(v) {
+  const m = Math.max(...v);
+  const e = v.map(x => Math.exp(x - m));
+  const s = e.reduce((a, b) => a + b, 0);
+  return e.map(x => x / s);
+}
+
+// W (rows x cols) times vector
+function matVec(W, v) {
+  return W.map(row => row.reduce((s, w, j) => s + w * v[j], 0));
+}
+
+// ---------- Model ----------
+// Parameter layout: gates z (update), r (reset), n (candidate); W* are hidden x inputs (one-hot columns),
+// U* are hidden x hidden; output layer Wy (labels x hidden), by.
+function createGru(labels, opts = {}) {
+  const H = opts.hidden || DEFAULTS.hidden;
+  const M = labels.length;
+  const rng = mulberry32(opts.seed !== undefined ? opts.seed : DEFAULTS.seed);
+  const init = (fanIn) => () => (rng() * 2 - 1) / Math.sqrt(fanIn);
+  const p = {};
+  for (const g of ['z', 'r', 'n']) {
+    p['W' + g] = matrix(H, M, init(M));
+    p['U' + g] = matrix(H, H, init(H));
+    p['b' + g] = new Array(H).fill(0);
+  }
+  p.Wy = matrix(M, H, init(H));
+  p.by = new Array(M).fill(0);
+  return { type: 'gru', labels, hidden: H, window: opts.window || DEFAULTS.window, params: p };
+}
+
+// one step: x = label index -> cache for backprop
+function cellStep(p, x, hPrev) {
+  const H = hPrev.length;
+  const z = new Array(H), r = new Array(H), n = new Array(H), h = new Array(H);
+  const uz = matVec(p.Uz, hPrev), ur = matVec(p.Ur, hPrev);
+  for (let i = 0; i < H; i++) {
+    z[i] = sigmoid(p.Wz[i][x] + uz[i] + p.bz[i]);
+    r[i] = sigmoid(p.Wr[i][x] + ur[i] + p.br[i]);
+  }
+  const rh = hPrev.map((v, i) => r[i] * v);
+  const un = matVec(p.Un, rh);
+  for (let i = 0; i < H; i++) {
+    n[i] = Math.tanh(p.Wn[i][x] + un[i] + p.bn[i]);
+    h[i] = (1 - z[i]) * hPrev[i] + z[i] * n[i];
+  }
+  return { x, hPrev, z, r, n, rh, h };
+}
+
+function outputDist(p, h) {
+  return softmaxVec(p.Wy.map((row, k) => row.reduce((s, w, j) => s + w * h[j], 0) + p.by[k]));
+}
+
+// hidden state after running idx (label indices) from zero
+function runSequence(model, idx) {
+  let h = new Array(model.hidden).fill(0);
+  for (const x of idx) h = cellStep(model.params, x, h).h;
+  return h;
+}
+
+// next-outcome distribution after `seq` (labels), using its last `window` rounds
+function predictGru(model, seq) {
+  const idx = seq.slice(-model.window).map(s => model.labels.indexOf(s)).filter(i => i >= 0);
+  const probs = outputDist(model.params, runSequence(model, idx));
+  return Object.fromEntries(model.labels.map((l, k) => [l, probs[k]]));
+}
+
+// ---------- Training ----------
+function zerosLike(p) {
+  const out = {};
+  for (const k of Object.keys(p)) out[k] = Array.isArray(p[k][0]) ? p[k].map(row => row.map(() => 0)) : p[k].map(() => 0);
+  return out;
+}
+
+// loss and gradients for one window: inputs idx[0..L-1], targets idx[1..L]
+function windowGradients(p, idx, grads) {
+  const H = p.bz.length;
+  const steps = [];
+  let h = new Array(H).fill(0);
+  let loss = 0;
+  const outs = [];
+  for (let t = 0; t < idx.length - 1; t++) {
+    const c = cellStep(p, idx[t], h);
+    steps.push(c);
+    h = c.h;
+    const probs = outputDist(p, h);
+    outs.push(probs);
+    loss -= Math.log(Math.max(1e-12, probs[idx[t + 1]]));
+  }
+  let dhNext = new Array(H).fill(0);
+  for (let t = steps.length - 1; t >= 0; t--) {
+    const c = steps[t];
+    const dy = outs[t].slice();
+    dy[idx[t + 1]] -= 1;
+    const dh = dhNext.slice();
+    for (let k = 0; k < dy.length; k++) {
+      grads.by[k] += dy[k];
+      for (let j = 0; j < H; j++) {
+        grads.Wy[k][j] += dy[k] * c.h[j];
+        dh[j] += p.Wy[k][j] * dy[k];
+      }
+    }
+    const dhPrev = new Array(H).fill(0);
+    const dnPre = new Array(H), dzPre = new Array(H);
+    for (let i = 0; i < H; i++) {
+      const dz = dh[i] * (c.n[i] - c.hPrev[i]);
+      const dn = dh[i] * c.z[i];
+      dhPrev[i] += dh[i] * (1 - c.z[i]);
+      dnPre[i] = dn * (1 - c.n[i] * c.n[i]);
+      dzPre[i] = dz * c.z[i] * (1 - c.z[i]);
+    }
+    const drh = new Array(H).fill(0);
+    for (let i = 0; i < H; i++) {
+      grads.Wn[i][c.x] += dnPre[i];
+      grads.bn[i] += dnPre[i];
+      grads.Wz[i][c.x] += dzPre[i];
+      grads.bz[i] += dzPre[i];
+      for (let j = 0; j < H; j++) {
+        grads.Un[i][j] += dnPre[i] * c.rh[j];
+        grads.Uz[i][j] += dzPre[i] * c.hPrev[j];
+        drh[j] += p.Un[i][j] * dnPre[i];
+        dhPrev[j] += p.Uz[i][j] * dzPre[i];
+      }
+    }
+    const drPre = new Array(H);
+    for (let j = 0; j < H; j++) {
+      dhPrev[j] += drh[j] * c.r[j];
+      drPre[j] = drh[j] * c.hPrev[j] * c.r[j] * (1 - c.r[j]);
+    }
+    for (let i = 0; i < H; i++) {
+      grads.Wr[i][c.x] += drPre[i];
+      grads.br[i] += drPre[i];
+      for (let j = 0; j < H; j++) {
+        grads.Ur[i][j] += drPre[i] * c.hPrev[j];
+        dhPrev[j] += p.Ur[i][j] * drPre[i];
+      }
+    }
+    dhNext = dhPrev;
+  }
+  return { loss, count: steps.length };
+}
+
+function adamUpdate(p, grads, state, opts, scale) {
+  const b1 = 0.9, b2 = 0.999, eps = 1e-8;
+  state.t++;
+  // global-norm clipping
+  let norm = 0;
+  for (const k of Object.keys(grads)) {
+    for (const v of (Array.isArray(grads[k][0]) ? grads[k].flat() : grads[k])) norm += (v * scale) ** 2;
+  }
+  norm = Math.sqrt(norm);
+  const clip = norm > opts.clip ? opts.clip / norm : 1;
+  const lrT = opts.lr * Math.sqrt(1 - Math.pow(b2, state.t)) / (1 - Math.pow(b1, state.t));
+  const upd = (P, G, Mo, Ve, i) => {
+    const g = G[i] * scale * clip + opts.l2 * P[i];
+    Mo[i] = b1 * Mo[i] + (1 - b1) * g;
+    Ve[i] = b2 * Ve[i] + (1 - b2) * g * g;
+    P[i] -= lrT * Mo[i] / (Math.sqrt(Ve[i]) + eps);
+  };
+  for (const k of Object.keys(p)) {
+    if (Array.isArray(p[k][0])) {
+      for (let r = 0; r < p[k].length; r++) for (let c = 0; c < p[k][r].length; c++) upd(p[k][r], grads[k][r], state.m[k][r], state.v[k][r], c);
+    } else {
+      for (let i = 0; i < p[k].length; i++) upd(p[k], grads[k], state.m[k], state.v[k], i);
+    }
+  }
+}
+
+// seq: outcome labels. opts: { labels, hidden, window, epochs, lr, l2, clip, seed, init (model to warm-start) }
+// -> model with .loss (mean training cross-entropy of the last epoch)
+function trainGru(seq, opts = {}) {
+  const o = Object.assign({}, DEFAULTS, opts);
+  const labels = opts.labels || (opts.init && opts.init.labels) || ['RED', 'BLACK', 'GREEN'];
+  const model = opts.init ? JSON.parse(JSON.stringify(opts.init)) : createGru(labels, o);
+  const idx = seq.map(s => labels.indexOf(s)).filter(i => i >= 0);
+  if (idx.length < 3) return model;
+  const W = model.window;
+  // windows of W inputs + 1 target, half-overlapping, the tail always included
+  const starts = [];
+  for (let s = 0; s + 2 <= idx.length; s += Math.max(1, Math.floor(W / 2))) starts.push(s);
+  const rng = mulberry32(o.seed + 1);
+  const state = { t: 0, m: zerosLike(model.params), v: zerosLike(model.params) };
+  let lastLoss = null;
+  for (let e = 0; e < o.epochs; e++) {
+    for (let i = starts.length - 1; i > 0; i--) { const j = Math.floor(rng() * (i + 1)); [starts[i], starts[j]] = [starts[j], starts[i]]; }
+    let loss = 0, count = 0;
+    for (const s of starts) {
+      const grads = zerosLike(model.params);
+      const r = windowGradients(model.params, idx.slice(s, s + W + 1), grads);
+      if (!r.count) continue;
+      adamUpdate(model.params, grads, state, o, 1 / r.count);
+      loss += r.loss; count += r.count;
+    }
+    lastLoss = count ? loss / count : null;
+  }
+  return Object.assign(model, { loss: lastLoss, trainedOn: idx.length, trainedAt: new Date().toISOString() });
+}
+
+// ---------- Persistence ----------
+function saveGru(file, model) {
+  fs.writeFileSync(file, JSON.stringify(model));
+}
+
+function loadGru(file) {
+  if (!fs.existsSync(file)) return null;
+  try {
+    const m = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return m && m.type === 'gru' ? m : null;
+  } catch (e) {
+    console.warn(`⚠️ Ignoring unreadable sequence model ${file}:`, e.message || e);
+    return null;
+  }
+}
+
+module.exports = {
+  GRU_DEFAULTS: DEFAULTS,
+  createGru,
+  trainGru,
+  predictGru,
+  saveGru,
+  loadGru
+};
@@ -0,0 +1,88 @@
+// history-commands.cjs
+// History maintenance commands of iv-redblack-advanced.cjs: dedupe (suspected duplicate rounds), import (legacy
+// logs into one canonical history) and compact (rewrite the store without torn lines).
+// - They work on the predictor's history store (or a history file given on the command line); dedupe --fix
+//   and import keep a .bak of the file they rewrite.
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('./cli-args.cjs');
+const { identityOf, findSuspectedDuplicates, removeDuplicates } = require('./round-identity.cjs');
+const { LEGACY_FILES, importLegacy, printImportReport } = require('./legacy-import.cjs');
+const { readHistoryFile, writeHistoryFile } = require('./history-store.cjs');
+const { DATA_FILE, LEGACY_DATA_FILE, loadHistory, getHistoryStore, saveHistory } = require('./iv-redblack-advanced.cjs');
+
+// dedupe [file] [--fix] [--heuristic] [--window ms] — flag (and optionally drop) suspected duplicate rounds in a
+// history file. --fix drops the ones a stored round id / round key confirms; entries without an identity
+// (older files) are only matched by "same outcome within the window", and dropped with --heuristic too
+function cmdDedupe(tokens) {
+  const args = parseArgs(tokens, { boolean: ['fix', 'heuristic'] });
+  if (args.window !== undefined && !(typeof args.window === 'string' && Number(args.window) > 0)) {
+    console.log('--window needs a number of milliseconds, e.g. --window 3000.');
+    return null;
+  }
+  const file = args._[0] ? path.resolve(args._[0]) : DATA_FILE;
+  if (file !== DATA_FILE && !fs.existsSync(file)) { console.log('No such history file:', file); return null; }
+  const history = file === DATA_FILE ? loadHistory() : readHistoryFile(file);
+  const windowMs = args.window !== undefined ? Number(args.window) : undefined;
+  const dups = findSuspectedDuplicates(history, { windowMs });
+  const heuristic = dups.filter(d => d.kind === 'heuristic');
+  console.log(`${path.basename(file)}: ${history.length} entries, ${dups.length} suspected duplicate(s)` +
+    (dups.length ? ` — ${dups.length - heuristic.length} by round id/key, ${heuristic.length} by the same-outcome heuristic.` : '.'));
+  const describe = (e) => `${e.outcome} ${identityOf(e) || 'no identity'}${e.source ? ` (${e.source})` : ''}`;
+  for (const d of dups) {
+    const e = history[d.index];
+    console.log(`  #${d.index} ${new Date(e.ts).toISOString()} ${describe(e)} — ${d.reason}; kept #${d.duplicateOf} ${describe(history[d.duplicateOf])}`);
+  }
+  const drop = args.heuristic ? dups : dups.filter(d => d.kind !== 'heuristic');
+  if (args.fix && drop.length) {
+    // an unmigrated legacy history becomes the store first, so the backup is of the file that gets rewritten
+    if (file === DATA_FILE) getHistoryStore().migrate();
+    fs.copyFileSync(file, file + '.bak');
+    const repaired = removeDuplicates(history, drop);
+    if (file === DATA_FILE) saveHistory(repaired);
+    else writeHistoryFile(file, repaired);
+    console.log(`Removed ${drop.length} entr${drop.length === 1 ? 'y' : 'ies'} (backup: ${path.basename(file)}.bak).`);
+  } else if (drop.length) {
+    console.log('Run with --fix to remove them.');
+  }
+  if (heuristic.length && !args.heuristic) {
+    console.log(`${heuristic.length} heuristic match(es) kept: they may be real back-to-back rounds. Add --heuristic to --fix to drop them too.`);
+  }
+  return { file, total: history.length, duplicates: dups, fixed: !!(args.fix && drop.length), removed: args.fix ? drop.length : 0 };
+}
+
+// import [files...] [--out file] [--tolerance ms] [--assume-mtime] [--dry-run]
+// Parse legacy logs (default: current history + every legacy file present) into one canonical history
+function cmdImport(tokens) {
+  const args = parseArgs(tokens, { boolean: ['dry-run', 'assume-mtime'] });
+  const files = args._.length
+    ? args._.map(f => path.resolve(f))
+    : [fs.existsSync(DATA_FILE) ? DATA_FILE : LEGACY_DATA_FILE, ...LEGACY_FILES.map(f => path.join(__dirname, f))].filter(f => fs.existsSync(f));
+  const out = args.out ? path.resolve(args.out) : DATA_FILE;
+  const { history, report } = importLegacy(files, { toleranceMs: args.tolerance ? Number(args.tolerance) : undefined, assumeMtime: args['assume-mtime'] });
+  printImportReport(report, { allConflicts: args['dry-run'] });
+  if (args['dry-run']) {
+    console.log('Dry run — nothing written.');
+  } else if (history.length) {
+    const hadFile = fs.existsSync(out);
+    if (hadFile) fs.copyFileSync(out, out + '.bak');
+    if (out === DATA_FILE) saveHistory(history);
+    else writeHistoryFile(out, history);
+    console.log(`Wrote ${history.length} rounds to ${out}` + (hadFile ? ` (previous file kept as ${path.basename(out)}.bak)` : ''));
+  }
+  return Object.assign({ out: args['dry-run'] ? null : out }, report);
+}
+
+// compact — rewrite the history store, dropping torn/corrupt lines left by crashes (migrates a legacy file)
+function cmdCompact() {
+  const res = getHistoryStore().compact();
+  console.log(`Compacted ${path.basename(DATA_FILE)}: ${res.entries} entries, ${res.corruptDropped} corrupt line(s) dropped, ${res.bytesBefore} -> ${res.bytesAfter} bytes.`);
+  return res;
+}
+
+module.exports = {
+  cmdDedupe,
+  cmdImport,
+  cmdCompact
+};
@@ -0,0 +1,237 @@
+// history-store.cjs
+// Append-only history store (JSON Lines) shared by the predictors, replacing whole-file JSON rewrites.
+// - append(): one JSON line per round, a single O_APPEND write — a crash can at worst leave a torn
+//   last line, which is skipped on load and dropped by compact().
+// - Entries are cached in memory; all()/last()/range() only read the bytes appended since the last call
+//   (so a second process appending to the same file is picked up). A file replaced or rewritten elsewhere
+//   (other inode, shorter, or different first bytes) is reloaded from the start.
+// - range({ from, to, session }): ts range via binary search (entries are appended in time order),
+//   session via an index. Each process run tags its appends with a session id.
+// - replaceAll() / compact(): atomic rewrite (temp file + rename) for undo, reset, dedupe and import.
+// - Legacy JSON array file (e.g. rb_history.json) and no .jsonl yet: reads come from the legacy file and
+//   nothing is written until the first write (append/replaceAll/compact) or an explicit migrate(), which
+//   creates the .jsonl from it. Read-only commands leave the directory as they found it.
+
+const fs = require('fs');
+const path = require('path');
+
+function newSessionId() {
+  return 's' + Date.now().toString(36) + process.pid.toString(36);
+}
+
+// ---------- File helpers ----------
+function parseJsonLines(text) {
+  const entries = [];
+  let corrupt = 0;
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try { entries.push(JSON.parse(line)); } catch (e) { corrupt++; }
+  }
+  return { entries, corrupt };
+}
+
+function writeFileAtomic(file, text) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmp, 'w');
+  try {
+    fs.writeSync(fd, text);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+}
+
+const HEAD_BYTES = 64; // leading bytes compared on refresh to notice an in-place rewrite
+
+function toJsonLines(entries) {
+  return entries.map(e => JSON.stringify(e)).join('\n') + (entries.length ? '\n' : '');
+}
+
+// Legacy array files hold entry objects ({ ts, outcome } / { ts, games }) or bare outcome strings (rb_outcomes.json)
+function readLegacyArray(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(data)) throw new Error(`${path.basename(file)} is not a JSON array`);
+  return data.map(e => (typeof e === 'string' ? { ts: null, outcome: e } : e));
+}
+
+// Read any history file: .jsonl (store format) or a JSON array
+function readHistoryFile(file) {
+  if (!fs.existsSync(file)) return [];
+  if (file.endsWith('.jsonl')) return parseJsonLines(fs.readFileSync(file, 'utf8')).entries;
+  return readLegacyArray(file);
+}
+
+function writeHistoryFile(file, entries) {
+  writeFileAtomic(file, file.endsWith('.jsonl') ? toJsonLines(entries) : JSON.stringify(entries, null, 2));
+}
+
+// ---------- Store ----------
+// opts: { legacyFile, session, fsync }
+function openHistoryStore(file, opts = {}) {
+  const session = opts.session || newSessionId();
+  let entries = [];
+  let bySession = new Map();
+  let sorted = true;
+  let offset = 0;      // bytes of the file already parsed
+  let corrupt = 0;
+  let needsNewline = false;
+  let ino = null;      // inode of the parsed file
+  let head = null;     // its first HEAD_BYTES bytes
+  let legacyStamp = null; // mtime+size of the legacy file the cache was read from (not migrated yet)
+
+  function pendingLegacy() {
+    return !fs.existsSync(file) && !!opts.legacyFile && fs.existsSync(opts.legacyFile);
+  }
+
+  // create the .jsonl from the legacy file (first write or explicit migrate()) -> entries migrated (0: nothing to do)
+  function migrate() {
+    if (!pendingLegacy()) return 0;
+    const legacy = readLegacyArray(opts.legacyFile);
+    writeFileAtomic(file, toJsonLines(legacy));
+    console.log(`🗂️ Migrated ${legacy.length} entries from ${path.basename(opts.legacyFile)} to ${path.basename(file)}.`);
+    reset();
+    refresh();
+    return legacy.length;
+  }
+
+  function index(e) {
+    const n = entries.length;
+    if (n && (e.ts || 0) < (entries[n - 1].ts || 0)) sorted = false;
+    entries.push(e);
+    if (e.session) {
+      if (!bySession.has(e.session)) bySession.set(e.session, []);
+      bySession.get(e.session).push(n);
+    }
+  }
+
+  function reset() {
+    entries = []; bySession = new Map(); sorted = true; offset = 0; corrupt = 0; needsNewline = false;
+    ino = null; head = null; legacyStamp = null;
+  }
+
+  // legacy entries, read only (re-read when the legacy file changes)
+  function refreshLegacy() {
+    const st = fs.statSync(opts.legacyFile);
+    const stamp = `${st.mtimeMs}:${st.size}`;
+    if (stamp === legacyStamp) return;
+    reset();
+    readLegacyArray(opts.legacyFile).forEach(index);
+    legacyStamp = stamp;
+  }
+
+  function readBytes(fd, position, length) {
+    const buf = Buffer.alloc(length);
+    const got = fs.readSync(fd, buf, 0, length, position);
+    return buf.subarray(0, got);
+  }
+
+  // parse bytes appended since the last refresh (by this or another process)
+  function refresh() {
+    if (!fs.existsSync(file)) {
+      if (pendingLegacy()) refreshLegacy();
+      else if (offset || legacyStamp) reset();
+      return;
+    }
+    if (legacyStamp) reset(); // migrated meanwhile (by another process)
+    const fd = fs.openSync(file, 'r');
+    let chunk;
+    try {
+      const st = fs.fstatSync(fd);
+      // replaced (rename: other inode), truncated, or rewritten in place (first bytes differ): reload
+      if (offset && (st.ino !== ino || st.size < offset || !readBytes(fd, 0, head.length).equals(head))) reset();
+      if (st.size === offset) return;
+      ino = st.ino;
+      if (!head || head.length < HEAD_BYTES) head = readBytes(fd, 0, Math.min(HEAD_BYTES, st.size));
+      chunk = readBytes(fd, offset, st.size - offset);
+    } finally {
+      fs.closeSync(fd);
+    }
+    const size = offset + chunk.length;
+    // an unterminated tail is a line still being written, or torn by a crash: leave it unparsed;
+    // the next append terminates it first, after which a torn line is counted as corrupt
+    const lastNl = chunk.lastIndexOf(0x0a);
+    const complete = lastNl >= 0 ? chunk.subarray(0, lastNl + 1) : Buffer.alloc(0);
+    const parsed = parseJsonLines(complete.toString('utf8'));
+    parsed.entries.forEach(index);
+    corrupt += parsed.corrupt;
+    offset += complete.length;
+    needsNewline = offset < size;
+  }
+
+  function lowerBound(ts) {
+    let lo = 0, hi = entries.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if ((entries[mid].ts || 0) < ts) lo = mid + 1; else hi = mid;
+    }
+    return lo;
+  }
+
+  refresh();
+
+  return {
+    file,
+    session,
+    append(entry) {
+      migrate();
+      refresh();
+      const e = Object.assign({}, entry);
+      if (!e.session) e.session = session;
+      const line = (needsNewline ? '\n' : '') + JSON.stringify(e) + '\n';
+      const fd = fs.openSync(file, 'a');
+      try {
+        fs.writeSync(fd, line);
+        if (opts.fsync) fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      refresh();
+      return e;
+    },
+    all() { refresh(); return entries.slice(); },
+    last(n = 1) { refresh(); return entries.slice(-n); },
+    count() { refresh(); return entries.length; },
+    sessions() { refresh(); return Array.from(bySession.keys()); },
+    // { from, to } are ms timestamps (inclusive from, exclusive to); session filters by run
+    range(q = {}) {
+      refresh();
+      let list;
+      if (q.session) list = (bySession.get(q.session) || []).map(i => entries[i]);
+      else if (sorted && (q.from !== undefined || q.to !== undefined)) {
+        const a = q.from !== undefined ? lowerBound(q.from) : 0;
+        const b = q.to !== undefined ? lowerBound(q.to) : entries.length;
+        return entries.slice(a, b);
+      } else list = entries;
+      return list.filter(e => (q.from === undefined || (e.ts || 0) >= q.from) && (q.to === undefined || (e.ts || 0) < q.to));
+    },
+    migrate,
+    // true while reads come from the not yet migrated legacy file
+    legacy() { refresh(); return !!legacyStamp; },
+    replaceAll(list) {
+      writeFileAtomic(file, toJsonLines(list));
+      reset();
+      refresh();
+    },
+    // rewrite the file from the parsed entries: drops torn/corrupt lines. -> { entries, corruptDropped, bytesBefore, bytesAfter }
+    compact() {
+      migrate();
+      refresh();
+      const bytesBefore = fs.existsSync(file) ? fs.statSync(file).size : 0;
+      const dropped = corrupt;
+      const keep = entries.slice();
+      writeFileAtomic(file, toJsonLines(keep));
+      reset();
+      refresh();
+      return { entries: keep.length, corruptDropped: dropped, bytesBefore, bytesAfter: fs.statSync(file).size };
+    },
+    stats() { refresh(); return { entries: entries.length, corrupt, sessions: bySession.size, bytes: offset, sorted }; }
+  };
+}
+
+module.exports = {
+  openHistoryStore,
+  readHistoryFile,
+  writeHistoryFile,
+  newSessionId
+};
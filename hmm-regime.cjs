@@ -0,0 +1,301 @@
+// hmm-regime.cjs
+// Hidden Markov Model over the outcome sequence: K hidden "regimes", each with its own
+// RED/BLACK/GREEN emission distribution, and a regime transition matrix.
+// - trainHmm(): Baum–Welch (scaled forward–backward) with seeded random restarts; states are ordered by
+//   their first label's emission probability so regime names are stable between fits.
+// - createHmmFilter(): forward filter for the live loop (regime probabilities after each round) and
+//   the next-outcome distribution sum_j P(regime_next = j) * B[j].
+// - viterbi() / regimeTimeline(): most likely regime path, compressed into segments for `stats`.
+
+const fs = require('fs');
+const { mulberry32 } = require('./stats-math.cjs');
+
+const DEFAULT_STATES = 2;
+const DEFAULT_ITERATIONS = 200;
+const DEFAULT_RESTARTS = 4;
+const TOLERANCE = 1e-6;
+const FLOOR = 1e-6; // keeps probabilities away from 0 so a regime can still emit/enter anything
+
+const REGIME_NAMES = 'ABCDEFGH';
+function regimeName(k) { return REGIME_NAMES[k] || String(k); }
+
+// ---------- Helpers ----------
+function normalizeRow(row) {
+  const s = row.reduce((a, b) => a + b, 0);
+  return row.map(v => (s > 0 ? v / s : 1 / row.length));
+}
+
+function floorRow(row) {
+  return normalizeRow(row.map(v => Math.max(FLOOR, v)));
+}
+
+function encode(seq, labels) {
+  return seq.map(s => labels.indexOf(s)).filter(i => i >= 0);
+}
+
+function randomModel(K, labels, obs, rng) {
+  const M = labels.length;
+  const freq = new Array(M).fill(1);
+  for (const o of obs) freq[o]++;
+  const base = normalizeRow(freq);
+  return {
+    K,
+    labels,
+    pi: normalizeRow(Array.from({ length: K }, () => 0.5 + rng())),
+    // sticky start: regimes are expected to last a while
+    A: Array.from({ length: K }, (_, i) => normalizeRow(Array.from({ length: K }, (_, j) => (i === j ? 4 : 0) + rng()))),
+    B: Array.from({ length: K }, () => normalizeRow(base.map(p => p * (0.6 + 0.8 * rng()))))
+  };
+}
+
+// ---------- Forward / backward (scaled) ----------
+function forward(model, obs) {
+  const { K, pi, A, B } = model;
+  const T = obs.length;
+  const alpha = new Array(T);
+  const scale = new Array(T);
+  let logLik = 0;
+  for (let t = 0; t < T; t++) {
+    const a = new Array(K);
+    for (let j = 0; j < K; j++) {
+      let s = 0;
+      if (t === 0) s = pi[j];
+      else for (let i = 0; i < K; i++) s += alpha[t - 1][i] * A[i][j];
+      a[j] = s * B[j][obs[t]];
+    }
+    const c = a.reduce((x, y) => x + y, 0) || 1e-300;
+    for (let j = 0; j < K; j++) a[j] /= c;
+    alpha[t] = a;
+    scale[t] = c;
+    logLik += Math.log(c);
+  }
+  return { alpha, scale, logLik };
+}
+
+function backward(model, obs, scale) {
+  const { K, A, B } = model;
+  const T = obs.length;
+  const beta = new Array(T);
+  beta[T - 1] = new Array(K).fill(1);
+  for (let t = T - 2; t >= 0; t--) {
+    const b = new Array(K).fill(0);
+    for (let i = 0; i < K; i++) {
+      for (let j = 0; j < K; j++) b[i] += A[i][j] * B[j][obs[t + 1]] * beta[t + 1][j];
+      b[i] /= scale[t + 1];
+    }
+    beta[t] = b;
+  }
+  return beta;
+}
+
+// one Baum–Welch pass -> { model, logLik } (logLik of the model passed in)
+function baumWelchStep(model, obs) {
+  const { K, labels } = model;
+  const M = labels.length;
+  const T = obs.length;
+  const { alpha, scale, logLik } = forward(model, obs);
+  const beta = backward(model, obs, scale);
+  const xiSum = Array.from({ length: K }, () => new Array(K).fill(0));
+  const emit = Array.from({ length: K }, () => new Array(M).fill(0));
+  let pi = null;
+  for (let t = 0; t < T; t++) {
+    const g = alpha[t].map((a, i) => a * beta[t][i]);
+    const gs = g.reduce((x, y) => x + y, 0) || 1;
+    for (let i = 0; i < K; i++) {
+      const gi = g[i] / gs;
+      if (t === 0) { pi = pi || new Array(K); pi[i] = gi; }
+      emit[i][obs[t]] += gi;
+    }
+    if (t < T - 1) {
+      for (let i = 0; i < K; i++) {
+        for (let j = 0; j < K; j++) {
+          xiSum[i][j] += alpha[t][i] * model.A[i][j] * model.B[j][obs[t + 1]] * beta[t + 1][j] / scale[t + 1];
+        }
+      }
+    }
+  }
+  return {
+    logLik,
+    model: {
+      K,
+      labels,
+      pi: floorRow(pi),
+      A: xiSum.map(row => floorRow(row)),
+      B: emit.map(row => floorRow(row))
+    }
+  };
+}
+
+// reorder states by descending emission probability of the first label
+function orderStates(model) {
+  const order = model.B.map((b, i) => i).sort((x, y) => model.B[y][0] - model.B[x][0]);
+  return Object.assign({}, model, {
+    pi: order.map(i => model.pi[i]),
+    A: order.map(i => order.map(j => model.A[i][j])),
+    B: order.map(i => model.B[i])
+  });
+}
+
+// ---------- Training ----------
+// opts: { states, iterations, restarts, seed, labels, init (model to warm-start from) }
+function trainHmm(seq, opts = {}) {
+  const labels = opts.labels || ['RED', 'BLACK', 'GREEN'];
+  const K = opts.states || DEFAULT_STATES;
+  const obs = encode(seq, labels);
+  if (obs.length < 2) throw new Error('HMM training needs at least 2 outcomes.');
+  const iterations = opts.iterations || DEFAULT_ITERATIONS;
+  const rng = mulberry32(opts.seed !== undefined ? opts.seed : 7);
+  const starts = opts.init && opts.init.K === K ? [opts.init] : [];
+  const restarts = opts.init ? 1 : (opts.restarts || DEFAULT_RESTARTS);
+  while (starts.length < restarts) starts.push(randomModel(K, labels, obs, rng));
+
+  let best = null;
+  for (const start of starts) {
+    let model = start, logLik = -Infinity, it = 0;
+    for (; it < iterations; it++) {
+      const step = baumWelchStep(model, obs);
+      const improved = step.logLik - logLik;
+      model = step.model;
+      logLik = step.logLik;
+      if (improved >= 0 && improved < TOLERANCE) break;
+    }
+    logLik = forward(model, obs).logLik;
+    if (!best || logLik > best.logLik) best = { model, logLik, iterations: it };
+  }
+  const model = orderStates(best.model);
+  const params = K * (K - 1) + K * (labels.length - 1) + (K - 1);
+  return Object.assign(model, {
+    logLik: best.logLik,
+    iterations: best.iterations,
+    n: obs.length,
+    bic: -2 * best.logLik + params * Math.log(obs.length),
+    trainedAt: new Date().toISOString()
+  });
+}
+
+// ---------- Filtering / prediction ----------
+function stepStates(model, stateProbs) {
+  const next = new Array(model.K).fill(0);
+  for (let i = 0; i < model.K; i++) for (let j = 0; j < model.K; j++) next[j] += stateProbs[i] * model.A[i][j];
+  return next;
+}
+
+// outcome distribution when the regime is distributed as stateProbs
+function emissionMix(model, stateProbs) {
+  const dist = {};
+  model.labels.forEach((l, m) => { dist[l] = stateProbs.reduce((s, p, j) => s + p * model.B[j][m], 0); });
+  return dist;
+}
+
+// Incremental forward filter: update(outcome) after each round, predict() for the next one.
+function createHmmFilter(model) {
+  let probs = null; // P(regime_t | outcomes up to t)
+  let seen = 0;
+  return {
+    update(outcome) {
+      const o = model.labels.indexOf(outcome);
+      if (o < 0) return probs;
+      const prior = probs ? stepStates(model, probs) : model.pi;
+      probs = normalizeRow(prior.map((p, j) => p * model.B[j][o]));
+      seen++;
+      return probs;
+    },
+    // -> { dist, regimes (filtered, current round), nextRegimes }; before any outcome the regime follows pi
+    predict() {
+      const next = probs ? stepStates(model, probs) : model.pi;
+      return { dist: emissionMix(model, next), regimes: probs || model.pi, nextRegimes: next };
+    },
+    seen() { return seen; }
+  };
+}
+
+function filterSequence(model, seq) {
+  const f = createHmmFilter(model);
+  for (const s of seq) f.update(s);
+  return f;
+}
+
+// ---------- Viterbi ----------
+function viterbi(model, seq) {
+  const { K, pi, A, B, labels } = model;
+  const obs = encode(seq, labels);
+  if (!obs.length) return [];
+  const T = obs.length;
+  let delta = pi.map((p, j) => Math.log(p) + Math.log(B[j][obs[0]]));
+  const back = [];
+  for (let t = 1; t < T; t++) {
+    const ptr = new Array(K), next = new Array(K);
+    for (let j = 0; j < K; j++) {
+      let best = -Infinity, arg = 0;
+      for (let i = 0; i < K; i++) {
+        const v = delta[i] + Math.log(A[i][j]);
+        if (v > best) { best = v; arg = i; }
+      }
+      next[j] = best + Math.log(B[j][obs[t]]);
+      ptr[j] = arg;
+    }
+    back.push(ptr);
+    delta = next;
+  }
+  const path = new Array(T);
+  path[T - 1] = delta.indexOf(Math.max(...delta));
+  for (let t = T - 2; t >= 0; t--) path[t] = back[t][path[t + 1]];
+  return path;
+}
+
+// state path -> [{ state, start, end, length }] (end inclusive)
+function regimeTimeline(path) {
+  const segs = [];
+  path.forEach((s, t) => {
+    const last = segs[segs.length - 1];
+    if (last && last.state === s) { last.end = t; last.length++; }
+    else segs.push({ state: s, start: t, end: t, length: 1 });
+  });
+  return segs;
+}
+
+// ---------- Persistence / display ----------
+function saveHmm(file, model) {
+  fs.writeFileSync(file, JSON.stringify(model, null, 2));
+}
+
+function loadHmm(file) {
+  if (!fs.existsSync(file)) return null;
+  try { return JSON.parse(fs.readFileSync(file, 'utf8')); } catch (e) {
+    console.warn(`⚠️ Ignoring unreadable HMM file ${file}:`, e.message || e);
+    return null;
+  }
+}
+
+function describeRegime(model, k) {
+  return `${regimeName(k)} (` + model.labels.map((l, m) => `${l} ${(model.B[k][m] * 100).toFixed(0)}%`).join(' / ') + ')';
+}
+
+function formatRegimeProbs(probs) {
+  return probs.map((p, k) => `${regimeName(k)} ${(p * 100).toFixed(0)}%`).join(' | ');
+}
+
+function printHmmSummary(model) {
+  console.log(`HMM: ${model.K} regimes, ${model.n} outcomes, log-likelihood ${model.logLik.toFixed(2)}, BIC ${model.bic.toFixed(1)}`);
+  for (let k = 0; k < model.K; k++) {
+    const stay = model.A[k][k];
+    const length = model.K > 1 ? ` — stays ${(stay * 100).toFixed(1)}% (mean length ${(1 / Math.max(1e-9, 1 - stay)).toFixed(1)} rounds)` : '';
+    console.log(`  regime ${describeRegime(model, k)}${length}`);
+  }
+}
+
+module.exports = {
+  DEFAULT_STATES,
+  regimeName,
+  trainHmm,
+  forward,
+  createHmmFilter,
+  filterSequence,
+  viterbi,
+  regimeTimeline,
+  saveHmm,
+  loadHmm,
+  describeRegime,
+  formatRegimeProbs,
+  printHmmSummary
+};
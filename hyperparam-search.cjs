@@ -0,0 +1,66 @@
+// hyperparam-search.cjs
+// Random search over a declared hyperparameter space with an early-stopping budget.
+// - A space is { NAME: { min, max, int?, log? } | { values: [...] } }; sampleConfig() draws one config.
+// - randomSearch() scores trials in batches (one batch = one call of evaluateBatch, e.g. one worker-thread
+//   grid run) and stops at the trial budget, the time budget, or after `patience` trials without a
+//   better score. Lower scores are better (walk-forward log-loss).
+// - The base config is always trial 0, so the result says how much the search beat the current settings.
+
+const { mulberry32 } = require('./stats-math.cjs');
+
+const DEFAULT_BUDGET = 40;
+const DEFAULT_PATIENCE = 15;
+
+function sampleValue(spec, rng) {
+  if (spec.values) return spec.values[Math.floor(rng() * spec.values.length)];
+  const u = rng();
+  let v = spec.log
+    ? Math.exp(Math.log(spec.min) + u * (Math.log(spec.max) - Math.log(spec.min)))
+    : spec.min + u * (spec.max - spec.min);
+  if (spec.int) v = Math.round(v);
+  else v = Number(v.toPrecision(4));
+  return v;
+}
+
+function sampleConfig(space, rng) {
+  return Object.fromEntries(Object.entries(space).map(([k, spec]) => [k, sampleValue(spec, rng)]));
+}
+
+// opts: { space, base, evaluateBatch(configs) -> Promise<number[]>, budget, patience, maxSeconds,
+//         batchSize, seed, onTrial(trial) }
+// -> { best: { config, score, trial }, base: { config, score }, trials: [...], stopped: reason }
+async function randomSearch(opts) {
+  const budget = opts.budget || DEFAULT_BUDGET;
+  const patience = opts.patience || DEFAULT_PATIENCE;
+  const batchSize = Math.max(1, opts.batchSize || 1);
+  const rng = mulberry32(opts.seed !== undefined ? opts.seed : 1);
+  const started = Date.now();
+  const trials = [];
+  let best = null, sinceBest = 0, stopped = 'budget';
+
+  while (trials.length < budget) {
+    const n = Math.min(batchSize, budget - trials.length);
+    const configs = [];
+    for (let k = 0; k < n; k++) {
+      configs.push(trials.length + k === 0 && opts.base ? Object.assign({}, opts.base) : sampleConfig(opts.space, rng));
+    }
+    const scores = await opts.evaluateBatch(configs);
+    configs.forEach((config, k) => {
+      const score = Number.isFinite(scores[k]) ? scores[k] : Infinity;
+      const trial = { trial: trials.length, config, score };
+      trials.push(trial);
+      if (!best || score < best.score) { best = trial; sinceBest = 0; } else sinceBest++;
+      if (opts.onTrial) opts.onTrial(trial, best);
+    });
+    if (sinceBest >= patience) { stopped = `no improvement in ${patience} trials`; break; }
+    if (opts.maxSeconds && (Date.now() - started) / 1000 >= opts.maxSeconds) { stopped = `time budget (${opts.maxSeconds} s)`; break; }
+  }
+  return { best, base: opts.base ? trials[0] : null, trials, stopped };
+}
+
+module.exports = {
+  DEFAULT_BUDGET,
+  DEFAULT_PATIENCE,
+  sampleConfig,
+  randomSearch
+};
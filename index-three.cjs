@@ -1,8 +1,9 @@
 const puppeteer = require('puppeteer');
-const readlineSync = require('readline-sync');
 const fs = require('fs');
 const path = require('path');
 const natural = require('natural');
+const { loadSiteProfile, selectorChain, profileUrl, waitForAnySelector } = require('./site-profile.cjs');
+const { sessionLaunchOptions, createLoginSession } = require('./browser-session.cjs');
 
 const DATA_FILE = path.join(__dirname, 'virtual_match_data.json');
 
@@ -40,29 +41,12 @@ function predictMatches(classifier, matches) {
   });
 }
 
-async function login(page, phoneNumber, password) {
-  const phoneSelector = '#loginStep input[type="tel"]';
-  const passSelector = '#loginStep input[type="password"]';
-  const loginButtonSelector = '#loginStep button';
-
-  await page.waitForSelector(phoneSelector);
-  await page.type(phoneSelector, phoneNumber);
-  await page.waitForSelector(passSelector);
-  await page.type(passSelector, password);
-  await page.waitForSelector(loginButtonSelector);
-  await Promise.all([
-    page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 60000 }),
-    page.click(loginButtonSelector)
-  ]);
-  console.log('✅ Login successful!');
-}
-
 // Scrape past match history
-async function scrapeMatchHistory(page) {
-  await page.goto('https://www.sportybet.com/ng/instant-virtuals/', { timeout: 120000 });
-  await page.waitForSelector('#iv-live-score-result > div.result', { timeout: 120000 });
+async function scrapeMatchHistory(page, profile) {
+  await page.goto(profileUrl(profile, 'instantVirtuals'), { timeout: 120000 });
+  const resultSelector = await waitForAnySelector(page, selectorChain(profile, 'virtualResults'), { timeout: 120000 });
 
-  const matchData = await page.$$eval('#iv-live-score-result > div.result', nodes => {
+  const matchData = await page.$$eval(resultSelector, nodes => {
     return nodes.map(node => {
       const teamsText = node.innerText.match(/(.+?)\s+(\d+)\s+-\s+(\d+)\s+(.+)/);
       if (!teamsText) return null;
@@ -84,10 +68,11 @@ async function scrapeMatchHistory(page) {
 }
 
 // Scrape your selected upcoming matches
-async function scrapeUpcomingMatches(page) {
-  await page.waitForSelector('#quick-game-match-container > div.event-lists.scroll-level > div.m-table', { timeout: 120000 });
+async function scrapeUpcomingMatches(page, profile) {
+  await waitForAnySelector(page, selectorChain(profile, 'virtualUpcoming'), { timeout: 120000 });
+  const teamsSelector = await waitForAnySelector(page, selectorChain(profile, 'virtualUpcomingTeams'), { timeout: 120000 });
 
-  const picks = await page.$$eval('#quick-game-match-container > div.event-lists.scroll-level > div.m-table > div > div.m-table-cell.table-team-column', nodes => {
+  const picks = await page.$$eval(teamsSelector, nodes => {
     return nodes.map(node => {
       const teamsText = node.innerText.trim().split('vs');
       return {
@@ -100,16 +85,17 @@ async function scrapeUpcomingMatches(page) {
   return picks;
 }
 
-async function start() {
-  const phoneNumber = readlineSync.question('📱 Enter your SportyBet phone number: ');
-  const password = readlineSync.question('🔐 Enter your password: ', { hideEchoBack: true });
+// argv: `--headless` runs the browser without a window
+async function start(tokens = process.argv.slice(2)) {
+  const profile = loadSiteProfile();
+  console.log(`🧭 Site profile: ${profile.name}`);
 
-  const browser = await puppeteer.launch({ headless: false, slowMo: 50, defaultViewport: null, args: ['--start-maximized'] });
+  const browser = await puppeteer.launch(sessionLaunchOptions(profile, { headless: tokens.includes('--headless') }));
   const page = await browser.newPage();
-  await page.goto('https://www.sportybet.com/ng/m/', { waitUntil: 'domcontentloaded', timeout: 60000 });
 
+  // login (skipped while the saved browser session is still valid)
   try {
-    await login(page, phoneNumber, password);
+    await createLoginSession(page, profile, { waitUntil: 'domcontentloaded', timeout: 60000 }).ensure();
   } catch (err) {
     console.error('❌ Login failed:', err);
     await browser.close();
@@ -119,14 +105,14 @@ async function start() {
   try {
     console.log('📊 Scraping past match results...');
     const allMatchData = loadMatchData();
-    const newMatchData = await scrapeMatchHistory(page);
+    const newMatchData = await scrapeMatchHistory(page, profile);
     const updatedData = [...allMatchData, ...newMatchData];
     saveMatchData(updatedData);
 
     const model = trainModel(updatedData);
 
     console.log('🔍 Reading your selected matches...');
-    const upcomingMatches = await scrapeUpcomingMatches(page);
+    const upcomingMatches = await scrapeUpcomingMatches(page, profile);
     const predictions = predictMatches(model, upcomingMatches.slice(0, 10));
 
     predictions.forEach((p, i) => {
@@ -139,4 +125,6 @@ async function start() {
   await browser.close();
 }
 
-start();
+module.exports = { start };
+
+if (require.main === module) start();
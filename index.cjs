@@ -2,9 +2,16 @@
 // Improved extraction + change-detection to avoid spamming same outcome.
 // Predictor-only: reads outcomes, logs accuracy, predicts next (does NOT place bets)
 
-const puppeteer = require('puppeteer');
-const readlineSync = require('readline-sync');
 const fs = require('fs');
+const { loadSiteProfile, selectorChain, waitForAnySelector } = require('./site-profile.cjs');
+const { createScrapeSupervisor } = require('./scrape-supervisor.cjs');
+const { resolveCaptureMode, createNetworkCapture, installBannerWatch, waitForBannerResult, consumeBanner } = require('./round-capture.cjs');
+const { roundKeyFor, isSameRound } = require('./round-identity.cjs');
+const { openHistoryStore } = require('./history-store.cjs');
+const { BASELINES, createBaselineTracker, compareWithBaselines, printBaselineReport } = require('./baselines.cjs');
+const { parseArgs } = require('./cli-args.cjs');
+const { startDashboard } = require('./dashboard-server.cjs');
+const { ABSTAIN, gateIsOn, passesGate, formatGate, gateFromArgs, createSelectiveTracker } = require('./abstention.cjs');
 
 const TIMEOUT = 60000;
 const SLEEP_SHORT = 3000;
@@ -14,20 +21,35 @@ const MIX_GLOBAL = 0.20;
 const STREAK_WINDOW = 3;
 const STREAK_BONUS = 0.08;
 const RECENT_WINDOW = 20;
+const BASELINE_REPORT_EVERY = 50; // print the model-vs-baselines report every N scored predictions
 
 const OUTCOMES = ['RED','BLACK','GREEN'];
-const OUTCOME_FILE = 'rb_outcomes.json';
+const OUTCOME_FILE = 'rb_outcomes.jsonl';       // append-only { ts, outcome, roundId?, payout?, roundKey?, source } store
+const LEGACY_OUTCOME_FILE = 'rb_outcomes.json'; // bare outcome array, migrated on the first append
 const LOGFILE = 'rb_predictions_with_green.log';
+const STATUS_FILE = 'rb_index_status.json';   // live health of the loop (scrape-supervisor.cjs)
 
 // model state
 let lastOutcome = null;
 let prevPrediction = null;
+let abstainedLast = false; // the gate held back the pick for the upcoming round
+let gate = { minProb: 0, minMargin: 0 }; // confidence gate from --min-prob / --min-margin (0 = always pick)
+const selective = createSelectiveTracker();
+let prevDist = null;  // distribution behind prevPrediction (dashboard scoring)
+let dashboard = null; // live dashboard (--dashboard [--port N])
+let capture = null;   // network capture on the supervisor's current page (--capture network)
 const trans = { RED:{RED:ALPHA,BLACK:ALPHA,GREEN:ALPHA}, BLACK:{RED:ALPHA,BLACK:ALPHA,GREEN:ALPHA}, GREEN:{RED:ALPHA,BLACK:ALPHA,GREEN:ALPHA} };
 const marg  = { RED:ALPHA, BLACK:ALPHA, GREEN:ALPHA };
 
 let totalPred = 0, correctPred = 0;
 let recent = []; // booleans
+let lastRound = null; // { ts, outcome, roundId?, payout?, roundKey?, source } of the last handled round (dedup)
 let outcomesList = []; // in-memory sequence of observed outcomes (most recent last)
+let outcomeStore = null;
+// live baselines, scored on the same rounds as the model (this run only)
+const baselineTracker = createBaselineTracker(OUTCOMES);
+let baselinePicks = null; // baseline picks for the upcoming round
+const liveHits = { model: [], baselines: Object.fromEntries(BASELINES.map(b => [b, []])) };
 
 // helpers
 function sleep(ms){ return new Promise(r=>setTimeout(r,ms)); }
@@ -99,99 +121,104 @@ function appendLine(file, line){
 // load persisted outcomes (if any)
 function loadPersistedOutcomes(){
   try{
-    if(fs.existsSync(OUTCOME_FILE)){
-      const arr = JSON.parse(fs.readFileSync(OUTCOME_FILE,'utf8'));
-      if(Array.isArray(arr)){
-        outcomesList = arr.slice(-500); // cap
-        // replay to seed model
-        lastOutcome = null;
-        for(const o of outcomesList) if(OUTCOMES.includes(o)) updateModel(o);
-        console.log(`🗂️ Loaded ${outcomesList.length} persisted outcomes.`);
-      }
-    }
+    outcomeStore = openHistoryStore(OUTCOME_FILE, { legacyFile: LEGACY_OUTCOME_FILE });
+    outcomesList = outcomeStore.last(500).map(e => e.outcome); // cap
+    // replay to seed model
+    lastOutcome = null;
+    for(const o of outcomesList) if(OUTCOMES.includes(o)) { updateModel(o); baselineTracker.observe(o); }
+    console.log(`🗂️ Loaded ${outcomesList.length} persisted outcomes.`);
   }catch(e){ console.warn('⚠️ Could not load persisted outcomes:', e.message || e); }
 }
 
-// persist observed outcome
-function persistOutcome(o){
+// persist observed round (entry from isNewRound: outcome plus its identity, so `dedupe` can tell rounds apart)
+function persistOutcome(entry){
   try{
-    outcomesList.push(o);
+    outcomesList.push(entry.outcome);
     if(outcomesList.length > 1000) outcomesList.shift();
-    fs.writeFileSync(OUTCOME_FILE, JSON.stringify(outcomesList, null, 2));
+    if(outcomeStore) outcomeStore.append(entry);
   }catch(e){ /* ignore */ }
 }
 
-// main
-async function start(){
+// main — argv: `--capture dom|network`, `--headless`, `--stall min`, `--dashboard [--port N]`, `--min-prob/--min-margin`
+async function start(tokens = process.argv.slice(2)){
+  const argv = parseArgs(tokens, { boolean: ['dashboard', 'headless'] });
+  const captureMode = resolveCaptureMode(argv.capture); // falls back to RB_CAPTURE_MODE, then dom
+  gate = gateFromArgs(argv);
+  if(gateIsOn(gate)) console.log(`🤐 Abstaining unless ${formatGate(gate)}`);
   loadPersistedOutcomes();
+  if(argv.dashboard){
+    dashboard = await startDashboard({
+      port: argv.port ? Number(argv.port) : undefined,
+      title: 'Red/Black/Green — index.cjs',
+      labels: OUTCOMES,
+      sources: { history: () => (outcomeStore ? outcomeStore.all() : []) }
+    });
+    console.log(`📊 Dashboard on ${dashboard.url} (localhost only)`);
+  }
 
-  const phone = readlineSync.question('📱 Enter your SportyBet phone number: ');
-  const pass  = readlineSync.question('🔐 Enter your password: ', { hideEchoBack: true });
-
-  const browser = await puppeteer.launch({ headless: false, slowMo: 50, defaultViewport: null, args: ['--start-maximized'] });
-  const page = await browser.newPage();
-
-  // login
+  const profile = loadSiteProfile();
+  console.log(`🧭 Site profile: ${profile.name}`);
+
+  // browser, login (skipped while the saved session is still valid), recovery and health: scrape-supervisor.cjs
+  const supervisor = createScrapeSupervisor({
+    label: 'index',
+    profile,
+    gamePage: 'redBlack',
+    headless: argv.headless,
+    timeout: TIMEOUT,
+    stallMinutes: argv.stall ? Number(argv.stall) : undefined,
+    statusFile: STATUS_FILE,
+    onPage: async (page) => {
+      capture = captureMode === 'network' ? await createNetworkCapture(page, profile) : null;
+      await installBannerWatch(page, selectorChain(profile, 'result'));
+    }
+  });
   try{
-    await page.goto('https://www.sportybet.com/ng/m/', { waitUntil:'domcontentloaded', timeout: TIMEOUT });
-    const phoneSelector = '#loginStep > div.login-container > form > div.verifyInputs.m-input-wap-wrapper.m-input-wap-group.m-input-wap-group--prepend input';
-    const passSelector  = '#loginStep > div.login-container > form > div:nth-child(3) input';
-    const loginButton   = '#loginStep > div.login-container > form > button';
-
-    await page.waitForSelector(phoneSelector, { timeout: TIMEOUT });
-    await page.type(phoneSelector, phone);
-    await page.waitForSelector(passSelector, { timeout: TIMEOUT });
-    await page.type(passSelector, pass);
-    await page.waitForSelector(loginButton, { timeout: TIMEOUT });
-
-    await Promise.all([
-      page.waitForNavigation({ waitUntil: 'networkidle0', timeout: TIMEOUT }),
-      page.click(loginButton)
-    ]);
-
-    console.log('✅ Login successful!');
+    await supervisor.start();
   }catch(e){
     console.error('❌ Login failed:', e.message || e);
     return;
   }
 
-  // navigate to red-black
-  try{
-    await page.goto('https://www.sportybet.com/ng/sportygames/red-black', { waitUntil:'domcontentloaded', timeout: TIMEOUT });
-  }catch(e){ console.warn('⚠️ Nav to red-black failed:', e.message || e); }
-
-  await monitorLoop(page);
+  console.log(`🛰️ Capture mode: ${captureMode}`);
+  await monitorLoop(supervisor, profile);
 }
 
 // Improved monitor loop: uses change-detection + strict token match
-async function monitorLoop(page){
-  const outcomeSelector = '#app > div > div > div.game-container-pad > div.align-items-center.d-flex.justify-content-center.mt-1.win-lose';
-  const nextHandSelector = outcomeSelector + ' > div:nth-child(2)';
+// With a network capture its round payloads are used first and the DOM text is the fallback.
+// supervisor: owns the page; told about every new round and about loop errors (relogin, restart, backoff)
+async function monitorLoop(supervisor, profile){
+  const outcomeChain = selectorChain(profile, 'result');
+  const nextHandChain = selectorChain(profile, 'nextHand');
+  const balanceChain = selectorChain(profile, 'balance', { optional: true });
   let lastSeenRawText = ''; // track the last raw text we processed
 
   while(true){
+    const page = supervisor.page();
     try{
+      if(capture){
+        console.log('⏳ Waiting for a round payload from the game traffic...');
+        const round = await capture.next(TIMEOUT);
+        if(round){
+          const payout = round.payout !== null ? ` payout=${round.payout}` : '';
+          console.log(`🎲 Observed (network): round ${round.roundId || '?'}${payout}`);
+          const entry = isNewRound(round);
+          if(!entry) continue;
+          // the banner will show this round too: mark it read so a later DOM fallback does not count it again
+          const shown = await consumeBanner(page, outcomeChain, round.outcome);
+          if(shown) lastSeenRawText = shown;
+          supervisor.roundSeen();
+          await handleObserved(page, nextHandChain, entry);
+          continue;
+        }
+        console.log('🛰️ No round payload captured in time — falling back to page text.');
+      }
+
       console.log('⏳ Waiting for a new round result (detects change + token)...');
 
       // wait for the container text to contain the token and differ from last seen raw text
-      const handle = await page.waitForFunction(
-        (sel, lastSeen) => {
-          const el = document.querySelector(sel);
-          if(!el) return null;
-          const raw = (el.textContent || '').trim();
-          const up = raw.toUpperCase();
-          const match = up.match(/\b(RED|BLACK|GREEN)\b/);
-          if(!match) return null;
-          if(raw === lastSeen) return null; // skip if identical to last processed
-          // return the raw text (we'll extract token in Node)
-          return raw;
-        },
-        { timeout: TIMEOUT },
-        outcomeSelector,
-        lastSeenRawText
-      );
-
-      const rawText = await handle.jsonValue();
+      // (an identical text counts again once the banner was cleared in between: back-to-back identical results)
+      const { raw: rawText, balance } = await waitForBannerResult(page, outcomeChain, balanceChain, lastSeenRawText, { timeout: TIMEOUT });
       // debug: show rawText (can be long)
       // console.log('DEBUG rawText:', JSON.stringify(rawText).slice(0,200));
 
@@ -211,54 +238,109 @@ async function monitorLoop(page){
       lastSeenRawText = rawText;
 
       console.log(`🎲 Observed (raw): ${rawText}`);
-      console.log(`🎯 Normalized outcome: ${observed}`);
-
-      // compare with previous prediction (if we had one)
-      if(prevPrediction){
-        const ok = prevPrediction === observed;
-        totalPred += 1;
-        if(ok) correctPred += 1;
-        recent.push(ok);
-        if(recent.length > RECENT_WINDOW) recent.shift();
-
-        const logLine = `${new Date().toISOString()} | observed=${observed} | prevPred=${prevPrediction} | ${ok ? 'OK' : 'WRONG'}\n`;
-        appendLine(LOGFILE, logLine);
-        logAccuracy();
+      const entry = isNewRound({ outcome: observed, raw: rawText, balance, source: 'dom' });
+      if(!entry){
+        await sleep(1500);
+        continue;
       }
+      supervisor.roundSeen();
+      await handleObserved(page, nextHandChain, entry);
 
-      // update model and persist
-      updateModel(observed);
-      persistOutcome(observed);
-
-      // maintain small outcomesList already persisted
-      // (updateModel already updated lastOutcome)
-      // Predict distribution using the in-memory outcomesList
-      const dist = predictDistribution(outcomesList);
-      const nextPred = argmax(dist);
-      prevPrediction = nextPred;
-
-      console.log('🔮 Next probabilities -> ' + OUTCOMES.map(o => `${o}:${(dist[o]*100).toFixed(1)}%`).join('  '));
-      console.log(`👉 Predicted next: ${nextPred}`);
-
-      // try to click Play Next Hand to progress
+    }catch(err){
+      console.log('⚠️ Loop error:', err.message || err);
       try{
-        await page.waitForSelector(nextHandSelector, { timeout: 20000 });
-        await page.click(nextHandSelector);
-        await sleep(SLEEP_SHORT);
+        await supervisor.recover(err);
       }catch(e){
-        console.log('⚠️ Could not click Play Next Hand:', e.message || e);
+        console.error('❌ Monitor stopped:', e.message || e);
+        return;
       }
+    }
+  }
+}
 
-      // small delay before next detection cycle
-      await sleep(1200);
+// round identity check against the last handled round (scraped round id, or banner+balance within the window)
+// -> the entry to store ({ ts, outcome, roundId?, payout?, roundKey?, source }), or null for the same round again
+function isNewRound(round){
+  const entry = { ts: Date.now(), outcome: round.outcome };
+  if(round.roundId) entry.roundId = round.roundId;
+  if(round.payout !== undefined && round.payout !== null) entry.payout = round.payout;
+  const key = roundKeyFor(round);
+  if(key) entry.roundKey = key;
+  if(round.source) entry.source = round.source;
+  if(isSameRound(lastRound, entry)){
+    console.log(`↩️ Same round as the last one (${entry.roundKey || entry.outcome}) — skipped.`);
+    return null;
+  }
+  lastRound = entry;
+  return entry;
+}
 
-    }catch(err){
-      console.log('⚠️ Loop error:', err.message || err);
-      try{ await page.reload({ waitUntil:'domcontentloaded', timeout: TIMEOUT }); }catch(e){}
-      await sleep(2000);
+// score the previous prediction, update + persist, predict next and move to the next hand
+async function handleObserved(page, nextHandChain, entry){
+  const observed = entry.outcome;
+  console.log(`🎯 Normalized outcome: ${observed}`);
+
+  // compare with previous prediction (if we had one); abstentions are logged but not scored
+  if(prevPrediction || abstainedLast) selective.record(prevPrediction, observed);
+  if(abstainedLast){
+    appendLine(LOGFILE, `${new Date().toISOString()} | observed=${observed} | prevPred=${ABSTAIN} | SKIP\n`);
+    console.log(`🤐 Abstained on this round | ${selective.line()}`);
+  }
+  if(prevPrediction){
+    const ok = prevPrediction === observed;
+    totalPred += 1;
+    if(ok) correctPred += 1;
+    recent.push(ok);
+    if(recent.length > RECENT_WINDOW) recent.shift();
+
+    const logLine = `${new Date().toISOString()} | observed=${observed} | prevPred=${prevPrediction} | ${ok ? 'OK' : 'WRONG'}\n`;
+    appendLine(LOGFILE, logLine);
+    logAccuracy();
+    if(gateIsOn(gate)) console.log(`🤐 ${selective.line()}`);
+
+    if(baselinePicks){
+      liveHits.model.push(ok);
+      for(const b of BASELINES) liveHits.baselines[b].push(baselinePicks[b] === observed);
+      if(liveHits.model.length % BASELINE_REPORT_EVERY === 0){
+        printBaselineReport(compareWithBaselines(liveHits.model, liveHits.baselines, { labels: OUTCOMES }), 'Live accuracy vs baselines');
+      }
     }
   }
+  baselineTracker.observe(observed);
+  if(dashboard) dashboard.publish('round', { ts: Date.now(), outcome: observed, prevDist, prevPick: prevPrediction, abstained: abstainedLast });
+
+  // update model and persist
+  updateModel(observed);
+  persistOutcome(entry);
+
+  // maintain small outcomesList already persisted
+  // (updateModel already updated lastOutcome)
+  // Predict distribution using the in-memory outcomesList
+  const dist = predictDistribution(outcomesList);
+  const nextPred = passesGate(dist, gate) ? argmax(dist) : null;
+  prevPrediction = nextPred;
+  abstainedLast = nextPred === null;
+  prevDist = dist;
+  if(dashboard) dashboard.publish('prediction', { ts: Date.now(), dist, pick: nextPred });
+  baselinePicks = baselineTracker.picks();
+
+  console.log('🔮 Next probabilities -> ' + OUTCOMES.map(o => `${o}:${(dist[o]*100).toFixed(1)}%`).join('  '));
+  console.log(`👉 Predicted next: ${nextPred || `${ABSTAIN} (gate needs ${formatGate(gate)})`}`);
+
+  // try to click Play Next Hand to progress
+  try{
+    const nextHandSelector = await waitForAnySelector(page, nextHandChain, { timeout: 20000 });
+    await page.click(nextHandSelector);
+    await sleep(SLEEP_SHORT);
+  }catch(e){
+    console.log('⚠️ Could not click Play Next Hand:', e.message || e);
+  }
+
+  // small delay before next detection cycle
+  await sleep(1200);
 }
 
-// run
-start();
+module.exports = { start };
+
+// run (rb.cjs requires this file and calls start() itself)
+if (require.main === module) start();
@@ -3,62 +3,203 @@
 // - Data collection (JSON), statistical tests, softmax logistic regression,
 //   Markov model with recency decay, ensemble predictions, walk-forward evaluation.
 // - Predictor-only: reads outcomes, logs, predicts next. DOES NOT place bets.
+// - The scrape loop, dashboard, credentials and profile checks are in live-commands.cjs, the local API in
+//   api-commands.cjs and dedupe / import / compact in history-commands.cjs; the REPL loads them on first use.
 
-const puppeteer = require('puppeteer');
-const readlineSync = require('readline-sync');
 const fs = require('fs');
 const path = require('path');
-
-// Try to use simple-statistics for convenience (chi-square p-values etc.)
-// but we include fallbacks if it's not installed.
-let ss = null;
-try { ss = require('simple-statistics'); } catch (e) { /* optional */ }
+const { parseArgs } = require('./cli-args.cjs');
+const { openHistoryStore, readHistoryFile, writeHistoryFile } = require('./history-store.cjs');
+const { defaultWorkers, runBacktestSync, runBacktest, runBacktestGrid } = require('./backtest-engine.cjs');
+const {
+  DEFAULT_BINS, scoreRecords, recordsFromPredictionCsv, recordsFromBacktest, fitCalibration,
+  applyCalibration, calibrateRecords, loadCalibration, saveCalibration, printScoreReport
+} = require('./scoring.cjs');
+const { baselineHitsFor, compareWithBaselines, printBaselineReport } = require('./baselines.cjs');
+const { chiSquareSf, mulberry32 } = require('./stats-math.cjs');
+const { parseExpected, auditSequence, printAuditReport } = require('./randomness-audit.cjs');
+const { createContextTree, contextTreeFromSequence, describeContext } = require('./context-tree.cjs');
+const {
+  trainHmm, createHmmFilter, filterSequence, viterbi, regimeTimeline, saveHmm, loadHmm,
+  regimeName, describeRegime, formatRegimeProbs, printHmmSummary
+} = require('./hmm-regime.cjs');
+const { trainGru, predictGru } = require('./gru-model.cjs');
+const { createHedge, loadHedge, formatWeights } = require('./adaptive-weights.cjs');
+const { DEFAULT_BUDGET, DEFAULT_PATIENCE, randomSearch } = require('./hyperparam-search.cjs');
+const { describeData, checkCompatible, openRegistry } = require('./model-registry.cjs');
+const { createFeaturePipeline, listFeatures, findFeature, featureImportance } = require('./feature-pipeline.cjs');
+const { SOURCES, DEFAULT_PROBS, DEFAULT_REGIMES, DEFAULT_ROUNDS, generateHistory, runSimulationStudy, printSimulationReport } = require('./synthetic.cjs');
+const {
+  ABSTAIN, gateIsOn, passesGate, formatGate, gateFromArgs, confidenceOf, selectiveSummary, riskCoverage,
+  printRiskCoverage, printSelectiveSummary
+} = require('./abstention.cjs');
+const { PLANS, parseOdds, simulateBankroll, monteCarloBankroll, writeCurvesCsv, printBankrollReport } = require('./bankroll-sim.cjs');
 
 // ---------- CONFIG ----------
-const DATA_FILE = path.join(__dirname, 'rb_history.json'); // stored scraped outcomes
-const MODEL_FILE = path.join(__dirname, 'rb_model.json');  // optional persisted model
+const DATA_FILE = path.join(__dirname, 'rb_history.jsonl'); // append-only store of scraped outcomes
+const LEGACY_DATA_FILE = path.join(__dirname, 'rb_history.json'); // pre-store JSON array, migrated on the first write
+const MODELS_DIR = path.join(__dirname, 'models');        // model registry (`train` saves here, `models` manages it)
+const LEGACY_MODEL_FILE = path.join(__dirname, 'rb_model.json'); // bare { W, b } from before the registry (`models import`)
 const LOGFILE = path.join(__dirname, 'rb_predictions_log.csv');
-
-const TIMEOUT = 60000;
-const SCRAPE_SELECTOR = '#app > div > div > div.game-container-pad > div.align-items-center.d-flex.justify-content-center.mt-1.win-lose';
-const NEXT_HAND_SELECTOR = '#app > div > div > div.game-container-pad > div.align-items-center.d-flex.justify-content-center.mt-1.win-lose > div:nth-child(2)';
+const CALIBRATION_FILE = path.join(__dirname, 'rb_calibration.json'); // optional recalibration (calibration --fit)
+const HMM_FILE = path.join(__dirname, 'rb_hmm.json');  // regime model saved by the `hmm` command
+const WEIGHTS_FILE = path.join(__dirname, 'rb_weights.json'); // adaptive ensemble weights kept by the live loop
+const CONFIG_FILE = path.join(__dirname, 'rb_tuned_config.json'); // best hyperparameters found by `tune`
+const FEATURES_FILE = path.join(__dirname, 'rb_features.json'); // feature switches/params (`features on|off|set`)
+const ABSTAIN_FILE = path.join(__dirname, 'rb_abstain.json'); // confidence gate for picks (`abstain --min-prob/--min-margin`)
 
 const OUTCOMES = ['RED', 'BLACK', 'GREEN'];
 
 // Feature window sizes and modeling hyperparams
-const N_WINDOW = 10;         // how many past outcomes to encode/count
-const EPOCHS = 120;          // epochs for logistic training per call (can be tuned)
-const LR = 0.05;             // learning rate for softmax SGD
-const L2 = 0.001;            // L2 regularization weight
-const DECAY = 0.985;         // recency decay for counts / Markov (same idea as earlier)
-const MIX_MARKOV = 0.35;     // ensemble weight for Markov model
-const MIX_LOGREG = 0.55;     // ensemble weight for logistic model
-const MIX_MARG = 0.10;       // marginal fallback weight
-const STREAK_WINDOW = 3;
-const STREAK_BONUS = 0.06;   // small bias away from long streak outcome
-
-// Accuracy tracking
-let lastPick = null;         // prediction for the upcoming round
-let totalPred = 0;
-let correctPred = 0;
-const RECENT_WINDOW = 20;
-let recentPredictions = [];  // booleans; true if correct
+// The `let` ones are tunable: `tune` searches TUNE_SPACE and saves the best values to CONFIG_FILE,
+// which the CLI applies at startup (applyConfig)
+let N_WINDOW = 10;           // how many past outcomes to encode/count
+let EPOCHS = 120;            // epochs for a full logistic training (train, live loop, backtests)
+let LR = 0.05;               // learning rate for softmax SGD
+let L2 = 0.001;              // L2 regularization weight
+let DECAY = 0.985;           // recency decay for counts / Markov (same idea as earlier)
+let MIX_MARKOV = 0.18;       // ensemble weight for Markov model
+let MIX_LOGREG = 0.45;       // ensemble weight for logistic model
+let MIX_CONTEXT = 0.10;      // ensemble weight for the variable-order context model
+let MIX_HMM = 0.07;          // ensemble weight for the HMM regime model (when one is trained)
+let MIX_GRU = 0.10;          // ensemble weight for the GRU sequence model (when one is trained)
+let MIX_MARG = 0.10;         // marginal fallback weight
+// The MIX_* weights are the starting point (prior); the live loop re-weights members from their recent log-loss
+const ADAPTIVE_WEIGHTS = true; // re-weight members online (Hedge with forgetting); false = fixed MIX_* weights
+const HEDGE_ETA = 0.3;       // learning rate of the re-weighting (1 = Bayesian model averaging; lower = steadier weights)
+const HEDGE_FORGET = 0.98;   // per-round discount of past losses (memory ≈ 50 rounds)
+const CONTEXT_DEPTH = 4;     // longest context (in rounds) the context model tracks
+const HMM_STATES = 2;        // hidden regimes in the HMM
+const HMM_MIN_HISTORY = 30;  // rounds needed before the HMM is trained
+const HMM_REFIT_ITERATIONS = 20; // Baum–Welch passes for a warm-started refit
+const GRU_HIDDEN = 8;        // GRU hidden units
+const GRU_WINDOW = 16;       // rounds the GRU sees (training windows and prediction)
+const GRU_EPOCHS = 30;       // epochs for a fresh GRU fit
+const GRU_REFIT_EPOCHS = 5;  // epochs for a warm-started GRU refit
+const GRU_MIN_HISTORY = 40;  // rounds needed before the GRU is trained
+const GRU_BACKTEST_REFIT = 25; // backtests refit the GRU only every N rounds (it is the slowest member to train)
+let STREAK_WINDOW = 3;
+let STREAK_BONUS = 0.06;     // small bias away from long streak outcome
 
-// ---------- Utilities & Data I/O ----------
-function sleep(ms) { return new Promise(resolve => setTimeout(resolve, ms)); }
+// Search space of `tune` (random search, scored by walk-forward log-loss)
+const TUNE_SPACE = {
+  N_WINDOW: { min: 4, max: 20, int: true },
+  EPOCHS: { min: 30, max: 200, int: true },
+  LR: { min: 0.01, max: 0.2, log: true },
+  L2: { min: 0.0001, max: 0.01, log: true },
+  DECAY: { min: 0.95, max: 0.999 },
+  MIX_MARKOV: { min: 0, max: 0.4 },
+  MIX_LOGREG: { min: 0.1, max: 0.7 },
+  MIX_CONTEXT: { min: 0, max: 0.3 },
+  MIX_HMM: { min: 0, max: 0.2 },
+  MIX_GRU: { min: 0, max: 0.2 },
+  MIX_MARG: { min: 0, max: 0.3 },
+  STREAK_WINDOW: { min: 2, max: 6, int: true },
+  STREAK_BONUS: { min: 0, max: 0.12 }
+};
+const TUNE_MIN_TRAIN = 25;   // first scored round of every trial (>= N_WINDOW + 5 for any N_WINDOW in the space)
+const TUNE_REFIT = 5;        // trials refit every N rounds (full backtests refit every round)
+const TUNE_HOLDOUT = 0.2;    // share of the newest rounds kept out of the search, to check the winner on
+const TUNE_MIN_HOLDOUT = 20; // rounds the holdout needs at least
 
-function loadHistory() {
+// Online (warm-start) training: a few SGD steps per new round instead of full retrains
+const ONLINE_STEPS = 3;      // SGD steps on each newly observed round
+const ONLINE_LR = 0.05;      // initial online learning rate
+const ONLINE_LR_DECAY = 0.002; // lr_t = ONLINE_LR / (1 + ONLINE_LR_DECAY * t), t = online updates so far
+const REFIT_EVERY = 200;     // periodic full refit (warm-started) every N rounds; 0 disables
+const REFIT_EPOCHS = 30;     // epochs for a warm-started refit
+
+// ---------- Tunable config ----------
+const CONFIG_SETTERS = {
+  N_WINDOW: v => { N_WINDOW = v; },
+  EPOCHS: v => { EPOCHS = v; },
+  LR: v => { LR = v; },
+  L2: v => { L2 = v; },
+  DECAY: v => { DECAY = v; },
+  MIX_MARKOV: v => { MIX_MARKOV = v; },
+  MIX_LOGREG: v => { MIX_LOGREG = v; },
+  MIX_CONTEXT: v => { MIX_CONTEXT = v; },
+  MIX_HMM: v => { MIX_HMM = v; },
+  MIX_GRU: v => { MIX_GRU = v; },
+  MIX_MARG: v => { MIX_MARG = v; },
+  STREAK_WINDOW: v => { STREAK_WINDOW = v; },
+  STREAK_BONUS: v => { STREAK_BONUS = v; }
+};
+
+// tunables plus FEATURES (the feature overrides), so worker threads can rebuild the same setup
+function currentConfig() {
+  return {
+    N_WINDOW, EPOCHS, LR, L2, DECAY,
+    MIX_MARKOV, MIX_LOGREG, MIX_CONTEXT, MIX_HMM, MIX_GRU, MIX_MARG,
+    STREAK_WINDOW, STREAK_BONUS,
+    FEATURES: featureOverrides
+  };
+}
+
+// set the tunables named in cfg (unknown names / non-numbers are ignored) -> previous config
+function applyConfig(cfg) {
+  const prev = currentConfig();
+  for (const [k, v] of Object.entries(cfg || {})) {
+    if (k === 'FEATURES' && v && typeof v === 'object') featureOverrides = v;
+    else if (CONFIG_SETTERS[k] && Number.isFinite(v)) CONFIG_SETTERS[k](v);
+    else console.warn(`⚠️ Ignoring config entry ${k}=${v}`);
+  }
+  return prev;
+}
+
+function loadFeatureOverrides() {
+  if (!fs.existsSync(FEATURES_FILE)) return {};
+  try { return JSON.parse(fs.readFileSync(FEATURES_FILE, 'utf8')); } catch (e) {
+    console.warn(`⚠️ Ignoring unreadable feature config ${FEATURES_FILE}:`, e.message || e);
+    return {};
+  }
+}
+
+// confidence gate from ABSTAIN_FILE -> { minProb, minMargin } ({ 0, 0 } = always pick)
+function loadAbstainGate() {
+  if (!fs.existsSync(ABSTAIN_FILE)) return { minProb: 0, minMargin: 0 };
   try {
-    if (fs.existsSync(DATA_FILE)) {
-      const raw = fs.readFileSync(DATA_FILE, 'utf8');
-      return JSON.parse(raw);
-    }
-  } catch (e) { /* ignore */ }
-  return []; // entries: { ts, outcome (RED/BLACK/GREEN) }
+    const saved = JSON.parse(fs.readFileSync(ABSTAIN_FILE, 'utf8'));
+    return gateFromArgs({ 'min-prob': saved.minProb, 'min-margin': saved.minMargin });
+  } catch (e) {
+    console.warn(`⚠️ Ignoring unreadable abstention gate ${ABSTAIN_FILE}:`, e.message || e);
+    return { minProb: 0, minMargin: 0 };
+  }
+}
+
+// -> saved { config, logLoss, baseLogLoss, trials, rounds, tunedAt } or null
+function loadTunedConfig() {
+  if (!fs.existsSync(CONFIG_FILE)) return null;
+  try { return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8')); } catch (e) {
+    console.warn(`⚠️ Ignoring unreadable config file ${CONFIG_FILE}:`, e.message || e);
+    return null;
+  }
 }
+
+// ---------- Utilities & Data I/O ----------
+let historyStore = null;
+function getHistoryStore() {
+  if (!historyStore) historyStore = openHistoryStore(DATA_FILE, { legacyFile: LEGACY_DATA_FILE });
+  return historyStore;
+}
+function loadHistory() {
+  return getHistoryStore().all(); // entries: { ts, outcome (RED/BLACK/GREEN), roundKey?, session, ... }
+}
+// whole-history rewrite (atomic); per-round writes go through getHistoryStore().append()
 function saveHistory(history) {
-  fs.writeFileSync(DATA_FILE, JSON.stringify(history, null, 2));
+  getHistoryStore().replaceAll(history);
+}
+// outcomes entered by hand (API, rb add), oldest first -> number of stored rounds. Each gets its own
+// timestamp, 1 ms apart and after the last stored entry, ending now when the clock allows; the source
+// ('api' / 'cli') keeps them out of round-identity dedupe, since each one is a round on purpose
+function appendOutcomes(outcomes, source) {
+  const store = getHistoryStore();
+  const [last] = store.last(1);
+  const start = Math.max(Date.now() - (outcomes.length - 1), last ? last.ts + 1 : 0);
+  outcomes.forEach((outcome, k) => store.append({ ts: start + k, outcome, source }));
+  return loadHistory().length;
 }
+// one row of the live loop's prediction log (LOGFILE)
 function appendLogCsv(line) {
   try {
     if (!fs.existsSync(LOGFILE)) fs.writeFileSync(LOGFILE, 'ts,observed,prevPred,prob_red,prob_black,prob_green,correct\n');
@@ -66,23 +207,8 @@ function appendLogCsv(line) {
   } catch (e) { /* ignore logging errors */ }
 }
 
-// Normalize messy UI text into RED|BLACK|GREEN using whole-word match
-// **Improved**: remove non-breaking spaces, punctuation, and collapse text neighbors
-function normalizeOutcomeText(raw) {
-  if (!raw) return null;
-  // convert to string, normalize spaces including NBSP
-  let up = String(raw).replace(/\u00A0/g, ' ').replace(/[\u200B-\u200D]/g, '').trim().toUpperCase();
-  // remove punctuation that may be stuck to words (commas, currency symbols, etc)
-  up = up.replace(/[^\w\s]/g, ' ');
-  // collapse multiple spaces
-  up = up.replace(/\s+/g, ' ').trim();
-  // whole-word search
-  const m = up.match(/\b(GREEN|RED|BLACK)\b/);
-  if (m && m[1]) return m[1];
-  return null;
-}
-
-// ---------- Statistical Tests (unchanged) ----------
+// ---------- Statistical Tests ----------
+// Quick checks for `stats`; the full three-symbol battery lives in randomness-audit.cjs (`audit`).
 
 function chiSquareTest(history) {
   const counts = Object.fromEntries(OUTCOMES.map(o => [o, 0]));
@@ -94,10 +220,7 @@ function chiSquareTest(history) {
     const diff = counts[o] - expected;
     chi2 += diff * diff / (expected || 1);
   }
-  let p = null;
-  if (ss && typeof ss.chiSquaredProbability === 'function') {
-    try { p = 1 - ss.chiSquaredDistribution(chi2, OUTCOMES.length - 1); } catch (e) { p = null; }
-  }
+  const p = history.length ? chiSquareSf(chi2, OUTCOMES.length - 1) : null;
   return { chi2, counts, total, p };
 }
 
@@ -137,45 +260,32 @@ function lag1Autocorr(history) {
   return denom ? num / denom : null;
 }
 
-// ---------- Feature Engineering (unchanged) ----------
-function buildFeatureFromHistory(history, i) {
-  const feat = [];
-  const start = Math.max(0, i - N_WINDOW);
-  const window = history.slice(start, i);
-  const counts = { RED: 0, BLACK: 0, GREEN: 0 };
-  for (const w of window) counts[w.outcome] = (counts[w.outcome] || 0) + 1;
-  const windowLen = Math.max(1, window.length);
-  feat.push(counts.RED / windowLen, counts.BLACK / windowLen, counts.GREEN / windowLen);
-
-  const last = (window.length ? window[window.length - 1].outcome : null);
-  feat.push(last === 'RED' ? 1 : 0, last === 'BLACK' ? 1 : 0, last === 'GREEN' ? 1 : 0);
-
-  let streak = 0;
-  if (window.length) {
-    const val = window[window.length - 1].outcome;
-    for (let j = window.length - 1; j >= 0; j--) {
-      if (window[j].outcome === val) streak++;
-      else break;
-    }
-  }
-  feat.push(Math.min(streak, 9) / 9);
+// ---------- Feature Engineering ----------
+// Rows come from the feature pipeline (feature-pipeline.cjs): the registered features switched on by
+// default plus the overrides in FEATURES_FILE (`features on|off|set`). window_counts and streak follow
+// N_WINDOW unless overridden. Row i only looks at history[0..i) (including the position slot i % 5), so a
+// row never changes once computed and walk-forward backtests can build the whole feature matrix once.
+let featureOverrides = {};   // { name: { enabled?, ...params } } from FEATURES_FILE
+let pipelineCache = null;
 
-  const pos = (history.length > 0 ? (history.length % 5) : 0);
-  for (let p = 0; p < 5; p++) feat.push(pos === p ? 1 : 0);
+function featurePipeline() {
+  const spec = { window_counts: { window: N_WINDOW }, streak: { window: N_WINDOW } };
+  for (const [name, o] of Object.entries(featureOverrides)) spec[name] = Object.assign({}, spec[name], o);
+  const key = JSON.stringify(spec);
+  if (!pipelineCache || pipelineCache.key !== key) pipelineCache = { key, pipeline: createFeaturePipeline(spec, OUTCOMES) };
+  return pipelineCache.pipeline;
+}
 
-  const lastTs = (window.length ? window[window.length - 1].ts : Date.now());
-  const dt = new Date(lastTs);
-  const hour = dt.getHours() + dt.getMinutes() / 60;
-  feat.push(Math.sin((2 * Math.PI * hour) / 24), Math.cos((2 * Math.PI * hour) / 24));
+function buildFeatureFromHistory(history, i) {
+  return featurePipeline().build(history, i);
+}
 
-  const longStart = Math.max(0, i - 200);
-  const longWindow = history.slice(longStart, i);
-  const longCounts = { RED: 0, BLACK: 0, GREEN: 0 };
-  for (const w of longWindow) longCounts[w.outcome]++;
-  const longLen = Math.max(1, longWindow.length);
-  feat.push(longCounts.RED / longLen, longCounts.BLACK / longLen, longCounts.GREEN / longLen);
+// Models record this schema (registry) and are refused when it differs from the running pipeline.
+// Bump FEATURE_SCHEMA_VERSION when a feature's computation changes without a change of name/params.
+const FEATURE_SCHEMA_VERSION = 2;
 
-  return feat;
+function featureSchema() {
+  return { version: FEATURE_SCHEMA_VERSION, features: featurePipeline().describe(), nWindow: N_WINDOW, labels: OUTCOMES };
 }
 
 // ---------- Softmax logistic (unchanged) ----------
@@ -204,13 +314,21 @@ function trainSoftmax(X, Y, opts = {}) {
   const epochs = opts.epochs || EPOCHS;
   const l2 = opts.l2 || L2;
   const batchSize = Math.min(64, Math.max(8, Math.floor(N / 8)));
+  // opts.seed: reproducible fit (separate streams, so the minibatch order does not depend on the width)
+  const initRandom = opts.seed !== undefined ? mulberry32(opts.seed) : Math.random;
+  const orderRandom = opts.seed !== undefined ? mulberry32(opts.seed + 1) : Math.random;
   const W = zeros(K, D);
   const b = new Array(K).fill(0);
-  for (let k = 0; k < K; k++) for (let d = 0; d < D; d++) W[k][d] = (Math.random() - 0.5) * 0.01;
+  // opts.init: warm start from an existing { W, b } (same shape) instead of a random init
+  const init = opts.init && opts.init.W.length === K && opts.init.W[0].length === D ? opts.init : null;
+  for (let k = 0; k < K; k++) {
+    for (let d = 0; d < D; d++) W[k][d] = init ? init.W[k][d] : (initRandom() - 0.5) * 0.01;
+    if (init) b[k] = init.b[k];
+  }
   for (let ep = 0; ep < epochs; ep++) {
     const idx = Array.from({ length: N }, (_, i) => i);
     for (let i = N - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(orderRandom() * (i + 1));
       [idx[i], idx[j]] = [idx[j], idx[i]];
     }
     for (let bstart = 0; bstart < N; bstart += batchSize) {
@@ -241,8 +359,34 @@ function trainSoftmax(X, Y, opts = {}) {
       }
     }
   }
-  return { W, b };
+  return { W, b, updates: init ? (init.updates || 0) : 0 };
 }
+
+// One online step: ONLINE_STEPS SGD updates of { W, b } on a single (x, y), learning rate decaying
+// with the number of online updates the model has seen. Mutates and returns the model.
+function onlineUpdateSoftmax(model, x, y, opts = {}) {
+  if (!model || y < 0) return model;
+  const K = OUTCOMES.length;
+  const steps = opts.steps || ONLINE_STEPS;
+  const lr0 = opts.lr || ONLINE_LR;
+  const lrDecay = opts.lrDecay !== undefined ? opts.lrDecay : ONLINE_LR_DECAY;
+  const l2 = opts.l2 || L2;
+  const t = model.updates || 0;
+  const lr = lr0 / (1 + lrDecay * t);
+  for (let s = 0; s < steps; s++) {
+    const logits = new Array(K);
+    for (let k = 0; k < K; k++) logits[k] = dotRowVec(model.W[k], x) + model.b[k];
+    const probs = softmax(logits);
+    for (let k = 0; k < K; k++) {
+      const err = probs[k] - (k === y ? 1 : 0);
+      model.b[k] -= lr * err;
+      for (let d = 0; d < x.length; d++) model.W[k][d] -= lr * (err * x[d] + l2 * model.W[k][d]);
+    }
+  }
+  model.updates = t + 1;
+  return model;
+}
+
 function predictSoftmaxModel(model, x) {
   if (!model) return null;
   const K = OUTCOMES.length;
@@ -267,6 +411,10 @@ function buildMarkov(history) {
     const w = Math.pow(DECAY, age);
     counts[prev][cur] += w;
   }
+  return markovFromCounts(counts);
+}
+// decayed transition counts -> row-normalised probabilities (uniform rows where nothing was seen)
+function markovFromCounts(counts) {
   const probs = {};
   for (const a of OUTCOMES) {
     const row = counts[a];
@@ -290,6 +438,10 @@ function buildMarginal(history) {
     const w = Math.pow(DECAY, age);
     counts[o] += w;
   }
+  return marginalFromCounts(counts);
+}
+// decayed outcome counts -> distribution
+function marginalFromCounts(counts) {
   const s = Object.values(counts).reduce((a, b) => a + b, 0) || 1;
   const marg = {};
   for (const o of OUTCOMES) marg[o] = counts[o] / s;
@@ -309,20 +461,142 @@ function argmaxWithRandomTie(dist) {
   return candidates[Math.floor(Math.random() * candidates.length)];
 }
 
+// "top RED 41.2%, margin 3.1 pts" for abstention messages
+function describeConfidence(dist) {
+  const c = confidenceOf(dist);
+  return `top ${c.label} ${(c.prob * 100).toFixed(1)}%, margin ${(c.margin * 100).toFixed(1)} pts`;
+}
+
 // ---------- Ensemble ----------
-function ensemblePredict(history, model) {
-  const margl = buildMarginal(history);
-  const markov = buildMarkov(history);
+// Members: [{ name, weight, dist, info? }] — each member's distribution for the round after `history`.
+// opts.feature: precomputed feature row for history.length (cached matrices in backtests)
+// opts.context: precomputed context-tree prediction (incremental tree in backtests)
+// opts.hmm: HMM filter prediction ({ dist, regimes }); the HMM member is left out without one
+// opts.gru: trained GRU model; likewise optional
+// opts.marginal / opts.markov: precomputed decayed distributions (createMemberState in the live loop)
+function ensembleMembers(history, model, opts = {}) {
+  const margl = opts.marginal || buildMarginal(history);
+  const markov = opts.markov || buildMarkov(history);
   const i = history.length;
-  const feat = buildFeatureFromHistory(history, i);
+  const feat = opts.feature || buildFeatureFromHistory(history, i);
   const logregProbs = model ? predictSoftmaxModel(model, feat) : Object.fromEntries(OUTCOMES.map(o => [o, 1 / OUTCOMES.length]));
   const last = (history.length ? history[history.length - 1].outcome : null);
   const markovProbs = (last && markov[last]) ? markov[last] : margl;
-  const combined = {};
-  for (const o of OUTCOMES) {
-    combined[o] = MIX_LOGREG * (logregProbs[o] || 0) + MIX_MARKOV * (markovProbs[o] || 0) + MIX_MARG * (margl[o] || 0);
+  const context = opts.context || contextTreeFromSequence(history.map(h => h.outcome), { labels: OUTCOMES, depth: CONTEXT_DEPTH, decay: DECAY }).predict();
+  const members = [
+    { name: 'logreg', weight: MIX_LOGREG, dist: logregProbs },
+    { name: 'markov', weight: MIX_MARKOV, dist: markovProbs },
+    { name: 'context', weight: MIX_CONTEXT, dist: context.dist, info: context },
+    { name: 'marginal', weight: MIX_MARG, dist: margl }
+  ];
+  if (opts.hmm) members.push({ name: 'hmm', weight: MIX_HMM, dist: opts.hmm.dist, info: opts.hmm });
+  if (opts.gru) members.push({ name: 'gru', weight: MIX_GRU, dist: predictGru(opts.gru, history.slice(-opts.gru.window).map(h => h.outcome)) });
+  return members;
+}
+
+// Inputs of ensembleMembers kept up to date one round at a time, for the live loop: the decayed marginal and
+// Markov counts and the context tree. -> { push(outcome), inputs() } ; inputs() goes into ensembleMembers' opts
+// and matches what the members would rebuild from the whole history.
+function createMemberState(history) {
+  const marginal = Object.fromEntries(OUTCOMES.map(o => [o, 0.0]));
+  const markov = Object.fromEntries(OUTCOMES.map(a => [a, Object.fromEntries(OUTCOMES.map(o => [o, 0.0]))]));
+  const tree = createContextTree({ labels: OUTCOMES, depth: CONTEXT_DEPTH, decay: DECAY });
+  let last = null;
+  function push(outcome) {
+    for (const a of OUTCOMES) {
+      marginal[a] *= DECAY;
+      for (const b of OUTCOMES) markov[a][b] *= DECAY;
+    }
+    if (OUTCOMES.includes(outcome)) {
+      marginal[outcome] += 1;
+      if (OUTCOMES.includes(last)) markov[last][outcome] += 1;
+    }
+    tree.update(outcome);
+    last = outcome;
+  }
+  for (const h of history) push(h.outcome);
+  return {
+    push,
+    inputs: () => ({ marginal: marginalFromCounts(marginal), markov: markovFromCounts(markov), context: tree.predict() })
+  };
+}
+
+// HMM on the outcomes of `history`; warm start from `prev` (keeping its number of regimes, fewer
+// Baum–Welch passes) when given
+function fitRegimeModel(history, prev) {
+  const seq = history.map(h => h.outcome).filter(o => OUTCOMES.includes(o));
+  if (seq.length < HMM_MIN_HISTORY) return null;
+  if (prev) return trainHmm(seq, { states: prev.K, labels: OUTCOMES, init: prev, iterations: HMM_REFIT_ITERATIONS });
+  return trainHmm(seq, { states: HMM_STATES, labels: OUTCOMES });
+}
+
+// saved `hmm` model when it matches the current labels, otherwise one fitted on the history
+// (opts.fit === false: null instead of fitting)
+function regimeModelFor(history, opts = {}) {
+  const saved = loadHmm(HMM_FILE);
+  if (saved && Array.isArray(saved.labels) && saved.labels.join() === OUTCOMES.join()) return saved;
+  return opts.fit === false ? null : fitRegimeModel(history);
+}
+
+// fixed MIX_* weights by member name
+function memberPrior() {
+  return { logreg: MIX_LOGREG, markov: MIX_MARKOV, context: MIX_CONTEXT, marginal: MIX_MARG, hmm: MIX_HMM, gru: MIX_GRU };
+}
+
+// adaptive weights saved by the live loop, or fresh ones starting from the MIX_* weights
+function memberHedge(fresh) {
+  const opts = { eta: HEDGE_ETA, forget: HEDGE_FORGET };
+  return fresh ? createHedge(memberPrior(), opts) : loadHedge(WEIGHTS_FILE, memberPrior(), opts);
+}
+
+// members with their weights replaced by the hedge's current weights (for the members present)
+function reweightMembers(members, hedge) {
+  const w = hedge.weights(members.map(m => m.name));
+  return members.map(m => Object.assign({}, m, { weight: w[m.name] }));
+}
+
+function memberDists(members) {
+  return Object.fromEntries(members.map(m => [m.name, m.dist]));
+}
+
+// logistic training pairs: the features of every round from N_WINDOW on, and its outcome
+function datasetFromHistory(history) {
+  const X = [], Y = [];
+  for (let i = N_WINDOW; i < history.length; i++) {
+    X.push(buildFeatureFromHistory(history, i));
+    Y.push(OUTCOMES.indexOf(history[i].outcome));
   }
-  const cl = applyStreakBias(combined, history.map(h => h.outcome));
+  return { X, Y };
+}
+
+// softmax fit with the tuned settings; warm start from `prev` (REFIT_EPOCHS) when given
+function fitLogisticModel(X, Y, prev) {
+  return trainSoftmax(X, Y, prev ? { lr: LR, epochs: REFIT_EPOCHS, l2: L2, init: prev } : { lr: LR, epochs: EPOCHS, l2: L2 });
+}
+
+// online SGD step on the newest round of `history` -> false when it is too short to have features
+function updateLogisticModel(model, history) {
+  const i = history.length - 1;
+  if (i < N_WINDOW) return false;
+  onlineUpdateSoftmax(model, buildFeatureFromHistory(history, i), OUTCOMES.indexOf(history[i].outcome));
+  return true;
+}
+
+// GRU on the outcomes of `history`; warm start from `prev` (a few epochs) when given
+function fitSequenceModel(history, prev) {
+  const seq = history.map(h => h.outcome).filter(o => OUTCOMES.includes(o));
+  if (seq.length < GRU_MIN_HISTORY) return null;
+  if (prev) return trainGru(seq, { init: prev, epochs: GRU_REFIT_EPOCHS });
+  return trainGru(seq, { labels: OUTCOMES, hidden: GRU_HIDDEN, window: GRU_WINDOW, epochs: GRU_EPOCHS });
+}
+
+
+// weighted mix of the member distributions, then the streak bias
+function combineMembers(members, history) {
+  const wsum = members.reduce((s, m) => s + m.weight, 0) || 1;
+  const combined = {};
+  for (const o of OUTCOMES) combined[o] = members.reduce((s, m) => s + m.weight * (m.dist[o] || 0), 0) / wsum;
+  const cl = applyStreakBias(combined, history.slice(-STREAK_WINDOW).map(h => h.outcome));
   const total = Object.values(cl).reduce((a, b) => a + b, 0) || 1;
   for (const k of Object.keys(cl)) cl[k] = cl[k] / total;
 
@@ -336,6 +610,10 @@ function ensemblePredict(history, model) {
   return cl;
 }
 
+function ensemblePredict(history, model, opts = {}) {
+  return combineMembers(ensembleMembers(history, model, opts), history);
+}
+
 function applyStreakBias(probs, historyList) {
   if (!historyList || historyList.length < STREAK_WINDOW) return probs;
   const tail = historyList.slice(-STREAK_WINDOW);
@@ -352,267 +630,1026 @@ function applyStreakBias(probs, historyList) {
   return probs;
 }
 
-// ---------- Walk-forward evaluation (unchanged) ----------
-function walkForwardEvaluate(history, options = {}) {
-  const minTrain = options.minTrain || Math.max(20, N_WINDOW + 5);
-  if (history.length <= minTrain) return { tested: 0, accuracy: 0, perOutcome: {} };
-  let correct = 0, tested = 0;
-  const perOutcome = Object.fromEntries(OUTCOMES.map(o => [o, { total: 0, correct: 0 }]));
-  for (let i = minTrain; i < history.length; i++) {
-    const trainHist = history.slice(0, i);
-    const testSample = history[i];
-    const X = [], Y = [];
-    for (let j = N_WINDOW; j < trainHist.length; j++) {
-      X.push(buildFeatureFromHistory(trainHist, j));
-      const label = OUTCOMES.indexOf(trainHist[j].outcome);
-      if (label >= 0) Y.push(label);
+// ---------- Walk-forward evaluation ----------
+// first scored round of a backtest: the logistic member needs N_WINDOW rounds of features and a few samples
+function backtestMinTrain(nWindow) {
+  return Math.max(20, nWindow + 5);
+}
+
+// { length, minTrain } of createBacktestAdapter(history, params) without building its feature matrix, so
+// backtest-engine.cjs can split the folds before each worker builds its own adapter
+function backtestShape(history, params = {}) {
+  const cfg = params.config || {};
+  return { length: history.length, minTrain: backtestMinTrain(Number.isFinite(cfg.N_WINDOW) ? cfg.N_WINDOW : N_WINDOW) };
+}
+
+// Adapter for backtest-engine.cjs: feature matrix and labels are built once per history.
+// The adapter model is { softmax, hmm, gru, gruTo }; the HMM is warm-started from the previous fit, the GRU
+// too but only every GRU_BACKTEST_REFIT rounds (gruTo = end of its training range).
+// Every record carries the member distributions (.members) so members can be scored on the same rounds.
+// params: { online, adaptive, config, train: { lr, epochs, l2 }, softmax } — adaptive re-weights the members after
+// every scored round; each fold (worker) starts again from the MIX_* weights. config (tunables, see applyConfig)
+// is applied before anything is built, so worker threads run with the caller's settings. softmax: a trained
+// logistic model (e.g. a registered one) used as is at every step — no refits, no online steps.
+function createBacktestAdapter(history, params = {}) {
+  if (params.config) applyConfig(params.config);
+  const F = new Array(history.length + 1);
+  for (let i = 0; i <= history.length; i++) F[i] = buildFeatureFromHistory(history, i);
+  const labels = history.map(h => OUTCOMES.indexOf(h.outcome));
+  const train = Object.assign({ lr: LR, epochs: EPOCHS, l2: L2 }, params.train);
+  // context tree fed incrementally while steps move forward; rebuilt when the window start moves
+  let tree = null, treeFrom = 0, treeAt = 0;
+  function contextAt(from, i) {
+    if (!tree || from !== treeFrom || i < treeAt) {
+      tree = createContextTree({ labels: OUTCOMES, depth: CONTEXT_DEPTH, decay: DECAY });
+      treeFrom = treeAt = from;
+    }
+    while (treeAt < i) tree.update(history[treeAt++].outcome);
+    return tree.predict();
+  }
+  // HMM filter, likewise incremental while the HMM and the window start stay the same
+  let filter = null, filterHmm = null, filterFrom = 0, filterAt = 0;
+  const hedge = params.adaptive ? memberHedge(true) : null;
+  function regimesAt(hmm, from, i) {
+    if (!hmm) return null;
+    if (!filter || hmm !== filterHmm || from !== filterFrom || i < filterAt) {
+      filter = createHmmFilter(hmm);
+      filterHmm = hmm;
+      filterFrom = filterAt = from;
     }
-    if (X.length < 10) continue;
-    const model = trainSoftmax(X, Y, { lr: 0.08, epochs: 60, l2: 0.002 });
-    const dist = ensemblePredict(trainHist, model);
-    const pick = argmaxWithRandomTie(dist);
-    perOutcome[testSample.outcome].total++;
-    if (pick === testSample.outcome) {
-      perOutcome[testSample.outcome].correct++;
-      correct++;
+    while (filterAt < i) filter.update(history[filterAt++].outcome);
+    return filter.predict();
+  }
+  return {
+    length: history.length,
+    minTrain: backtestMinTrain(N_WINDOW),
+    fit(from, to, prev) {
+      const X = [], Y = [];
+      for (let j = Math.max(from, N_WINDOW); j < to && !params.softmax; j++) {
+        if (labels[j] >= 0) { X.push(F[j]); Y.push(labels[j]); }
+      }
+      const prevSoftmax = prev ? prev.softmax : null;
+      const warm = params.online && prevSoftmax ? { epochs: REFIT_EPOCHS, init: prevSoftmax } : {};
+      const keepGru = prev && prev.gru && to - prev.gruTo < GRU_BACKTEST_REFIT;
+      return {
+        softmax: params.softmax || (X.length < 10 ? prevSoftmax : trainSoftmax(X, Y, Object.assign({}, train, warm))),
+        hmm: fitRegimeModel(history.slice(from, to), prev ? prev.hmm : null),
+        gru: keepGru ? prev.gru : fitSequenceModel(history.slice(from, to), prev ? prev.gru : null),
+        gruTo: keepGru ? prev.gruTo : to
+      };
+    },
+    predict(model, i, from) {
+      const past = history.slice(from, i);
+      let members = ensembleMembers(past, model.softmax, {
+        feature: F[i],
+        context: contextAt(from, i),
+        hmm: regimesAt(model.hmm, from, i),
+        gru: model.gru
+      });
+      if (hedge) members = reweightMembers(members, hedge);
+      const dist = combineMembers(members, past);
+      if (hedge) hedge.update(memberDists(members), history[i].outcome);
+      return [{ dist, actual: history[i].outcome, pick: argmaxWithRandomTie(dist), members: memberDists(members) }];
+    },
+    update(model, i) {
+      if (model.softmax && !params.softmax) onlineUpdateSoftmax(model.softmax, F[i], labels[i]);
+      return model;
     }
-    tested++;
+  };
+}
+
+// options.online: after scoring each test round take an online SGD step on it (onlineUpdateSoftmax),
+// with a warm-started full refit every options.refitEvery rounds (default REFIT_EVERY; 0 = never).
+// Otherwise the model is refit at every step (or every options.refitEvery rounds).
+// options.window 'sliding' + options.windowSize train on the last N rounds only.
+// options.withPredictions: include the per-round { dist, pick, actual } list.
+// The result carries .comparison (naive baselines on the same rounds + significance) unless
+// options.baselines === false.
+function walkForwardEvaluate(history, options = {}) {
+  const adapter = createBacktestAdapter(history, { online: options.online });
+  const minTrain = options.minTrain || adapter.minTrain;
+  if (history.length <= minTrain) return { tested: 0, accuracy: 0, perOutcome: {} };
+  const refitEvery = options.refitEvery !== undefined ? options.refitEvery : (options.online ? REFIT_EVERY : 1);
+  const res = runBacktestSync(adapter, {
+    minTrain,
+    online: options.online,
+    refitEvery: refitEvery || Infinity,
+    window: options.window,
+    windowSize: options.windowSize
+  });
+  const out = { tested: res.tested, accuracy: res.accuracy, perOutcome: res.perOutcome };
+  if (options.baselines !== false) out.comparison = baselineComparison(history, res.predictions);
+  if (options.withPredictions) out.predictions = res.predictions;
+  return out;
+}
+
+// backtest predictions vs majority / repeat-last / uniform / marginal baselines on the same rounds
+function baselineComparison(history, predictions) {
+  const seq = history.map(h => h.outcome);
+  const baselineHits = baselineHitsFor(predictions, () => seq, OUTCOMES);
+  return compareWithBaselines(predictions.map(p => p.pick === p.actual), baselineHits, { labels: OUTCOMES });
+}
+
+// ---------- Offline CLI (data/analysis/model) ----------
+// next-round forecast after `hist`, as `predict` shows it (also POST /predict): the registered logistic
+// model (uniform without one), the saved or a freshly fitted HMM and GRU, the live adaptive weights,
+// the recalibration and the abstention gate. pick is null when the gate abstains.
+// opts.fit === false (API requests): nothing is fitted — the registered GRU and the saved HMM are used
+// when present (the API answers 503 before calling this without a registered model)
+function forecastNext(hist, opts = {}) {
+  const fit = opts.fit !== false;
+  const registered = activeRegisteredModel();
+  const model = registered ? registered.payload.softmax : null;
+  const calibration = loadCalibration(CALIBRATION_FILE);
+  const hmm = regimeModelFor(hist, { fit });
+  const regimes = hmm ? filterSequence(hmm, hist.map(h => h.outcome)).predict() : null;
+  const gru = (registered && registered.payload.gru) || (fit ? fitSequenceModel(hist) : null);
+  let members = ensembleMembers(hist, model, { hmm: regimes, gru });
+  if (ADAPTIVE_WEIGHTS && fs.existsSync(WEIGHTS_FILE)) members = reweightMembers(members, memberHedge());
+  const dist = applyCalibration(combineMembers(members, hist), calibration);
+  const gate = loadAbstainGate();
+  return {
+    rounds: hist.length,
+    dist,
+    pick: passesGate(dist, gate) ? argmaxWithRandomTie(dist) : null,
+    gate,
+    model: registered ? registered.id : null,
+    calibration: calibration ? calibration.method : null,
+    weights: Object.fromEntries(members.map(m => [m.name, m.weight])),
+    context: describeContext(members.find(m => m.name === 'context').info),
+    regime: regimes ? formatRegimeProbs(regimes.regimes) : null
+  };
+}
+
+const TIMELINE_SEGMENTS = 15; // most recent Viterbi segments shown by `stats`
+
+// the `stats` tests as data (also GET /stats): counts and chi-square vs uniform, runs test and lag-1
+// autocorrelation on RED/BLACK, the randomness audit (20+ rounds) and, unless opts.regimes === false,
+// the HMM regimes with the recent Viterbi timeline (opts.fit === false: only from a saved HMM)
+function computeSummaryStats(hist, opts = {}) {
+  const out = { stored: hist.length };
+  if (hist.length === 0) return out;
+  const chi = chiSquareTest(hist);
+  out.counts = chi.counts;
+  out.chiSquare = { chi2: chi.chi2, p: chi.p };
+  out.runs = runsTest(hist);
+  out.lag1Autocorr = lag1Autocorr(hist);
+  out.audit = hist.length >= 20 ? auditSequence(hist.map(h => h.outcome)) : null;
+  if (opts.regimes === false) return out;
+  const hmm = regimeModelFor(hist, { fit: opts.fit });
+  if (!hmm) { out.regimes = null; return out; }
+  const segs = regimeTimeline(viterbi(hmm, hist.map(h => h.outcome).filter(o => OUTCOMES.includes(o))));
+  out.regimes = {
+    states: hmm.K,
+    logLik: hmm.logLik,
+    bic: hmm.bic,
+    regimes: Array.from({ length: hmm.K }, (_, k) => ({ name: regimeName(k), emissions: describeRegime(hmm, k), stay: hmm.A[k][k] })),
+    segments: segs.length,
+    timeline: segs.slice(-TIMELINE_SEGMENTS).map(seg => ({ start: seg.start, end: seg.end, length: seg.length, regime: regimeName(seg.state) }))
+  };
+  return out;
+}
+
+function printSummaryStats(hist = loadHistory()) {
+  const st = computeSummaryStats(hist, { regimes: false });
+  console.log(`Stored outcomes: ${st.stored}`);
+  if (hist.length === 0) return;
+  console.log('Counts:', st.counts, 'Chi2 (vs uniform):', st.chiSquare.chi2.toFixed(3), 'p:', st.chiSquare.p !== null ? st.chiSquare.p.toPrecision(3) : 'N/A');
+  if (st.runs) console.log('Runs test:', st.runs);
+  else console.log('Runs test: insufficient binary data (greens removed or too small).');
+  console.log('Lag-1 autocorr (RED vs BLACK):', st.lag1Autocorr);
+  if (st.audit) printAuditReport(st.audit);
+  printRegimeTimeline(hist);
+  return st;
+}
+
+function printRegimeTimeline(hist) {
+  const hmm = regimeModelFor(hist);
+  if (!hmm) { console.log(`Regime timeline: needs at least ${HMM_MIN_HISTORY} rounds.`); return; }
+  printHmmSummary(hmm);
+  const seq = hist.map(h => h.outcome).filter(o => OUTCOMES.includes(o));
+  const segs = regimeTimeline(viterbi(hmm, seq));
+  console.log(`Viterbi regime timeline (${segs.length} segments${segs.length > TIMELINE_SEGMENTS ? `, last ${TIMELINE_SEGMENTS}` : ''}):`);
+  for (const seg of segs.slice(-TIMELINE_SEGMENTS)) {
+    const bar = '█'.repeat(Math.max(1, Math.round(seg.length / 5)));
+    console.log(`  rounds ${String(seg.start + 1).padStart(5)}–${String(seg.end + 1).padEnd(5)} ${regimeName(seg.state)} ${bar} (${seg.length})`);
   }
-  const accuracy = tested ? (correct / tested) : 0;
-  return { tested, accuracy, perOutcome };
 }
 
-// ---------- Scraper (Puppeteer) ----------
-async function scrapeOneOutcome(page) {
-  try {
-    const handle = await page.waitForFunction(
-      (sel) => {
-        const el = document.querySelector(sel);
-        if (!el) return null;
-        const txt = (el.textContent || '').toUpperCase();
-        if (/\b(GREEN|RED|BLACK)\b/.test(txt)) return txt;
-        return null;
-      },
-      { timeout: TIMEOUT },
-      SCRAPE_SELECTOR
-    );
-    const raw = await handle.jsonValue();
-    const normalized = normalizeOutcomeText(raw);
-    return normalized;
-  } catch (err) {
+// hmm [--states K] [--restarts R] — fit the regime HMM (Baum–Welch) on the history, compare K with BIC
+// against fewer regimes, and save it for predict / scrape / stats
+function cmdHmm(tokens) {
+  const args = parseArgs(tokens);
+  const K = args.states ? Number(args.states) : HMM_STATES;
+  const seq = loadHistory().map(h => h.outcome).filter(o => OUTCOMES.includes(o));
+  if (seq.length < HMM_MIN_HISTORY) { console.log(`Need at least ${HMM_MIN_HISTORY} rounds.`); return null; }
+  const restarts = args.restarts ? Number(args.restarts) : undefined;
+  let chosen = null;
+  for (let k = 1; k <= K; k++) {
+    const m = trainHmm(seq, { states: k, labels: OUTCOMES, restarts });
+    console.log(`  K=${k}: log-likelihood ${m.logLik.toFixed(2)}, BIC ${m.bic.toFixed(1)}`);
+    if (k === K) chosen = m;
+  }
+  printHmmSummary(chosen);
+  for (let k = 0; k < chosen.K; k++) console.log(`  start in ${describeRegime(chosen, k)}: ${(chosen.pi[k] * 100).toFixed(1)}%`);
+  saveHmm(HMM_FILE, chosen);
+  console.log(`💾 Saved HMM to ${path.basename(HMM_FILE)} (lower BIC = better trade-off; K=1 is "no regimes").`);
+  return chosen;
+}
+
+// ms timestamp or anything Date.parse accepts (e.g. 2025-09-06T15:00)
+function parseTimeArg(value, name) {
+  if (value === undefined) return undefined;
+  const t = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  if (isNaN(t)) throw new Error(`--${name}: cannot parse "${value}" as a time.`);
+  return t;
+}
+
+// audit [file] [--from t] [--to t] [--session id] [--last N] [--expected 18,18,1] [--block M]
+//       [--lags 5,10,20] [--alpha a] [--correction holm|bh]
+// Randomness battery on the stored history (default) or any history file, optionally sliced.
+function cmdAudit(tokens) {
+  const args = parseArgs(tokens);
+  const q = {};
+  if (args.from !== undefined) q.from = parseTimeArg(args.from, 'from');
+  if (args.to !== undefined) q.to = parseTimeArg(args.to, 'to');
+  if (args.session) q.session = args.session;
+  let hist;
+  if (args._[0]) {
+    hist = readHistoryFile(path.resolve(args._[0])).filter(e => (!q.session || e.session === q.session)
+      && (q.from === undefined || (e.ts || 0) >= q.from) && (q.to === undefined || (e.ts || 0) < q.to));
+  } else {
+    hist = getHistoryStore().range(q);
+  }
+  if (args.last) hist = hist.slice(-Number(args.last));
+  const seq = hist.map(h => h.outcome).filter(o => OUTCOMES.includes(o));
+  if (seq.length < 20) { console.log(`Only ${seq.length} rounds in the selection — need at least 20.`); return null; }
+  const report = auditSequence(seq, {
+    expected: args.expected ? parseExpected(args.expected) : undefined,
+    blockSize: args.block ? Number(args.block) : undefined,
+    lags: args.lags ? String(args.lags).split(',').map(Number).filter(v => v > 0) : undefined,
+    alpha: args.alpha ? Number(args.alpha) : undefined,
+    correction: args.correction
+  });
+  const first = hist.find(h => h.ts), last = hist.slice().reverse().find(h => h.ts);
+  const span = first && last ? ` (${new Date(first.ts).toISOString()} → ${new Date(last.ts).toISOString()})` : '';
+  printAuditReport(report, `Randomness audit of ${args._[0] ? path.basename(args._[0]) : path.basename(DATA_FILE)}${span}`);
+  return report;
+}
+
+function buildDatasetFromHistory() {
+  const hist = loadHistory();
+  return Object.assign(datasetFromHistory(hist), { hist });
+}
+
+// train [--no-promote] — fit the logistic + GRU models, score the pipeline walk-forward and register
+// the result (promoted to active unless --no-promote)
+function cmdTrainAndEvaluate(tokens = []) {
+  const args = parseArgs(tokens, { boolean: ['no-promote'] });
+  const { X, Y, hist } = buildDatasetFromHistory();
+  if (X.length < 20) { console.log('Not enough data to train (need at least ~20 samples).'); return null; }
+  console.log('Training softmax logistic regression...');
+  const model = trainSoftmax(X, Y, { lr: LR, epochs: EPOCHS, l2: L2 });
+  const gru = fitSequenceModel(hist);
+  if (gru) console.log(`GRU sequence model: ${gru.hidden} hidden, window ${gru.window}, train loss ${gru.loss.toFixed(4)}.`);
+  else console.log(`GRU sequence model needs at least ${GRU_MIN_HISTORY} rounds — not trained.`);
+  console.log('Models trained. Running walk-forward evaluation (this may take a little while)...');
+  const wfe = walkForwardEvaluate(hist, { withPredictions: true });
+  console.log('Walk-forward eval:', { tested: wfe.tested, accuracy: wfe.accuracy, perOutcome: wfe.perOutcome });
+  if (wfe.comparison) printBaselineReport(wfe.comparison);
+  const scores = wfe.tested ? scoreRecords(recordsFromBacktest(wfe.predictions)) : null;
+  const entry = getModelRegistry().save({
+    kind: 'rb',
+    schema: featureSchema(),
+    hyperparams: Object.assign(currentConfig(), { GRU_HIDDEN, GRU_WINDOW, GRU_EPOCHS }),
+    data: describeData(hist),
+    metrics: {
+      tested: wfe.tested,
+      accuracy: wfe.accuracy,
+      logLoss: scores ? scores.logLoss : null,
+      brier: scores ? scores.brier : null,
+      verdict: wfe.comparison ? wfe.comparison.verdict : null
+    },
+    payload: { softmax: model, gru }
+  });
+  console.log(`🗃️ Registered model ${entry.id} in ${path.basename(MODELS_DIR)}/.`);
+  if (!args['no-promote']) {
+    getModelRegistry().promote(entry.id);
+    console.log('✅ Promoted to active (undo with `models rollback`).');
+  }
+  return entry;
+}
+
+// ---------- Model registry ----------
+let modelRegistry = null;
+function getModelRegistry() {
+  if (!modelRegistry) modelRegistry = openRegistry(MODELS_DIR);
+  return modelRegistry;
+}
+
+// active registered model when its feature schema matches the running code; refused (null) otherwise
+function activeRegisteredModel() {
+  return compatibleModel(getModelRegistry().active());
+}
+
+// ref: 'active' | 'latest' (newest saved) | a model id -> registry entry, null when missing or refused
+function registeredModel(ref) {
+  const registry = getModelRegistry();
+  if (!ref || ref === 'active') return activeRegisteredModel();
+  const id = ref === 'latest' ? (registry.list()[0] || {}).id : ref;
+  return compatibleModel(id ? registry.get(id) : null);
+}
+
+// schema to check a registry entry against: an import accepted with --force carries the schema it was
+// accepted for (`assumed`); a bare { version: 1, imported: true } matches nothing
+function effectiveSchema(entry) {
+  return entry.schema && entry.schema.imported && entry.schema.assumed ? entry.schema.assumed : entry.schema;
+}
+
+function compatibleModel(entry) {
+  if (!entry) return null;
+  const problems = checkCompatible(effectiveSchema(entry), featureSchema());
+  if (problems.length) {
+    console.log(`⛔ Refusing model ${entry.id} — it was trained for a different feature schema (${problems.join('; ')}). Run \`train\` or \`models promote\` a compatible one.`);
     return null;
   }
+  return entry;
 }
 
-// Append scraped outcome to DATA_FILE
-function recordOutcome(outcome) {
-  if (!outcome) return;
-  const history = loadHistory();
-  const lastEntry = history.length ? history[history.length - 1] : null;
-  const last = lastEntry ? lastEntry.outcome : null;
+function formatMetric(v, digits = 4) {
+  return v === null || v === undefined ? '—' : v.toFixed(digits);
+}
 
-  // improved duplicate handling:
-  // - if same outcome and last timestamp is within 2 seconds -> assume UI still showing same round, skip
-  // - otherwise allow append (covers real repeated identical outcomes when they truly occur)
-  if (last === outcome && lastEntry && (Date.now() - lastEntry.ts) < 2000) {
-    // skip ultra-fast duplicate
-    return;
+// models [list] | models promote <id> | models rollback | models import [file] [--force]
+function cmdModels(tokens) {
+  const args = parseArgs(tokens, { boolean: ['force'] });
+  const [sub = 'list', id] = args._;
+  const registry = getModelRegistry();
+  if (sub === 'list') {
+    const entries = registry.list();
+    if (!entries.length) { console.log(`No registered models in ${path.basename(MODELS_DIR)}/ — run \`train\`.`); return entries; }
+    const current = featureSchema();
+    console.log('   id                              created               rounds  log-loss  accuracy  schema');
+    for (const e of entries) {
+      const mark = e.id === registry.activeId() ? '*' : ' ';
+      const ok = checkCompatible(effectiveSchema(e), current).length ? 'incompatible' : `v${e.schema.version} ok${e.schema.imported ? ' (imported, forced)' : ''}`;
+      const acc = e.metrics && e.metrics.accuracy !== undefined ? `${(e.metrics.accuracy * 100).toFixed(1)}%` : '—';
+      console.log(` ${mark} ${e.id.padEnd(32)} ${e.createdAt.slice(0, 19)}  ${String(e.data.rounds ?? '—').padStart(6)}  ${formatMetric(e.metrics && e.metrics.logLoss).padStart(8)}  ${acc.padStart(8)}  ${ok}`);
+    }
+    console.log('(* = active)');
+    return entries;
+  }
+  if (sub === 'promote') {
+    if (!id) { console.log('Usage: models promote <id>'); return null; }
+    const entry = registry.get(id);
+    if (!entry) { console.log(`No model ${id}.`); return null; }
+    const problems = checkCompatible(effectiveSchema(entry), featureSchema());
+    if (problems.length) { console.log(`⛔ Not promoting ${id}: ${problems.join('; ')}`); return null; }
+    registry.promote(id);
+    console.log(`✅ ${id} is now the active model.`);
+    return entry;
+  }
+  if (sub === 'rollback') {
+    const back = registry.rollback();
+    console.log(back ? `↩️ Rolled back — ${back} is active again.` : 'Nothing to roll back to.');
+    return back;
+  }
+  if (sub === 'import') {
+    // wrap a bare { W, b } file. It records no feature schema: stored as { version: 1, imported: true }, which no
+    // running schema accepts, unless --force takes the current schema on trust (the width must still match)
+    const file = id ? path.resolve(id) : LEGACY_MODEL_FILE;
+    if (!fs.existsSync(file)) { console.log('No such model file:', file); return null; }
+    const softmax = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const dims = featurePipeline().dims;
+    if (!softmax.W || !softmax.W[0] || softmax.W[0].length !== dims || softmax.W.length !== OUTCOMES.length) {
+      console.log(`⛔ ${path.basename(file)} does not match the current feature layout (${dims} features x ${OUTCOMES.length} outcomes).`);
+      return null;
+    }
+    if (!args.force) {
+      console.log(`⛔ ${path.basename(file)} records no feature schema — its width matches, but not necessarily the features behind it. ` +
+        'Rerun with --force to accept it for the current schema anyway.');
+      return null;
+    }
+    const entry = registry.save({
+      kind: 'rb',
+      schema: { version: 1, imported: true, file: path.basename(file), assumed: featureSchema() },
+      hyperparams: null,
+      data: { rounds: null, from: null, to: null, hash: null },
+      metrics: null,
+      payload: { softmax, gru: null }
+    });
+    console.log(`🗃️ Imported ${path.basename(file)} as ${entry.id} (forced: schema assumed from its width; training data unknown). Promote it with \`models promote ${entry.id}\`.`);
+    return entry;
   }
+  console.log('Usage: models [list] | models promote <id> | models rollback | models import [file] --force');
+  return null;
+}
 
-  history.push({ ts: Date.now(), outcome });
-  saveHistory(history);
+// backtest [--online] [--adaptive] [--refit k] [--window expanding|sliding] [--size N] [--workers N]
+// Walk-forward backtest through the engine; folds run on worker threads when --workers > 1.
+// --adaptive re-weights the members from their log-loss as the live loop does (default: fixed MIX_* weights).
+async function cmdBacktest(tokens) {
+  const args = parseArgs(tokens, { boolean: ['online', 'adaptive'] });
+  return printBacktestReport(await backtestSummary({
+    online: !!args.online || args._.includes('online'),
+    adaptive: !!args.adaptive,
+    refit: args.refit !== undefined ? Number(args.refit) : undefined,
+    window: args.window,
+    size: args.size ? Number(args.size) : undefined,
+    workers: args.workers ? Number(args.workers) : undefined
+  }));
 }
 
-// ---------- Main scrape & predict loop ----------
-async function runScrapeAndPredictLoop() {
-  const phone = readlineSync.question('📱 Enter your SportyBet phone number: ');
-  const pass = readlineSync.question('🔐 Enter your SportyBet phone password: ', { hideEchoBack: true });
+// backtestSummary() result -> plain data: { summary, seconds, baselines, selective? }
+function backtestResult({ hist, res, summary, seconds }) {
+  const out = { summary, seconds };
+  if (res.tested) {
+    out.baselines = baselineComparison(hist, res.predictions);
+    const gate = loadAbstainGate();
+    if (gateIsOn(gate)) out.selective = Object.assign({ gate }, selectiveSummary(recordsFromBacktest(res.predictions), gate));
+  }
+  return out;
+}
 
-  const browser = await puppeteer.launch({ headless: false, slowMo: 50, defaultViewport: null, args: ['--start-maximized'] });
-  const page = await browser.newPage();
+// backtestSummary() result -> console report (summary, members, baselines, selective accuracy)
+function printBacktestReport({ hist, res, summary, seconds }) {
+  console.log('Backtest / walk-forward result:', summary);
+  console.log(`(${seconds.toFixed(1)} s)`);
+  if (res.tested) {
+    printMemberScores(res.predictions);
+    printBaselineReport(baselineComparison(hist, res.predictions));
+    const gate = loadAbstainGate();
+    if (gateIsOn(gate)) printSelectiveSummary(selectiveSummary(recordsFromBacktest(res.predictions), gate), gate, 'Backtest with abstention');
+  }
+  return res;
+}
 
-  // LOGIN
-  try {
-    await page.goto('https://www.sportybet.com/ng/m/', { waitUntil: 'domcontentloaded', timeout: TIMEOUT });
-    const phoneSel = '#loginStep > div.login-container > form > div.verifyInputs.m-input-wap-wrapper.m-input-wap-group.m-input-wap-group--prepend input';
-    const passSel = '#loginStep > div.login-container > form > div:nth-child(3) input';
-    const loginBut = '#loginStep > div.login-container > form > button';
-    await page.waitForSelector(phoneSel, { timeout: TIMEOUT });
-    await page.type(phoneSel, phone);
-    await page.waitForSelector(passSel, { timeout: TIMEOUT });
-    await page.type(passSel, pass);
-    await page.waitForSelector(loginBut, { timeout: TIMEOUT });
-    await Promise.all([page.waitForNavigation({ waitUntil: 'networkidle0', timeout: TIMEOUT }), page.click(loginBut)]);
-    console.log('✅ Login successful!');
-  } catch (e) {
-    console.error('❌ Login failed:', e.message || e);
-    await browser.close();
-    return;
+// walk-forward backtest (worker threads) -> { hist, res, summary, seconds }
+// opts: { online, adaptive, refit, window ('expanding' | 'sliding'), size, workers, history (default: the
+//         stored history), model (registry entry whose logistic model is scored as is instead of refitted) }
+async function backtestSummary(opts = {}) {
+  const online = !!opts.online;
+  const adaptive = !!opts.adaptive;
+  const hist = opts.history || loadHistory();
+  const refit = opts.refit !== undefined ? opts.refit : (online ? REFIT_EVERY : 1);
+  const softmax = opts.model ? opts.model.payload.softmax : undefined;
+  const started = Date.now();
+  const res = await runBacktest(__filename, hist, { online, adaptive, config: currentConfig(), softmax }, {
+    online,
+    refitEvery: refit || Infinity,
+    window: opts.window === 'sliding' ? 'sliding' : 'expanding',
+    windowSize: opts.size,
+    workers: opts.workers
+  });
+  const scores = scoreRecords(recordsFromBacktest(res.predictions));
+  const summary = {
+    tested: res.tested,
+    accuracy: res.accuracy,
+    logLoss: scores.logLoss,
+    brier: scores.brier,
+    ece: scores.ece,
+    perOutcome: res.perOutcome,
+    options: Object.assign({}, res.options, { weights: adaptive ? 'adaptive' : 'fixed' }, opts.model ? { model: opts.model.id } : {})
+  };
+  if (res.folds) summary.folds = res.folds;
+  return { hist, res, summary, seconds: (Date.now() - started) / 1000 };
+}
+
+// each ensemble member scored alone on the rounds where it made a forecast (same splits as the ensemble)
+function printMemberScores(predictions) {
+  const names = [...new Set(predictions.flatMap(p => Object.keys(p.members || {})))];
+  if (!names.length) return;
+  console.log('Members on the same walk-forward splits:');
+  console.log('  member      rounds   log-loss   Brier    accuracy');
+  const rows = names.map(name => {
+    const records = predictions.filter(p => p.members && p.members[name]).map(p => ({ dist: p.members[name], actual: p.actual }));
+    return { name, sc: scoreRecords(records, { labels: OUTCOMES }) };
+  });
+  rows.push({ name: 'ensemble', sc: scoreRecords(recordsFromBacktest(predictions), { labels: OUTCOMES }) });
+  for (const { name, sc } of rows) {
+    console.log(`  ${name.padEnd(10)} ${String(sc.n).padStart(7)}    ${sc.logLoss.toFixed(4)}    ${sc.brier.toFixed(4)}   ${(sc.accuracy * 100).toFixed(1)}%`);
   }
+}
 
+// tune [--budget N] [--patience N] [--time S] [--refit k] [--workers N] [--seed N] [--reset]
+// Random search over TUNE_SPACE scored by walk-forward log-loss (same rounds for every trial); trial 0 is
+// the current config. The newest TUNE_HOLDOUT of the rounds stay out of the search: the winner and the
+// current config are then scored walk-forward on them, and the winner is saved to CONFIG_FILE and applied
+// (scrape / predict / backtest) only when it beats the current config there too.
+async function cmdTune(tokens) {
+  const args = parseArgs(tokens, { boolean: ['reset'] });
+  if (args.reset) {
+    if (fs.existsSync(CONFIG_FILE)) fs.unlinkSync(CONFIG_FILE);
+    console.log(`🧹 Removed ${path.basename(CONFIG_FILE)} — restart the CLI to go back to the built-in defaults.`);
+    return null;
+  }
+  const hist = loadHistory();
+  const holdout = Math.max(TUNE_MIN_HOLDOUT, Math.round(hist.length * TUNE_HOLDOUT));
+  const cut = hist.length - holdout; // search on [0, cut), check on [cut, end)
+  if (cut <= TUNE_MIN_TRAIN + 20) { console.log(`Need more than ${TUNE_MIN_TRAIN + 20 + TUNE_MIN_HOLDOUT} rounds to tune (${holdout} newest held out).`); return null; }
+  const searchHist = hist.slice(0, cut);
+  const workers = args.workers ? Number(args.workers) : defaultWorkers();
+  const refit = args.refit ? Number(args.refit) : TUNE_REFIT;
+  const base = currentConfig();
+  const searchBase = Object.fromEntries(Object.keys(TUNE_SPACE).map(k => [k, base[k]]));
+  console.log(`🔧 Tuning ${Object.keys(TUNE_SPACE).length} hyperparameters on the first ${cut} of ${hist.length} rounds ` +
+    `(walk-forward from round ${TUNE_MIN_TRAIN}, refit every ${refit}, ${workers} worker(s); newest ${holdout} held out)...`);
+  const started = Date.now();
+  let result;
   try {
-    await page.goto('https://www.sportybet.com/ng/sportygames/red-black', { waitUntil: 'domcontentloaded', timeout: TIMEOUT });
-  } catch (e) {
-    console.warn('⚠ Could not navigate directly to red-black page:', e.message || e);
+    result = await randomSearch({
+      space: TUNE_SPACE,
+      base: searchBase,
+      budget: args.budget ? Number(args.budget) : DEFAULT_BUDGET,
+      patience: args.patience ? Number(args.patience) : DEFAULT_PATIENCE,
+      maxSeconds: args.time ? Number(args.time) : undefined,
+      seed: args.seed !== undefined ? Number(args.seed) : Date.now() % 100000,
+      batchSize: workers,
+      evaluateBatch: async (configs) => {
+        const runs = await runBacktestGrid(__filename, searchHist, configs.map(config => ({ config: Object.assign({}, base, config) })),
+          { minTrain: TUNE_MIN_TRAIN, refitEvery: refit, workers });
+        return runs.map(r => scoreRecords(recordsFromBacktest(r.predictions)).logLoss);
+      },
+      onTrial: (t, best) => {
+        const mark = t === best ? ' ★' : '';
+        console.log(`  trial ${String(t.trial).padStart(3)}  log-loss ${t.score.toFixed(4)}${t.trial === 0 ? ' (current)' : ''}${mark}`);
+      }
+    });
+  } finally {
+    applyConfig(base); // in-process trials (1 worker) change the tunables
+  }
+  const { best } = result;
+  console.log(`Stopped after ${result.trials.length} trials (${result.stopped}), ${((Date.now() - started) / 1000).toFixed(1)} s.`);
+  console.log(`Best log-loss ${best.score.toFixed(4)} vs current ${result.base.score.toFixed(4)} (trial ${best.trial}):`);
+  for (const [k, v] of Object.entries(best.config)) console.log(`  ${k.padEnd(14)} ${v}${v !== base[k] ? `  (was ${base[k]})` : ''}`);
+  if (best.trial === 0) {
+    console.log('The current config is still the best — nothing saved.');
+    return result;
   }
 
-  console.log('🔎 Starting scrape -> update -> predict loop. CTRL+C to stop.');
+  // the best of many trials is optimistic on the rounds it was picked on: check it on the held-out ones,
+  // walk-forward over the whole history (trained on every round before each held-out round)
+  let holdBase, holdBest;
+  try {
+    [holdBase, holdBest] = await runBacktestGrid(__filename, hist, [{ config: base }, { config: Object.assign({}, base, best.config) }],
+      { minTrain: cut, refitEvery: refit, workers: Math.min(workers, 2) });
+  } finally {
+    applyConfig(base);
+  }
+  result.holdout = {
+    rounds: holdout,
+    baseLogLoss: scoreRecords(recordsFromBacktest(holdBase.predictions)).logLoss,
+    logLoss: scoreRecords(recordsFromBacktest(holdBest.predictions)).logLoss
+  };
+  console.log(`Holdout (newest ${holdout} rounds): log-loss ${result.holdout.logLoss.toFixed(4)} vs current ${result.holdout.baseLogLoss.toFixed(4)}.`);
+  if (!(result.holdout.logLoss < result.holdout.baseLogLoss)) {
+    console.log('The winner does not beat the current config on the holdout (it fitted the search rounds) — nothing saved.');
+    return result;
+  }
+  fs.writeFileSync(CONFIG_FILE, JSON.stringify({
+    config: best.config,
+    logLoss: best.score,
+    baseLogLoss: result.base.score,
+    holdout: result.holdout,
+    trials: result.trials.length,
+    rounds: cut,
+    tunedAt: new Date().toISOString()
+  }, null, 2));
+  applyConfig(best.config);
+  console.log(`💾 Saved to ${path.basename(CONFIG_FILE)} and applied — run \`train\` to retrain the saved model with it.`);
+  return result;
+}
 
-  let model = null;
-  const histInit = loadHistory();
-  if (histInit.length > Math.max(30, N_WINDOW)) {
-    const X = [], Y = [];
-    for (let i = N_WINDOW; i < histInit.length; i++) {
-      X.push(buildFeatureFromHistory(histInit, i));
-      Y.push(OUTCOMES.indexOf(histInit[i].outcome));
+// features [list] | features on|off <name> | features set <name> <param>=<value> | features reset
+// features importance [--refit k] [--repeats n] [--all] [--no-ablation]
+function cmdFeatures(tokens) {
+  const args = parseArgs(tokens, { boolean: ['all', 'no-ablation'] });
+  const [sub = 'list', name, assignment] = args._;
+  if (sub === 'list') {
+    console.log(`Feature pipeline (${featurePipeline().dims} columns):`);
+    for (const f of listFeatures(featureOverrides)) {
+      const params = Object.entries(f.params).map(([k, v]) => `${k}=${v}`).join(' ');
+      const changed = f.enabled !== f.defaultEnabled ? ' (changed)' : '';
+      console.log(`  ${f.enabled ? '[on] ' : '[off]'} ${f.name.padEnd(14)} ${params.padEnd(20)} ${f.doc}${changed}`);
     }
-    if (X.length > 10) {
-      console.log('⏳ Training initial logistic model on existing history...');
-      model = trainSoftmax(X, Y, { lr: 0.06, epochs: 120, l2: 0.0015 });
-      console.log('✅ Initial model trained.');
+    return featurePipeline().describe();
+  }
+  if (sub === 'importance') return cmdFeatureImportance(args);
+  if (sub === 'reset') {
+    featureOverrides = {};
+  } else if (sub === 'on' || sub === 'off' || sub === 'set') {
+    const f = name && findFeature(name);
+    if (!f) { console.log(`Unknown feature "${name || ''}" — see \`features list\`.`); return null; }
+    const next = Object.assign({}, featureOverrides[name]);
+    if (sub === 'set') {
+      const [param, raw] = String(assignment || '').split('=');
+      if (!(param in f.defaults) || !Number.isFinite(Number(raw))) {
+        console.log(`Usage: features set ${name} <param>=<number> (params: ${Object.keys(f.defaults).join(', ') || 'none'})`);
+        return null;
+      }
+      next[param] = Number(raw);
+    } else {
+      next.enabled = sub === 'on';
     }
+    featureOverrides = Object.assign({}, featureOverrides, { [name]: next });
+  } else {
+    console.log('Usage: features [list] | features on|off <name> | features set <name> <param>=<value> | features reset | features importance');
+    return null;
   }
+  fs.writeFileSync(FEATURES_FILE, JSON.stringify(featureOverrides, null, 2));
+  console.log(`💾 Saved ${path.basename(FEATURES_FILE)} — ${featurePipeline().dims} feature columns. Run \`train\`: registered models built on the old layout are refused.`);
+  return featurePipeline().describe();
+}
 
-  while (true) {
-    try {
-      const observed = await scrapeOneOutcome(page);
-      if (!observed) {
-        console.log('⚠️ Could not read outcome from page. Retrying after delay...');
-        await sleep(3000);
-        continue;
-      }
+// Walk-forward importance of each feature group for the logistic member: permutation (same models,
+// the group's columns shuffled) and ablation (models refit without the group). --all scores every
+// registered feature, including the ones switched off.
+function cmdFeatureImportance(args) {
+  const hist = loadHistory();
+  const overrides = args.all
+    ? Object.fromEntries(listFeatures(featureOverrides).map(f => [f.name, Object.assign({}, featureOverrides[f.name], { enabled: true })]))
+    : featureOverrides;
+  const saved = featureOverrides;
+  featureOverrides = overrides;
+  const pipeline = featurePipeline();
+  featureOverrides = saved;
+  const X = hist.map((_, i) => pipeline.build(hist, i));
+  const Y = hist.map(h => OUTCOMES.indexOf(h.outcome));
+  const refit = args.refit ? Number(args.refit) : 10;
+  const minTrain = backtestMinTrain(N_WINDOW);
+  if (hist.length <= minTrain + refit) { console.log('Not enough history.'); return null; }
+  console.log(`Feature importance — logistic member, walk-forward from round ${minTrain}, refit every ${refit} (${pipeline.groups.length} features, ${pipeline.dims} columns)...`);
+  const report = featureImportance({
+    X, Y,
+    groups: pipeline.groups,
+    start: N_WINDOW,
+    minTrain,
+    refitEvery: refit,
+    repeats: args.repeats ? Number(args.repeats) : 5,
+    ablation: !args['no-ablation'],
+    fit: (Xs, Ys, seed) => trainSoftmax(Xs, Ys, { lr: LR, epochs: EPOCHS, l2: L2, seed }),
+    predict: (model, x) => OUTCOMES.map(o => predictSoftmaxModel(model, x)[o])
+  });
+  console.log(`  baseline: log-loss ${report.base.logLoss.toFixed(4)}, accuracy ${(report.base.accuracy * 100).toFixed(1)}% on ${report.tested} rounds`);
+  console.log('  feature         cols   permutation Δ (±sd)     ablation Δ');
+  const sorted = report.groups.slice().sort((a, b) => b.permutation - a.permutation);
+  for (const g of sorted) {
+    const perm = `${g.permutation >= 0 ? '+' : ''}${g.permutation.toFixed(4)} (±${g.permutationSd.toFixed(4)})`;
+    const abl = g.ablation === null ? '—' : `${g.ablation >= 0 ? '+' : ''}${g.ablation.toFixed(4)}`;
+    const noise = g.permutation <= g.permutationSd && (g.ablation === null || g.ablation <= 0) ? '  ← looks like noise' : '';
+    console.log(`  ${g.name.padEnd(14)} ${String(g.cols).padStart(5)}   ${perm.padEnd(22)}  ${abl.padStart(9)}${noise}`);
+  }
+  console.log('  (Δ = log-loss increase without the feature; positive = it helps. Ablation refits reuse the seeds of the baseline fits.)');
+  return report;
+}
 
-      console.log(`🎲 Observed outcome: ${observed}`);
-
-      // Evaluate last prediction (if any)
-      if (lastPick !== null) {
-        totalPred++;
-        const ok = lastPick === observed;
-        if (ok) correctPred++;
-        recentPredictions.push(ok);
-        if (recentPredictions.length > RECENT_WINDOW) recentPredictions.shift();
-        const recentAcc = (recentPredictions.filter(Boolean).length / Math.max(1, recentPredictions.length) * 100).toFixed(1);
-        const overallAcc = (correctPred / Math.max(1, totalPred) * 100).toFixed(1);
-        console.log(`📈 Prediction eval -> lastPick=${lastPick} | correct=${ok ? 'YES' : 'NO'} | recent(${recentPredictions.length})=${recentAcc}% overall=${overallAcc}%`);
+// weights [--reset] — adaptive member weights kept by the live loop (and their discounted log-loss)
+function cmdWeights(tokens) {
+  const args = parseArgs(tokens, { boolean: ['reset'] });
+  if (args.reset) {
+    if (fs.existsSync(WEIGHTS_FILE)) fs.unlinkSync(WEIGHTS_FILE);
+    console.log('🧹 Adaptive weights reset — members start again from the MIX_* weights.');
+    return null;
+  }
+  const hedge = memberHedge();
+  const state = hedge.toJSON();
+  const w = hedge.weights();
+  console.log(`Adaptive weights after ${state.rounds} live round(s) (eta ${state.eta}, forget ${state.forget}):`);
+  console.log('  member      prior   weight   discounted log-loss');
+  for (const k of Object.keys(w)) {
+    const loss = state.losses[k] !== undefined ? state.losses[k].toFixed(3) : '—';
+    console.log(`  ${k.padEnd(10)} ${(state.prior[k] * 100).toFixed(0).padStart(5)}%   ${(w[k] * 100).toFixed(1).padStart(5)}%   ${loss}`);
+  }
+  if (!ADAPTIVE_WEIGHTS) console.log('  (ADAPTIVE_WEIGHTS is off — predictions use the fixed MIX_* weights)');
+  return state;
+}
+
+// context [--depth N] [--min-train N]
+// Walk-forward run of the context model alone at each maximum depth 0..N: does a longer context beat
+// the first-order chain (depth 1)? Also counts which context length drove the depth-N predictions.
+function cmdContext(tokens) {
+  const args = parseArgs(tokens);
+  const maxDepth = args.depth ? Number(args.depth) : CONTEXT_DEPTH;
+  const minTrain = args['min-train'] ? Number(args['min-train']) : 20;
+  const seq = loadHistory().map(h => h.outcome).filter(o => OUTCOMES.includes(o));
+  if (seq.length <= minTrain) { console.log('Not enough history.'); return; }
+  console.log(`Context model, walk-forward over ${seq.length - minTrain} rounds (decay ${DECAY}):`);
+  console.log('  depth   log-loss   Brier    accuracy');
+  const driven = {};
+  for (let d = 0; d <= maxDepth; d++) {
+    const tree = createContextTree({ labels: OUTCOMES, depth: d, decay: DECAY });
+    const records = [];
+    seq.forEach((o, i) => {
+      if (i >= minTrain) {
+        const pred = tree.predict();
+        records.push({ dist: pred.dist, actual: o });
+        if (d === maxDepth) driven[pred.drivingDepth] = (driven[pred.drivingDepth] || 0) + 1;
       }
+      tree.update(o);
+    });
+    const sc = scoreRecords(records, { labels: OUTCOMES });
+    const tag = d === 1 ? '  (first-order)' : d === 0 ? '  (marginal)' : '';
+    console.log(`  ${String(d).padStart(5)}   ${sc.logLoss.toFixed(4)}    ${sc.brier.toFixed(4)}   ${(sc.accuracy * 100).toFixed(1)}%${tag}`);
+  }
+  console.log(`  driving context length at depth ${maxDepth}:`, Object.keys(driven).sort().map(k => `${k}: ${driven[k]}`).join(', '));
+}
 
-      // Record outcome (skip very-fast duplicates)
-      recordOutcome(observed);
-      const hist = loadHistory();
+// scored forecasts ({ dist, actual }) from a walk-forward backtest or the live prediction CSV
+// args: { file, online, workers } (parsed command flags)
+async function loadForecastRecords(source, args) {
+  if (source === 'csv') {
+    const file = args.file || LOGFILE;
+    if (!fs.existsSync(file)) throw new Error(`${file} not found.`);
+    const parsed = recordsFromPredictionCsv(fs.readFileSync(file, 'utf8'));
+    console.log(`📄 ${path.basename(file)}: ${parsed.records.length} forecasts paired with the next round (${parsed.skipped} skipped across time gaps).`);
+    return parsed.records;
+  }
+  if (source === 'backtest') {
+    const online = !!args.online;
+    const res = await runBacktest(__filename, loadHistory(), { online, config: currentConfig() }, {
+      online,
+      refitEvery: online ? REFIT_EVERY : 1,
+      workers: args.workers ? Number(args.workers) : undefined
+    });
+    return recordsFromBacktest(res.predictions);
+  }
+  throw new Error(`Unknown forecast source "${source}" (use backtest or csv).`);
+}
 
-      // Retrain model occasionally (every 5 new samples)
-      if (!model || hist.length % 5 === 0) {
-        const X = [], Y = [];
-        for (let i = N_WINDOW; i < hist.length; i++) {
-          X.push(buildFeatureFromHistory(hist, i));
-          Y.push(OUTCOMES.indexOf(hist[i].outcome));
-        }
-        if (X.length > 10) {
-          console.log('⏳ Retraining logistic model (incremental retrain)...');
-          model = trainSoftmax(X, Y, { lr: 0.06, epochs: 80, l2: 0.0015 });
-        }
-      }
+// calibration [backtest|csv] [--file f] [--bins N] [--online] [--workers N] [--fit temperature|isotonic] [--clear]
+// Scores forecast probabilities (log-loss, Brier, ECE, reliability bins). --fit recalibrates and saves
+// CALIBRATION_FILE, which predict / scrape apply before display.
+async function cmdCalibration(tokens) {
+  const args = parseArgs(tokens, { boolean: ['online', 'clear'] });
+  if (args.clear) {
+    if (fs.existsSync(CALIBRATION_FILE)) fs.unlinkSync(CALIBRATION_FILE);
+    console.log('🧹 Calibration removed — predictions are shown uncalibrated.');
+    return;
+  }
+  const source = args._[0] || 'backtest';
+  const records = await loadForecastRecords(source, args);
+  if (!records.length) { console.log('No forecasts to score.'); return; }
 
-      // Ensemble predict for next
-      const dist = ensemblePredict(hist, model);
-      const pick = argmaxWithRandomTie(dist);
+  const bins = args.bins ? Number(args.bins) : DEFAULT_BINS;
+  printScoreReport(`Calibration — ${source}`, scoreRecords(records, { bins }));
+  const saved = loadCalibration(CALIBRATION_FILE);
+  if (saved && !args.fit) {
+    printScoreReport(`With saved ${saved.method} calibration`, scoreRecords(calibrateRecords(records, saved), { bins }));
+  }
+  if (!args.fit) return;
 
-      // Log results (prevPred = lastPick)
-      const ts = new Date().toISOString();
-      const prevPred = lastPick || '';
-      const correctFlag = (prevPred && prevPred === observed) ? 1 : 0;
-      appendLogCsv(`${ts},${observed},${prevPred},${(dist.RED || 0).toFixed(4)},${(dist.BLACK || 0).toFixed(4)},${(dist.GREEN || 0).toFixed(4)},${correctFlag}`);
+  // out-of-sample check: fit on the first 70% of forecasts (chronological), score the rest
+  const cut = Math.floor(records.length * 0.7);
+  if (cut >= 20 && records.length - cut >= 10) {
+    const trial = fitCalibration(records.slice(0, cut), args.fit);
+    const held = records.slice(cut);
+    printScoreReport(`Held-out last ${held.length}, raw`, scoreRecords(held, { bins }));
+    printScoreReport(`Held-out last ${held.length}, ${args.fit}`, scoreRecords(calibrateRecords(held, trial), { bins }));
+  }
+  const calib = Object.assign(fitCalibration(records, args.fit), { source, n: records.length, fittedAt: new Date().toISOString() });
+  saveCalibration(CALIBRATION_FILE, calib);
+  console.log(`💾 Saved ${calib.method} calibration (${records.length} forecasts) to ${path.basename(CALIBRATION_FILE)}${calib.T ? ` — T=${calib.T.toFixed(3)}` : ''}.`);
+}
 
-      console.log('🔮 Next probabilities ->', OUTCOMES.map(o => `${o}:${(dist[o] * 100).toFixed(1)}%`).join('  '));
-      console.log('👉 Predicted next:', pick);
+// abstain [--min-prob p] [--min-margin m] | abstain off | abstain curve [backtest|csv] [--by prob|margin] [--min-picks N]
+// The confidence gate: scrape and predict output ABSTAIN instead of a pick when the forecast is below it.
+// `curve` prints accuracy against coverage for the forecasts and suggests a threshold.
+async function cmdAbstain(tokens) {
+  const args = parseArgs(tokens, { boolean: ['online'] });
+  const sub = args._[0];
+  if (sub === 'off') {
+    if (fs.existsSync(ABSTAIN_FILE)) fs.unlinkSync(ABSTAIN_FILE);
+    console.log('🧹 Abstention off — every round gets a pick.');
+    return;
+  }
+  if (sub === 'curve') {
+    const by = args.by === 'margin' ? 'margin' : 'prob';
+    const records = await loadForecastRecords(args._[1] || 'backtest', args);
+    if (!records.length) { console.log('No forecasts to score.'); return; }
+    printRiskCoverage(riskCoverage(records, by), { by, minPicks: args['min-picks'] ? Number(args['min-picks']) : undefined });
+    const gate = loadAbstainGate();
+    if (gateIsOn(gate)) printSelectiveSummary(selectiveSummary(records, gate), gate, 'Current gate');
+    return;
+  }
+  if (sub) throw new Error(`Unknown abstain subcommand "${sub}" (use curve, off, or --min-prob / --min-margin).`);
+  if (args['min-prob'] !== undefined || args['min-margin'] !== undefined) {
+    const gate = gateFromArgs(args, loadAbstainGate());
+    fs.writeFileSync(ABSTAIN_FILE, JSON.stringify(Object.assign({}, gate, { savedAt: new Date().toISOString() }), null, 2));
+    console.log(`💾 Saved ${path.basename(ABSTAIN_FILE)} — abstaining unless ${formatGate(gate)}.`);
+    return;
+  }
+  console.log(`Abstention gate: ${formatGate(loadAbstainGate())}`);
+}
 
-      // store the pick so when the next observed outcome arrives we can evaluate it
-      lastPick = pick;
+// bankroll [csv|backtest] [--file f] [--online] [--workers N] [--plans flat,kelly,martingale,threshold]
+//          [--odds RED=2,BLACK=2,GREEN=14] [--bankroll N] [--unit N] [--min-stake N] [--kelly f] [--threshold p]
+//          [--paths N] [--rounds N] [--block N] [--seed N] [--csv out.csv]
+// Replays the forecasts as bets under each staking plan: P&L, max drawdown, then Monte Carlo risk of ruin.
+async function cmdBankroll(tokens) {
+  const args = parseArgs(tokens, { boolean: ['online'] });
+  const source = args._[0] || 'csv';
+  const plans = args.plans ? String(args.plans).split(',').map(p => p.trim()).filter(Boolean) : PLANS;
+  const unknown = plans.filter(p => !PLANS.includes(p));
+  if (unknown.length) throw new Error(`Unknown staking plan ${unknown.join(', ')} (known: ${PLANS.join(', ')}).`);
+  const opts = {
+    odds: parseOdds(args.odds),
+    bankroll: args.bankroll ? Number(args.bankroll) : undefined,
+    unit: args.unit ? Number(args.unit) : undefined,
+    minStake: args['min-stake'] ? Number(args['min-stake']) : undefined,
+    kellyFraction: args.kelly ? Number(args.kelly) : undefined,
+    threshold: args.threshold !== undefined ? Number(args.threshold) : undefined,
+    paths: args.paths ? Number(args.paths) : undefined,
+    rounds: args.rounds ? Number(args.rounds) : undefined,
+    block: args.block ? Number(args.block) : undefined,
+    seed: args.seed !== undefined ? Number(args.seed) : undefined
+  };
+  const records = await loadForecastRecords(source, args);
+  if (!records.length) { console.log('No forecasts to replay.'); return; }
 
-      // Move to next round (Play Next Hand)
-      try {
-        await page.waitForSelector(NEXT_HAND_SELECTOR, { timeout: 20000 });
-        await page.click(NEXT_HAND_SELECTOR);
-      } catch (e) {
-        console.log('⚠️ Could not click Play Next Hand (maybe not available):', e.message || e);
-      }
+  const results = plans.map(plan => simulateBankroll(records, plan, opts));
+  const monteCarlo = opts.paths === 0 ? [] : plans.map(plan => monteCarloBankroll(records, plan, opts));
+  printBankrollReport(`Bankroll replay — ${source}, ${records.length} rounds`, results, monteCarlo, opts);
+  if (args.csv) {
+    writeCurvesCsv(args.csv, results);
+    console.log(`💾 Wrote bankroll curves to ${args.csv}`);
+  }
+}
 
-      await sleep(2000);
-    } catch (err) {
-      console.log('⚠️ Loop error:', err.message || err);
-      try { await page.reload({ waitUntil: 'domcontentloaded', timeout: TIMEOUT }); } catch (e) { /* ignore */ }
-      await sleep(2000);
-    }
+// simulate [iid|markov|regime|replay] [--seeds N] [--rounds N] [--first-seed N] [--refit k] [--no-audit]
+//          [--probs 18,18,1] [--order k] [--strength s] [--regimes 6,3.5,.5;3.5,6,.5] [--switch p]
+//          [--bias b] [--inject repeat|alternate|RED|BLACK|GREEN] [--write file]
+// Runs walkForwardEvaluate and the randomness audit on synthetic histories, one per seed: on iid data
+// every reported edge is a false discovery; on the other sources the rate is the power to detect the
+// structure. --write saves the first seed's history instead (e.g. for `audit <file>`).
+function cmdSimulate(tokens) {
+  const args = parseArgs(tokens, { boolean: ['no-audit'] });
+  const source = args._[0] || 'iid';
+  if (!SOURCES.includes(source)) throw new Error(`Unknown source "${source}" (known: ${SOURCES.join(', ')}).`);
+  const probs = args.probs ? parseExpected(args.probs) : DEFAULT_PROBS;
+  const regimes = args.regimes ? String(args.regimes).split(';').map(r => parseExpected(r)) : DEFAULT_REGIMES;
+  const generator = {
+    probs,
+    order: args.order ? Number(args.order) : undefined,
+    strength: args.strength !== undefined ? Number(args.strength) : undefined,
+    regimes,
+    switchProb: args.switch !== undefined ? Number(args.switch) : undefined,
+    bias: args.bias !== undefined ? Number(args.bias) : undefined,
+    inject: args.inject ? String(args.inject) : undefined
+  };
+  if (generator.inject) generator.inject = ['repeat', 'alternate'].includes(generator.inject.toLowerCase()) ? generator.inject.toLowerCase() : generator.inject.toUpperCase();
+  // the audit's goodness-of-fit is run against the source's long-run marginal, so it flags structure
+  // rather than a mismatch in the base rates
+  let expected = probs;
+  if (source === 'replay') {
+    generator.source = loadHistory().map(h => h.outcome);
+    const counts = Object.fromEntries(OUTCOMES.map(l => [l, generator.source.filter(o => o === l).length]));
+    expected = Object.fromEntries(OUTCOMES.map(l => [l, counts[l] / Math.max(1, generator.source.length)]));
+  } else if (source === 'regime') {
+    expected = Object.fromEntries(OUTCOMES.map(l => [l, regimes.reduce((s, r) => s + r[l], 0) / regimes.length]));
   }
+  const rounds = args.rounds ? Number(args.rounds) : DEFAULT_ROUNDS;
+  const firstSeed = args['first-seed'] ? Number(args['first-seed']) : 1;
+
+  if (args.write) {
+    const hist = generateHistory(source, rounds, generator, firstSeed);
+    writeHistoryFile(path.resolve(args.write), hist);
+    console.log(`💾 Wrote ${hist.length} synthetic ${source} rounds (seed ${firstSeed}) to ${args.write}`);
+    return null;
+  }
+
+  const refit = args.refit !== undefined ? Number(args.refit) : 10;
+  const seeds = args.seeds ? Number(args.seeds) : 10;
+  console.log(`🧪 Simulating ${seeds} × ${rounds} ${source} rounds (walk-forward refit every ${refit})...`);
+  const started = Date.now();
+  const study = runSimulationStudy({
+    source,
+    rounds,
+    seeds,
+    firstSeed,
+    generator,
+    evaluate: (history) => {
+      const res = walkForwardEvaluate(history, { refitEvery: refit });
+      const c = res.comparison;
+      return {
+        edge: !!(c && c.edge),
+        accuracy: res.accuracy,
+        baseline: c && c.baselines.length ? c.baselines.reduce((a, b) => (b.accuracy > a.accuracy ? b : a)) : null
+      };
+    },
+    audit: args['no-audit'] ? null : (history) => auditSequence(history.map(h => h.outcome), { expected }),
+    onSeed: (run) => console.log(`  seed ${String(run.seed).padStart(3)}: accuracy ${(run.accuracy * 100).toFixed(1)}%` +
+      (run.baseline ? ` (best baseline ${run.baseline.name} ${(run.baseline.accuracy * 100).toFixed(1)}%)` : '') + (run.edge ? '  ⚠️ edge' : '') +
+      (run.auditRejected && run.auditRejected.length ? `  ❗ audit: ${run.auditRejected.join('; ')}` : ''))
+  });
+  printSimulationReport(study, `Simulation study (${((Date.now() - started) / 1000).toFixed(0)} s)`);
+  return study;
 }
 
-// ---------- Offline CLI (data/analysis/model) ----------
-function printSummaryStats() {
-  const hist = loadHistory();
-  console.log(`Stored outcomes: ${hist.length}`);
-  if (hist.length === 0) return;
-  const chi = chiSquareTest(hist);
-  console.log('Counts:', chi.counts, 'Chi2:', chi.chi2.toFixed(3), 'p:', chi.p || 'N/A');
-  const runs = runsTest(hist);
-  if (runs) console.log('Runs test:', runs);
-  else console.log('Runs test: insufficient binary data (greens removed or too small).');
-  const ac = lag1Autocorr(hist);
-  console.log('Lag-1 autocorr (RED vs BLACK):', ac);
+// predict — next-round forecast with the members behind it
+function cmdPredict() {
+  return printForecast(forecastNext(loadHistory()));
 }
 
-function buildDatasetFromHistory() {
-  const hist = loadHistory();
-  const X = [], Y = [];
-  for (let i = N_WINDOW; i < hist.length; i++) {
-    X.push(buildFeatureFromHistory(hist, i));
-    Y.push(OUTCOMES.indexOf(hist[i].outcome));
-  }
-  return { X, Y, hist };
+function printForecast(f) {
+  if (!f.model) console.log('No usable registered model — the logistic member falls back to uniform (run `train`).');
+  console.log(f.calibration ? `Prediction distribution (${f.calibration}-calibrated):` : 'Prediction distribution:', f.dist);
+  console.log('Context model driven by', f.context);
+  if (f.regime) console.log('Regime now:', f.regime);
+  console.log('Member weights:', formatWeights(f.weights));
+  console.log('Pick:', f.pick || `${ABSTAIN} — ${describeConfidence(f.dist)}, gate needs ${formatGate(f.gate)}`);
+  return f;
 }
 
-function cmdTrainAndEvaluate() {
-  const { X, Y, hist } = buildDatasetFromHistory();
-  if (X.length < 20) { console.log('Not enough data to train (need at least ~20 samples).'); return; }
-  console.log('Training softmax logistic regression...');
-  const model = trainSoftmax(X, Y, { lr: 0.06, epochs: 200, l2: 0.001 });
-  console.log('Model trained. Running walk-forward evaluation (this may take a little while)...');
-  const wfe = walkForwardEvaluate(hist);
-  console.log('Walk-forward eval:', wfe);
-  try {
-    fs.writeFileSync(MODEL_FILE, JSON.stringify(model, null, 2));
-    console.log('Saved model to', MODEL_FILE);
-  } catch (e) { console.log('Could not save model:', e.message); }
+// REPL commands by name; each gets the tokens after the name. rb.cjs runs them one at a time.
+// The live commands (browser, dashboard, credentials), the API and the history maintenance commands are in
+// their own modules, required on first use: loading the predictor (rb.cjs, every backtest worker) does not
+// pull in Puppeteer, the servers or sportypredictor.cjs.
+const liveCommands = () => require('./live-commands.cjs');
+const apiCommands = () => require('./api-commands.cjs');
+const historyCommands = () => require('./history-commands.cjs');
+
+const COMMAND_USAGE = {
+  scrape: 'scrape [dom|network] [--headless] [--stall min] [--dashboard] [--port N] (live)',
+  status: 'status [file]',
+  dashboard: 'dashboard [--port N]',
+  api: 'api [--port N] [--host H] [--token T]',
+  stats: 'stats',
+  train: 'train [--no-promote]',
+  predict: 'predict',
+  models: 'models [list|promote <id>|rollback|import [file] --force]',
+  features: 'features [list|on|off|set|reset|importance [--all]]',
+  backtest: 'backtest [--online] [--adaptive] [--refit k] [--window sliding --size N] [--workers N]',
+  calibration: 'calibration [backtest|csv] [--fit temperature|isotonic] [--clear]',
+  abstain: 'abstain [--min-prob p] [--min-margin m] [off|curve [backtest|csv] [--by prob|margin]]',
+  bankroll: 'bankroll [csv|backtest] [--odds RED=2,BLACK=2,GREEN=14] [--plans p,...]',
+  simulate: 'simulate [iid|markov|regime|replay] [--seeds N] [--rounds N] [--write file]',
+  audit: 'audit [file] [--from t] [--to t] [--last N] [--expected r,b,g]',
+  context: 'context [--depth N]',
+  hmm: 'hmm [--states K]',
+  weights: 'weights [--reset]',
+  tune: 'tune [--budget N] [--patience N] [--time S] [--reset]',
+  validate: 'validate <snapshot.html> [profile]',
+  credentials: 'credentials [status|save|check|clear|logout]',
+  dedupe: 'dedupe [file] [--fix] [--heuristic] [--window ms]',
+  import: 'import [files...] [--out file] [--tolerance ms] [--assume-mtime] [--dry-run]',
+  compact: 'compact'
+};
+
+const COMMANDS = {
+  scrape: (args) => liveCommands().cmdScrape(args),
+  status: (args) => liveCommands().cmdStatus(args),
+  dashboard: (args) => liveCommands().ensureDashboard(parseArgs(args).port),
+  api: (args) => apiCommands().cmdApi(args),
+  stats: () => printSummaryStats(),
+  train: cmdTrainAndEvaluate,
+  predict: cmdPredict,
+  models: cmdModels,
+  features: cmdFeatures,
+  backtest: cmdBacktest,
+  calibration: cmdCalibration,
+  abstain: cmdAbstain,
+  bankroll: cmdBankroll,
+  simulate: cmdSimulate,
+  audit: cmdAudit,
+  context: cmdContext,
+  hmm: cmdHmm,
+  weights: cmdWeights,
+  tune: cmdTune,
+  validate: (args) => liveCommands().cmdValidateProfile(args),
+  credentials: (args) => liveCommands().cmdCredentials(args),
+  dedupe: (args) => historyCommands().cmdDedupe(args),
+  import: (args) => historyCommands().cmdImport(args),
+  compact: () => historyCommands().cmdCompact()
+};
+
+// startup shared by the REPL and rb.cjs: feature switches and the tuned config
+function initCli() {
+  featureOverrides = loadFeatureOverrides();
+  if (Object.keys(featureOverrides).length) console.log(`🧩 Feature overrides from ${path.basename(FEATURES_FILE)}: ${Object.keys(featureOverrides).join(', ')}.`);
+  const tuned = loadTunedConfig();
+  if (tuned && tuned.config) {
+    applyConfig(tuned.config);
+    // hand-edited files and ones saved before the holdout check may lack the score or the date
+    const loss = Number.isFinite(tuned.logLoss) ? tuned.logLoss.toFixed(4) : 'n/a';
+    console.log(`⚙️ Using tuned config from ${path.basename(CONFIG_FILE)} (walk-forward log-loss ${loss}${tuned.tunedAt ? `, ${tuned.tunedAt}` : ''}).`);
+  }
 }
 
 async function mainCLI() {
   console.log('iv-redblack-advanced CLI');
-  console.log('Commands: scrape (live), stats, train, predict, backtest, exit');
+  initCli();
+  console.log(`Commands: ${Object.values(COMMAND_USAGE).join(', ')}, exit`);
   const rl = require('readline').createInterface({ input: process.stdin, output: process.stdout, prompt: '> ' });
   rl.prompt();
   rl.on('line', async (line) => {
-    const cmd = line.trim().split(/\s+/)[0];
+    const [cmd, ...args] = line.trim().split(/\s+/);
     try {
-      if (cmd === 'scrape') {
-        await runScrapeAndPredictLoop();
-      } else if (cmd === 'stats') {
-        printSummaryStats();
-      } else if (cmd === 'train') {
-        cmdTrainAndEvaluate();
-      } else if (cmd === 'predict') {
-        let model = null;
-        if (fs.existsSync(MODEL_FILE)) model = JSON.parse(fs.readFileSync(MODEL_FILE, 'utf8'));
-        const hist = loadHistory();
-        const dist = ensemblePredict(hist, model);
-        console.log('Prediction distribution:', dist);
-        console.log('Pick:', argmaxWithRandomTie(dist));
-      } else if (cmd === 'backtest') {
-        const hist = loadHistory();
-        const res = walkForwardEvaluate(hist);
-        console.log('Backtest / walk-forward result:', res);
-      } else if (cmd === 'exit' || cmd === 'quit') {
+      if (cmd === 'exit' || cmd === 'quit') {
         rl.close(); process.exit(0);
+      } else if (Object.prototype.hasOwnProperty.call(COMMANDS, cmd)) {
+        await COMMANDS[cmd](args);
       } else {
-        console.log('Unknown command — available: scrape, stats, train, predict, backtest, exit');
+        console.log(`Unknown command — available: ${Object.keys(COMMANDS).join(', ')}, exit`);
       }
     } catch (e) {
       console.log('Error:', e.message || e);
@@ -621,6 +1658,62 @@ async function mainCLI() {
   });
 }
 
+module.exports = {
+  OUTCOMES,
+  DATA_FILE,
+  LEGACY_DATA_FILE,
+  LOGFILE,
+  CALIBRATION_FILE,
+  WEIGHTS_FILE,
+  ABSTAIN_FILE,
+  REFIT_EVERY,
+  ADAPTIVE_WEIGHTS,
+  COMMANDS,
+  COMMAND_USAGE,
+  initCli,
+  mainCLI,
+  loadHistory,
+  getHistoryStore,
+  saveHistory,
+  appendOutcomes,
+  appendLogCsv,
+  parseTimeArg,
+  registeredModel,
+  activeRegisteredModel,
+  loadAbstainGate,
+  forecastNext,
+  printForecast,
+  computeSummaryStats,
+  printSummaryStats,
+  backtestSummary,
+  backtestResult,
+  printBacktestReport,
+  buildFeatureFromHistory,
+  datasetFromHistory,
+  fitLogisticModel,
+  updateLogisticModel,
+  trainSoftmax,
+  onlineUpdateSoftmax,
+  predictSoftmaxModel,
+  ensembleMembers,
+  createMemberState,
+  regimeModelFor,
+  fitRegimeModel,
+  fitSequenceModel,
+  memberHedge,
+  reweightMembers,
+  memberDists,
+  combineMembers,
+  ensemblePredict,
+  argmaxWithRandomTie,
+  describeConfidence,
+  walkForwardEvaluate,
+  createBacktestAdapter,
+  backtestShape,
+  currentConfig,
+  applyConfig
+};
+
 if (require.main === module) {
   mainCLI();
 }
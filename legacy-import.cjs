@@ -0,0 +1,304 @@
+// legacy-import.cjs
+// Importer for the legacy outcome logs -> canonical history entries { ts, outcome, source, provenance }.
+// Formats understood (detected per file):
+//   predictions.txt                 "4/14/2025, 11:12:02 PM | 🧠 Outcome: BLACK Sorry, ... | 🔮 Prediction: RED"
+//   predictions_log.txt             "<iso> - Predicted: Red, Actual: GREEN Sorry, ..."
+//   rb_predictions*.log             "<iso> | outcome=RED | prevPred=RED | ✅"  /  "<iso> | observed=RED | ..."
+//   rb_predictions_log.csv          header "ts,outcome,pred,..." (old) or "ts,observed,prevPred,..." (appendLogCsv)
+//   rb_outcomes.json                bare ["RED", ...] without timestamps (aligned against the timed records)
+//   rb_history.json / .jsonl        existing history entries (kept as-is, provenance added)
+// Records from different files that show the same outcome within a tolerance are merged into one entry;
+// overlapping records that disagree on the outcome are kept apart and listed as conflicts.
+// An untimed file that cannot be aligned is left out, unless opts.assumeMtime places it so that it ends
+// at the file's modification time (a guess: copies and edits change the mtime).
+
+const fs = require('fs');
+const path = require('path');
+const { readHistoryFile } = require('./history-store.cjs');
+
+const OUTCOMES = ['RED', 'BLACK', 'GREEN'];
+const MERGE_TOLERANCE_MS = 2000; // same round logged by two scripts: timestamps differ by the write delay
+const ALIGN_MIN_OVERLAP = 10;    // untimed sequences need this many overlapping rounds to be aligned
+const ALIGN_MIN_RATIO = 0.9;
+const DEFAULT_SPACING_MS = 10000; // typical gap between rounds, for untimed records that cannot be aligned
+
+const LEGACY_FILES = [
+  'predictions.txt',
+  'predictions_log.txt',
+  'rb_predictions.log',
+  'rb_predictions_with_green.log',
+  'rb_predictions_log.csv',
+  'rb_outcomes.json'
+];
+
+// first whole-word colour in a piece of banner/log text (same cleanup as normalizeOutcomeText)
+function firstOutcomeToken(text) {
+  if (!text) return null;
+  const up = String(text).replace(/\u00A0/g, ' ').toUpperCase().replace(/[^\w\s]/g, ' ');
+  const m = up.match(/\b(GREEN|RED|BLACK)\b/);
+  return m ? m[1] : null;
+}
+
+function parseTs(text) {
+  const t = Date.parse(String(text).trim());
+  return isNaN(t) ? null : t;
+}
+
+// ---------- Line parsers: line -> { ts, outcome, extra? } | null ----------
+function parsePredictionsTxtLine(line) {
+  const m = line.match(/^(.+?)\s*\|\s*\S*\s*Outcome:\s*(.+?)\s*\|\s*\S*\s*Prediction:\s*(.*)$/);
+  if (!m) return null;
+  const ts = parseTs(m[1]); // locale string written by toLocaleString(): parsed in the local timezone
+  const outcome = firstOutcomeToken(m[2]);
+  if (ts === null || !outcome) return null;
+  return { ts, outcome, extra: { prediction: firstOutcomeToken(m[3]), banner: m[2].replace(/\s+/g, ' ').trim() } };
+}
+
+function parsePredictionsLogTxtLine(line) {
+  const m = line.match(/^(\S+)\s+-\s+Predicted:\s*(.*?),\s*Actual:\s*(.*)$/);
+  if (!m) return null;
+  const ts = parseTs(m[1]);
+  const outcome = firstOutcomeToken(m[3]);
+  if (ts === null || !outcome) return null;
+  return { ts, outcome, extra: { prediction: firstOutcomeToken(m[2]) } };
+}
+
+function parsePipeLogLine(line) {
+  const m = line.match(/^(\S+)\s*\|\s*(?:outcome|observed)=(\w+)\s*\|\s*prevPred=(\w*)/);
+  if (!m) return null;
+  const ts = parseTs(m[1]);
+  const outcome = OUTCOMES.includes(m[2].toUpperCase()) ? m[2].toUpperCase() : null;
+  if (ts === null || !outcome) return null;
+  return { ts, outcome, extra: { prediction: OUTCOMES.includes(m[3]) ? m[3] : null } };
+}
+
+// ---------- CSV prediction log ----------
+// Both header layouts share the column order: ts, observed outcome, prediction made before it,
+// then the distribution predicted for the NEXT round and a correctness flag.
+// -> { rows: [{ line, ts, observed, pred, probs: {RED,BLACK,GREEN}|null, correct }], unparsed }
+function parsePredictionCsv(text) {
+  const lines = text.split(/\r?\n/);
+  const rows = [], unparsed = [];
+  let cols = null;
+  lines.forEach((raw, idx) => {
+    const line = raw.trim();
+    if (!line) return;
+    const cells = line.split(',');
+    if (cells[0] === 'ts') { cols = cells; return; }
+    const get = (names, fallback) => {
+      const i = cols ? cols.findIndex(c => names.includes(c)) : -1;
+      return cells[i >= 0 ? i : fallback];
+    };
+    const ts = parseTs(cells[0]);
+    const observed = String(get(['observed', 'outcome'], 1) || '').toUpperCase();
+    if (ts === null || !OUTCOMES.includes(observed)) { unparsed.push({ line: idx + 1, text: line }); return; }
+    const pred = String(get(['prevPred', 'pred'], 2) || '').toUpperCase();
+    const p = ['prob_red', 'prob_black', 'prob_green'].map((c, k) => parseFloat(get([c], 3 + k)));
+    const correct = get(['correct'], 6);
+    rows.push({
+      line: idx + 1,
+      ts,
+      observed,
+      pred: pred || null,
+      probs: p.every(v => !isNaN(v)) ? { RED: p[0], BLACK: p[1], GREEN: p[2] } : null,
+      correct: correct === '1' ? true : correct === '0' ? false : null
+    });
+  });
+  return { rows, unparsed };
+}
+
+// ---------- File-level parsing ----------
+function detectFormat(file, text) {
+  const base = path.basename(file);
+  if (base.endsWith('.csv')) return 'csv';
+  if (base.endsWith('.jsonl')) return 'history';
+  if (base.endsWith('.json')) {
+    const data = JSON.parse(text);
+    if (Array.isArray(data) && data.every(v => typeof v === 'string')) return 'outcome-list';
+    if (Array.isArray(data)) return 'history';
+    throw new Error(`${base}: not an outcome array or history array`);
+  }
+  const first = text.split(/\r?\n/).find(l => l.trim()) || '';
+  if (/Outcome:/.test(first)) return 'predictions-txt';
+  if (/Predicted:.*Actual:/.test(first)) return 'predictions-log-txt';
+  if (/\|\s*(outcome|observed)=/.test(first)) return 'pipe-log';
+  throw new Error(`${base}: unrecognised log format`);
+}
+
+const LINE_PARSERS = {
+  'predictions-txt': parsePredictionsTxtLine,
+  'predictions-log-txt': parsePredictionsLogTxtLine,
+  'pipe-log': parsePipeLogLine
+};
+
+// -> { file, format, records: [{ ts|null, outcome, provenance, extra? }], unparsed: [{ line, text }], timed }
+function parseLegacyFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const base = path.basename(file);
+  const format = detectFormat(file, text);
+  const records = [], unparsed = [];
+  if (format === 'csv') {
+    const csv = parsePredictionCsv(text);
+    for (const r of csv.rows) records.push({ ts: r.ts, outcome: r.observed, provenance: `${base}:${r.line}` });
+    unparsed.push(...csv.unparsed);
+  } else if (format === 'outcome-list') {
+    JSON.parse(text).forEach((v, i) => {
+      const outcome = firstOutcomeToken(v);
+      if (outcome) records.push({ ts: null, outcome, provenance: `${base}[${i}]` });
+      else unparsed.push({ line: i + 1, text: String(v) });
+    });
+  } else if (format === 'history') {
+    readHistoryFile(file).forEach((e, i) => {
+      if (e && typeof e.ts === 'number' && OUTCOMES.includes(e.outcome)) records.push(Object.assign({}, e, { provenance: `${base}[${i}]` }));
+      else unparsed.push({ line: i + 1, text: JSON.stringify(e) });
+    });
+  } else {
+    text.split(/\r?\n/).forEach((line, idx) => {
+      if (!line.trim()) return;
+      const r = LINE_PARSERS[format](line);
+      if (r) records.push(Object.assign({ provenance: `${base}:${idx + 1}` }, r));
+      else unparsed.push({ line: idx + 1, text: line });
+    });
+  }
+  return { file, format, records, unparsed, timed: format !== 'outcome-list' };
+}
+
+// ---------- Merging ----------
+function toEntry(r) {
+  const entry = Object.assign({}, r);
+  delete entry.extra;
+  entry.provenance = Array.isArray(r.provenance) ? r.provenance.slice() : [r.provenance];
+  if (!entry.source) entry.source = 'import';
+  return entry;
+}
+
+// Timed records sorted by ts; a record joins the previous entry when it comes from another file,
+// shows the same outcome and lies within the tolerance. The same overlap with another outcome is a
+// conflict: both are kept, and the pair is reported.
+// -> { entries, merged, conflicts: [{ ts, outcomes: [kept, other], provenance: [kept's, other's] }] }
+function mergeTimed(records, toleranceMs) {
+  const sorted = records.slice().sort((a, b) => a.ts - b.ts);
+  const out = [];
+  const conflicts = [];
+  let merged = 0;
+  for (const r of sorted) {
+    const fileOf = p => p.replace(/[:[].*$/, '');
+    const prev = out.length ? out[out.length - 1] : null;
+    const overlaps = prev && r.ts - prev.ts <= toleranceMs && !prev.provenance.some(p => fileOf(p) === fileOf(r.provenance));
+    if (overlaps && prev.outcome === r.outcome) {
+      prev.provenance.push(r.provenance);
+      merged++;
+      continue;
+    }
+    if (overlaps) conflicts.push({ ts: r.ts, outcomes: [prev.outcome, r.outcome], provenance: [prev.provenance.join(' + '), r.provenance] });
+    out.push(toEntry(r));
+  }
+  return { entries: out, merged, conflicts };
+}
+
+// Align an untimed outcome sequence against the timed entries; overlapping rounds are merged (the ones
+// that disagree are reported as conflicts and the timed entry is kept), the rest get timestamps
+// extrapolated from the aligned neighbours (tsApprox: true). No alignment: the records are left out
+// unless opts.anchorTs says where the sequence ends.
+// -> { entries, aligned: { k, overlap, hits } | null, placed (records added), conflicts }
+function alignUntimed(entries, records, opts = {}) {
+  const m = records.length, n = entries.length;
+  let best = null;
+  for (let k = -(m - 1); k < n; k++) {
+    let overlap = 0, hits = 0;
+    for (let i = Math.max(0, -k); i < m && i + k < n; i++) {
+      overlap++;
+      if (entries[i + k].outcome === records[i].outcome) hits++;
+    }
+    if (overlap < ALIGN_MIN_OVERLAP || hits / overlap < ALIGN_MIN_RATIO) continue;
+    if (!best || hits > best.hits) best = { k, overlap, hits };
+  }
+  const spacing = opts.spacingMs || DEFAULT_SPACING_MS;
+  if (!best) {
+    if (!opts.anchorTs) return { entries, aligned: null, placed: 0, conflicts: [] };
+    // no overlap found: place the sequence so that it ends at the anchor time
+    const placed = records.map((r, i) => toEntry(Object.assign({}, r, { ts: opts.anchorTs - (m - 1 - i) * spacing, tsApprox: true })));
+    return { entries: entries.concat(placed).sort((a, b) => a.ts - b.ts), aligned: null, placed: placed.length, conflicts: [] };
+  }
+  const out = entries.slice();
+  const extra = [];
+  const conflicts = [];
+  records.forEach((r, i) => {
+    const j = i + best.k;
+    if (j >= 0 && j < n) {
+      if (entries[j].outcome === r.outcome) out[j] = Object.assign({}, out[j], { provenance: out[j].provenance.concat(r.provenance) });
+      else conflicts.push({ ts: entries[j].ts, outcomes: [entries[j].outcome, r.outcome], provenance: [entries[j].provenance.join(' + '), r.provenance] });
+      return;
+    }
+    const ts = j < 0 ? entries[0].ts + j * spacing : entries[n - 1].ts + (j - n + 1) * spacing;
+    extra.push(toEntry(Object.assign({}, r, { ts, tsApprox: true })));
+  });
+  return { entries: out.concat(extra).sort((a, b) => a.ts - b.ts), aligned: best, placed: extra.length, conflicts };
+}
+
+// files: paths to import. opts: { toleranceMs, assumeMtime (place unalignable untimed files by their mtime) }
+// -> { history, report }
+function importLegacy(files, opts = {}) {
+  const toleranceMs = opts.toleranceMs || MERGE_TOLERANCE_MS;
+  const parsed = [], failed = [];
+  for (const f of files) {
+    try { parsed.push(parseLegacyFile(f)); }
+    catch (e) { failed.push({ file: f, error: e.message }); }
+  }
+  const timed = parsed.filter(p => p.timed).flatMap(p => p.records);
+  let { entries, merged, conflicts } = mergeTimed(timed, toleranceMs);
+  const alignments = [];
+  for (const p of parsed.filter(x => !x.timed)) {
+    const anchorTs = opts.assumeMtime ? fs.statSync(p.file).mtimeMs : null;
+    const res = alignUntimed(entries, p.records, { anchorTs });
+    entries = res.entries;
+    conflicts = conflicts.concat(res.conflicts);
+    alignments.push({ file: p.file, records: p.records.length, aligned: res.aligned, placed: res.placed, byMtime: !res.aligned && !!anchorTs });
+  }
+  const report = {
+    files: parsed.map(p => ({ file: p.file, format: p.format, parsed: p.records.length, unparsed: p.unparsed })),
+    failed,
+    merged,
+    conflicts,
+    alignments,
+    total: entries.length,
+    from: entries.length ? entries[0].ts : null,
+    to: entries.length ? entries[entries.length - 1].ts : null
+  };
+  return { history: entries, report };
+}
+
+// opts: { maxLines (unparsed lines / conflicts shown per list), allConflicts (dry run: list every conflict) }
+function printImportReport(report, opts = {}) {
+  const maxLines = opts.maxLines || 5;
+  console.log('Import report:');
+  for (const f of report.files) {
+    console.log(`  ${path.basename(f.file)} [${f.format}]: ${f.parsed} record(s), ${f.unparsed.length} unparseable line(s)`);
+    for (const u of f.unparsed.slice(0, maxLines)) console.log(`      line ${u.line}: ${u.text.slice(0, 100)}`);
+    if (f.unparsed.length > maxLines) console.log(`      ... ${f.unparsed.length - maxLines} more`);
+  }
+  for (const f of report.failed) console.log(`  ❌ ${path.basename(f.file)}: ${f.error}`);
+  for (const a of report.alignments) {
+    if (a.aligned) console.log(`  ${path.basename(a.file)}: aligned at offset ${a.aligned.k} (${a.aligned.hits}/${a.aligned.overlap} rounds agree)`);
+    else if (a.byMtime) console.log(`  ${path.basename(a.file)}: no overlap with timed records — ${a.placed} round(s) placed to end at the file time (--assume-mtime)`);
+    else console.log(`  ${path.basename(a.file)}: no overlap with timed records — left out (its rounds have no timestamps; --assume-mtime places them to end at the file time)`);
+  }
+  console.log(`  Merged ${report.merged} overlapping record(s) logged by more than one file.`);
+  if (report.conflicts.length) {
+    const shown = opts.allConflicts ? report.conflicts : report.conflicts.slice(0, maxLines);
+    console.log(`  ⚠️ ${report.conflicts.length} overlapping record(s) disagree on the outcome (timed records are both kept, an aligned outcome list yields to the timed one):`);
+    for (const c of shown) console.log(`      ${new Date(c.ts).toISOString()}  ${c.outcomes[0]} (${c.provenance[0]}) vs ${c.outcomes[1]} (${c.provenance[1]})`);
+    if (shown.length < report.conflicts.length) console.log(`      ... ${report.conflicts.length - shown.length} more (all listed with --dry-run)`);
+  }
+  if (report.total) {
+    console.log(`  Canonical history: ${report.total} rounds, ${new Date(report.from).toISOString()} → ${new Date(report.to).toISOString()}`);
+  }
+}
+
+module.exports = {
+  LEGACY_FILES,
+  parsePredictionCsv,
+  parseLegacyFile,
+  importLegacy,
+  printImportReport
+};
@@ -0,0 +1,423 @@
+// live-commands.cjs
+// Commands of iv-redblack-advanced.cjs that drive the browser or keep serving: the scrape-and-predict loop,
+// the live dashboard, the scrape status, the login credentials and site profile validation.
+// - Required by the REPL command map on first use, so loading the predictor does not start Puppeteer.
+// - The models, config and history come from iv-redblack-advanced.cjs; the tunables are read through its
+//   fit helpers on every refit, so a `tune` run in the same REPL is picked up as before.
+
+const readlineSync = require('readline-sync');
+const fs = require('fs');
+const path = require('path');
+const { loadSiteProfile, selectorChain, waitForAnySelector, validateSnapshot, printValidationReport } = require('./site-profile.cjs');
+const { CREDENTIALS_FILE, saveCredentialsFile, readCredentialsFile, credentialSource, savedSession, forgetSession } = require('./browser-session.cjs');
+const { formatStatusLine, readStatusFile, writerAlive, createScrapeSupervisor } = require('./scrape-supervisor.cjs');
+const { resolveCaptureMode, createNetworkCapture, installBannerWatch, waitForBannerResult, consumeBanner } = require('./round-capture.cjs');
+const { roundKeyFor, isSameRound } = require('./round-identity.cjs');
+const { parseArgs } = require('./cli-args.cjs');
+const { parsePredictionCsv } = require('./legacy-import.cjs');
+const { recordsFromPredictionCsv, applyCalibration, loadCalibration } = require('./scoring.cjs');
+const { describeContext } = require('./context-tree.cjs');
+const { filterSequence, formatRegimeProbs, printHmmSummary } = require('./hmm-regime.cjs');
+const { saveHedge, formatWeights } = require('./adaptive-weights.cjs');
+const { ABSTAIN, gateIsOn, passesGate, formatGate, createSelectiveTracker } = require('./abstention.cjs');
+const { startDashboard } = require('./dashboard-server.cjs');
+const {
+  OUTCOMES, LOGFILE, CALIBRATION_FILE, WEIGHTS_FILE, ABSTAIN_FILE, REFIT_EVERY, ADAPTIVE_WEIGHTS,
+  loadHistory, getHistoryStore, appendLogCsv, activeRegisteredModel, loadAbstainGate,
+  datasetFromHistory, fitLogisticModel, updateLogisticModel, ensembleMembers, createMemberState, regimeModelFor, fitRegimeModel,
+  fitSequenceModel, memberHedge, reweightMembers, memberDists, combineMembers, argmaxWithRandomTie, describeConfidence
+} = require('./iv-redblack-advanced.cjs');
+
+const STATUS_FILE = path.join(__dirname, 'rb_scrape_status.json'); // live health of the scrape loop (`status`)
+
+const TIMEOUT = 60000;
+// Login/game URLs and the result / next-hand selectors come from the active site profile (profiles/*.json)
+
+// Accuracy tracking
+let lastPick = null;         // prediction for the upcoming round
+let lastAbstained = false;   // true when the gate held back the pick for the upcoming round
+const selectiveTracker = createSelectiveTracker(); // coverage and accuracy on picked rounds (this run)
+let totalPred = 0;
+let correctPred = 0;
+const RECENT_WINDOW = 20;
+let recentPredictions = [];  // booleans; true if correct
+
+// ---------- Utilities ----------
+function sleep(ms) { return new Promise(resolve => setTimeout(resolve, ms)); }
+
+// Normalize messy UI text into RED|BLACK|GREEN using whole-word match
+// **Improved**: remove non-breaking spaces, punctuation, and collapse text neighbors
+function normalizeOutcomeText(raw) {
+  if (!raw) return null;
+  // convert to string, normalize spaces including NBSP
+  let up = String(raw).replace(/\u00A0/g, ' ').replace(/[\u200B-\u200D]/g, '').trim().toUpperCase();
+  // remove punctuation that may be stuck to words (commas, currency symbols, etc)
+  up = up.replace(/[^\w\s]/g, ' ');
+  // collapse multiple spaces
+  up = up.replace(/\s+/g, ' ').trim();
+  // whole-word search
+  const m = up.match(/\b(GREEN|RED|BLACK)\b/);
+  if (m && m[1]) return m[1];
+  return null;
+}
+
+// ---------- Scraper (Puppeteer) ----------
+// -> { outcome, raw, balance } (banner text and balance feed the derived round key) or null.
+// lastRaw: banner text of the previous read, so a banner still on screen is not read twice.
+async function scrapeOneOutcome(page, profile, lastRaw) {
+  try {
+    const { raw, balance } = await waitForBannerResult(page, selectorChain(profile, 'result'),
+      selectorChain(profile, 'balance', { optional: true }), lastRaw, { timeout: TIMEOUT });
+    const outcome = normalizeOutcomeText(raw);
+    return outcome ? { outcome, raw, balance } : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Append scraped round to DATA_FILE
+// round: { outcome, roundId?, payout?, raw?, balance?, source } from network capture or the DOM scraper.
+// Returns the stored entry, or null when the round is the same one as the last history entry.
+function recordOutcome(round) {
+  if (!round || !round.outcome) return null;
+  const store = getHistoryStore();
+  const [lastEntry] = store.last(1);
+
+  const entry = { ts: Date.now(), outcome: round.outcome };
+  for (const k of ['roundId', 'payout', 'source']) if (round[k] !== undefined && round[k] !== null) entry[k] = round[k];
+  const key = roundKeyFor(round);
+  if (key) entry.roundKey = key;
+
+  if (isSameRound(lastEntry, entry)) return null;
+
+  return store.append(entry);
+}
+
+// ---------- Main scrape & predict loop ----------
+// captureMode: 'dom' (banner text) or 'network' (game JSON payloads, DOM as fallback); default RB_CAPTURE_MODE or 'dom'
+// opts: { dashboard: true to serve the live dashboard, port, headless, stall (minutes without a round before
+//         the watchdog steps in) }
+async function runScrapeAndPredictLoop(captureMode, opts = {}) {
+  const mode = resolveCaptureMode(captureMode);
+  if (opts.dashboard) await ensureDashboard(opts.port);
+  const profile = loadSiteProfile();
+  console.log(`🧭 Site profile: ${profile.name}`);
+
+  // browser, login (skipped while the saved session is still valid), recovery and health: scrape-supervisor.cjs
+  let capture = null;
+  const supervisor = createScrapeSupervisor({
+    label: 'scrape',
+    profile,
+    gamePage: 'redBlack',
+    headless: opts.headless,
+    timeout: TIMEOUT,
+    stallMinutes: opts.stall,
+    statusFile: STATUS_FILE,
+    onPage: async (page) => {
+      capture = mode === 'network' ? await createNetworkCapture(page, profile) : null;
+      await installBannerWatch(page, selectorChain(profile, 'result'));
+    }
+  });
+  try {
+    await supervisor.start();
+  } catch (e) {
+    console.error('❌ Login failed:', e.message || e);
+    return;
+  }
+  let lastBannerRaw = '';
+  console.log(`🔎 Starting scrape -> update -> predict loop (capture: ${mode}). CTRL+C to stop.`);
+
+  let model = null;
+  let roundsSinceRefit = 0;
+  const calibration = loadCalibration(CALIBRATION_FILE);
+  if (calibration) console.log(`📐 Using ${calibration.method} calibration from ${path.basename(CALIBRATION_FILE)}.`);
+  const gate = loadAbstainGate();
+  if (gateIsOn(gate)) console.log(`🤐 Abstaining unless ${formatGate(gate)} (${path.basename(ABSTAIN_FILE)}).`);
+  // the history stays in memory: each round is pushed onto it and onto the incremental member inputs; it is
+  // reloaded from the store (picking up rounds added elsewhere, e.g. the API) only at the periodic refit
+  let hist = loadHistory();
+  let memberState = createMemberState(hist);
+  const registered = activeRegisteredModel();
+  if (registered) {
+    model = registered.payload.softmax;
+    console.log(`🗃️ Starting from registered model ${registered.id} (trained on ${registered.data.rounds} rounds).`);
+  } else if (hist.length > 30) {
+    const { X, Y } = datasetFromHistory(hist);
+    if (X.length > 10) {
+      console.log('⏳ Training initial logistic model on existing history...');
+      model = fitLogisticModel(X, Y);
+      console.log('✅ Initial model trained.');
+    }
+  }
+  // HMM regime model: forward filter stepped once per round, refit (warm start) along with the logistic model
+  let hmm = regimeModelFor(hist);
+  let regimeFilter = hmm ? filterSequence(hmm, hist.map(h => h.outcome)) : null;
+  if (hmm) printHmmSummary(hmm);
+  // GRU sequence model: refit (warm start) along with the logistic model
+  let gru = (registered && registered.payload.gru) || fitSequenceModel(hist);
+  if (gru) console.log(`🧠 GRU sequence model ready (${gru.hidden} hidden, window ${gru.window}).`);
+  // adaptive member weights: updated with each member's forecast for the round just observed, saved every round
+  const hedge = ADAPTIVE_WEIGHTS ? memberHedge() : null;
+  if (hedge && hedge.rounds()) console.log(`⚖️ Restored adaptive weights after ${hedge.rounds()} rounds: ${formatWeights(hedge.weights())}`);
+  let lastMemberDists = null;
+  let lastShown = null; // displayed distribution behind lastPick (dashboard scoring)
+
+  while (true) {
+    const page = supervisor.page();
+    try {
+      let round = capture ? await capture.next(TIMEOUT) : null;
+      if (capture && !round) console.log('🛰️ No round payload captured in time — falling back to page text.');
+      if (!round) {
+        const scraped = await scrapeOneOutcome(page, profile, lastBannerRaw);
+        if (scraped) lastBannerRaw = scraped.raw;
+        round = scraped ? Object.assign(scraped, { source: 'dom' }) : null;
+      }
+      if (!round) {
+        console.log('⚠️ Could not read outcome from page. Retrying after delay...');
+        await sleep(3000);
+        continue;
+      }
+      const observed = round.outcome;
+
+      // Record outcome (skip re-reads of the round already stored)
+      const entry = recordOutcome(round);
+      if (!entry) {
+        console.log(`↩️ Same round as the last history entry (${roundKeyFor(round) || observed}) — skipped.`);
+        await sleep(1500);
+        continue;
+      }
+      supervisor.roundSeen();
+      // a network round shows on the banner too: mark it read so a later DOM fallback does not count it again
+      if (round.source === 'network') {
+        const shown = await consumeBanner(page, selectorChain(profile, 'result'), observed);
+        if (shown) lastBannerRaw = shown;
+      }
+
+      if (dashboard) dashboard.publish('round', { ts: entry.ts, outcome: observed, prevDist: lastShown, prevPick: lastPick, abstained: lastAbstained });
+
+      if (round.source === 'network') {
+        const payout = round.payout !== null ? ` payout=${round.payout}` : '';
+        console.log(`🎲 Observed outcome: ${observed} (round ${round.roundId || '?'}${payout}, via ${round.via})`);
+      } else {
+        console.log(`🎲 Observed outcome: ${observed}`);
+      }
+
+      // Evaluate last prediction (if any); abstentions only count towards coverage
+      if (lastPick !== null || lastAbstained) selectiveTracker.record(lastPick, observed);
+      if (lastAbstained) console.log(`🤐 Abstained on this round | ${selectiveTracker.line()}`);
+      if (lastPick !== null) {
+        totalPred++;
+        const ok = lastPick === observed;
+        if (ok) correctPred++;
+        recentPredictions.push(ok);
+        if (recentPredictions.length > RECENT_WINDOW) recentPredictions.shift();
+        const recentAcc = (recentPredictions.filter(Boolean).length / Math.max(1, recentPredictions.length) * 100).toFixed(1);
+        const overallAcc = (correctPred / Math.max(1, totalPred) * 100).toFixed(1);
+        console.log(`📈 Prediction eval -> lastPick=${lastPick} | correct=${ok ? 'YES' : 'NO'} | recent(${recentPredictions.length})=${recentAcc}% overall=${overallAcc}%` +
+          (gateIsOn(gate) ? ` | ${selectiveTracker.line()}` : ''));
+      }
+      if (hedge && lastMemberDists) {
+        hedge.update(lastMemberDists, observed);
+        saveHedge(WEIGHTS_FILE, hedge);
+      }
+
+      // Update the model: online SGD step on the new round; warm-started full refit every REFIT_EVERY rounds
+      // (or a first full train once there is enough history), which also rebuilds everything from the store
+      const refitNow = !model || (REFIT_EVERY && roundsSinceRefit >= REFIT_EVERY);
+      if (refitNow) {
+        hist = loadHistory();
+        memberState = createMemberState(hist);
+      } else {
+        hist.push(entry);
+        memberState.push(observed);
+      }
+      if (refitNow || !hmm) {
+        hmm = fitRegimeModel(hist, hmm);
+        regimeFilter = hmm ? filterSequence(hmm, hist.map(h => h.outcome)) : null;
+      } else {
+        regimeFilter.update(observed);
+      }
+      if (refitNow || !gru) gru = fitSequenceModel(hist, gru);
+      if (refitNow) {
+        const { X, Y } = datasetFromHistory(hist);
+        if (X.length > 10) {
+          console.log(model ? '⏳ Periodic refit of logistic model (warm start)...' : '⏳ Training logistic model...');
+          model = fitLogisticModel(X, Y, model);
+          roundsSinceRefit = 0;
+        }
+      } else if (updateLogisticModel(model, hist)) {
+        roundsSinceRefit++;
+      }
+
+      // Ensemble predict for next (the CSV log keeps the raw ensemble output; display uses the calibrated one)
+      const regimes = regimeFilter ? regimeFilter.predict() : null;
+      let members = ensembleMembers(hist, model, Object.assign({ hmm: regimes, gru }, memberState.inputs()));
+      if (hedge) members = reweightMembers(members, hedge);
+      lastMemberDists = memberDists(members);
+      const dist = combineMembers(members, hist);
+      const shown = applyCalibration(dist, calibration);
+      const pick = passesGate(shown, gate) ? argmaxWithRandomTie(shown) : null;
+
+      // Log results (prevPred = lastPick, or ABSTAIN with an empty correct flag)
+      const ts = new Date().toISOString();
+      const prevPred = lastPick || (lastAbstained ? ABSTAIN : '');
+      const correctFlag = lastAbstained ? '' : ((prevPred && prevPred === observed) ? 1 : 0);
+      appendLogCsv(`${ts},${observed},${prevPred},${(dist.RED || 0).toFixed(4)},${(dist.BLACK || 0).toFixed(4)},${(dist.GREEN || 0).toFixed(4)},${correctFlag}`);
+
+      console.log('🔮 Next probabilities ->', OUTCOMES.map(o => `${o}:${(shown[o] * 100).toFixed(1)}%`).join('  ') + (calibration ? ` (${calibration.method}-calibrated)` : ''));
+      console.log(`🌳 Context model driven by ${describeContext(members.find(m => m.name === 'context').info)}`);
+      if (regimes) console.log(`🧭 Regime now: ${formatRegimeProbs(regimes.regimes)}`);
+      console.log(`⚖️ Member weights: ${formatWeights(Object.fromEntries(members.map(m => [m.name, m.weight])))}`);
+      if (pick) console.log('👉 Predicted next:', pick);
+      else console.log(`👉 Predicted next: ${ABSTAIN} — ${describeConfidence(shown)}, gate needs ${formatGate(gate)}`);
+
+      // store the pick so when the next observed outcome arrives we can evaluate it
+      lastPick = pick;
+      lastAbstained = pick === null;
+      lastShown = shown;
+      if (dashboard) {
+        dashboard.publish('prediction', {
+          ts: Date.now(),
+          dist: shown,
+          pick,
+          weights: Object.fromEntries(members.map(m => [m.name, m.weight])),
+          regime: regimes ? formatRegimeProbs(regimes.regimes) : null,
+          context: describeContext(members.find(m => m.name === 'context').info)
+        });
+      }
+
+      // Move to next round (Play Next Hand)
+      try {
+        const nextHandSel = await waitForAnySelector(page, selectorChain(profile, 'nextHand'), { timeout: 20000 });
+        await page.click(nextHandSel);
+      } catch (e) {
+        console.log('⚠️ Could not click Play Next Hand (maybe not available):', e.message || e);
+      }
+
+      await sleep(2000);
+    } catch (err) {
+      console.log('⚠️ Loop error:', err.message || err);
+      try {
+        await supervisor.recover(err);
+      } catch (e) {
+        console.error('❌ Scrape stopped:', e.message || e);
+        return;
+      }
+    }
+  }
+}
+
+// scrape [dom|network] [--headless] [--stall min] [--dashboard] [--port N]
+function cmdScrape(tokens) {
+  const a = parseArgs(tokens, { boolean: ['dashboard', 'headless'] });
+  return runScrapeAndPredictLoop(a._[0], { dashboard: a.dashboard, port: a.port, headless: a.headless, stall: a.stall !== undefined ? Number(a.stall) : undefined });
+}
+
+// ---------- Dashboard ----------
+let dashboard = null; // running dashboard server (scrape --dashboard or the `dashboard` command)
+
+function readLogCsv() {
+  return fs.existsSync(LOGFILE) ? fs.readFileSync(LOGFILE, 'utf8') : '';
+}
+
+// opts.keepAlive: the server alone keeps the process running (rb.cjs dashboard)
+async function ensureDashboard(port, opts = {}) {
+  if (dashboard) return dashboard;
+  dashboard = await startDashboard({
+    port: port !== undefined ? Number(port) : undefined,
+    keepAlive: opts.keepAlive,
+    title: 'Red/Black/Green — iv-redblack-advanced',
+    labels: OUTCOMES,
+    sources: {
+      history: loadHistory,
+      predictionRows: () => parsePredictionCsv(readLogCsv()).rows,
+      scoredRecords: () => recordsFromPredictionCsv(readLogCsv()).records
+    }
+  });
+  console.log(`📊 Dashboard on ${dashboard.url} (localhost only)`);
+  return dashboard;
+}
+
+// ---------- Status, credentials, profiles ----------
+// validate <snapshot.html> [profile] — check a saved page snapshot against a site profile's selector chains
+async function cmdValidateProfile(args) {
+  const [file, profileName] = args;
+  if (!file) { console.log('Usage: validate <snapshot.html> [profile]'); return null; }
+  const profile = loadSiteProfile(profileName);
+  const html = fs.readFileSync(file, 'utf8');
+  const report = await validateSnapshot(profile, html);
+  printValidationReport(report);
+  return report;
+}
+
+// status [file] — health of a running (or the last) scrape loop from its status file (scrape-supervisor.cjs)
+function cmdStatus(args) {
+  const file = args[0] ? path.resolve(args[0]) : STATUS_FILE;
+  const st = readStatusFile(file);
+  if (!st) { console.log(`No ${path.basename(file)} yet — it is written while \`scrape\` runs.`); return null; }
+  const alive = st.state !== 'stopped' && writerAlive(st);
+  console.log(formatStatusLine(st, alive ? Date.now() : Date.parse(st.updatedAt)));
+  console.log(alive
+    ? `   running as pid ${st.pid} (${st.headless ? 'headless' : 'visible browser'}, profile ${st.profile}), in this state since ${st.since}`
+    : `   not running — last update ${st.updatedAt}${st.state === 'stopped' ? '' : ' (the process ended without stopping cleanly)'}`);
+  if (st.lastError) console.log(`   last error ${st.lastError.at}: ${st.lastError.message}`);
+  return Object.assign({ running: alive }, st);
+}
+
+// credentials [status|save|check|clear|logout] — login sources for unattended scraping (browser-session.cjs)
+function cmdCredentials(args) {
+  const sub = args[0] || 'status';
+  const file = path.basename(CREDENTIALS_FILE);
+  if (sub === 'status') {
+    const profile = loadSiteProfile();
+    const source = credentialSource();
+    const session = savedSession(profile);
+    const sources = { env: 'RB_PHONE / RB_PASSWORD', file, prompt: 'prompt (no environment variables or credentials file)' };
+    console.log(`🔑 Next login uses: ${source ? sources[source] : 'nothing — no terminal to prompt on; set RB_PHONE / RB_PASSWORD or run `credentials save`'}`);
+    console.log(`🍪 Saved session for ${profile.name}: ${session.cookies ? `${session.cookies} cookie(s) from ${session.savedAt}` : 'no cookies'}` +
+      (session.userDataDir ? `, browser profile ${path.relative(__dirname, session.userDataDir) || session.userDataDir}` : ''));
+    return { source, session };
+  }
+  if (sub === 'save') {
+    const phone = readlineSync.question('📱 SportyBet phone number: ');
+    const pass = readlineSync.question('🔐 Password: ', { hideEchoBack: true });
+    const passphrase = readlineSync.question('🔑 New passphrase for the file: ', { hideEchoBack: true });
+    if (!passphrase) { console.log('Not saved: the passphrase cannot be empty.'); return null; }
+    if (readlineSync.question('🔑 Repeat the passphrase: ', { hideEchoBack: true }) !== passphrase) { console.log('Not saved: the passphrases differ.'); return null; }
+    saveCredentialsFile({ phone, pass }, passphrase);
+    console.log(`✅ Saved encrypted credentials to ${file}. Unattended runs need RB_CREDENTIALS_PASSPHRASE.`);
+    return { file: CREDENTIALS_FILE };
+  }
+  if (sub === 'check') {
+    if (!fs.existsSync(CREDENTIALS_FILE)) { console.log(`No ${file} (run \`credentials save\`).`); return null; }
+    const passphrase = process.env.RB_CREDENTIALS_PASSPHRASE || readlineSync.question('🔑 Passphrase: ', { hideEchoBack: true });
+    const creds = readCredentialsFile(passphrase);
+    console.log(`✅ ${file} opens: phone …${String(creds.phone).slice(-4)}.`);
+    return { ok: true };
+  }
+  if (sub === 'clear') {
+    if (fs.existsSync(CREDENTIALS_FILE)) fs.unlinkSync(CREDENTIALS_FILE);
+    console.log(`🗑️ Removed ${file}.`);
+    return { removed: CREDENTIALS_FILE };
+  }
+  if (sub === 'logout') {
+    const profile = loadSiteProfile();
+    const removed = forgetSession(profile);
+    console.log(`🗑️ Forgot the saved session for ${profile.name}` + (removed.cookies || removed.userDataDir ? '' : ' (nothing was saved)') + ' — the next scrape logs in.');
+    return removed;
+  }
+  console.log('Usage: credentials [status|save|check|clear|logout]');
+  return null;
+}
+
+module.exports = {
+  STATUS_FILE,
+  normalizeOutcomeText,
+  recordOutcome,
+  runScrapeAndPredictLoop,
+  ensureDashboard,
+  cmdScrape,
+  cmdStatus,
+  cmdCredentials,
+  cmdValidateProfile
+};
@@ -0,0 +1,129 @@
+// model-registry.cjs
+// Versioned store for trained models (replaces the bare rb_model.json).
+// - Each model is one JSON file models/<id>.json: { id, kind, createdAt, schema, hyperparams, data, metrics,
+//   payload }. schema describes the inputs the model expects (feature-schema version, dims, ...);
+//   data records the training range and a hash of the rounds; metrics holds walk-forward scores.
+// - models/registry.json holds the active id and the ids promoted before it, so a promotion can be
+//   rolled back.
+// - checkCompatible() compares a stored schema with the one the running code builds; callers refuse
+//   a model when it returns problems.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const INDEX_FILE = 'registry.json';
+
+// rounds -> { rounds, from, to, hash } (hash over timestamps and outcomes)
+function describeData(history) {
+  const h = crypto.createHash('sha1');
+  for (const r of history) h.update(`${r.ts}|${r.outcome !== undefined ? r.outcome : JSON.stringify(r.games)}\n`);
+  return {
+    rounds: history.length,
+    from: history.length ? new Date(history[0].ts).toISOString() : null,
+    to: history.length ? new Date(history[history.length - 1].ts).toISOString() : null,
+    hash: h.digest('hex').slice(0, 16)
+  };
+}
+
+// stored schema vs the running one -> list of human-readable mismatches (empty = compatible)
+function checkCompatible(stored, current) {
+  if (!stored) return ['no feature schema recorded'];
+  const problems = [];
+  for (const k of Object.keys(current)) {
+    const a = JSON.stringify(stored[k]), b = JSON.stringify(current[k]);
+    if (a !== b) problems.push(`${k}: model ${a === undefined ? 'n/a' : a}, current ${b}`);
+  }
+  return problems;
+}
+
+function newId(kind) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  return `${kind}-${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+function openRegistry(dir) {
+  const indexPath = path.join(dir, INDEX_FILE);
+
+  function readIndex() {
+    if (!fs.existsSync(indexPath)) return { active: null, previous: [] };
+    return JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+  }
+
+  function writeIndex(index) {
+    fs.mkdirSync(dir, { recursive: true });
+    const tmp = indexPath + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(index, null, 2));
+    fs.renameSync(tmp, indexPath);
+  }
+
+  function get(id) {
+    const file = path.join(dir, `${id}.json`);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  // entry: { kind, schema, hyperparams, data, metrics, payload } -> stored entry (with id, createdAt)
+  function save(entry) {
+    fs.mkdirSync(dir, { recursive: true });
+    const stored = Object.assign({ id: newId(entry.kind || 'model'), createdAt: new Date().toISOString() }, entry);
+    fs.writeFileSync(path.join(dir, `${stored.id}.json`), JSON.stringify(stored));
+    return stored;
+  }
+
+  // newest first; payloads are left out
+  function list() {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+      .filter(f => f.endsWith('.json') && f !== INDEX_FILE)
+      .map(f => {
+        try {
+          const e = JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8'));
+          delete e.payload;
+          return e;
+        } catch (err) {
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  }
+
+  function active() {
+    const { active: id } = readIndex();
+    return id ? get(id) : null;
+  }
+
+  // make `id` the active model; the one it replaces can be restored with rollback()
+  function promote(id) {
+    if (!get(id)) throw new Error(`No model ${id} in ${dir}.`);
+    const index = readIndex();
+    if (index.active === id) return index;
+    if (index.active) index.previous.push(index.active);
+    index.active = id;
+    writeIndex(index);
+    return index;
+  }
+
+  // back to the model active before the last promotion -> new active id (null when there is none)
+  function rollback() {
+    const index = readIndex();
+    while (index.previous.length) {
+      const id = index.previous.pop();
+      if (get(id)) {
+        index.active = id;
+        writeIndex(index);
+        return id;
+      }
+    }
+    return null;
+  }
+
+  return { dir, save, get, list, active, promote, rollback, activeId: () => readIndex().active };
+}
+
+module.exports = {
+  describeData,
+  checkCompatible,
+  openRegistry
+};
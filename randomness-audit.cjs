@@ -0,0 +1,283 @@
+// randomness-audit.cjs
+// Randomness test battery for RED/BLACK/GREEN outcome sequences (all three symbols, GREEN included).
+// Tests (each -> { test, statistic, df?, p, note? }):
+//   goodness-of-fit  multinomial chi-square of the counts against expected probabilities (e.g. 18/18/1)
+//   serial pairs     chi-square of consecutive-pair counts against independence (order 0 vs order 1)
+//   block frequency  chi-square homogeneity of symbol counts across blocks of M rounds
+//   longest run      exact tail probability of each symbol's longest run (DP over run lengths)
+//   Ljung–Box        portmanteau test on each symbol's indicator series, for several lag counts (skipped
+//                    for a symbol seen, or missed, fewer than MIN_LJUNG_BOX_COUNT times: the chi-square
+//                    approximation of a rare indicator rejects far too often, which on iid 18/18/1 data
+//                    pushed the family-wise error of the battery to ~8%)
+//   runs             total number of runs (multi-symbol Wald–Wolfowitz, normal approximation)
+// Entropy estimates (plug-in, Miller–Madow, conditional on the previous round) are reported alongside.
+// p-values are adjusted for multiple comparisons (Holm by default, or Benjamini–Hochberg).
+
+const { chiSquareSf, normalTwoSided, holmAdjust, bhAdjust } = require('./stats-math.cjs');
+
+const OUTCOMES = ['RED', 'BLACK', 'GREEN'];
+// Placeholder odds; set --expected to the game's published ones (weights, normalized)
+const DEFAULT_EXPECTED = { RED: 18, BLACK: 18, GREEN: 1 };
+const DEFAULT_LAGS = [5, 10, 20];
+const MIN_EXPECTED_COUNT = 5; // chi-square approximation warning threshold
+const MIN_LJUNG_BOX_COUNT = 50; // occurrences (and non-occurrences) a symbol needs for its Ljung–Box tests
+
+// ---------- Helpers ----------
+function countSymbols(seq, labels = OUTCOMES) {
+  const counts = Object.fromEntries(labels.map(l => [l, 0]));
+  for (const s of seq) if (counts[s] !== undefined) counts[s]++;
+  return counts;
+}
+
+function normalizeWeights(weights, labels = OUTCOMES) {
+  const sum = labels.reduce((s, l) => s + (weights[l] || 0), 0);
+  if (!(sum > 0)) throw new Error('Expected probabilities must have a positive sum.');
+  return Object.fromEntries(labels.map(l => [l, (weights[l] || 0) / sum]));
+}
+
+// "18,18,1" or "0.486,0.486,0.027" (RED,BLACK,GREEN order) -> { RED, BLACK, GREEN }
+function parseExpected(text, labels = OUTCOMES) {
+  const parts = String(text).split(/[,:/]/).map(Number);
+  if (parts.length !== labels.length || parts.some(v => !(v >= 0))) {
+    throw new Error(`--expected needs ${labels.length} non-negative numbers (${labels.join(',')}).`);
+  }
+  return normalizeWeights(Object.fromEntries(labels.map((l, i) => [l, parts[i]])), labels);
+}
+
+// ---------- Tests ----------
+function goodnessOfFit(seq, expected, labels = OUTCOMES) {
+  const n = seq.length;
+  const counts = countSymbols(seq, labels);
+  let chi2 = 0, low = false;
+  for (const l of labels) {
+    const e = n * expected[l];
+    if (e < MIN_EXPECTED_COUNT) low = true;
+    if (e > 0) chi2 += (counts[l] - e) ** 2 / e;
+  }
+  const df = labels.filter(l => expected[l] > 0).length - 1;
+  const impossible = labels.filter(l => !(expected[l] > 0) && counts[l] > 0);
+  return {
+    test: 'goodness-of-fit',
+    statistic: chi2,
+    df,
+    p: impossible.length ? 0 : chiSquareSf(chi2, df),
+    note: (impossible.length ? `${impossible.join('/')} observed but expected 0; ` : low ? 'small expected counts; ' : '') + labels.map(l => `${l} ${counts[l]} vs ${(n * expected[l]).toFixed(1)}`).join(', ')
+  };
+}
+
+// consecutive pairs (a, b) against n_a· · p_b (Anderson–Goodman: order-0 vs order-1 chain)
+function serialPairs(seq, labels = OUTCOMES) {
+  const K = labels.length;
+  const idx = Object.fromEntries(labels.map((l, i) => [l, i]));
+  const pairs = Array.from({ length: K }, () => new Array(K).fill(0));
+  for (let t = 1; t < seq.length; t++) pairs[idx[seq[t - 1]]][idx[seq[t]]]++;
+  const rowTot = pairs.map(r => r.reduce((a, b) => a + b, 0));
+  const colTot = labels.map((_, j) => pairs.reduce((s, r) => s + r[j], 0));
+  const n = rowTot.reduce((a, b) => a + b, 0);
+  let chi2 = 0;
+  const usedRows = rowTot.filter(v => v > 0).length, usedCols = colTot.filter(v => v > 0).length;
+  for (let a = 0; a < K; a++) {
+    for (let b = 0; b < K; b++) {
+      const e = n ? rowTot[a] * colTot[b] / n : 0;
+      if (e > 0) chi2 += (pairs[a][b] - e) ** 2 / e;
+    }
+  }
+  const df = Math.max(0, (usedRows - 1) * (usedCols - 1));
+  return { test: 'serial pairs', statistic: chi2, df, p: df ? chiSquareSf(chi2, df) : 1 };
+}
+
+// homogeneity of symbol counts across consecutive blocks of M rounds (trailing partial block dropped)
+function blockFrequency(seq, M, labels = OUTCOMES) {
+  const blocks = Math.floor(seq.length / M);
+  if (blocks < 2) return { test: `block frequency (M=${M})`, statistic: null, p: null, note: 'fewer than 2 blocks' };
+  const tables = [];
+  for (let b = 0; b < blocks; b++) tables.push(countSymbols(seq.slice(b * M, (b + 1) * M), labels));
+  const colTot = Object.fromEntries(labels.map(l => [l, tables.reduce((s, t) => s + t[l], 0)]));
+  const n = blocks * M;
+  const used = labels.filter(l => colTot[l] > 0);
+  let chi2 = 0;
+  for (const t of tables) {
+    for (const l of used) {
+      const e = M * colTot[l] / n;
+      chi2 += (t[l] - e) ** 2 / e;
+    }
+  }
+  const df = (blocks - 1) * (used.length - 1);
+  return { test: `block frequency (M=${M})`, statistic: chi2, df, p: df ? chiSquareSf(chi2, df) : 1, note: `${blocks} blocks` };
+}
+
+// P[some run of length >= L] in n iid trials with success probability p (DP over the current run length)
+function probRunAtLeast(n, p, L) {
+  if (L <= 0) return 1;
+  if (L > n) return 0;
+  let state = new Array(L).fill(0); // state[k]: no run >= L yet and current run length k
+  state[0] = 1;
+  for (let t = 0; t < n; t++) {
+    const next = new Array(L).fill(0);
+    let total = 0;
+    for (let k = 0; k < L; k++) total += state[k];
+    next[0] = total * (1 - p);
+    for (let k = 0; k < L - 1; k++) next[k + 1] = state[k] * p;
+    state = next;
+  }
+  return Math.max(0, 1 - state.reduce((a, b) => a + b, 0));
+}
+
+// one test per symbol, two-sided: runs that are too long or too short for the symbol's frequency
+function longestRuns(seq, labels = OUTCOMES) {
+  const n = seq.length;
+  const counts = countSymbols(seq, labels);
+  return labels.filter(l => counts[l] > 0).map(l => {
+    let best = 0, cur = 0;
+    for (const s of seq) { cur = s === l ? cur + 1 : 0; if (cur > best) best = cur; }
+    const p = counts[l] / n;
+    const upper = probRunAtLeast(n, p, best);
+    const lower = 1 - probRunAtLeast(n, p, best + 1);
+    return { test: `longest run ${l}`, statistic: best, p: Math.min(1, 2 * Math.min(upper, lower)) };
+  });
+}
+
+// Ljung–Box Q on the 0/1 indicator series of each symbol, for each lag count h; a symbol with too few
+// occurrences gets one unscored row (p null, left out of the correction) saying so
+function ljungBox(seq, lags = DEFAULT_LAGS, labels = OUTCOMES) {
+  const n = seq.length;
+  const out = [];
+  for (const l of labels) {
+    const x = seq.map(s => (s === l ? 1 : 0));
+    const hits = x.reduce((a, b) => a + b, 0);
+    if (!hits || hits === n) continue; // symbol never (or always) occurs
+    if (Math.min(hits, n - hits) < MIN_LJUNG_BOX_COUNT) {
+      out.push({ test: `Ljung–Box ${l}`, statistic: null, p: null, note: `skipped: ${hits} of ${n} rounds, needs ${MIN_LJUNG_BOX_COUNT}+ occurrences` });
+      continue;
+    }
+    const mean = hits / n;
+    const denom = x.reduce((s, v) => s + (v - mean) ** 2, 0);
+    const maxLag = Math.min(Math.max(...lags), n - 2);
+    const r = [0];
+    for (let k = 1; k <= maxLag; k++) {
+      let num = 0;
+      for (let t = k; t < n; t++) num += (x[t] - mean) * (x[t - k] - mean);
+      r.push(num / denom);
+    }
+    for (const h of lags) {
+      if (h > maxLag) continue;
+      let q = 0;
+      for (let k = 1; k <= h; k++) q += r[k] * r[k] / (n - k);
+      q *= n * (n + 2);
+      out.push({ test: `Ljung–Box ${l} (h=${h})`, statistic: q, df: h, p: chiSquareSf(q, h) });
+    }
+  }
+  return out;
+}
+
+// number of runs given the symbol counts (generalized Wald–Wolfowitz), two-sided normal approximation
+function multiRuns(seq, labels = OUTCOMES) {
+  const n = seq.length;
+  if (n < 2) return { test: 'runs', statistic: null, p: null, note: 'too short' };
+  let runs = 1;
+  for (let t = 1; t < n; t++) if (seq[t] !== seq[t - 1]) runs++;
+  const counts = Object.values(countSymbols(seq, labels));
+  const s2 = counts.reduce((s, c) => s + c * c, 0);
+  const s3 = counts.reduce((s, c) => s + c * c * c, 0);
+  const expected = 1 + (n * n - s2) / n;
+  const variance = (s2 * (s2 + n * (n + 1)) - 2 * n * s3 - n ** 3) / (n * n * (n - 1));
+  const z = variance > 0 ? (runs - expected) / Math.sqrt(variance) : 0;
+  return { test: 'runs', statistic: runs, p: variance > 0 ? normalTwoSided(z) : null, note: `expected ${expected.toFixed(1)}, z=${z.toFixed(2)}` };
+}
+
+// ---------- Entropy ----------
+function entropyBits(counts) {
+  const n = counts.reduce((a, b) => a + b, 0);
+  if (!n) return 0;
+  return -counts.reduce((s, c) => (c ? s + (c / n) * Math.log2(c / n) : s), 0);
+}
+
+function entropyEstimates(seq, expected, labels = OUTCOMES) {
+  const n = seq.length;
+  const counts = Object.values(countSymbols(seq, labels));
+  const plugIn = entropyBits(counts);
+  const used = counts.filter(c => c > 0).length;
+  const millerMadow = plugIn + (used - 1) / (2 * n * Math.LN2);
+  const pairs = new Map();
+  for (let t = 1; t < n; t++) {
+    const key = seq[t - 1] + '>' + seq[t];
+    pairs.set(key, (pairs.get(key) || 0) + 1);
+  }
+  const prev = Object.values(countSymbols(seq.slice(0, -1), labels));
+  const conditional = entropyBits(Array.from(pairs.values())) - entropyBits(prev); // H(X_t | X_t-1)
+  return {
+    plugIn,
+    millerMadow,
+    conditional,
+    expected: expected ? entropyBits(labels.map(l => expected[l])) : null,
+    max: Math.log2(labels.length)
+  };
+}
+
+// ---------- Battery ----------
+// opts: { expected ({ RED, BLACK, GREEN } weights), blockSize, lags, alpha, correction: 'holm'|'bh' }
+function auditSequence(seq, opts = {}) {
+  const labels = opts.labels || OUTCOMES;
+  const n = seq.length;
+  const expected = normalizeWeights(opts.expected || DEFAULT_EXPECTED, labels);
+  const blockSize = opts.blockSize || Math.max(20, Math.floor(n / 10));
+  const alpha = opts.alpha || 0.05;
+  const correction = opts.correction === 'bh' ? 'bh' : 'holm';
+
+  const tests = [
+    goodnessOfFit(seq, expected, labels),
+    serialPairs(seq, labels),
+    blockFrequency(seq, blockSize, labels),
+    ...longestRuns(seq, labels),
+    ...ljungBox(seq, opts.lags || DEFAULT_LAGS, labels),
+    multiRuns(seq, labels)
+  ];
+  const scored = tests.filter(t => t.p !== null && t.p !== undefined);
+  const adjusted = (correction === 'bh' ? bhAdjust : holmAdjust)(scored.map(t => t.p));
+  scored.forEach((t, i) => { t.pAdjusted = adjusted[i]; t.reject = adjusted[i] < alpha; });
+
+  return {
+    n,
+    counts: countSymbols(seq, labels),
+    expected,
+    alpha,
+    correction,
+    tests,
+    entropy: entropyEstimates(seq, expected, labels),
+    rejected: scored.filter(t => t.reject).map(t => t.test)
+  };
+}
+
+function printAuditReport(report, title = 'Randomness audit') {
+  const f = (v, d = 3) => (v === null || v === undefined ? 'n/a' : Number(v).toFixed(d));
+  const fp = (v) => (v === null || v === undefined ? 'n/a' : v < 1e-4 ? v.toExponential(1) : v.toFixed(4));
+  console.log(`${title} — ${report.n} rounds, ${report.correction === 'bh' ? 'Benjamini–Hochberg' : 'Holm'} adjusted, α=${report.alpha}`);
+  console.log('  test                       statistic   df     p        p(adj)');
+  for (const t of report.tests) {
+    const flag = t.reject ? ' ❗' : '';
+    console.log(`  ${t.test.padEnd(26)} ${f(t.statistic).padStart(9)}  ${String(t.df !== undefined ? t.df : '').padStart(4)}  ${fp(t.p).padStart(8)}  ${fp(t.pAdjusted).padStart(8)}${flag}`);
+    if (t.note) console.log(`      ${t.note}`);
+  }
+  const e = report.entropy;
+  console.log(`  entropy (bits): plug-in ${f(e.plugIn)}, Miller–Madow ${f(e.millerMadow)}, conditional on previous ${f(e.conditional)} | expected ${f(e.expected)}, max ${f(e.max)}`);
+  console.log(report.rejected.length
+    ? `  ➜ Departures from the random model after correction: ${report.rejected.join('; ')}`
+    : '  ➜ No test departs from the random model after correction.');
+}
+
+module.exports = {
+  OUTCOMES,
+  DEFAULT_EXPECTED,
+  MIN_LJUNG_BOX_COUNT,
+  parseExpected,
+  goodnessOfFit,
+  serialPairs,
+  blockFrequency,
+  probRunAtLeast,
+  longestRuns,
+  ljungBox,
+  multiRuns,
+  entropyEstimates,
+  auditSequence,
+  printAuditReport
+};
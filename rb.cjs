@@ -0,0 +1,318 @@
+#!/usr/bin/env node
+// rb.cjs
+// Non-interactive command line for the predictors, for scripts and cron:
+//   node rb.cjs <command> [options]        (`rb <command>` after `npm link`)
+// - stats, predict, backtest, history and add print the usual report, or with --json one JSON document on
+//   stdout while log lines go to stderr, so the output can be piped into jq or another tool.
+// - Every other command of the advanced REPL (train, tune, audit, models, import, ...) runs once with the
+//   same arguments, e.g. `rb audit --last 200`; --json prints what the command returns.
+// - scrape / matches run the browser loops (--headless for servers), api / dashboard keep serving, and
+//   `rb repl [advanced|sporty]` opens the interactive CLIs.
+// - `rb <command> --help` shows the command's options. Exit codes: 0 ok, 1 error, 2 usage error,
+//   3 not enough data for the command.
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('./cli-args.cjs');
+const { readHistoryFile } = require('./history-store.cjs');
+const { pageRows } = require('./dashboard-server.cjs');
+const adv = require('./iv-redblack-advanced.cjs');
+const sporty = require('./sportypredictor.cjs');
+
+const EXIT = { OK: 0, ERROR: 1, USAGE: 2, NO_DATA: 3 };
+const SELECTION = ['file', 'from', 'to', 'last'];   // history selection flags (selectHistory)
+const SHORT_LABELS = { R: 'RED', B: 'BLACK', G: 'GREEN' };
+
+function cliError(exitCode, message) {
+  const e = new Error(message);
+  e.exitCode = exitCode;
+  return e;
+}
+
+// ---------- Flag helpers ----------
+function intFlag(args, name, min = 1) {
+  if (args[name] === undefined) return undefined;
+  const v = Number(args[name]);
+  if (!Number.isInteger(v) || v < min) throw cliError(EXIT.USAGE, `--${name} must be an integer >= ${min}.`);
+  return v;
+}
+
+function timeFlag(args, name) {
+  try {
+    return adv.parseTimeArg(args[name], name);
+  } catch (e) {
+    throw cliError(EXIT.USAGE, e.message);
+  }
+}
+
+// --file F (a .json array or .jsonl history) or the stored history, then --from / --to / --last
+function selectHistory(args) {
+  let hist;
+  if (args.file !== undefined) {
+    const file = path.resolve(String(args.file));
+    if (!fs.existsSync(file)) throw cliError(EXIT.USAGE, `No such history file: ${args.file}`);
+    hist = readHistoryFile(file);
+  } else {
+    hist = adv.loadHistory();
+  }
+  const from = timeFlag(args, 'from'), to = timeFlag(args, 'to');
+  hist = hist.filter(e => (from === undefined || (e.ts || 0) >= from) && (to === undefined || (e.ts || 0) < to));
+  const last = intFlag(args, 'last');
+  return last ? hist.slice(-last) : hist;
+}
+
+// "RED,BLACK" or "R B G" -> labels; null when a token is neither
+function parseOutcomes(text) {
+  const tokens = String(text).replace(/,/g, ' ').trim().split(/\s+/).filter(Boolean).map(t => t.toUpperCase());
+  const labels = tokens.map(t => SHORT_LABELS[t] || t);
+  return tokens.length && labels.every(l => adv.OUTCOMES.includes(l)) ? labels : null;
+}
+
+// ---------- Commands ----------
+// { usage, summary, flags (accepted --flags; omitted = passed through unchecked), booleans, json: false when
+//   there is no JSON output, run(args, json, tokens) -> result (printed as JSON with --json) }
+const RB_COMMANDS = {
+  stats: {
+    usage: 'stats [--file F] [--from t] [--to t] [--last N] [--json]',
+    summary: 'Randomness tests on the history: counts, chi-square, runs, audit, HMM regimes',
+    flags: SELECTION,
+    run(args, json) {
+      const hist = selectHistory(args);
+      if (!hist.length) throw cliError(EXIT.NO_DATA, 'No rounds in the selection.');
+      return json ? adv.computeSummaryStats(hist) : adv.printSummaryStats(hist);
+    }
+  },
+  predict: {
+    usage: 'predict [--file F] [--from t] [--to t] [--last N] [--sequence R,B,...] [--sporty] [--json]',
+    summary: 'Forecast for the next round (--sporty: the next 5-slot sportypredictor round)',
+    flags: [...SELECTION, 'sequence', 'sporty'],
+    booleans: ['sporty'],
+    run(args, json) {
+      if (args.sporty) {
+        const { result, weights } = sporty.forecastRound(sporty.loadHistory(), sporty.loadMemberHedge());
+        if (!json) sporty.printPredictions(result, weights);
+        return { picks: sporty.gatedPicks(result), weights };
+      }
+      let hist;
+      if (args.sequence !== undefined) {
+        const labels = parseOutcomes(args.sequence);
+        if (!labels) throw cliError(EXIT.USAGE, `--sequence takes ${adv.OUTCOMES.join('/')} (or R/B/G), comma separated.`);
+        const now = Date.now();
+        hist = labels.map(outcome => ({ ts: now, outcome }));
+      } else {
+        hist = selectHistory(args);
+      }
+      const f = adv.forecastNext(hist);
+      return json ? f : adv.printForecast(f);
+    }
+  },
+  backtest: {
+    usage: 'backtest [--file F] [--from t] [--to t] [--last N] [--model active|latest|<id>] [--online] [--adaptive] ' +
+      '[--refit k] [--window sliding --size N] [--workers N] [--json]',
+    summary: 'Walk-forward backtest; --model scores a registered logistic model as is instead of refitting it',
+    flags: [...SELECTION, 'model', 'online', 'adaptive', 'refit', 'window', 'size', 'workers'],
+    booleans: ['online', 'adaptive'],
+    async run(args, json) {
+      if (args.window !== undefined && !['expanding', 'sliding'].includes(args.window)) throw cliError(EXIT.USAGE, '--window is expanding or sliding.');
+      const hist = selectHistory(args);
+      let model;
+      if (args.model !== undefined) {
+        model = adv.registeredModel(String(args.model));
+        if (!model) throw cliError(EXIT.NO_DATA, `No usable registered model "${args.model}" (see \`rb models\`).`);
+        const trainedTo = model.data && model.data.to ? Date.parse(model.data.to) : null;
+        if (trainedTo && hist.length && (hist[0].ts || 0) <= trainedTo) {
+          console.log(`⚠️ ${model.id} was trained on rounds up to ${model.data.to} — pass --from after that for an out-of-sample score.`);
+        }
+      }
+      const bt = await adv.backtestSummary({
+        history: hist,
+        model,
+        online: !!args.online,
+        adaptive: !!args.adaptive,
+        refit: intFlag(args, 'refit'),
+        window: args.window,
+        size: intFlag(args, 'size'),
+        workers: intFlag(args, 'workers')
+      });
+      if (!bt.res.tested) throw cliError(EXIT.NO_DATA, `Not enough rounds to backtest (${hist.length} selected).`);
+      return json ? adv.backtestResult(bt) : adv.printBacktestReport(bt);
+    }
+  },
+  history: {
+    usage: 'history [--file F] [--from t] [--to t] [--offset N] [--limit N] [--sporty] [--json]',
+    summary: 'Stored rounds, newest first (--sporty: the sportypredictor rounds)',
+    flags: ['file', 'from', 'to', 'offset', 'limit', 'sporty'],
+    booleans: ['sporty'],
+    run(args, json) {
+      timeFlag(args, 'from');
+      timeFlag(args, 'to');
+      const rows = args.sporty ? sporty.loadHistory() : selectHistory({ file: args.file });
+      const page = pageRows(rows, { from: args.from, to: args.to, offset: intFlag(args, 'offset', 0), limit: intFlag(args, 'limit') });
+      if (json) return page;
+      for (const r of page.rows) console.log(`${new Date(r.ts).toISOString()}  ${r.games ? r.games.join(',') : r.outcome}`);
+      console.log(page.total ? `(${page.offset + 1}–${page.offset + page.rows.length} of ${page.total}, newest first)` : 'No rounds.');
+      return page;
+    }
+  },
+  add: {
+    usage: 'add <outcomes> [--json]',
+    summary: 'Add rounds: 5 R/B/G slots (sportypredictor round), or RED/BLACK/GREEN words (advanced history)',
+    flags: [],
+    run(args, json) {
+      const raw = args._.join(' ');
+      if (!raw) throw cliError(EXIT.USAGE, 'Usage: rb add R,B,G,R,B  or  rb add RED,BLACK');
+      const words = raw.replace(/,/g, ' ').trim().split(/\s+/).map(t => t.toUpperCase());
+      if (words.every(w => adv.OUTCOMES.includes(w))) {
+        const stored = adv.appendOutcomes(words, 'cli');
+        if (!json) console.log(`✅ Added ${words.length} round(s) to ${path.basename(adv.DATA_FILE)} (${stored} stored).`);
+        return { target: 'advanced', appended: words.length, stored };
+      }
+      let games;
+      try {
+        games = sporty.parseRoundInput(raw);
+      } catch (e) {
+        throw cliError(EXIT.USAGE, `${e.message} Or give ${adv.OUTCOMES.join('/')} words for the advanced predictor.`);
+      }
+      const history = sporty.loadHistory();
+      const hedge = sporty.loadMemberHedge();
+      sporty.addRound(history, hedge, games);
+      const { result, weights } = sporty.forecastRound(history, hedge);
+      if (!json) {
+        console.log('✅ Round added:', games.join(','));
+        sporty.printPredictions(result, weights);
+      }
+      return { target: 'sporty', round: games, stored: history.length, next: sporty.gatedPicks(result), weights };
+    }
+  },
+  scrape: {
+    usage: 'scrape [dom|network] [--headless] [--stall min] [--dashboard] [--port N] [--basic]',
+    summary: 'Live scrape-and-predict loop (--basic: the simple index.cjs predictor)',
+    flags: ['headless', 'stall', 'dashboard', 'port', 'basic'],
+    booleans: ['headless', 'dashboard', 'basic'],
+    json: false,
+    run(args, json, tokens) {
+      if (!args.basic) return adv.COMMANDS.scrape(tokens);
+      const rest = tokens.filter(t => t !== '--basic' && t !== args._[0]);
+      return require('./index.cjs').start(args._[0] ? [...rest, '--capture', args._[0]] : rest);
+    }
+  },
+  matches: {
+    usage: 'matches [--headless]',
+    summary: 'Virtual-football match predictor (index-three.cjs)',
+    flags: ['headless'],
+    booleans: ['headless'],
+    json: false,
+    run: (args, json, tokens) => require('./index-three.cjs').start(tokens)
+  },
+  api: {
+    usage: 'api [--port N] [--host H] [--token T]',
+    summary: 'Serve the local JSON API until stopped (token also from RB_API_TOKEN)',
+    flags: ['port', 'host', 'token'],
+    async run(args, json, tokens) {
+      const server = await require('./api-commands.cjs').cmdApi(tokens, { keepAlive: true });
+      return { url: server.url };
+    }
+  },
+  dashboard: {
+    usage: 'dashboard [--port N]',
+    summary: 'Serve the web dashboard until stopped',
+    flags: ['port'],
+    async run(args) {
+      const server = await require('./live-commands.cjs').ensureDashboard(args.port, { keepAlive: true });
+      return { url: server.url };
+    }
+  },
+  repl: {
+    usage: 'repl [advanced|sporty]',
+    summary: 'Interactive CLI of the advanced predictor (default) or of sportypredictor.cjs',
+    flags: [],
+    json: false,
+    run(args) {
+      const which = args._[0] || 'advanced';
+      if (which === 'sporty') return sporty.runCLI();
+      if (which === 'advanced') return adv.mainCLI();
+      throw cliError(EXIT.USAGE, 'Usage: rb repl [advanced|sporty]');
+    }
+  }
+};
+
+// own commands first, then the remaining REPL commands run once
+function findCommand(name) {
+  if (Object.prototype.hasOwnProperty.call(RB_COMMANDS, name)) return RB_COMMANDS[name];
+  if (!Object.prototype.hasOwnProperty.call(adv.COMMANDS, name)) return null;
+  return {
+    usage: adv.COMMAND_USAGE[name] || name,
+    summary: 'Advanced REPL command, run once',
+    run: (args, json, tokens) => adv.COMMANDS[name](tokens)
+  };
+}
+
+// ---------- Help ----------
+function printHelp() {
+  const own = Object.entries(RB_COMMANDS);
+  const width = Math.max(...own.map(([name]) => name.length));
+  console.log('Usage: rb <command> [options]   (rb <command> --help for the options of one command)\n');
+  console.log('Commands:');
+  for (const [name, c] of own) console.log(`  ${name.padEnd(width)}  ${c.summary}`);
+  const others = Object.keys(adv.COMMANDS).filter(n => !RB_COMMANDS[n]);
+  console.log(`\nAlso, run once with the REPL's arguments: ${others.join(', ')}.`);
+  console.log('\n--json prints one JSON document on stdout (log lines go to stderr).');
+  console.log('Exit codes: 0 ok, 1 error, 2 usage error, 3 not enough data.');
+}
+
+function printCommandHelp(name, c) {
+  console.log(`Usage: rb ${c.usage}`);
+  console.log(`\n${c.summary}.`);
+  if (c.flags && c.flags.some(f => SELECTION.includes(f))) {
+    console.log('\n--file F reads a history file (.json array or .jsonl) instead of the stored history;');
+    console.log('--from / --to take an ISO date or epoch ms, --last N keeps the newest N rounds.');
+  }
+  if (c.json === false) console.log('\nNo JSON output (long-running or interactive).');
+}
+
+// ---------- Main ----------
+// argv (without node and the script) -> exit code
+async function main(argv = process.argv.slice(2)) {
+  const [name, ...tokens] = argv;
+  if (!name || name === 'help' || name === '--help' || name === '-h') {
+    const c = tokens[0] && findCommand(tokens[0]);
+    if (c) printCommandHelp(tokens[0], c); else printHelp();
+    return EXIT.OK;
+  }
+  const cmd = findCommand(name);
+  if (!cmd) {
+    console.error(`Unknown command "${name}" — see rb --help.`);
+    return EXIT.USAGE;
+  }
+  if (tokens.includes('--help') || tokens.includes('-h')) {
+    printCommandHelp(name, cmd);
+    return EXIT.OK;
+  }
+  const args = parseArgs(tokens, { boolean: ['json', ...(cmd.booleans || [])] });
+  const json = !!args.json;
+  const write = (doc) => process.stdout.write(JSON.stringify(doc === undefined ? null : doc, null, 2) + '\n');
+  try {
+    if (json && cmd.json === false) throw cliError(EXIT.USAGE, `rb ${name} has no JSON output.`);
+    if (cmd.flags) {
+      const unknown = Object.keys(args).filter(k => k !== '_' && k !== 'json' && !cmd.flags.includes(k));
+      if (unknown.length) throw cliError(EXIT.USAGE, `Unknown option(s) ${unknown.map(k => `--${k}`).join(', ')} — see rb ${name} --help.`);
+    }
+    // reports and progress go to stderr so stdout holds only the JSON document
+    if (json) console.log = console.info = console.error;
+    if (name !== 'repl') adv.initCli();
+    const result = await cmd.run(args, json, tokens.filter(t => t !== '--json'));
+    if (json) write(result);
+    return EXIT.OK;
+  } catch (e) {
+    const code = e.exitCode || EXIT.ERROR;
+    console.error(`❌ ${e.message || e}`);
+    if (json) write({ error: e.message || String(e), exitCode: code });
+    return code;
+  }
+}
+
+module.exports = { EXIT, main };
+
+if (require.main === module) {
+  main().then(code => { process.exitCode = code; });
+}
@@ -0,0 +1,222 @@
+// round-capture.cjs
+// Network capture of Red-Black round results (alternative to scraping the .win-lose banner text).
+// - Hooks page.on('response') for JSON XHR/fetch bodies and the CDP websocket frame events.
+// - Walks each JSON payload for an object carrying an outcome field (RED/BLACK/GREEN) plus,
+//   when present, a round id and payout. Field names come from the site profile's "network" block.
+// - DOM helpers (installBannerWatch / waitForBannerResult) read the banner text for the 'dom' mode.
+// - Capture mode is picked per run: 'dom' (banner text only) or 'network' (network first,
+//   DOM scraping as fallback when no payload arrives in time).
+
+const OUTCOMES = ['RED', 'BLACK', 'GREEN'];
+const CAPTURE_MODES = ['dom', 'network'];
+const SEEN_ROUND_IDS = 200; // how many recent round ids to remember for de-duplicating payloads
+const BANNER_CONFIRM_TIMEOUT = 5000; // ms to wait for the banner to show a round taken from the network
+
+// used when the profile has no "network" block
+const DEFAULT_NETWORK = {
+  urlPatterns: ['red-black', 'redblack', 'sportygames'],
+  outcomeFields: ['result', 'outcome', 'winColor', 'color', 'colour', 'winResult'],
+  roundIdFields: ['roundId', 'round_id', 'roundNo', 'gameId', 'game_id', 'drawId', 'id'],
+  payoutFields: ['payout', 'winAmount', 'win_amount', 'prize', 'potentialWin']
+};
+
+function resolveCaptureMode(value) {
+  const mode = String(value || process.env.RB_CAPTURE_MODE || 'dom').toLowerCase();
+  if (!CAPTURE_MODES.includes(mode)) throw new Error(`Unknown capture mode "${mode}" (use ${CAPTURE_MODES.join(' or ')}).`);
+  return mode;
+}
+
+function networkSettings(profile) {
+  return Object.assign({}, DEFAULT_NETWORK, (profile && profile.network) || {});
+}
+
+// ---------- Payload parsing ----------
+// Websocket frames are often framed (socket.io "42[...]", STOMP, etc.): parse from the first JSON bracket
+function parseJsonPayload(text) {
+  if (typeof text !== 'string') return null;
+  const start = text.search(/[[{]/);
+  if (start < 0) return null;
+  try { return JSON.parse(text.slice(start)); } catch (e) { return null; }
+}
+
+function normalizeOutcomeValue(v) {
+  if (typeof v !== 'string') return null;
+  const up = v.trim().toUpperCase();
+  if (OUTCOMES.includes(up)) return up;
+  if (up === 'R') return 'RED';
+  if (up === 'B') return 'BLACK';
+  if (up === 'G') return 'GREEN';
+  return null;
+}
+
+function pickField(obj, fields) {
+  for (const f of fields) if (obj[f] !== undefined && obj[f] !== null && typeof obj[f] !== 'object') return obj[f];
+  return undefined;
+}
+
+// Depth-first search for result objects; round id / payout may sit on the object or an ancestor
+function extractRounds(payload, settings, ancestors = [], out = []) {
+  if (!payload || typeof payload !== 'object' || ancestors.length > 8) return out;
+  if (Array.isArray(payload)) {
+    for (const item of payload) extractRounds(item, settings, ancestors, out);
+    return out;
+  }
+  const outcome = normalizeOutcomeValue(pickField(payload, settings.outcomeFields));
+  if (outcome) {
+    const scopes = [payload, ...ancestors.slice().reverse()];
+    const roundId = scopes.map(o => pickField(o, settings.roundIdFields)).find(v => v !== undefined);
+    const payout = scopes.map(o => pickField(o, settings.payoutFields)).find(v => v !== undefined);
+    out.push({
+      outcome,
+      roundId: roundId !== undefined ? String(roundId) : null,
+      payout: payout !== undefined && !isNaN(Number(payout)) ? Number(payout) : null
+    });
+  }
+  for (const k of Object.keys(payload)) {
+    if (payload[k] && typeof payload[k] === 'object') extractRounds(payload[k], settings, [...ancestors, payload], out);
+  }
+  return out;
+}
+
+// ---------- DOM banner ----------
+// In-page watcher that notes when the result banner stops showing a colour (the next hand started).
+// It survives reloads (evaluateOnNewDocument) and lets an identical banner text count as a new round.
+async function installBannerWatch(page, chain) {
+  const watch = (sels) => {
+    if (window.__rbBanner) return;
+    window.__rbBanner = { cleared: true };
+    setInterval(() => {
+      const el = sels.map(s => document.querySelector(s)).find(Boolean);
+      const txt = el ? (el.textContent || '').toUpperCase() : '';
+      if (!/\b(GREEN|RED|BLACK)\b/.test(txt)) window.__rbBanner.cleared = true;
+    }, 150);
+  };
+  await page.evaluateOnNewDocument(watch, chain);
+  try { await page.evaluate(watch, chain); } catch (e) { /* page still navigating; the new-document hook covers it */ }
+}
+
+// Wait for a banner showing a colour that is a new display: text differs from lastSeenRaw, or the
+// banner was cleared since it was last read. -> { raw, balance } (balance text from the optional chain)
+async function waitForBannerResult(page, chain, balanceChain, lastSeenRaw, opts = {}) {
+  const handle = await page.waitForFunction(
+    (sels, balanceSels, lastSeen) => {
+      const el = sels.map(s => document.querySelector(s)).find(Boolean);
+      if (!el) return null;
+      const raw = (el.textContent || '').trim();
+      if (!/\b(GREEN|RED|BLACK)\b/.test(raw.toUpperCase())) return null;
+      const w = window.__rbBanner;
+      if (raw === lastSeen && !(w && w.cleared)) return null; // still the banner we processed
+      if (w) w.cleared = false;
+      const balEl = balanceSels.map(s => document.querySelector(s)).find(Boolean);
+      return { raw, balance: balEl ? (balEl.textContent || '').trim() : null };
+    },
+    { timeout: opts.timeout || 60000 },
+    chain,
+    balanceChain || [],
+    lastSeenRaw || ''
+  );
+  return handle.jsonValue();
+}
+
+// After a round taken from the network: wait briefly for the banner to show its outcome and mark that
+// display as read, so the DOM fallback does not count the same round a second time.
+// -> the banner text (the caller's new lastSeenRaw), or null when it did not show in time
+async function consumeBanner(page, chain, outcome, opts = {}) {
+  try {
+    const handle = await page.waitForFunction(
+      (sels, word) => {
+        const el = sels.map(s => document.querySelector(s)).find(Boolean);
+        const raw = el ? (el.textContent || '').trim() : '';
+        if (!new RegExp(`\\b${word}\\b`).test(raw.toUpperCase())) return null;
+        if (window.__rbBanner) window.__rbBanner.cleared = false;
+        return raw;
+      },
+      { timeout: opts.timeout || BANNER_CONFIRM_TIMEOUT },
+      chain,
+      outcome
+    );
+    return await handle.jsonValue();
+  } catch (e) {
+    return null;
+  }
+}
+
+// ---------- Network capture ----------
+// Returns { next(timeoutMs) -> Promise<round|null>, stop() }.
+// round: { ts, outcome, roundId, payout, source: 'network', via: 'response'|'websocket', url }
+async function createNetworkCapture(page, profile, opts = {}) {
+  const settings = networkSettings(profile);
+  const patterns = settings.urlPatterns.map(p => new RegExp(p, 'i'));
+  const queue = [];
+  let waiter = null;
+  const seenIds = [];
+
+  function push(round) {
+    if (round.roundId) {
+      if (seenIds.includes(round.roundId)) return;
+      seenIds.push(round.roundId);
+      if (seenIds.length > SEEN_ROUND_IDS) seenIds.shift();
+    }
+    if (opts.debug) console.log('🛰️ Captured round:', round);
+    if (waiter) { const w = waiter; waiter = null; w(round); }
+    else queue.push(round);
+  }
+
+  function handlePayload(text, via, url) {
+    const payload = parseJsonPayload(text);
+    if (!payload) return;
+    // history/list payloads carry many past results; the first (newest) one is the round that just ended
+    const [r] = extractRounds(payload, settings);
+    if (r) push(Object.assign({ ts: Date.now() }, r, { source: 'network', via, url }));
+  }
+
+  async function onResponse(response) {
+    try {
+      const url = response.url();
+      if (!patterns.some(re => re.test(url))) return;
+      const type = (response.headers()['content-type'] || '').toLowerCase();
+      if (!type.includes('json')) return;
+      handlePayload(await response.text(), 'response', url);
+    } catch (e) { /* body unavailable (redirect, preflight, closed page) */ }
+  }
+
+  page.on('response', onResponse);
+
+  let cdp = null;
+  try {
+    cdp = await page.createCDPSession();
+    await cdp.send('Network.enable');
+    cdp.on('Network.webSocketFrameReceived', ({ response }) => {
+      if (response && response.opcode === 1) handlePayload(response.payloadData, 'websocket', null);
+    });
+  } catch (e) {
+    console.warn('⚠️ Websocket capture unavailable (XHR/fetch capture still active):', e.message || e);
+  }
+
+  return {
+    next(timeoutMs) {
+      if (queue.length) return Promise.resolve(queue.shift());
+      return new Promise(resolve => {
+        const timer = setTimeout(() => { if (waiter === done) waiter = null; resolve(null); }, timeoutMs);
+        function done(round) { clearTimeout(timer); resolve(round); }
+        waiter = done;
+      });
+    },
+    async stop() {
+      page.off('response', onResponse);
+      if (cdp) { try { await cdp.detach(); } catch (e) { /* ignore */ } }
+    }
+  };
+}
+
+module.exports = {
+  installBannerWatch,
+  waitForBannerResult,
+  consumeBanner,
+  CAPTURE_MODES,
+  resolveCaptureMode,
+  parseJsonPayload,
+  extractRounds,
+  networkSettings,
+  createNetworkCapture
+};
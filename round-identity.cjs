@@ -0,0 +1,104 @@
+// round-identity.cjs
+// Stable round identity for history entries, replacing the "same outcome within 2 s" heuristic.
+// - roundId: scraped from the game traffic (network capture) when available -> key "id:<roundId>"
+// - otherwise a derived key from the result banner text + account balance -> key "dom:<hash>";
+//   a derived key only identifies a round inside ROUND_WINDOW_MS, since an unchanged banner
+//   (no bet placed, same colour) legitimately repeats across consecutive rounds.
+// - findSuspectedDuplicates() flags duplicates in existing history files (used by the `dedupe` command).
+//   Each one says what it rests on: a repeated round id, a repeated banner key, or — for entries stored
+//   without any identity (older files) — only the heuristic "same outcome within the window".
+// - Rounds entered by hand (source 'cli' from `rb add`, 'api' from POST /rounds) are rounds on purpose:
+//   they are never the same round as another entry, whatever their outcome and time.
+
+const crypto = require('crypto');
+
+// Rounds in rb_history.json are >= ~5 s apart; a re-read of a stale banner happens within the loop's ~2 s sleep
+const ROUND_WINDOW_MS = 3000;
+const MANUAL_SOURCES = ['cli', 'api'];
+
+function isManual(entry) {
+  return MANUAL_SOURCES.includes(entry.source);
+}
+
+function normalizeBanner(raw) {
+  return String(raw || '').replace(/\u00A0/g, ' ').replace(/\s+/g, ' ').trim().toUpperCase();
+}
+
+// round: { roundId?, raw?, balance? } -> 'id:...' | 'dom:...' | null
+function roundKeyFor(round) {
+  if (!round) return null;
+  if (round.roundId !== undefined && round.roundId !== null && round.roundId !== '') return `id:${round.roundId}`;
+  if (!round.raw) return null;
+  const balance = round.balance !== undefined && round.balance !== null ? String(round.balance).trim() : '';
+  const hash = crypto.createHash('sha1').update(normalizeBanner(round.raw) + '|' + balance).digest('hex');
+  return `dom:${hash.slice(0, 12)}`;
+}
+
+// Do two history entries ({ ts, outcome, roundId?, roundKey? }) describe the same round?
+function isSameRound(prev, cur, opts = {}) {
+  if (!prev || !cur) return false;
+  if (isManual(prev) || isManual(cur)) return false;
+  const windowMs = opts.windowMs || ROUND_WINDOW_MS;
+  const hasId = e => e.roundId !== undefined && e.roundId !== null && e.roundId !== '';
+  if (hasId(prev) && hasId(cur)) return String(prev.roundId) === String(cur.roundId);
+  const near = Math.abs((cur.ts || 0) - (prev.ts || 0)) < windowMs;
+  const isDom = e => typeof e.roundKey === 'string' && e.roundKey.startsWith('dom:');
+  if (isDom(prev) && isDom(cur)) return prev.roundKey === cur.roundKey && near;
+  // legacy entries (no identity) or mixed sources: same outcome re-read within the window
+  return prev.outcome === cur.outcome && near;
+}
+
+function identityOf(e) {
+  if (e.roundId !== undefined && e.roundId !== null && e.roundId !== '') return `id:${e.roundId}`;
+  return typeof e.roundKey === 'string' ? e.roundKey : null;
+}
+
+// -> [{ index, duplicateOf, kind: 'id'|'key'|'heuristic', reason }] ; scraped round ids are checked across
+// the whole file, everything else against the previous kept entry; hand-entered rounds are never flagged
+function findSuspectedDuplicates(history, opts = {}) {
+  const dups = [];
+  const firstById = new Map();
+  let lastKept = -1;
+  for (let i = 0; i < history.length; i++) {
+    const e = history[i];
+    const id = e.roundId !== undefined && e.roundId !== null && e.roundId !== '' ? String(e.roundId) : null;
+    if (id && firstById.has(id)) {
+      dups.push({ index: i, duplicateOf: firstById.get(id), kind: 'id', reason: `repeated round id ${id}` });
+      continue;
+    }
+    if (lastKept >= 0 && isSameRound(history[lastKept], e, opts)) {
+      const prev = history[lastKept];
+      const dt = (e.ts || 0) - (prev.ts || 0);
+      const keyed = typeof e.roundKey === 'string' && e.roundKey === prev.roundKey;
+      const missing = identityOf(prev) && identityOf(e) ? 'identities of different kinds' : 'no round identity stored';
+      dups.push({
+        index: i,
+        duplicateOf: lastKept,
+        kind: keyed ? 'key' : 'heuristic',
+        reason: keyed
+          ? `same round key ${e.roundKey} ${dt} ms after #${lastKept}`
+          : `same outcome ${dt} ms after #${lastKept}, ${missing} (heuristic)`
+      });
+      continue;
+    }
+    if (id) firstById.set(id, i);
+    lastKept = i;
+  }
+  return dups;
+}
+
+function removeDuplicates(history, dups) {
+  const drop = new Set(dups.map(d => d.index));
+  return history.filter((_, i) => !drop.has(i));
+}
+
+module.exports = {
+  ROUND_WINDOW_MS,
+  MANUAL_SOURCES,
+  normalizeBanner,
+  roundKeyFor,
+  isSameRound,
+  identityOf,
+  findSuspectedDuplicates,
+  removeDuplicates
+};
@@ -0,0 +1,243 @@
+// scoring.cjs
+// Probabilistic scoring for predicted outcome distributions (not just argmax hit rate).
+// - A scored record is { dist: { RED: p, BLACK: p, GREEN: p }, actual: 'RED' } (any outcome labels).
+// - scoreRecords(): multiclass log-loss, Brier score, accuracy, expected calibration error and a
+//   reliability table (top-label confidence bins: stated confidence vs observed hit rate).
+// - Sources: backtest predictions (backtest-engine.cjs) or the live rb_predictions_log.csv, where the
+//   probabilities on row k are the forecast for the outcome observed on row k+1.
+// - Recalibration: temperature scaling or per-outcome isotonic regression, fitted on records,
+//   saved to a JSON file and applied to a distribution with applyCalibration().
+
+const fs = require('fs');
+const { parsePredictionCsv } = require('./legacy-import.cjs');
+
+const EPS = 1e-15;
+const DEFAULT_BINS = 10;
+const CSV_MAX_GAP_MS = 5 * 60 * 1000; // rows further apart than this are not consecutive rounds
+
+// ---------- Helpers ----------
+function labelsOf(records) {
+  const set = new Set();
+  for (const r of records) { Object.keys(r.dist).forEach(k => set.add(k)); set.add(r.actual); }
+  return Array.from(set);
+}
+
+function normalizeDist(dist) {
+  const keys = Object.keys(dist);
+  const sum = keys.reduce((s, k) => s + Math.max(0, dist[k] || 0), 0);
+  const out = {};
+  for (const k of keys) out[k] = sum > 0 ? Math.max(0, dist[k] || 0) / sum : 1 / keys.length;
+  return out;
+}
+
+function topLabel(dist) {
+  let best = null, bestP = -Infinity;
+  for (const k of Object.keys(dist)) if (dist[k] > bestP) { best = k; bestP = dist[k]; }
+  return { label: best, p: bestP };
+}
+
+// ---------- Scores ----------
+function logLoss(records) {
+  if (!records.length) return null;
+  let sum = 0;
+  for (const r of records) sum -= Math.log(Math.max(EPS, r.dist[r.actual] || 0));
+  return sum / records.length;
+}
+
+// multiclass Brier: sum over outcomes of (p - y)^2, averaged over records (0 = perfect, 2 = worst)
+function brierScore(records, labels = labelsOf(records)) {
+  if (!records.length) return null;
+  let sum = 0;
+  for (const r of records) {
+    for (const k of labels) {
+      const d = (r.dist[k] || 0) - (k === r.actual ? 1 : 0);
+      sum += d * d;
+    }
+  }
+  return sum / records.length;
+}
+
+// equal-width bins over top-label confidence -> [{ lo, hi, count, confidence, accuracy }]
+function reliabilityBins(records, bins = DEFAULT_BINS) {
+  const table = Array.from({ length: bins }, (_, b) => ({ lo: b / bins, hi: (b + 1) / bins, count: 0, confSum: 0, hits: 0 }));
+  for (const r of records) {
+    const top = topLabel(r.dist);
+    const b = Math.min(bins - 1, Math.floor(top.p * bins));
+    table[b].count++;
+    table[b].confSum += top.p;
+    if (top.label === r.actual) table[b].hits++;
+  }
+  return table.map(t => ({
+    lo: t.lo,
+    hi: t.hi,
+    count: t.count,
+    confidence: t.count ? t.confSum / t.count : null,
+    accuracy: t.count ? t.hits / t.count : null
+  }));
+}
+
+function expectedCalibrationError(table) {
+  const n = table.reduce((s, t) => s + t.count, 0);
+  if (!n) return null;
+  return table.reduce((s, t) => s + (t.count ? (t.count / n) * Math.abs(t.accuracy - t.confidence) : 0), 0);
+}
+
+// -> { n, logLoss, brier, accuracy, ece, bins }
+function scoreRecords(records, opts = {}) {
+  const bins = reliabilityBins(records, opts.bins || DEFAULT_BINS);
+  const hits = records.filter(r => topLabel(r.dist).label === r.actual).length;
+  return {
+    n: records.length,
+    logLoss: logLoss(records),
+    brier: brierScore(records, opts.labels),
+    accuracy: records.length ? hits / records.length : null,
+    ece: expectedCalibrationError(bins),
+    bins
+  };
+}
+
+// ---------- Sources ----------
+// rb_predictions_log.csv -> records pairing row k's probabilities with row k+1's observed outcome.
+// opts.maxGapMs: skip pairs further apart in time (missed rounds, restarts). -> { records, skipped }
+function recordsFromPredictionCsv(text, opts = {}) {
+  const maxGap = opts.maxGapMs || CSV_MAX_GAP_MS;
+  const { rows } = parsePredictionCsv(text);
+  const records = [];
+  let skipped = 0;
+  for (let k = 0; k + 1 < rows.length; k++) {
+    const cur = rows[k], next = rows[k + 1];
+    if (!cur.probs) continue;
+    if (next.ts - cur.ts > maxGap || next.ts < cur.ts) { skipped++; continue; }
+    records.push({ ts: next.ts, dist: normalizeDist(cur.probs), actual: next.observed });
+  }
+  return { records, skipped };
+}
+
+// backtest-engine predictions ([{ i, slot, dist, pick, actual }]) -> records
+function recordsFromBacktest(predictions) {
+  return predictions.map(p => ({ i: p.i, dist: normalizeDist(p.dist), actual: p.actual }));
+}
+
+// ---------- Recalibration ----------
+function applyTemperature(dist, T) {
+  const out = {};
+  for (const k of Object.keys(dist)) out[k] = Math.pow(Math.max(EPS, dist[k] || 0), 1 / T);
+  return normalizeDist(out);
+}
+
+// T > 1 softens over-confident forecasts, T < 1 sharpens. Golden-section search on log T.
+function fitTemperature(records) {
+  const loss = (lt) => logLoss(records.map(r => ({ dist: applyTemperature(r.dist, Math.exp(lt)), actual: r.actual })));
+  const g = (Math.sqrt(5) - 1) / 2;
+  let a = Math.log(0.05), b = Math.log(20);
+  let c = b - g * (b - a), d = a + g * (b - a);
+  let fc = loss(c), fd = loss(d);
+  for (let it = 0; it < 60 && b - a > 1e-4; it++) {
+    if (fc < fd) { b = d; d = c; fd = fc; c = b - g * (b - a); fc = loss(c); }
+    else { a = c; c = d; fc = fd; d = a + g * (b - a); fd = loss(d); }
+  }
+  return { method: 'temperature', T: Math.exp((a + b) / 2) };
+}
+
+// pool-adjacent-violators on (x, y) sorted by x -> step function { x: [...], y: [...] } (block means)
+function isotonicFit(points) {
+  const pts = points.slice().sort((p, q) => p.x - q.x);
+  const blocks = [];
+  for (const p of pts) {
+    blocks.push({ sx: p.x, sy: p.y, n: 1 });
+    while (blocks.length > 1) {
+      const b = blocks[blocks.length - 1], a = blocks[blocks.length - 2];
+      if (a.sy / a.n <= b.sy / b.n) break;
+      blocks.splice(-2, 2, { sx: a.sx + b.sx, sy: a.sy + b.sy, n: a.n + b.n });
+    }
+  }
+  return { x: blocks.map(b => b.sx / b.n), y: blocks.map(b => b.sy / b.n) };
+}
+
+function interpolate(curve, x) {
+  const { x: xs, y: ys } = curve;
+  if (!xs.length) return x;
+  if (x <= xs[0]) return ys[0];
+  if (x >= xs[xs.length - 1]) return ys[ys.length - 1];
+  let lo = 0, hi = xs.length - 1;
+  while (hi - lo > 1) { const mid = (lo + hi) >> 1; if (xs[mid] <= x) lo = mid; else hi = mid; }
+  const t = xs[hi] === xs[lo] ? 0 : (x - xs[lo]) / (xs[hi] - xs[lo]);
+  return ys[lo] + t * (ys[hi] - ys[lo]);
+}
+
+// one-vs-rest isotonic curve per outcome, renormalized on apply
+function fitIsotonic(records, labels = labelsOf(records)) {
+  const curves = {};
+  for (const k of labels) {
+    curves[k] = isotonicFit(records.map(r => ({ x: r.dist[k] || 0, y: r.actual === k ? 1 : 0 })));
+  }
+  return { method: 'isotonic', curves };
+}
+
+const ISOTONIC_FLOOR = 1e-3; // keep every outcome possible after mapping
+
+function applyCalibration(dist, calib) {
+  if (!calib) return dist;
+  if (calib.method === 'temperature') return applyTemperature(dist, calib.T);
+  if (calib.method === 'isotonic') {
+    const out = {};
+    for (const k of Object.keys(dist)) {
+      out[k] = calib.curves[k] ? Math.max(ISOTONIC_FLOOR, interpolate(calib.curves[k], dist[k] || 0)) : dist[k];
+    }
+    return normalizeDist(out);
+  }
+  throw new Error(`Unknown calibration method "${calib.method}".`);
+}
+
+function fitCalibration(records, method) {
+  if (method === 'temperature') return fitTemperature(records);
+  if (method === 'isotonic') return fitIsotonic(records);
+  throw new Error(`Unknown calibration method "${method}" (use temperature or isotonic).`);
+}
+
+function calibrateRecords(records, calib) {
+  return records.map(r => Object.assign({}, r, { dist: applyCalibration(r.dist, calib) }));
+}
+
+function loadCalibration(file) {
+  if (!fs.existsSync(file)) return null;
+  try { return JSON.parse(fs.readFileSync(file, 'utf8')); } catch (e) {
+    console.warn(`⚠️ Ignoring unreadable calibration file ${file}:`, e.message || e);
+    return null;
+  }
+}
+
+function saveCalibration(file, calib) {
+  fs.writeFileSync(file, JSON.stringify(calib, null, 2));
+}
+
+// ---------- Reporting ----------
+const fmt = (v, d = 4) => (v === null || v === undefined ? 'n/a' : v.toFixed(d));
+
+function printScoreReport(title, s) {
+  console.log(`${title} (${s.n} forecasts)`);
+  console.log(`  log-loss ${fmt(s.logLoss)} | Brier ${fmt(s.brier)} | accuracy ${fmt(s.accuracy && s.accuracy * 100, 1)}% | ECE ${fmt(s.ece)}`);
+  console.log('  confidence bin   count   stated   observed');
+  for (const b of s.bins) {
+    if (!b.count) continue;
+    const range = `${(b.lo * 100).toFixed(0)}-${(b.hi * 100).toFixed(0)}%`.padEnd(14);
+    console.log(`  ${range}  ${String(b.count).padStart(6)}   ${(b.confidence * 100).toFixed(1).padStart(5)}%   ${(b.accuracy * 100).toFixed(1).padStart(6)}%`);
+  }
+}
+
+module.exports = {
+  DEFAULT_BINS,
+  logLoss,
+  brierScore,
+  reliabilityBins,
+  expectedCalibrationError,
+  scoreRecords,
+  recordsFromPredictionCsv,
+  recordsFromBacktest,
+  fitCalibration,
+  applyCalibration,
+  calibrateRecords,
+  loadCalibration,
+  saveCalibration,
+  printScoreReport
+};
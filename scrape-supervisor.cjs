@@ -0,0 +1,313 @@
+// scrape-supervisor.cjs
+// Keeps a scrape loop running unattended: owns the browser, the login session and the game page, and decides
+// how to recover when the loop fails instead of reloading and sleeping 2 s forever.
+// - States: login -> waiting (game page open, no round yet) -> in-game (rounds arriving) -> stalled (no round
+//   for stallMinutes) / recovering (after an error) -> waiting ... ; stopped at the end.
+// - recover(err) looks at the page first: a closed or crashed browser is relaunched, the login form means the
+//   session expired (log in again), a maintenance notice (the profile's `maintenance` texts) waits at least
+//   MAINTENANCE_WAIT_MS, and a `result` selector chain that keeps matching nothing is reported (the markup
+//   changed: `validate` a snapshot). Anything else reloads the game page.
+// - Waits back off exponentially with jitter (BACKOFF_BASE_MS doubling up to BACKOFF_MAX_MS) over consecutive
+//   failures; after RESTART_AFTER failures in a row the browser is restarted. A recorded round resets both.
+// - Stall watchdog: no round for stallMinutes -> reload the game page; none after another period -> restart.
+// - Counters (rounds, errors, relogins, restarts, stalls) are printed in a status line on every state change
+//   and every STATUS_EVERY rounds, and written to a JSON status file (`status` command).
+// - Missing credentials (browser-session.cjs) and RELOGIN_LIMIT failed logins in a row stop the loop: retrying
+//   cannot fix them and might lock the account.
+
+const fs = require('fs');
+const path = require('path');
+const puppeteer = require('puppeteer');
+const { selectorChain, profileUrl } = require('./site-profile.cjs');
+const { sessionLaunchOptions, createLoginSession, loginFormShown } = require('./browser-session.cjs');
+
+const DEFAULT_STALL_MINUTES = 5;
+const BACKOFF_BASE_MS = 2000;
+const BACKOFF_MAX_MS = 5 * 60 * 1000;
+const MAINTENANCE_WAIT_MS = 60 * 1000;   // minimum wait while the game shows a maintenance notice
+const RESTART_AFTER = 5;                 // consecutive failures before the browser is restarted
+const RELOGIN_LIMIT = 3;                 // failed logins in a row before giving up
+const SELECTOR_MISS_REPORT = 3;          // consecutive diagnoses without a `result` match before reporting it
+const STATUS_EVERY = 25;                 // rounds between periodic status lines
+const WATCHDOG_TICK_MS = 15000;
+const DEFAULT_MAINTENANCE = ['under maintenance', 'maintenance in progress', 'temporarily unavailable', 'be back soon'];
+const BROWSER_GONE = /target closed|session closed|connection closed|browser has disconnected|detached|crashed/i;
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+// failures in a row (>= 1) -> wait in ms: base * 2^(failures-1), capped, with ±25% jitter
+function backoffDelay(failures, opts = {}) {
+  const base = opts.base || BACKOFF_BASE_MS, max = opts.max || BACKOFF_MAX_MS;
+  const rng = opts.rng || Math.random;
+  const raw = Math.min(max, base * Math.pow(2, Math.max(0, failures - 1)));
+  return Math.round(Math.min(max, raw * (0.75 + 0.5 * rng())));
+}
+
+function formatDuration(ms) {
+  const s = Math.max(0, Math.round(ms / 1000));
+  if (s < 60) return `${s}s`;
+  const m = Math.floor(s / 60);
+  if (m < 60) return `${m}m${String(s % 60).padStart(2, '0')}s`;
+  return `${Math.floor(m / 60)}h${String(m % 60).padStart(2, '0')}m`;
+}
+
+// status (as written to the status file) -> one line
+function formatStatusLine(st, now = Date.now()) {
+  const c = st.counters;
+  const last = st.lastRoundAt ? `${formatDuration(now - Date.parse(st.lastRoundAt))} ago` : 'none yet';
+  return `📟 ${st.label} [${st.state}] up ${formatDuration(now - Date.parse(st.startedAt))} | rounds ${c.rounds} | ` +
+    `errors ${c.errors} | relogins ${c.relogins} | restarts ${c.restarts} | stalls ${c.stalls} | last round ${last}`;
+}
+
+function readStatusFile(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+// is the process that wrote the status still running? (signal 0 only checks, it sends nothing)
+function writerAlive(st) {
+  try {
+    process.kill(st.pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+// opts: { label, profile, gamePage (profile page key), headless, timeout (ms, navigation and login),
+//         stallMinutes, statusFile, onPage(page) (per new page: capture hooks, banner watch), onStatus(status) }
+function createScrapeSupervisor(opts) {
+  const profile = opts.profile;
+  const label = opts.label || 'scrape';
+  const timeout = opts.timeout || 60000;
+  const stallMs = (opts.stallMinutes || DEFAULT_STALL_MINUTES) * 60000;
+  const maintenance = (profile.maintenance || DEFAULT_MAINTENANCE).map(t => String(t).toLowerCase());
+  const resultChain = selectorChain(profile, 'result');
+
+  let browser = null, page = null, session = null;
+  let state = 'login', since = Date.now();
+  const startedAt = Date.now();
+  const counters = { rounds: 0, errors: 0, relogins: 0, restarts: 0, stalls: 0 };
+  let failures = 0;        // consecutive errors without a round in between
+  let loginFailures = 0;
+  let selectorMisses = 0;
+  let stallLevel = 0;      // watchdog escalations since the last round
+  let quietSince = Date.now();
+  let lastRoundAt = null;
+  let lastError = null;
+  let restartPending = false;
+  let stopped = false;
+  let watchdog = null;
+
+  function status() {
+    return {
+      label,
+      pid: process.pid,
+      state,
+      since: new Date(since).toISOString(),
+      startedAt: new Date(startedAt).toISOString(),
+      updatedAt: new Date().toISOString(),
+      headless: !!opts.headless,
+      profile: profile.name,
+      counters: Object.assign({}, counters),
+      failuresInRow: failures,
+      lastRoundAt: lastRoundAt ? new Date(lastRoundAt).toISOString() : null,
+      lastError
+    };
+  }
+
+  function writeStatus() {
+    const st = status();
+    if (opts.statusFile) {
+      try {
+        const tmp = `${opts.statusFile}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(st, null, 2));
+        fs.renameSync(tmp, opts.statusFile);
+      } catch (e) {
+        console.warn(`⚠️ Could not write ${path.basename(opts.statusFile)}:`, e.message || e);
+      }
+    }
+    if (opts.onStatus) opts.onStatus(st);
+    return st;
+  }
+
+  // prints the status line on a change of state, or whenever there is a note to report
+  function setState(next, note) {
+    if (next !== state) {
+      state = next;
+      since = Date.now();
+    } else if (!note) {
+      writeStatus();
+      return;
+    }
+    console.log(formatStatusLine(status()) + (note ? ` — ${note}` : ''));
+    writeStatus();
+  }
+
+  async function openGamePage() {
+    await page.goto(profileUrl(profile, opts.gamePage), { waitUntil: 'domcontentloaded', timeout });
+    quietSince = Date.now();
+  }
+
+  // run a login step; missing credentials or too many failed logins in a row are fatal
+  async function loginStep(fn) {
+    try {
+      const result = await fn();
+      loginFailures = 0;
+      return result;
+    } catch (e) {
+      loginFailures++;
+      if (e.code === 'CREDENTIALS' || loginFailures >= RELOGIN_LIMIT) e.fatal = true;
+      throw e;
+    }
+  }
+
+  // (re)launch the browser, log in unless the saved session is still valid, open the game page
+  async function launch() {
+    setState('login');
+    if (browser) await browser.close().catch(() => {});
+    browser = await puppeteer.launch(sessionLaunchOptions(profile, { headless: opts.headless }));
+    page = await browser.newPage();
+    session = createLoginSession(page, profile, { timeout, waitUntil: opts.waitUntil });
+    await loginStep(() => session.ensure());
+    if (opts.onPage) await opts.onPage(page);
+    try {
+      await openGamePage();
+    } catch (e) {
+      console.warn('⚠️ Could not open the game page:', e.message || e);
+    }
+    restartPending = false;
+    setState('waiting');
+  }
+
+  // -> 'restart' | 'relogin' | 'maintenance' | 'reload'
+  async function diagnose(err) {
+    if (restartPending || !browser || !browser.connected || !page || page.isClosed() || BROWSER_GONE.test(String(err && err.message))) return 'restart';
+    if (await loginFormShown(page, profile)) return 'relogin';
+    let text = '', matched = true;
+    try {
+      ({ text, matched } = await page.evaluate((sels) => ({
+        text: (document.body ? document.body.innerText : '').slice(0, 20000).toLowerCase(),
+        matched: sels.some(s => document.querySelector(s))
+      }), resultChain));
+    } catch (e) {
+      return BROWSER_GONE.test(String(e.message)) ? 'restart' : 'reload';
+    }
+    if (maintenance.some(t => text.includes(t))) return 'maintenance';
+    selectorMisses = matched ? 0 : selectorMisses + 1;
+    if (selectorMisses === SELECTOR_MISS_REPORT) {
+      console.log(`🧩 No selector of the "result" chain has matched the game page ${SELECTOR_MISS_REPORT} times in a row — ` +
+        `the markup may have changed: save the page and run \`validate <snapshot.html> ${profile.name}\`.`);
+    }
+    return failures >= RESTART_AFTER ? 'restart' : 'reload';
+  }
+
+  async function stop() {
+    stopped = true;
+    if (watchdog) clearInterval(watchdog);
+    setState('stopped');
+    if (browser) await browser.close().catch(() => {});
+  }
+
+  function startWatchdog() {
+    watchdog = setInterval(() => {
+      if (stopped || state === 'login' || state === 'recovering') return;
+      const quiet = Date.now() - Math.max(quietSince, lastRoundAt || 0);
+      if (quiet < stallMs * (stallLevel + 1)) return;
+      stallLevel++;
+      counters.stalls++;
+      if (stallLevel === 1) {
+        setState('stalled', `no round for ${formatDuration(quiet)}, reloading the game page`);
+        if (page) page.reload({ waitUntil: 'domcontentloaded', timeout }).catch(() => {});
+      } else {
+        restartPending = true;
+        setState('stalled', `still no round after ${formatDuration(quiet)}, restarting the browser`);
+        if (browser) browser.close().catch(() => {});
+      }
+    }, WATCHDOG_TICK_MS);
+    watchdog.unref();
+  }
+
+  return {
+    // launch + login + game page, retried with backoff; throws when it cannot succeed (credentials)
+    async start() {
+      startWatchdog();
+      for (;;) {
+        try {
+          await launch();
+          return page;
+        } catch (e) {
+          counters.errors++;
+          failures++;
+          lastError = { at: new Date().toISOString(), message: e.message || String(e) };
+          if (e.fatal) { await stop(); throw e; }
+          const delay = backoffDelay(failures);
+          setState('recovering', `start failed (${lastError.message}), retrying in ${formatDuration(delay)}`);
+          await sleep(delay);
+        }
+      }
+    },
+    page: () => page,
+    state: () => state,
+    status,
+    // a new round was recorded
+    roundSeen() {
+      counters.rounds++;
+      lastRoundAt = Date.now();
+      failures = 0;
+      stallLevel = 0;
+      selectorMisses = 0;
+      if (state !== 'in-game') setState('in-game');
+      else writeStatus();
+      if (counters.rounds % STATUS_EVERY === 0) console.log(formatStatusLine(status()));
+    },
+    // after a loop error: diagnose, back off, then relaunch / log in again / reload; throws when it must stop
+    async recover(err) {
+      counters.errors++;
+      failures++;
+      lastError = { at: new Date().toISOString(), message: (err && err.message) || String(err) };
+      const action = await diagnose(err);
+      let delay = backoffDelay(failures);
+      if (action === 'maintenance') delay = Math.max(delay, MAINTENANCE_WAIT_MS);
+      const why = {
+        restart: 'browser closed or unresponsive — restarting it',
+        relogin: 'session expired (the site shows its login form) — logging in again',
+        maintenance: 'the game shows a maintenance notice — waiting',
+        reload: 'reloading the game page'
+      }[action];
+      setState(action === 'maintenance' ? 'waiting' : 'recovering',
+        `${lastError.message}; ${why} in ${formatDuration(delay)} (failure ${failures} in a row)`);
+      await sleep(delay);
+      if (stopped) return;
+      try {
+        if (action === 'restart') {
+          counters.restarts++;
+          await launch();
+        } else if (action === 'relogin') {
+          counters.relogins++;
+          await loginStep(() => session.login());
+          await openGamePage();
+          setState('waiting');
+        } else {
+          await openGamePage();
+          setState('waiting');
+        }
+      } catch (e) {
+        lastError = { at: new Date().toISOString(), message: e.message || String(e) };
+        if (e.fatal) { await stop(); throw e; }
+        console.log(`⚠️ Recovery (${action}) failed: ${lastError.message}`);
+        writeStatus();
+      }
+    },
+    stop
+  };
+}
+
+module.exports = {
+  DEFAULT_STALL_MINUTES,
+  backoffDelay,
+  formatDuration,
+  formatStatusLine,
+  readStatusFile,
+  writerAlive,
+  createScrapeSupervisor
+};
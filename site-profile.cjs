@@ -0,0 +1,177 @@
+// site-profile.cjs
+// Site profiles: URLs and selector chains for the scrapers, loaded from profiles/*.json (or *.cjs).
+// - Every selector entry is a fallback chain: the first selector that matches on the page wins.
+// - The active profile comes from RB_SITE_PROFILE (name or path), defaulting to sportybet-ng.
+// - validateSnapshot() checks a saved page snapshot (HTML) against a profile's chains.
+
+const fs = require('fs');
+const path = require('path');
+
+const PROFILE_DIR = path.join(__dirname, 'profiles');
+const DEFAULT_PROFILE = 'sportybet-ng';
+const TIMEOUT = 60000;
+
+// ---------- Loading ----------
+function listSiteProfiles() {
+  if (!fs.existsSync(PROFILE_DIR)) return [];
+  return fs.readdirSync(PROFILE_DIR)
+    .filter(f => /\.(json|cjs)$/.test(f))
+    .map(f => f.replace(/\.(json|cjs)$/, ''));
+}
+
+function resolveProfilePath(nameOrPath) {
+  const candidates = [];
+  if (/[\\/]/.test(nameOrPath) || /\.(json|cjs)$/.test(nameOrPath)) candidates.push(path.resolve(nameOrPath));
+  candidates.push(path.join(PROFILE_DIR, nameOrPath + '.json'), path.join(PROFILE_DIR, nameOrPath + '.cjs'));
+  return candidates.find(p => fs.existsSync(p)) || null;
+}
+
+// Normalize a selector entry into a non-empty array of strings (a plain string is a chain of one)
+function toChain(entry, key) {
+  const chain = Array.isArray(entry) ? entry : [entry];
+  if (!chain.length || !chain.every(s => typeof s === 'string' && s.trim())) {
+    throw new Error(`Site profile selector "${key}" must be a selector string or a non-empty array of selector strings.`);
+  }
+  return chain;
+}
+
+function checkProfile(profile, file) {
+  if (!profile || typeof profile !== 'object') throw new Error(`Site profile ${file} is not an object.`);
+  if (typeof profile.baseUrl !== 'string' || !/^https?:\/\//.test(profile.baseUrl)) {
+    throw new Error(`Site profile ${file} needs a baseUrl (http/https).`);
+  }
+  if (!profile.pages || typeof profile.pages !== 'object') throw new Error(`Site profile ${file} needs a pages map.`);
+  if (!profile.selectors || typeof profile.selectors !== 'object') throw new Error(`Site profile ${file} needs a selectors map.`);
+  for (const key of flattenSelectorKeys(profile.selectors)) toChain(getPath(profile.selectors, key), key);
+  return profile;
+}
+
+function loadSiteProfile(nameOrPath) {
+  const wanted = nameOrPath || process.env.RB_SITE_PROFILE || DEFAULT_PROFILE;
+  const file = resolveProfilePath(wanted);
+  if (!file) {
+    throw new Error(`Unknown site profile "${wanted}" (available: ${listSiteProfiles().join(', ') || 'none'}).`);
+  }
+  const profile = file.endsWith('.cjs') ? require(file) : JSON.parse(fs.readFileSync(file, 'utf8'));
+  checkProfile(profile, file);
+  return Object.assign({ name: path.basename(file).replace(/\.(json|cjs)$/, '') }, profile, { file });
+}
+
+// ---------- Lookups ----------
+function getPath(obj, key) {
+  return key.split('.').reduce((o, k) => (o && typeof o === 'object' ? o[k] : undefined), obj);
+}
+
+// 'login.phone', 'result', ... for every leaf (string or array) in the selectors map
+function flattenSelectorKeys(selectors, prefix = '') {
+  const keys = [];
+  for (const k of Object.keys(selectors)) {
+    const v = selectors[k];
+    const key = prefix ? `${prefix}.${k}` : k;
+    if (typeof v === 'string' || Array.isArray(v)) keys.push(key);
+    else if (v && typeof v === 'object') keys.push(...flattenSelectorKeys(v, key));
+  }
+  return keys;
+}
+
+// opts.optional: return [] instead of throwing when the profile does not define the key
+function selectorChain(profile, key, opts = {}) {
+  const entry = getPath(profile.selectors, key);
+  if (entry === undefined && opts.optional) return [];
+  if (entry === undefined) throw new Error(`Site profile "${profile.name}" has no selector "${key}".`);
+  return toChain(entry, key);
+}
+
+function profileUrl(profile, pageKey) {
+  const p = profile.pages[pageKey];
+  if (p === undefined) throw new Error(`Site profile "${profile.name}" has no page "${pageKey}".`);
+  if (/^https?:\/\//.test(p)) return p;
+  return profile.baseUrl.replace(/\/+$/, '') + '/' + String(p).replace(/^\/+/, '');
+}
+
+// ---------- Page helpers (Puppeteer) ----------
+// Wait until any selector of the chain is present; resolves to the selector that matched
+async function waitForAnySelector(page, chain, opts = {}) {
+  const handle = await page.waitForFunction(
+    (sels) => sels.find(s => document.querySelector(s)) || null,
+    { timeout: opts.timeout || TIMEOUT },
+    chain
+  );
+  return handle.jsonValue();
+}
+
+async function loginWithProfile(page, profile, phone, pass, opts = {}) {
+  const timeout = opts.timeout || TIMEOUT;
+  await page.goto(profileUrl(profile, 'login'), { waitUntil: 'domcontentloaded', timeout });
+  const phoneSel = await waitForAnySelector(page, selectorChain(profile, 'login.phone'), { timeout });
+  await page.type(phoneSel, phone);
+  const passSel = await waitForAnySelector(page, selectorChain(profile, 'login.password'), { timeout });
+  await page.type(passSel, pass);
+  const loginBut = await waitForAnySelector(page, selectorChain(profile, 'login.submit'), { timeout });
+  await Promise.all([
+    page.waitForNavigation({ waitUntil: opts.waitUntil || 'networkidle0', timeout }),
+    page.click(loginBut)
+  ]);
+}
+
+// ---------- Snapshot validation ----------
+// Loads the snapshot HTML in a headless page (scripts disabled) and counts matches for each selector
+// of each chain. keys: optional list of selector keys to check (default: every key in the profile).
+async function validateSnapshot(profile, html, opts = {}) {
+  const puppeteer = require('puppeteer');
+  const keys = opts.keys && opts.keys.length ? opts.keys : flattenSelectorKeys(profile.selectors);
+  const chains = keys.map(key => ({ key, chain: selectorChain(profile, key) }));
+  const browser = await puppeteer.launch({ headless: true });
+  try {
+    const page = await browser.newPage();
+    await page.setJavaScriptEnabled(false);
+    await page.setContent(html, { waitUntil: 'domcontentloaded' });
+    const results = await page.evaluate((items) => items.map(({ key, chain }) => {
+      const tried = chain.map(selector => {
+        try { return { selector, count: document.querySelectorAll(selector).length }; }
+        catch (e) { return { selector, count: 0, error: 'invalid selector' }; }
+      });
+      const hit = tried.find(t => t.count > 0);
+      return { key, matched: hit ? hit.selector : null, fallbackIndex: hit ? tried.indexOf(hit) : -1, tried };
+    }), chains);
+    return { profile: profile.name, ok: results.every(r => r.matched), results };
+  } finally {
+    await browser.close();
+  }
+}
+
+function printValidationReport(report) {
+  console.log(`Site profile: ${report.profile}`);
+  for (const r of report.results) {
+    if (!r.matched) console.log(`  ❌ ${r.key}: no selector in the chain matched`);
+    else if (r.fallbackIndex > 0) console.log(`  ⚠️ ${r.key}: matched fallback #${r.fallbackIndex + 1} (${r.matched})`);
+    else console.log(`  ✅ ${r.key}: ${r.matched}`);
+    for (const t of r.tried) if (t.error) console.log(`      ${t.selector} -> ${t.error}`);
+  }
+  console.log(report.ok ? 'Profile matches the snapshot.' : 'Profile does NOT fully match the snapshot.');
+}
+
+// puppeteer.launch options for the scrapers: a visible, maximized window by default (to watch the loop and
+// step in), or headless for cron jobs and servers (--headless; no /dev/shm, which is tiny in containers and
+// crashes long runs); opts.userDataDir keeps the browser profile
+function browserLaunchOptions(opts = {}) {
+  const launch = opts.headless
+    ? { headless: true, defaultViewport: { width: 1366, height: 900 }, args: ['--disable-dev-shm-usage'] }
+    : { headless: false, slowMo: 50, defaultViewport: null, args: ['--start-maximized'] };
+  if (opts.userDataDir) launch.userDataDir = opts.userDataDir;
+  return launch;
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  browserLaunchOptions,
+  listSiteProfiles,
+  loadSiteProfile,
+  selectorChain,
+  flattenSelectorKeys,
+  profileUrl,
+  waitForAnySelector,
+  loginWithProfile,
+  validateSnapshot,
+  printValidationReport
+};
@@ -5,6 +5,12 @@
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
+const { openHistoryStore } = require('./history-store.cjs');
+const { runBacktestSync, runBacktestGrid } = require('./backtest-engine.cjs');
+const { scoreRecords, recordsFromBacktest } = require('./scoring.cjs');
+const { baselineHitsFor, compareWithBaselines, printBaselineReport } = require('./baselines.cjs');
+const { createHedge, saveHedge, loadHedge, formatWeights } = require('./adaptive-weights.cjs');
+const { ABSTAIN, gateIsOn, passesGate, formatGate, gateFromArgs, selectiveSummary, riskCoverage, printRiskCoverage, printSelectiveSummary } = require('./abstention.cjs');
 
 ////////////////////
 // CONFIG
@@ -23,24 +29,85 @@ let W_MARKOV = 0.35;
 let W_PATTERN= 0.12; // Slightly increased for patterns with 3 outcomes
 let W_STREAK = 0.03; // Slightly adjusted
 
+// Adaptive weights: slot/markov/pattern are re-weighted after every added round from their log-loss
+// (Hedge with forgetting, starting from the W_* weights above); the streak bias keeps W_STREAK
+let ADAPTIVE = true;
+const HEDGE_ETA = 0.3;     // re-weighting learning rate (1 = Bayesian model averaging)
+const HEDGE_FORGET = 0.9;  // per-round discount of past losses (a round is 5 games)
+
+// Abstention: a slot is shown as ABSTAIN unless its top probability and its lead over the runner-up
+// clear the gate in ABSTAIN_FILE (none = always pick); set with the 'abstain' command
+
 // Streak tweak parameters
 const STREAK_WINDOW = 3; // lookback rounds for streak detection
 const STREAK_BONUS = 0.06; // Reduced slightly for 3 outcomes; probability mass to shift towards other outcomes
 
-const DATA_FILE = path.join(__dirname, 'sporty_history.json');
+const DATA_FILE = path.join(__dirname, 'sporty_history.jsonl');       // append-only store of rounds
+const LEGACY_DATA_FILE = path.join(__dirname, 'sporty_history.json'); // pre-store JSON array, migrated on the first write
+const ADAPTIVE_FILE = path.join(__dirname, 'sporty_adaptive_weights.json'); // adaptive weights, kept across restarts
+const ABSTAIN_FILE = path.join(__dirname, 'sporty_abstain.json');     // confidence gate for slot picks ('abstain')
+const LOGFILE = path.join(__dirname, 'sporty_predictions_log.csv');   // each slot's forecast, scored when its round is added
 
 ////////////////////
 // IO
 ////////////////////
+let historyStore = null;
+function getHistoryStore() {
+  if (!historyStore) historyStore = openHistoryStore(DATA_FILE, { legacyFile: LEGACY_DATA_FILE });
+  return historyStore;
+}
 function loadHistory() {
-  if (fs.existsSync(DATA_FILE)) {
-    try { return JSON.parse(fs.readFileSync(DATA_FILE, 'utf8')); }
-    catch (e) { return []; }
-  }
-  return [];
+  return getHistoryStore().all();
 }
+// whole-history rewrite (undo/reset); new rounds are appended with appendRound()
 function saveHistory(history) {
-  fs.writeFileSync(DATA_FILE, JSON.stringify(history, null, 2));
+  getHistoryStore().replaceAll(history);
+}
+function appendRound(games) {
+  return getHistoryStore().append({ ts: Date.now(), games });
+}
+// adaptive weights as saved by the last added round (or fresh from the W_* weights)
+function loadMemberHedge() {
+  return loadHedge(ADAPTIVE_FILE, { slot: W_SLOT, markov: W_MARKOV, pattern: W_PATTERN }, { eta: HEDGE_ETA, forget: HEDGE_FORGET });
+}
+// confidence gate from ABSTAIN_FILE -> { minProb, minMargin } ({ 0, 0 } = always pick)
+function loadAbstainGate() {
+  if (!fs.existsSync(ABSTAIN_FILE)) return { minProb: 0, minMargin: 0 };
+  try {
+    const saved = JSON.parse(fs.readFileSync(ABSTAIN_FILE, 'utf8'));
+    return gateFromArgs({ 'min-prob': saved.minProb, 'min-margin': saved.minMargin });
+  } catch (e) {
+    console.warn(`⚠️ Ignoring unreadable abstention gate ${ABSTAIN_FILE}:`, e.message || e);
+    return { minProb: 0, minMargin: 0 };
+  }
+}
+// gate off (or { 0, 0 }) removes the file
+function saveAbstainGate(gate) {
+  if (!gateIsOn(gate)) { if (fs.existsSync(ABSTAIN_FILE)) fs.unlinkSync(ABSTAIN_FILE); return; }
+  fs.writeFileSync(ABSTAIN_FILE, JSON.stringify(Object.assign({}, gate, { savedAt: new Date().toISOString() }), null, 2));
+}
+// one row per slot of the forecast shown for the round just added (prevPred ABSTAIN with an empty correct flag)
+function appendForecastLog(picks, games) {
+  try {
+    if (!fs.existsSync(LOGFILE)) fs.writeFileSync(LOGFILE, 'ts,game,observed,prevPred,prob_R,prob_B,prob_G,correct\n');
+    const ts = new Date().toISOString();
+    const rows = picks.map((p, i) => [ts, p.game, games[i], p.pick || ABSTAIN, ...OUTCOMES.map(o => (p.probs[o] || 0).toFixed(4)),
+      p.pick ? (p.pick === games[i] ? 1 : 0) : ''].join(','));
+    fs.appendFileSync(LOGFILE, rows.join('\n') + '\n');
+  } catch (e) { /* ignore logging errors */ }
+}
+// log and score each component's forecast for the round before it joins the history, then store it;
+// history (in memory) gets the new entry too. Used by `add`, rb.cjs add and the local API (api-server.cjs).
+function addRound(history, hedge, games) {
+  if (history.length) {
+    const models = buildModels(history);
+    appendForecastLog(gatedPicks(predictEnsemble(history, models, ADAPTIVE ? hedgeWeights(hedge) : null)), games);
+    hedge.update(memberDists(predictEnsemble(history, models).picks), games);
+    saveHedge(ADAPTIVE_FILE, hedge);
+  }
+  const entry = appendRound(games);
+  history.push(entry);
+  return entry;
 }
 
 ////////////////////
@@ -179,6 +246,7 @@ function predictEnsemble(history, models, weights = null) {
 
   const { slotPosteriors, globalPosterior, markovProbs, patternProbs } = models;
   const blendedSlots = []; // final per-slot prob distributions
+  const memberSlots = [];  // per-slot component distributions (for adaptive weighting)
 
   const lastRoundKey = history.length ? history[history.length-1].games.join(',') : null;
   for (let s=0;s<GAMES_PER_ROUND;s++){
@@ -215,13 +283,14 @@ function predictEnsemble(history, models, weights = null) {
 
     // final normalize
     blendedSlots.push(normalize(withStreak));
+    memberSlots.push({ slot: slotWithGlobal, markov: markovP, pattern: patternP || slotWithGlobal });
   }
 
-  // choose argmax picks
-  const picks = blendedSlots.map(dist => {
+  // choose argmax picks (members: each component's own distribution for the slot)
+  const picks = blendedSlots.map((dist, s) => {
     let best = OUTCOMES[0], bestP = dist[best];
     for (const o of OUTCOMES.slice(1)) if (dist[o] > bestP) { best=o; bestP=dist[o]; }
-    return { pick: best, probs: dist };
+    return { pick: best, probs: dist, members: memberSlots[s] };
   });
 
   return { picks, blendedSlots, models };
@@ -230,44 +299,91 @@ function predictEnsemble(history, models, weights = null) {
 ////////////////////
 // EVALUATION & TUNING
 ////////////////////
-function walkForwardEvaluate(history, weightsOverride=null) {
-  // simulate predictions from history[0..i-1] and check vs history[i]
-  if (history.length < 2) return { rounds:0, correctRounds:0, slotAccuracy:0, totalSlots:0 };
+function currentWeights() {
+  return { slot: W_SLOT, markov: W_MARKOV, pattern: W_PATTERN, streak: W_STREAK };
+}
 
-  let totalRounds = 0, correctRounds = 0, correctSlots = 0, totalSlots = 0;
-  const prefix = [];
-  for (let i=0;i<history.length-1;i++){
-    prefix.push(history[i]);
-    const models = buildModels(prefix);
-    const { picks } = predictEnsemble(prefix, models, weightsOverride);
-    const actual = history[i+1].games;
-    totalRounds++;
-    const roundCorrect = picks.every((p, idx)=>p.pick === actual[idx]);
-    if (roundCorrect) correctRounds++;
-    picks.forEach((p, idx) => { if (p.pick === actual[idx]) correctSlots++; totalSlots++; });
-  }
+function createMemberHedge(state) {
+  return createHedge({ slot: W_SLOT, markov: W_MARKOV, pattern: W_PATTERN }, { eta: HEDGE_ETA, forget: HEDGE_FORGET, state });
+}
+
+// hedge weights for slot/markov/pattern, scaled to their fixed total so the streak bias keeps W_STREAK
+function hedgeWeights(hedge) {
+  const w = hedge.weights();
+  const total = W_SLOT + W_MARKOV + W_PATTERN;
+  return { slot: w.slot * total, markov: w.markov * total, pattern: w.pattern * total, streak: W_STREAK };
+}
+
+// round's member forecasts -> { slot: [5 dists], markov: [...], pattern: [...] } for hedge.update
+function memberDists(picks) {
+  return Object.fromEntries(['slot', 'markov', 'pattern'].map(k => [k, picks.map(p => p.members[k])]));
+}
+
+// Adapter for backtest-engine.cjs: one record per game slot, models rebuilt from history[from..to).
+// params: { weights } (ensemble weight override), { adaptive: true } re-weights after every round
+// as the CLI does (each fold starts again from the W_* weights)
+function createBacktestAdapter(history, params = {}) {
+  const hedge = params.adaptive ? createMemberHedge() : null;
   return {
-    rounds: totalRounds,
-    correctRounds,
-    roundAccuracy: totalRounds ? correctRounds/totalRounds : 0,
-    slotAccuracy: totalSlots ? correctSlots/totalSlots : 0
+    length: history.length,
+    minTrain: 1,
+    fit(from, to) {
+      return buildModels(history.slice(from, to));
+    },
+    predict(models, i, from) {
+      const { picks } = predictEnsemble(history.slice(from, i), models, hedge ? hedgeWeights(hedge) : (params.weights || null));
+      if (hedge) hedge.update(memberDists(picks), history[i].games);
+      return picks.map((p, idx) => ({ dist: p.probs, pick: p.pick, actual: history[i].games[idx] }));
+    }
+  };
+}
+
+function toEvaluation(res) {
+  const scores = scoreRecords(recordsFromBacktest(res.predictions), { labels: OUTCOMES });
+  return {
+    rounds: res.steps,
+    correctRounds: res.stepsCorrect,
+    roundAccuracy: res.stepAccuracy,
+    slotAccuracy: res.accuracy,
+    slotLogLoss: scores.logLoss,
+    slotBrier: scores.brier
   };
 }
 
-function coarseTune(history) {
+// opts: { adaptive, withPredictions (include the per-slot { dist, pick, actual } records) }
+function walkForwardEvaluate(history, weightsOverride=null, opts = {}) {
+  // simulate predictions from history[0..i-1] and check vs history[i]
+  if (history.length < 2) return { rounds:0, correctRounds:0, slotAccuracy:0, totalSlots:0 };
+  const adapter = createBacktestAdapter(history, { weights: weightsOverride, adaptive: !!opts.adaptive });
+  const res = runBacktestSync(adapter, { outcomes: OUTCOMES });
+  // per-slot baselines: each game slot's own sequence across rounds
+  const baselineHits = baselineHitsFor(res.predictions, slot => history.map(r => r.games[slot]), OUTCOMES);
+  const comparison = compareWithBaselines(res.predictions.map(p => p.pick === p.actual), baselineHits, { labels: OUTCOMES });
+  const out = Object.assign(toEvaluation(res), { comparison });
+  if (opts.withPredictions) out.predictions = res.predictions;
+  return out;
+}
+
+async function coarseTune(history, opts = {}) {
   // coarse grid over w_slot and w_markov in 0.1 steps, w_pattern = 1 - slot - markov - small stash for streak
   if (history.length < 3) return null;
-  let best = { score: -1, weights: null, res: null };
+  const grid = [];
   const step = 0.1;
   for (let s=0; s<=1; s+=step) {
     for (let m=0; m<=1-s; m+=step) {
       const p = 1 - s - m;
-      const weights = { slot: s, markov: m, pattern: p*0.9, streak: p*0.1 }; // split p into pattern+streak
-      const res = walkForwardEvaluate(history, weights);
-      const score = res.slotAccuracy; // optimize slot accuracy
-      if (score > best.score) best = { score, weights, res };
+      grid.push({ slot: s, markov: m, pattern: p*0.9, streak: p*0.1 }); // split p into pattern+streak
     }
   }
+  // every grid point is a full walk-forward run: spread them over worker threads
+  const results = await runBacktestGrid(__filename, history, grid.map(weights => ({ weights })),
+    { outcomes: OUTCOMES, workers: opts.workers });
+  let best = { score: -1, weights: null, res: null };
+  results.forEach((r, k) => {
+    const res = toEvaluation(r);
+    const score = res.slotAccuracy; // optimize slot accuracy
+    if (score > best.score) best = { score, weights: grid[k], res };
+  });
   return best;
 }
 
@@ -281,27 +397,30 @@ Commands:
   predict              Predict next round (uses ensemble)
   show                 Show last 10 rounds
   undo                 Remove last round
-  evaluate             Evaluate walk-forward accuracy on stored history
-  tune                 Coarse tune ensemble weights on history
+  evaluate [adaptive]  Evaluate walk-forward accuracy on stored history (fixed or adaptive weights)
+  tune [workers]       Coarse tune ensemble weights on history (grid runs on worker threads)
   config               Show current weights and hyperparams
   saveweights          Save current weights to disk (weights.json)
   loadweights          Load weights from disk (if present)
+  adaptive [on|off|reset]  Adaptive re-weighting from recent log-loss (shows current weights)
+  abstain [p] [margin] Show ABSTAIN for slots below top probability p / margin (abstain off; abstain curve [margin])
   reset                Clear all history
   help                 Show commands
   exit                 Quit
 `);
 }
 
-function printPredictions(result) {
+function printPredictions(result, weights = null) {
   if (!result || !result.picks || !Array.isArray(result.picks)) {
     console.log('Error: Invalid prediction result. Please try again.');
     return;
   }
   console.log('\n🔮 Predictions for next round:');
-  result.picks.forEach((p,i) => {
+  gatedPicks(result).forEach(p => {
     const probs = OUTCOMES.map(o => `${o}:${(p.probs[o]*100).toFixed(1)}%`).join('  ');
-    console.log(`  Game ${i+1}: ${p.pick}  |  ${probs}`);
+    console.log(`  Game ${p.game}: ${p.pick || ABSTAIN}  |  ${probs}`);
   });
+  if (weights) console.log(`  ⚖️ Adaptive weights: ${formatWeights(weights)}`);
   console.log('');
 }
 
@@ -312,12 +431,30 @@ function showConfig() {
   console.log('  Ensemble weights: slot,markov,pattern,streak =',
     W_SLOT.toFixed(2), W_MARKOV.toFixed(2), W_PATTERN.toFixed(2), W_STREAK.toFixed(2));
   console.log('  STREAK_WINDOW:', STREAK_WINDOW, 'STREAK_BONUS:', STREAK_BONUS);
+  console.log('  Adaptive weights:', ADAPTIVE ? `on (eta ${HEDGE_ETA}, forget ${HEDGE_FORGET})` : 'off');
+  console.log('  Abstention:', formatGate(loadAbstainGate()));
   console.log('');
 }
 
+// next round with the adaptive weights when they are on -> { result, weights } (predict, rb.cjs)
+function forecastRound(history, hedge) {
+  const weights = ADAPTIVE ? hedgeWeights(hedge) : null;
+  return { result: predictEnsemble(history, buildModels(history), weights), weights };
+}
+
+// per-slot picks after the saved abstention gate (null = ABSTAIN) -> [{ game, pick, probs }]
+function gatedPicks(result, gate = loadAbstainGate()) {
+  return result.picks.map((p, i) => ({ game: i + 1, pick: passesGate(p.probs, gate) ? p.pick : null, probs: p.probs }));
+}
+
 async function runCLI() {
   console.log('Red, Black & Green ensemble predictor — rounds of', GAMES_PER_ROUND);
   let history = loadHistory();
+  let hedge = loadMemberHedge();
+  const predictNext = () => {
+    const { result, weights } = forecastRound(history, hedge);
+    printPredictions(result, weights);
+  };
 
   const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: '> ' });
   printHelp(); rl.prompt();
@@ -330,15 +467,12 @@ async function runCLI() {
       if (cmd === 'add') {
         const raw = rest.join(' ');
         const games = parseRoundInput(raw);
-        history.push({ ts: Date.now(), games });
-        saveHistory(history);
+        addRound(history, hedge, games);
         console.log('✅ Round added:', games.join(','));
         // show immediate prediction
-        const models = buildModels(history);
-        printPredictions(predictEnsemble(history, models));
+        predictNext();
       } else if (cmd === 'predict') {
-        const models = buildModels(history);
-        printPredictions(predictEnsemble(history, models));
+        predictNext();
       } else if (cmd === 'show') {
         const last = history.slice(-10);
         if (!last.length) console.log('No history yet.');
@@ -349,14 +483,19 @@ async function runCLI() {
       } else if (cmd === 'reset') {
         history = []; saveHistory(history); console.log('Cleared history.');
       } else if (cmd === 'evaluate') {
-        const res = walkForwardEvaluate(history);
-        console.log('Evaluation (walk-forward):');
+        const adaptive = rest[0] === 'adaptive';
+        const gate = loadAbstainGate();
+        const res = walkForwardEvaluate(history, currentWeights(), { adaptive, withPredictions: gateIsOn(gate) });
+        console.log(`Evaluation (walk-forward, ${adaptive ? 'adaptive' : 'fixed'} weights):`);
         console.log('  Rounds tested:', res.rounds);
         console.log('  Round accuracy:', (res.roundAccuracy*100).toFixed(2)+'%');
         console.log('  Slot accuracy:', (res.slotAccuracy*100).toFixed(2)+'%');
+        if (res.rounds) console.log('  Slot log-loss:', res.slotLogLoss.toFixed(4), ' Brier:', res.slotBrier.toFixed(4));
+        if (res.comparison) printBaselineReport(res.comparison, 'Slot picks vs baselines');
+        if (res.predictions) printSelectiveSummary(selectiveSummary(recordsFromBacktest(res.predictions), gate), gate, 'Slots with abstention');
       } else if (cmd === 'tune') {
         console.log('Running coarse tuning (this may take a moment)...');
-        const best = coarseTune(history);
+        const best = await coarseTune(history, { workers: rest[0] ? Number(rest[0]) : undefined });
         if (!best) console.log('Not enough history (need at least 3 rounds).');
         else {
           console.log('Best score:', (best.score*100).toFixed(2)+'%');
@@ -364,7 +503,8 @@ async function runCLI() {
           // apply weights
           W_SLOT = best.weights.slot; W_MARKOV = best.weights.markov;
           W_PATTERN = best.weights.pattern; W_STREAK = best.weights.streak;
-          console.log('Applied best weights.');
+          hedge = createMemberHedge();
+          console.log('Applied best weights (adaptive weights restart from them).');
         }
       } else if (cmd === 'config') {
         showConfig();
@@ -375,8 +515,33 @@ async function runCLI() {
         try {
           const w = JSON.parse(fs.readFileSync(path.join(__dirname,'weights.json'),'utf8'));
           W_SLOT=w.W_SLOT; W_MARKOV=w.W_MARKOV; W_PATTERN=w.W_PATTERN; W_STREAK=w.W_STREAK;
-          console.log('Loaded weights.');
+          hedge = createMemberHedge();
+          console.log('Loaded weights (adaptive weights restart from them).');
         } catch(e) { console.log('No weights file found.'); }
+      } else if (cmd === 'adaptive') {
+        if (rest[0] === 'on' || rest[0] === 'off') ADAPTIVE = rest[0] === 'on';
+        if (rest[0] === 'reset') {
+          hedge = createMemberHedge();
+          if (fs.existsSync(ADAPTIVE_FILE)) fs.unlinkSync(ADAPTIVE_FILE);
+        }
+        console.log(`Adaptive weights ${ADAPTIVE ? 'on' : 'off'} — after ${hedge.rounds()} round(s): ${formatWeights(hedge.weights())}`);
+      } else if (cmd === 'abstain') {
+        if (rest[0] === 'curve') {
+          const by = rest[1] === 'margin' ? 'margin' : 'prob';
+          const res = walkForwardEvaluate(history, currentWeights(), { withPredictions: true });
+          printRiskCoverage(riskCoverage(recordsFromBacktest(res.predictions || []), by), { by });
+        } else {
+          if (rest[0] === 'off') saveAbstainGate(null);
+          else if (rest.length) {
+            const [minProb, minMargin] = rest.map(Number);
+            if (!(minProb >= 0 && minProb < 1) || (rest[1] !== undefined && !(minMargin >= 0 && minMargin < 1))) {
+              throw new Error('Usage: abstain <min top probability 0..1> [min margin 0..1] | abstain off | abstain curve [margin]');
+            }
+            saveAbstainGate({ minProb, minMargin: minMargin || 0 });
+          }
+          const gate = loadAbstainGate();
+          console.log(`Abstention: ${formatGate(gate)}${gateIsOn(gate) ? ` (saved to ${path.basename(ABSTAIN_FILE)})` : ''}`);
+        }
       } else if (cmd === 'help') {
         printHelp();
       } else if (cmd === 'exit' || cmd === 'quit') {
@@ -391,9 +556,30 @@ async function runCLI() {
   });
 
   rl.on('close', () => {
-    console.log('Bye — history saved to sporty_history.json');
+    console.log(`Bye — history saved to ${path.basename(DATA_FILE)}`);
     process.exit(0);
   });
 }
 
-runCLI();
\ No newline at end of file
+module.exports = {
+  OUTCOMES,
+  GAMES_PER_ROUND,
+  loadHistory,
+  parseRoundInput,
+  loadMemberHedge,
+  loadAbstainGate,
+  addRound,
+  forecastRound,
+  gatedPicks,
+  printPredictions,
+  runCLI,
+  buildModels,
+  predictEnsemble,
+  walkForwardEvaluate,
+  coarseTune,
+  createBacktestAdapter
+};
+
+if (require.main === module) {
+  runCLI();
+}
\ No newline at end of file
@@ -0,0 +1,173 @@
+// stats-math.cjs
+// Small numeric helpers for the significance tests (no dependency on simple-statistics):
+// log-gamma, exact binomial tails, chi-square and normal tail probabilities, multiple-comparison
+// corrections, percentiles and a seeded PRNG for reproducible resampling.
+
+// Lanczos approximation (g = 7, n = 9), accurate to ~1e-15 for x > 0
+const LANCZOS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+  -176.61503916999185, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+  1.5056327351493116e-7
+];
+
+function lnGamma(x) {
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - lnGamma(1 - x);
+  x -= 1;
+  let a = LANCZOS[0];
+  const t = x + 7.5;
+  for (let i = 1; i < 9; i++) a += LANCZOS[i] / (x + i);
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+function lnChoose(n, k) {
+  return lnGamma(n + 1) - lnGamma(k + 1) - lnGamma(n - k + 1);
+}
+
+function binomialPmf(k, n, p) {
+  if (k < 0 || k > n) return 0;
+  if (p <= 0) return k === 0 ? 1 : 0;
+  if (p >= 1) return k === n ? 1 : 0;
+  return Math.exp(lnChoose(n, k) + k * Math.log(p) + (n - k) * Math.log(1 - p));
+}
+
+// P[X >= k] for X ~ Binomial(n, p)
+function binomialUpperTail(k, n, p) {
+  if (k <= 0) return 1;
+  let s = 0;
+  for (let i = k; i <= n; i++) s += binomialPmf(i, n, p);
+  return Math.min(1, s);
+}
+
+// P[X <= k] for X ~ Binomial(n, p)
+function binomialLowerTail(k, n, p) {
+  if (k >= n) return 1;
+  let s = 0;
+  for (let i = 0; i <= k; i++) s += binomialPmf(i, n, p);
+  return Math.min(1, s);
+}
+
+// ---------- Chi-square / normal ----------
+// regularized upper incomplete gamma Q(a, x): series below a + 1, continued fraction (Lentz) above
+function gammaQ(a, x) {
+  if (x <= 0) return 1;
+  const gln = lnGamma(a);
+  if (x < a + 1) {
+    let sum = 1 / a, del = sum, ap = a;
+    for (let n = 0; n < 500; n++) {
+      ap += 1; del *= x / ap; sum += del;
+      if (Math.abs(del) < Math.abs(sum) * 1e-15) break;
+    }
+    return Math.max(0, 1 - sum * Math.exp(-x + a * Math.log(x) - gln));
+  }
+  const tiny = 1e-300;
+  let b = x + 1 - a, c = 1 / tiny, d = 1 / b, h = d;
+  for (let i = 1; i < 500; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b; if (Math.abs(d) < tiny) d = tiny;
+    c = b + an / c; if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < 1e-15) break;
+  }
+  return Math.min(1, Math.exp(-x + a * Math.log(x) - gln) * h);
+}
+
+// P[X >= x] for X ~ chi-square(df)
+function chiSquareSf(x, df) {
+  if (df <= 0) return 1;
+  return gammaQ(df / 2, x / 2);
+}
+
+// complementary error function (Chebyshev fit, relative error < 1.2e-7)
+function erfc(x) {
+  const z = Math.abs(x);
+  const t = 1 / (1 + 0.5 * z);
+  const r = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+    t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 + t * (-0.82215223 + t * 0.17087277)))))))));
+  return x >= 0 ? r : 2 - r;
+}
+
+function normalCdf(z) {
+  return 0.5 * erfc(-z / Math.SQRT2);
+}
+
+// two-sided p-value of a standard normal score
+function normalTwoSided(z) {
+  return Math.min(1, erfc(Math.abs(z) / Math.SQRT2));
+}
+
+// ---------- Multiple comparisons ----------
+// Holm step-down (family-wise error) -> adjusted p-values in input order
+function holmAdjust(ps) {
+  const order = ps.map((p, i) => i).sort((a, b) => ps[a] - ps[b]);
+  const out = new Array(ps.length);
+  let running = 0;
+  order.forEach((idx, rank) => {
+    running = Math.max(running, Math.min(1, (ps.length - rank) * ps[idx]));
+    out[idx] = running;
+  });
+  return out;
+}
+
+// Benjamini–Hochberg step-up (false discovery rate) -> adjusted p-values in input order
+function bhAdjust(ps) {
+  const m = ps.length;
+  const order = ps.map((p, i) => i).sort((a, b) => ps[b] - ps[a]);
+  const out = new Array(m);
+  let running = 1;
+  order.forEach((idx, k) => {
+    const rank = m - k;
+    running = Math.min(running, (m / rank) * ps[idx]);
+    out[idx] = Math.min(1, running);
+  });
+  return out;
+}
+
+// percentile of an ascending-sorted array (linear interpolation), q in [0, 1]
+function quantileSorted(sorted, q) {
+  if (!sorted.length) return null;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos), hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// Wilson score interval for k successes out of n (z = 1.96 -> 95%) -> [lo, hi] or null when n = 0
+function wilsonInterval(k, n, z = 1.96) {
+  if (!n) return null;
+  const p = k / n, d = 1 + (z * z) / n;
+  const c = (p + (z * z) / (2 * n)) / d;
+  const h = (z * Math.sqrt((p * (1 - p)) / n + (z * z) / (4 * n * n))) / d;
+  return [Math.max(0, c - h), Math.min(1, c + h)];
+}
+
+// mulberry32: tiny seeded PRNG -> function returning floats in [0, 1)
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = {
+  lnGamma,
+  lnChoose,
+  binomialPmf,
+  binomialUpperTail,
+  binomialLowerTail,
+  gammaQ,
+  chiSquareSf,
+  erfc,
+  normalCdf,
+  normalTwoSided,
+  holmAdjust,
+  bhAdjust,
+  quantileSorted,
+  wilsonInterval,
+  mulberry32
+};
@@ -0,0 +1,43 @@
+// test/adaptive-weights.test.cjs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHedge } = require('../adaptive-weights.cjs');
+
+const PRIOR = { good: 0.5, bad: 0.5 };
+const sum = (w) => Object.values(w).reduce((s, v) => s + v, 0);
+
+test('weights start at the prior and move towards the better member', () => {
+  const hedge = createHedge(PRIOR, { eta: 1, forget: 1, floor: 0 });
+  assert.deepEqual(hedge.weights(), { good: 0.5, bad: 0.5 });
+  for (let r = 0; r < 10; r++) hedge.update({ good: { RED: 0.9, BLACK: 0.1 }, bad: { RED: 0.1, BLACK: 0.9 } }, 'RED');
+  const w = hedge.weights();
+  assert.ok(w.good > 0.99, JSON.stringify(w));
+  assert.ok(Math.abs(sum(w) - 1) < 1e-12);
+  assert.equal(hedge.rounds(), 10);
+});
+
+test('the floor keeps a share of the prior for a losing member', () => {
+  const hedge = createHedge(PRIOR, { eta: 1, forget: 1, floor: 0.1 });
+  for (let r = 0; r < 50; r++) hedge.update({ good: { RED: 1 }, bad: { RED: 0 } }, 'RED');
+  assert.ok(hedge.weights().bad >= 0.05 - 1e-12);
+});
+
+test('absent members are left out, and a late member starts at the mean loss', () => {
+  const hedge = createHedge({ a: 1, b: 1, late: 1 }, { eta: 1, forget: 1, floor: 0 });
+  hedge.update({ a: { RED: 0.5 }, b: { RED: 0.25 } }, 'RED');
+  assert.deepEqual(Object.keys(hedge.update({ a: { RED: 0.5 }, b: { RED: 0.25 } }, 'RED')), ['a', 'b']);
+  const w = hedge.weights();
+  assert.ok(w.a > w.late && w.late > w.b, JSON.stringify(w));
+});
+
+test('a restored state keeps the losses but takes the prior from the caller', () => {
+  const hedge = createHedge(PRIOR, { eta: 1, forget: 1, floor: 0 });
+  hedge.update({ good: { RED: 0.8 }, bad: { RED: 0.2 } }, 'RED');
+  const saved = JSON.parse(JSON.stringify(hedge.toJSON()));
+  const restored = createHedge({ good: 0.5, bad: 0.5, fresh: 1 }, { state: saved });
+  assert.equal(restored.rounds(), 1);
+  assert.deepEqual(restored.toJSON().prior, { good: 0.5, bad: 0.5, fresh: 1 });
+  assert.ok(restored.weights(['good', 'bad']).good > 0.5);
+  const dropped = createHedge({ good: 1 }, { state: saved });
+  assert.deepEqual(Object.keys(dropped.toJSON().losses), ['good']);
+});
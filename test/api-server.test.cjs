@@ -0,0 +1,91 @@
+// test/api-server.test.cjs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { validate, startApiServer } = require('../api-server.cjs');
+
+const ROUTES = [
+  {
+    method: 'GET',
+    path: '/echo',
+    summary: 'Echo the query',
+    query: { type: 'object', properties: { n: { type: 'integer', minimum: 1 } } },
+    handler: ({ query }) => query
+  },
+  {
+    method: 'POST',
+    path: '/rounds',
+    summary: 'Store outcomes',
+    body: { type: 'object', additionalProperties: false, properties: { outcomes: { type: 'array', items: { type: 'string', enum: ['RED', 'BLACK'] } } } },
+    bodyRequired: true,
+    writes: true,
+    handler: ({ body }) => ({ stored: body.outcomes.length })
+  }
+];
+
+// -> { status, body } ; headers override the defaults (Host is set from the URL unless given)
+function request(url, { method = 'GET', path = '/', headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(new URL(path, url), { method, headers }, (res) => {
+      let text = '';
+      res.on('data', (c) => { text += c; });
+      res.on('end', () => resolve({ status: res.statusCode, body: text ? JSON.parse(text) : null }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+async function serve(t, opts = {}) {
+  const server = await startApiServer(Object.assign({ port: 0, routes: ROUTES }, opts));
+  t.after(() => server.close());
+  return server.url;
+}
+
+const JSON_HEADERS = { 'Content-Type': 'application/json' };
+
+test('validate lists every problem with its path', () => {
+  const schema = ROUTES[1].body;
+  assert.deepEqual(validate(schema, { outcomes: ['RED'] }), []);
+  assert.deepEqual(validate(schema, { outcomes: ['RED', 'PINK', 3], extra: 1 }), [
+    'body.outcomes[1]: must be one of RED, BLACK',
+    'body.outcomes[2]: expected string, got integer',
+    'body.extra: unknown field'
+  ]);
+  assert.deepEqual(validate({ type: 'integer', minimum: 1, maximum: 5 }, 7, 'query.n'), ['query.n: must be <= 5']);
+});
+
+test('query values are coerced and checked, unknown routes and methods are refused', async (t) => {
+  const url = await serve(t);
+  assert.deepEqual(await request(url, { path: '/echo?n=3' }), { status: 200, body: { n: 3 } });
+  const bad = await request(url, { path: '/echo?n=0' });
+  assert.equal(bad.status, 400);
+  assert.deepEqual(bad.body.problems, ['query.n: must be >= 1']);
+  assert.equal((await request(url, { path: '/nope' })).status, 404);
+  assert.equal((await request(url, { method: 'DELETE', path: '/echo' })).status, 405);
+});
+
+test('a loopback server refuses foreign Host and Origin headers', async (t) => {
+  const url = await serve(t);
+  assert.equal((await request(url, { path: '/echo', headers: { Host: 'evil.example:8788' } })).status, 403);
+  assert.equal((await request(url, { path: '/echo', headers: { Origin: 'http://evil.example' } })).status, 403);
+  assert.equal((await request(url, { path: '/echo', headers: { Host: 'localhost', Origin: 'http://127.0.0.1:8788' } })).status, 200);
+});
+
+test('write routes need a token, and bodies must be JSON', async (t) => {
+  const open = await serve(t);
+  const body = JSON.stringify({ outcomes: ['RED', 'BLACK'] });
+  assert.equal((await request(open, { method: 'POST', path: '/rounds', headers: JSON_HEADERS, body })).status, 403);
+
+  const url = await serve(t, { token: 'secret' });
+  assert.equal((await request(url, { method: 'POST', path: '/rounds', headers: JSON_HEADERS, body })).status, 401);
+  const auth = { Authorization: 'Bearer secret' };
+  assert.equal((await request(url, { method: 'POST', path: '/rounds', headers: Object.assign({ 'Content-Type': 'text/plain' }, auth), body })).status, 415);
+  assert.equal((await request(url, { method: 'POST', path: '/rounds', headers: auth })).status, 400); // body required
+  assert.deepEqual(await request(url, { method: 'POST', path: '/rounds', headers: Object.assign({}, JSON_HEADERS, auth), body }), { status: 200, body: { stored: 2 } });
+  assert.equal((await request(url, { path: '/echo', headers: { 'X-API-Token': 'secret' } })).status, 200);
+});
+
+test('binding beyond loopback without a token is refused', async () => {
+  await assert.rejects(startApiServer({ port: 0, host: '0.0.0.0', routes: ROUTES }), /without a token/);
+});
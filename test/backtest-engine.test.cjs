@@ -0,0 +1,75 @@
+// test/backtest-engine.test.cjs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { makeFolds, runBacktest, runBacktestSync } = require('../backtest-engine.cjs');
+
+// folds must tile [minTrain, length) without gaps or overlaps
+function assertTiles(folds, minTrain, length) {
+  assert.equal(folds[0][0], minTrain);
+  assert.equal(folds[folds.length - 1][1], length);
+  for (let k = 1; k < folds.length; k++) assert.equal(folds[k][0], folds[k - 1][1]);
+}
+
+test('folds start on refit boundaries and cover the test range', () => {
+  const folds = makeFolds(20, 120, 3, 10);
+  assert.deepEqual(folds, [[20, 60], [60, 100], [100, 120]]);
+  assertTiles(folds, 20, 120);
+  for (const [start] of folds) assert.equal((start - 20) % 10, 0);
+});
+
+test('one fold when there is one part, refits never happen, or nothing is left to test', () => {
+  assert.deepEqual(makeFolds(20, 120, 1, 10), [[20, 120]]);
+  assert.deepEqual(makeFolds(20, 120, 4, Infinity), [[20, 120]]);
+  assert.deepEqual(makeFolds(50, 50, 4, 1), []);
+  assert.deepEqual(makeFolds(60, 50, 4, 1), []);
+});
+
+test('more parts than refit blocks gives one block per fold', () => {
+  const folds = makeFolds(0, 25, 8, 10);
+  assert.deepEqual(folds, [[0, 10], [10, 20], [20, 25]]);
+  assertTiles(folds, 0, 25);
+});
+
+test('a parallel run takes the fold split from backtestShape and builds adapters only in the workers', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rb-engine-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const adapterPath = path.join(dir, 'adapter.cjs');
+  fs.writeFileSync(adapterPath, `
+    const built = [];
+    module.exports = {
+      built,
+      backtestShape: (data) => ({ length: data.length, minTrain: 4 }),
+      createBacktestAdapter(data) {
+        built.push(data.length);
+        return {
+          length: data.length,
+          minTrain: 4,
+          fit: () => null,
+          predict: (model, i) => [{ dist: { RED: 0.6, BLACK: 0.4 }, actual: data[i] }]
+        };
+      }
+    };
+  `);
+  const data = Array.from({ length: 24 }, (_, i) => (i % 3 ? 'RED' : 'BLACK'));
+  const res = await runBacktest(adapterPath, data, {}, { workers: 2, refitEvery: 5 });
+  assert.deepEqual(require(adapterPath).built, []);
+  assert.equal(res.folds, 2);
+  assert.equal(res.tested, 20);
+  assert.deepEqual(res.predictions.map(p => p.i), Array.from({ length: 20 }, (_, k) => k + 4));
+});
+
+test('predictions carry the first training sample of a sliding window', () => {
+  const data = Array.from({ length: 12 }, () => 'RED');
+  const adapter = {
+    length: data.length,
+    minTrain: 4,
+    fit: () => null,
+    predict: (model, i) => [{ dist: { RED: 1 }, actual: data[i] }]
+  };
+  const sliding = runBacktestSync(adapter, { window: 'sliding', windowSize: 5 });
+  assert.deepEqual(sliding.predictions.map(p => p.from), [0, 0, 1, 2, 3, 4, 5, 6]);
+  assert.ok(runBacktestSync(adapter, {}).predictions.every(p => p.from === 0));
+});
@@ -0,0 +1,77 @@
+// test/baselines.test.cjs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BASELINES, createBaselineTracker, baselineHitsFor, mcnemarExact, compareWithBaselines } = require('../baselines.cjs');
+
+const LABELS = ['RED', 'BLACK', 'GREEN'];
+
+// model hits on n rounds (every other one right) and a baseline that disagrees with it on b rounds the
+// model got right and c rounds it got wrong
+const MODEL = Array.from({ length: 200 }, (_, i) => i % 2 === 0);
+function baselineHits(model, b, c) {
+  const base = model.slice();
+  for (let i = 0; i < model.length && (b || c); i++) {
+    if (model[i] && b) { base[i] = false; b--; } else if (!model[i] && c) { base[i] = true; c--; }
+  }
+  return base;
+}
+
+test('the tracker picks the majority and repeats the last outcome', () => {
+  const t = createBaselineTracker(LABELS, { seed: 1 });
+  for (const o of ['RED', 'BLACK', 'RED', 'GREEN']) t.observe(o);
+  const picks = t.picks();
+  assert.equal(picks.majority, 'RED');
+  assert.equal(picks['repeat-last'], 'GREEN');
+  assert.ok(LABELS.includes(picks.uniform) && LABELS.includes(picks.marginal));
+});
+
+test('baselineHitsFor only lets a baseline see the rounds before the one it predicts', () => {
+  const seq = ['RED', 'RED', 'BLACK', 'BLACK', 'BLACK', 'BLACK'];
+  const predictions = [2, 3, 4, 5].map(i => ({ i, actual: seq[i] }));
+  const hits = baselineHitsFor(predictions, () => seq, LABELS);
+  assert.deepEqual(Object.keys(hits), BASELINES);
+  assert.deepEqual(hits['repeat-last'], [false, true, true, true]);
+  assert.deepEqual(hits.majority, [false, false, false, true]); // a tie keeps the first label (RED)
+});
+
+test('baselineHitsFor fits the baselines on the same sliding window as the model', () => {
+  const seq = ['RED', 'RED', 'RED', 'BLACK', 'BLACK', 'RED'];
+  // window of 2: round 5 is predicted from [3, 5) = BLACK, BLACK, not from the RED-heavy prefix
+  const predictions = [2, 3, 4, 5].map(i => ({ i, from: Math.max(0, i - 2), actual: seq[i] }));
+  const hits = baselineHitsFor(predictions, () => seq, LABELS);
+  assert.deepEqual(hits.majority, [true, false, false, false]);
+  const expanding = baselineHitsFor(predictions.map(p => ({ i: p.i, actual: p.actual })), () => seq, LABELS);
+  assert.deepEqual(expanding.majority, [true, false, false, true]);
+});
+
+test('exact McNemar p-values', () => {
+  assert.equal(mcnemarExact(0, 0), 1);
+  assert.ok(Math.abs(mcnemarExact(10, 0) - 2 / 1024) < 1e-9);
+  assert.equal(mcnemarExact(5, 5), 1);
+});
+
+test('a baseline counts as beaten only below the Bonferroni-adjusted alpha', () => {
+  const strong = baselineHits(MODEL, 30, 0);    // p ≈ 2e-9
+  const borderline = baselineHits(MODEL, 9, 1); // p = 22/1024 ≈ 0.021: < 0.05 but > 0.05 / 4
+  const report = compareWithBaselines(MODEL, {
+    majority: strong, 'repeat-last': strong, uniform: strong, marginal: borderline
+  }, { labels: LABELS, bootstrap: 200 });
+  assert.equal(report.adjAlpha, 0.0125);
+  const row = Object.fromEntries(report.baselines.map(r => [r.name, r]));
+  assert.equal(row.majority.significant, true);
+  assert.ok(row.marginal.pMcNemar < 0.05);
+  assert.equal(row.marginal.significant, false);
+  assert.equal(report.edge, false);
+  assert.match(report.verdict, /No usable edge: .* not distinguishable from marginal/);
+});
+
+test('an edge needs every baseline beaten, and short runs never claim one', () => {
+  const all = Object.fromEntries(BASELINES.map(b => [b, baselineHits(MODEL, 30, 0)]));
+  assert.equal(compareWithBaselines(MODEL, all, { labels: LABELS, bootstrap: 200 }).edge, true);
+  const worse = compareWithBaselines(MODEL, { majority: baselineHits(MODEL, 0, 30) }, { bootstrap: 200 });
+  assert.match(worse.verdict, /significantly worse than majority/);
+  const short = MODEL.slice(0, 20);
+  const r = compareWithBaselines(short, { majority: short.map(() => false) }, { bootstrap: 200 });
+  assert.equal(r.edge, false);
+  assert.match(r.verdict, /too few/);
+});
@@ -0,0 +1,32 @@
+// test/gru-model.test.cjs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { trainGru, predictGru } = require('../gru-model.cjs');
+
+const alternating = Array.from({ length: 120 }, (_, i) => (i % 2 ? 'BLACK' : 'RED'));
+const OPTS = { hidden: 4, window: 8, epochs: 40 };
+
+test('the GRU learns an alternating sequence', () => {
+  const model = trainGru(alternating, OPTS);
+  const afterRed = predictGru(model, alternating.slice(0, 11));
+  const afterBlack = predictGru(model, alternating.slice(0, 12));
+  assert.ok(afterRed.BLACK > 0.8, JSON.stringify(afterRed));
+  assert.ok(afterBlack.RED > 0.8, JSON.stringify(afterBlack));
+  assert.ok(Math.abs(afterRed.RED + afterRed.BLACK + afterRed.GREEN - 1) < 1e-9);
+});
+
+test('fits are reproducible and a warm start keeps the shape', () => {
+  const a = trainGru(alternating, OPTS), b = trainGru(alternating, OPTS);
+  assert.deepEqual(a.params, b.params);
+  const warm = trainGru(alternating.slice(0, 60), { init: a, epochs: 2 });
+  assert.equal(warm.hidden, a.hidden);
+  assert.equal(warm.window, a.window);
+  assert.notDeepEqual(warm.params, a.params);
+  assert.deepEqual(a.params, b.params); // the init model is not modified
+});
+
+test('too short a sequence returns the untrained model', () => {
+  const model = trainGru(['RED', 'BLACK'], OPTS);
+  const dist = predictGru(model, ['RED']);
+  assert.deepEqual(Object.keys(dist), ['RED', 'BLACK', 'GREEN']);
+});
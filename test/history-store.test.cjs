@@ -0,0 +1,62 @@
+// test/history-store.test.cjs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openHistoryStore, readHistoryFile } = require('../history-store.cjs');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rb-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('appends one line per round and answers last / range / session queries', (t) => {
+  const file = path.join(tempDir(t), 'h.jsonl');
+  const store = openHistoryStore(file, { session: 's1' });
+  for (let i = 0; i < 5; i++) store.append({ ts: 1000 * i, outcome: i % 2 ? 'BLACK' : 'RED' });
+  assert.equal(fs.readFileSync(file, 'utf8').trim().split('\n').length, 5);
+  assert.deepEqual(store.last(2).map(e => e.ts), [3000, 4000]);
+  assert.deepEqual(store.range({ from: 1000, to: 3000 }).map(e => e.ts), [1000, 2000]);
+  assert.equal(store.range({ session: 's1' }).length, 5);
+  assert.deepEqual(store.sessions(), ['s1']);
+});
+
+test('a torn last line is skipped, terminated by the next append and dropped by compact', (t) => {
+  const file = path.join(tempDir(t), 'h.jsonl');
+  fs.writeFileSync(file, '{"ts":1,"outcome":"RED"}\n{"ts":2,"outc');
+  const store = openHistoryStore(file);
+  assert.equal(store.count(), 1);
+  store.append({ ts: 3, outcome: 'BLACK' });
+  assert.deepEqual(store.all().map(e => e.ts), [1, 3]);
+  assert.equal(store.stats().corrupt, 1);
+  const res = store.compact();
+  assert.equal(res.corruptDropped, 1);
+  assert.deepEqual(readHistoryFile(file).map(e => e.ts), [1, 3]);
+});
+
+test('another handle sees appends and reloads a file rewritten in its place', (t) => {
+  const file = path.join(tempDir(t), 'h.jsonl');
+  const writer = openHistoryStore(file), reader = openHistoryStore(file);
+  writer.append({ ts: 1, outcome: 'RED' });
+  writer.append({ ts: 2, outcome: 'RED' });
+  assert.equal(reader.count(), 2);
+  writer.replaceAll([{ ts: 9, outcome: 'GREEN' }]);
+  assert.deepEqual(reader.all().map(e => e.outcome), ['GREEN']);
+});
+
+test('a legacy JSON file is read as is and migrated on the first write only', (t) => {
+  const dir = tempDir(t);
+  const file = path.join(dir, 'h.jsonl'), legacyFile = path.join(dir, 'h.json');
+  fs.writeFileSync(legacyFile, JSON.stringify([{ ts: 1, outcome: 'RED' }, { ts: 2, outcome: 'BLACK' }]));
+  const store = openHistoryStore(file, { legacyFile });
+  assert.equal(store.count(), 2);
+  assert.equal(store.legacy(), true);
+  assert.equal(fs.existsSync(file), false);
+  t.mock.method(console, 'log', () => {});
+  store.append({ ts: 3, outcome: 'GREEN' });
+  assert.equal(store.legacy(), false);
+  assert.deepEqual(readHistoryFile(file).map(e => e.ts), [1, 2, 3]);
+  assert.equal(fs.existsSync(legacyFile), true);
+});
@@ -0,0 +1,40 @@
+// test/hmm-regime.test.cjs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mulberry32 } = require('../stats-math.cjs');
+const { trainHmm, filterSequence, viterbi, regimeTimeline } = require('../hmm-regime.cjs');
+
+// 200 rounds of a mostly-RED regime, then 200 of a mostly-BLACK one
+function twoRegimes(seed) {
+  const rng = mulberry32(seed);
+  return Array.from({ length: 400 }, (_, i) => {
+    const major = i < 200 ? 'RED' : 'BLACK', minor = i < 200 ? 'BLACK' : 'RED';
+    const r = rng();
+    return r < 0.85 ? major : r < 0.97 ? minor : 'GREEN';
+  });
+}
+
+test('Baum–Welch recovers two regimes, ordered by their RED emission', () => {
+  const model = trainHmm(twoRegimes(1), { states: 2 });
+  assert.equal(model.K, 2);
+  assert.ok(model.B[0][0] > 0.7 && model.B[1][1] > 0.7, JSON.stringify(model.B));
+  assert.ok(model.A[0][0] > 0.9 && model.A[1][1] > 0.9);
+  for (const row of [...model.A, ...model.B, model.pi]) assert.ok(Math.abs(row.reduce((s, p) => s + p, 0) - 1) < 1e-9);
+  assert.equal(trainHmm(twoRegimes(1), { states: 2 }).logLik, model.logLik); // seeded restarts
+});
+
+test('Viterbi and the forward filter follow the switch', () => {
+  const seq = twoRegimes(2);
+  const model = trainHmm(seq, { states: 2 });
+  const segs = regimeTimeline(viterbi(model, seq)).filter(s => s.length >= 20);
+  assert.deepEqual(segs.map(s => s.state), [0, 1]);
+  assert.ok(Math.abs(segs[1].start - 200) <= 10, `switch found at ${segs[1].start}`);
+  const early = filterSequence(model, seq.slice(0, 150)).predict();
+  const late = filterSequence(model, seq).predict();
+  assert.ok(early.dist.RED > 0.7 && late.dist.BLACK > 0.7);
+  assert.ok(Math.abs(Object.values(late.dist).reduce((s, p) => s + p, 0) - 1) < 1e-9);
+});
+
+test('training needs at least two known outcomes', () => {
+  assert.throws(() => trainHmm(['RED', 'PURPLE']), /at least 2 outcomes/);
+});
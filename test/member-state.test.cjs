@@ -0,0 +1,31 @@
+// test/member-state.test.cjs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OUTCOMES, ensembleMembers, createMemberState } = require('../iv-redblack-advanced.cjs');
+const { mulberry32 } = require('../stats-math.cjs');
+
+function randomHistory(n, seed) {
+  const rng = mulberry32(seed);
+  return Array.from({ length: n }, (_, i) => ({ ts: 1000 * i, outcome: OUTCOMES[rng() < 0.05 ? 2 : rng() < 0.5 ? 0 : 1] }));
+}
+
+function assertDistsClose(actual, expected) {
+  assert.deepEqual(actual.map(m => m.name), expected.map(m => m.name));
+  actual.forEach((m, k) => {
+    for (const o of OUTCOMES) assert.ok(Math.abs(m.dist[o] - expected[k].dist[o]) < 1e-9, `${m.name} ${o}: ${m.dist[o]} vs ${expected[k].dist[o]}`);
+  });
+}
+
+test('members from the pushed-forward state match the ones rebuilt from the whole history', () => {
+  const hist = randomHistory(300, 7);
+  const state = createMemberState(hist.slice(0, 120));
+  for (let i = 120; i < hist.length; i++) state.push(hist[i].outcome);
+  assertDistsClose(ensembleMembers(hist, null, state.inputs()), ensembleMembers(hist, null));
+});
+
+test('an empty state matches the members of an empty history', () => {
+  const state = createMemberState([]);
+  assertDistsClose(ensembleMembers([], null, state.inputs()), ensembleMembers([], null));
+  state.push('RED');
+  assertDistsClose(ensembleMembers([{ ts: 0, outcome: 'RED' }], null, state.inputs()), ensembleMembers([{ ts: 0, outcome: 'RED' }], null));
+});
@@ -0,0 +1,53 @@
+// test/randomness-audit.test.cjs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mulberry32 } = require('../stats-math.cjs');
+const { MIN_LJUNG_BOX_COUNT, parseExpected, goodnessOfFit, ljungBox, auditSequence } = require('../randomness-audit.cjs');
+
+// iid RED/BLACK/GREEN rounds with the 18/18/1 wheel
+function iidRounds(n, seed) {
+  const rng = mulberry32(seed);
+  return Array.from({ length: n }, () => {
+    const r = rng() * 37;
+    return r < 18 ? 'RED' : r < 36 ? 'BLACK' : 'GREEN';
+  });
+}
+
+test('parseExpected normalizes weights and rejects bad input', () => {
+  const e = parseExpected('18,18,1');
+  assert.ok(Math.abs(e.RED - 18 / 37) < 1e-12 && Math.abs(e.GREEN - 1 / 37) < 1e-12);
+  assert.throws(() => parseExpected('1,2'), /3 non-negative numbers/);
+  assert.throws(() => parseExpected('0,0,0'), /positive sum/);
+});
+
+test('goodness-of-fit flags a biased wheel and an impossible symbol', () => {
+  const expected = parseExpected('18,18,1');
+  const biased = Array.from({ length: 300 }, (_, i) => (i % 4 === 3 ? 'BLACK' : 'RED'));
+  assert.ok(goodnessOfFit(biased, expected).p < 1e-6);
+  assert.equal(goodnessOfFit(['RED', 'GREEN'], parseExpected('1,1,0')).p, 0);
+});
+
+test('Ljung–Box leaves a rare symbol unscored instead of testing it', () => {
+  const seq = iidRounds(600, 3);
+  const greens = seq.filter(s => s === 'GREEN').length;
+  assert.ok(greens < MIN_LJUNG_BOX_COUNT);
+  const rows = ljungBox(seq);
+  const green = rows.filter(r => r.test.includes('GREEN'));
+  assert.equal(green.length, 1);
+  assert.equal(green[0].p, null);
+  assert.match(green[0].note, /skipped/);
+  assert.ok(rows.filter(r => r.test.includes('RED')).every(r => r.p > 0 && r.p <= 1));
+});
+
+test('the battery keeps its family-wise error on iid rounds and rejects an alternating sequence', () => {
+  let rejected = 0;
+  for (let seed = 1; seed <= 100; seed++) {
+    const report = auditSequence(iidRounds(1000, seed));
+    if (report.rejected.length) rejected++;
+    assert.ok(report.tests.filter(t => t.p === null).every(t => t.pAdjusted === undefined));
+  }
+  assert.ok(rejected <= 8, `${rejected} of 100 iid runs rejected at α = 0.05`);
+  const alternating = Array.from({ length: 400 }, (_, i) => (i % 2 ? 'RED' : 'BLACK'));
+  const report = auditSequence(alternating, { expected: { RED: 1, BLACK: 1, GREEN: 0 } });
+  assert.ok(report.rejected.includes('serial pairs'));
+});
@@ -0,0 +1,74 @@
+// test/rb-cli.test.cjs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+
+// rb.cjs keeps its history next to the modules: run a copy of them in a temp dir
+function sandbox(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rb-cmds-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const f of fs.readdirSync(ROOT).filter(f => f.endsWith('.cjs'))) fs.copyFileSync(path.join(ROOT, f), path.join(dir, f));
+  return dir;
+}
+
+function rb(dir, ...argv) {
+  const res = spawnSync(process.execPath, ['rb.cjs', ...argv, '--json'], {
+    cwd: dir,
+    encoding: 'utf8',
+    timeout: 60000,
+    env: Object.assign({}, process.env, { NODE_PATH: path.join(ROOT, 'node_modules') })
+  });
+  return { status: res.status, doc: res.stdout ? JSON.parse(res.stdout) : null, stderr: res.stderr };
+}
+
+test('dedupe --fix on a legacy history not yet migrated backs up the new store and rewrites it', (t) => {
+  const dir = sandbox(t);
+  const legacy = [
+    { ts: 1000, outcome: 'RED', roundId: 'a' },
+    { ts: 9000, outcome: 'BLACK', roundId: 'b' },
+    { ts: 9500, outcome: 'BLACK', roundId: 'b' }
+  ];
+  fs.writeFileSync(path.join(dir, 'rb_history.json'), JSON.stringify(legacy));
+
+  const { status, doc, stderr } = rb(dir, 'dedupe', '--fix');
+  assert.equal(status, 0, stderr);
+  assert.equal(doc.removed, 1);
+  const read = f => fs.readFileSync(path.join(dir, f), 'utf8').trim().split('\n').map(l => JSON.parse(l));
+  assert.deepEqual(read('rb_history.jsonl').map(e => e.roundId), ['a', 'b']);
+  assert.deepEqual(read('rb_history.jsonl.bak').map(e => e.roundId), ['a', 'b', 'b']);
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, 'rb_history.json'), 'utf8')), legacy);
+});
+
+test('a tuned config without a log-loss is applied without breaking the commands', (t) => {
+  const dir = sandbox(t);
+  fs.writeFileSync(path.join(dir, 'rb_tuned_config.json'), JSON.stringify({ config: { N_WINDOW: 4 } }));
+  fs.writeFileSync(path.join(dir, 'rb_history.json'), JSON.stringify(['RED', 'BLACK', 'RED', 'GREEN'].map((outcome, i) => ({ ts: 1000 * (i + 1), outcome }))));
+
+  const { status, stderr } = rb(dir, 'stats');
+  assert.equal(status, 0, stderr);
+  assert.match(stderr, /Using tuned config from rb_tuned_config\.json \(walk-forward log-loss n\/a\)/);
+});
+
+test('the saved sporty gate applies to rb predict --sporty and abstained slots are logged as ABSTAIN', (t) => {
+  const dir = sandbox(t);
+  const rounds = [['R', 'B', 'R', 'B', 'G'], ['B', 'B', 'R', 'R', 'B'], ['R', 'R', 'B', 'G', 'B']];
+  fs.writeFileSync(path.join(dir, 'sporty_history.json'), JSON.stringify(rounds.map((games, i) => ({ ts: 1000 * (i + 1), games }))));
+  fs.writeFileSync(path.join(dir, 'sporty_abstain.json'), JSON.stringify({ minProb: 0.99, minMargin: 0 }));
+
+  const predicted = rb(dir, 'predict', '--sporty');
+  assert.equal(predicted.status, 0, predicted.stderr);
+  assert.deepEqual(predicted.doc.picks.map(p => p.pick), [null, null, null, null, null]);
+
+  const added = rb(dir, 'add', 'R,B,G,R,B');
+  assert.equal(added.status, 0, added.stderr);
+  const [header, ...rows] = fs.readFileSync(path.join(dir, 'sporty_predictions_log.csv'), 'utf8').trim().split('\n');
+  assert.equal(header, 'ts,game,observed,prevPred,prob_R,prob_B,prob_G,correct');
+  assert.deepEqual(rows.map(r => r.split(',')).map(c => [c[1], c[2], c[3], c[7]]), [
+    ['1', 'R', 'ABSTAIN', ''], ['2', 'B', 'ABSTAIN', ''], ['3', 'G', 'ABSTAIN', ''], ['4', 'R', 'ABSTAIN', ''], ['5', 'B', 'ABSTAIN', '']
+  ]);
+});
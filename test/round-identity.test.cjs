@@ -0,0 +1,43 @@
+// test/round-identity.test.cjs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { roundKeyFor, isSameRound, identityOf, findSuspectedDuplicates, removeDuplicates } = require('../round-identity.cjs');
+
+test('round keys come from the round id, else from the banner text and balance', () => {
+  assert.equal(roundKeyFor({ roundId: 42 }), 'id:42');
+  const a = roundKeyFor({ raw: 'Result:  red ', balance: '1,000' });
+  assert.match(a, /^dom:[0-9a-f]{12}$/);
+  assert.equal(roundKeyFor({ raw: 'RESULT: RED', balance: '1,000' }), a);
+  assert.notEqual(roundKeyFor({ raw: 'RESULT: RED', balance: '990' }), a);
+  assert.equal(roundKeyFor({ outcome: 'RED' }), null);
+});
+
+test('isSameRound: ids decide, banner keys only within the window, hand-entered rounds never match', () => {
+  assert.equal(isSameRound({ ts: 0, outcome: 'RED', roundId: 1 }, { ts: 60000, outcome: 'BLACK', roundId: 1 }), true);
+  assert.equal(isSameRound({ ts: 0, outcome: 'RED', roundId: 1 }, { ts: 100, outcome: 'RED', roundId: 2 }), false);
+  const key = 'dom:abcdefabcdef';
+  assert.equal(isSameRound({ ts: 0, outcome: 'RED', roundKey: key }, { ts: 1000, outcome: 'RED', roundKey: key }), true);
+  assert.equal(isSameRound({ ts: 0, outcome: 'RED', roundKey: key }, { ts: 10000, outcome: 'RED', roundKey: key }), false);
+  assert.equal(isSameRound({ ts: 0, outcome: 'RED' }, { ts: 1000, outcome: 'RED' }), true);
+  assert.equal(isSameRound({ ts: 0, outcome: 'RED', source: 'cli' }, { ts: 1, outcome: 'RED', source: 'cli' }), false);
+  assert.equal(isSameRound({ ts: 0, outcome: 'RED' }, { ts: 1, outcome: 'RED', source: 'api' }), false);
+});
+
+test('findSuspectedDuplicates says what each match rests on', () => {
+  const history = [
+    { ts: 0, outcome: 'RED', roundId: 'a' },
+    { ts: 5000, outcome: 'BLACK', roundId: 'b' },
+    { ts: 90000, outcome: 'RED', roundId: 'a' },             // repeated id, far apart
+    { ts: 100000, outcome: 'GREEN', roundKey: 'dom:111111111111' },
+    { ts: 101000, outcome: 'GREEN', roundKey: 'dom:111111111111' },
+    { ts: 200000, outcome: 'RED' },
+    { ts: 201000, outcome: 'RED' },                            // no identity: heuristic
+    { ts: 202000, outcome: 'RED', source: 'cli' }              // entered by hand
+  ];
+  const dups = findSuspectedDuplicates(history);
+  assert.deepEqual(dups.map(d => [d.index, d.duplicateOf, d.kind]), [[2, 0, 'id'], [4, 3, 'key'], [6, 5, 'heuristic']]);
+  assert.match(dups[2].reason, /no round identity stored \(heuristic\)/);
+  assert.equal(identityOf(history[0]), 'id:a');
+  assert.equal(identityOf(history[5]), null);
+  assert.equal(removeDuplicates(history, dups).length, 5);
+});
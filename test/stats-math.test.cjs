@@ -0,0 +1,55 @@
+// test/stats-math.test.cjs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  lnGamma, binomialUpperTail, binomialLowerTail, chiSquareSf, normalCdf, normalTwoSided,
+  holmAdjust, bhAdjust, quantileSorted, wilsonInterval, mulberry32
+} = require('../stats-math.cjs');
+
+const close = (a, b, tol = 1e-6) => assert.ok(Math.abs(a - b) <= tol, `${a} != ${b} (±${tol})`);
+
+test('lnGamma matches log factorials', () => {
+  close(lnGamma(1), 0);
+  close(lnGamma(6), Math.log(120));
+  close(lnGamma(0.5), Math.log(Math.sqrt(Math.PI)));
+});
+
+test('binomial tails match the exact sums and complement each other', () => {
+  close(binomialUpperTail(8, 10, 0.5), 56 / 1024);
+  close(binomialLowerTail(2, 10, 0.5), 56 / 1024);
+  close(binomialUpperTail(4, 10, 0.3) + binomialLowerTail(3, 10, 0.3), 1);
+  assert.equal(binomialUpperTail(0, 10, 0.3), 1);
+});
+
+test('chi-square and normal tails hit the textbook critical values', () => {
+  close(chiSquareSf(3.841459, 1), 0.05, 1e-6);
+  close(chiSquareSf(5.991465, 2), 0.05, 1e-6);
+  close(chiSquareSf(2, 2), Math.exp(-1));
+  close(normalCdf(0), 0.5, 1e-7);
+  close(normalTwoSided(1.959964), 0.05, 1e-6);
+});
+
+test('Holm and Benjamini–Hochberg adjust in input order and stay monotone', () => {
+  assert.deepEqual(holmAdjust([0.01, 0.04, 0.03]).map(p => +p.toFixed(6)), [0.03, 0.06, 0.06]);
+  assert.deepEqual(bhAdjust([0.01, 0.04, 0.03]).map(p => +p.toFixed(6)), [0.03, 0.04, 0.04]);
+  assert.deepEqual(holmAdjust([0.9, 0.8]), [1, 1]);
+});
+
+test('quantileSorted interpolates and wilsonInterval brackets the rate', () => {
+  assert.equal(quantileSorted([1, 2, 3, 4], 0.5), 2.5);
+  assert.equal(quantileSorted([1, 2, 3, 4], 1), 4);
+  const [lo, hi] = wilsonInterval(50, 100);
+  assert.ok(lo < 0.5 && hi > 0.5);
+  close(hi - 0.5, 0.5 - lo, 1e-12);
+  assert.equal(wilsonInterval(0, 0), null);
+});
+
+test('mulberry32 is reproducible per seed and stays in [0, 1)', () => {
+  const a = mulberry32(42), b = mulberry32(42), c = mulberry32(43);
+  const xs = Array.from({ length: 1000 }, () => a());
+  assert.deepEqual(xs.slice(0, 5), Array.from({ length: 5 }, () => b()));
+  assert.notEqual(xs[0], c());
+  assert.ok(xs.every(x => x >= 0 && x < 1));
+  const mean = xs.reduce((s, x) => s + x, 0) / xs.length;
+  close(mean, 0.5, 0.05);
+});